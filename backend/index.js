@@ -4,16 +4,24 @@ const dotenv = require("dotenv");
 const axios = require("axios");
 const express = require("express");
 const schedule = require("node-schedule");
+const campusDate = require("./util/campusDate");
+const { rebuildRatingAggregates } = require("./util/ratingAggregates");
+const { trainRecommender } = require("./util/recommender");
+const { migrateTrackerFoods, backfillEatenAt } = require("./util/foodLog");
+const { migrateHealthLogs, backfillPerformedAt, migrateExerciseSets } = require("./util/healthLogs");
 
 /* Create instance of app */
 const app = express();
 
 /* Define REST API endpoint routes */
 const authenticationRoute = require("./routes/auth");
+const mealPlansRoute = require("./routes/mealPlans");
 const menuInfoRoute = require("./routes/menuInfo");
+const moderationRoute = require("./routes/moderation");
 const recommendationsRoute = require("./routes/recommendations");
 const problemsRoute = require("./routes/problem");
 const ratingsRoute = require("./routes/ratings");
+const reviewsRoute = require("./routes/reviews");
 const savedRoute = require("./routes/saved");
 const usersRoute = require("./routes/users");
 
@@ -28,7 +36,52 @@ mongoose
         useNewUrlParser: true,
         useUnifiedTopology: true
     })
-    .then(() => console.log("Successfully connected to MongoDB."))
+    .then(async () => {
+        console.log("Successfully connected to MongoDB.");
+
+        /* Give foods and exercises logged before entries had times one, and drop the hashes that identified them
+           (first, so foods moved below aren't stopped by the unique index on hashes) */
+        try {
+            const foods = await backfillEatenAt();
+            const exercises = await backfillPerformedAt();
+            if (foods + exercises > 0) {
+                console.log("GAVE " + foods + " FOODS AN EATEN AT TIME AND " + exercises + " EXERCISES A PERFORMED AT TIME");
+            }
+        } catch (error) {
+            console.log("ERROR GIVING FOODS AND EXERCISES TIMES: " + error);
+        }
+
+        /* Give exercises logged with single sets, reps and weight values a set for each of their sets */
+        try {
+            const exercises = await migrateExerciseSets();
+            if (exercises > 0) {
+                console.log("GAVE " + exercises + " EXERCISES LOGGED WITH SINGLE VALUES THEIR SETS");
+            }
+        } catch (error) {
+            console.log("ERROR GIVING EXERCISES THEIR SETS: " + error);
+        }
+
+        /* Move foods left in users' trackers from before the tracker kept history into the food log */
+        try {
+            const result = await migrateTrackerFoods();
+            if (result.foods > 0) {
+                console.log("MOVED " + result.foods + " TRACKER FOODS OF " + result.users + " USERS TO THE FOOD LOG");
+            }
+        } catch (error) {
+            console.log("ERROR MOVING TRACKER FOODS TO THE FOOD LOG: " + error);
+        }
+
+        /* Move the entries of users' health logs from before they had their own collections */
+        try {
+            const result = await migrateHealthLogs();
+            if (result.entries > 0) {
+                console.log("MOVED " + result.entries + " HEALTH LOG ENTRIES OF " + result.users + " USERS TO THEIR COLLECTIONS, "
+                    + result.skipped + " ENTRIES WITHOUT A REAL AMOUNT OR DATE WERE LEFT ON THE USERS");
+            }
+        } catch (error) {
+            console.log("ERROR MOVING HEALTH LOGS TO THEIR COLLECTIONS: " + error);
+        }
+    })
     .catch(err => console.log(err));
 
 /* Use express middleware to parse requests from frontend */
@@ -36,10 +89,13 @@ app.use(express.json());
 
 /* Allow our app instance to use our API endpoints */
 app.use("/api/auth", authenticationRoute);
+app.use("/api/mealPlans", mealPlansRoute);
 app.use("/api/menuInfo", menuInfoRoute);
+app.use("/api/moderation", moderationRoute);
 app.use("/api/problems", problemsRoute);
 app.use("/api/ratings", ratingsRoute); 
 app.use("/api/recommendations", recommendationsRoute); 
+app.use("/api/reviews", reviewsRoute);
 app.use("/api/saved", savedRoute);
 app.use("/api/users", usersRoute);
 
@@ -55,28 +111,34 @@ app.listen(PORT, async () => {
     // } catch (error) {
     //     console.log("ERROR PARSING DINING DATA ON STARTUP: " + error);
     // }
-
-    /* Uncomment this to immediately reset all users' food trackers on server startup */
-    // try {
-    //     await axios.delete('http://localhost:8000/api/users/resetTrackers');
-    // } catch (error) {
-    //     console.log("ERROR RESETTING TRACKER AT MIDNIGHT: " + error);
-    // }
 });
 
-/* Schedule jobs to run every midnight scheduler uses CRON formatting: https://crontab.guru/every-night-at-midnight */
-schedule.scheduleJob('0 0 * * *', async () => {
+/* Schedule jobs to run every midnight (campus time) scheduler uses CRON formatting: https://crontab.guru/every-night-at-midnight */
+schedule.scheduleJob({ rule: '0 0 * * *', tz: campusDate.getTimezone() }, async () => {
     /* Parse dining data everyday at 12:00 am */
     try {
-        await axios.post('http://localhost:8000/api/menuInfo/load');
+        const response = await axios.post('http://localhost:8000/api/menuInfo/load');
+        const run = response.data.today;
+        if (run.status === "partial") {
+            console.log("PARSED DINING DATA AT MIDNIGHT WITH " + run.failures.length + " FAILURES, SEE INGESTION RUN " + run._id);
+        }
     } catch (error) {
         console.log("ERROR PARSING DINING DATA AT MIDNIGHT: " + error);
     }
     
-    /* Reset user's trackers everyday at 12 am */
+    /* Rebuild menu items' rating aggregates from the ratings everyday at 12 am, in case they drifted */
+    try {
+        const result = await rebuildRatingAggregates();
+        console.log("REBUILT RATING AGGREGATES OF " + result.itemsUpdated + " MENU ITEMS");
+    } catch (error) {
+        console.log("ERROR REBUILDING RATING AGGREGATES AT MIDNIGHT: " + error);
+    }
+
+    /* Retrain the collaborative filtering recommender on the day's ratings and saved items everyday at 12 am */
     try {
-        await axios.delete('http://localhost:8000/api/users/resetTrackers');
+        const result = await trainRecommender();
+        console.log("TRAINED RECOMMENDER ON " + result.users + " USERS, " + result.items + " ITEMS HAVE SIMILAR ITEMS");
     } catch (error) {
-        console.log("ERROR RESETTING TRACKER AT MIDNIGHT: " + error);
+        console.log("ERROR TRAINING RECOMMENDER AT MIDNIGHT: " + error);
     }
 });
@@ -0,0 +1,20 @@
+/* Defines Schema in DB for a user's report of how busy a dining court is */
+const mongoose = require("mongoose");
+const campusDate = require("../util/campusDate");
+
+/**
+ * MongoDB schema for a busyness check-in. level goes from 1 (not busy) to 4 (as busy as it gets),
+ * see BUSY_LEVELS in util/busyness.js.
+ */
+const schema = new mongoose.Schema(
+    {
+        userId: { type: String, required: true },
+        court: { type: String, required: true },
+        level: { type: Number, required: true, min: 1, max: 4 }
+    },
+    { timestamps: { currentTime: () => campusDate.now() } } // the live estimate and the cooldown go by campusDate's clock
+);
+
+schema.index({ court: 1, createdAt: -1 });
+
+module.exports = mongoose.model("BusyCheckIn", schema);
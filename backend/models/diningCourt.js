@@ -1,4 +1,4 @@
-/* Defines Schema in DB for a menu item */
+/* Defines Schema in DB for a dining court */
 const mongoose = require("mongoose");
 
 const schema = new mongoose.Schema(
@@ -6,7 +6,23 @@ const schema = new mongoose.Schema(
         name: { type: String, required: true, unique: true },
         formalName: { type: String },
         googleID: { type: String }, //google places id for future use
-        mealInfo: {type: [Object] }, //{meal name, start time, end time}
+        mealInfo: {type: [Object] }, //{meal name, start time, end time, startMinutes, endMinutes}
+        weeklyMealInfo: { type: Object }, // { weekday name: [{meal name, start time, end time, startMinutes, endMinutes}] }
+        manualHours: { type: Boolean, default: false }, // hours were set by an admin, menu loads don't replace them
+        address: {
+            street: { type: String },
+            city: { type: String },
+            state: { type: String },
+            zip: { type: String },
+        },
+        coordinates: {
+            latitude: { type: Number },
+            longitude: { type: Number },
+        },
+        contact: {
+            phone: { type: String },
+            email: { type: String },
+        },
         // mealInfo: {type: Object}, //{meal name, start time, end time}
 
         // caption: { type: String, required: true },
@@ -0,0 +1,32 @@
+/* Defines Schema in DB for an exercise in a user's exercise tracker, one document per exercise */
+const mongoose = require("mongoose");
+
+/* a set of an exercise: its reps and what was lifted in each of them */
+const setSchema = new mongoose.Schema(
+    {
+        reps: { type: Number, default: null }, // null only on sets migrated without a count of reps
+        weight: { type: Number, default: null }, // in `unit`, null for sets without weights (e.g. push-ups)
+        unit: { type: String, enum: ["lb", "kg"], default: "lb" },
+        rpe: { type: Number, default: null }, // rate of perceived exertion, 1 to 10
+        rest: { type: Number, default: null } // seconds rested after the set
+    },
+    { _id: false }
+);
+
+const schema = new mongoose.Schema(
+    {
+        userId: { type: String, required: true },
+        date: { type: Date, required: true }, // the campus day it was done, stored like MenuItem.dateServed (see util/campusDate)
+        performedAt: { type: Date, required: true }, // when on that day it was done
+        exerciseName: { type: String, required: true },
+        exerciseType: { type: String, enum: ["Weight Lifting", "Cardio", "Other"], required: true },
+        sets: { type: [setSchema], default: [] }, // in the order they were done
+        time: { type: Number, default: null }, // minutes
+        legacyKey: { type: String, required: false } // set on exercises moved from User.liftingLog, cardioLog and otherExerciseLog (see util/healthLogs)
+    },
+    { timestamps: true }
+);
+schema.index({ userId: 1, date: 1 }); // a user's exercises on a day or range of days
+schema.index({ userId: 1, legacyKey: 1 }, { unique: true, partialFilterExpression: { legacyKey: { $exists: true } } });
+
+module.exports = mongoose.model("ExerciseLog", schema);
@@ -0,0 +1,24 @@
+/* Defines Schema in DB for a food logged in a user's meal tracker, one document per food */
+const mongoose = require("mongoose");
+
+const schema = new mongoose.Schema(
+    {
+        userId: { type: String, required: true },
+        date: { type: Date, required: true }, // the campus day it was eaten, stored like MenuItem.dateServed (see util/campusDate)
+        eatenAt: { type: Date, required: true }, // when on that day it was eaten
+        foodName: { type: String, required: true },
+        calories: { type: Number, default: 0 }, // macros are per serving
+        fat: { type: Number, default: 0 },
+        protein: { type: Number, default: 0 },
+        carbohydrates: { type: Number, default: 0 },
+        servings: { type: Number, default: 0 },
+        servingSize: { type: String, default: "[unknown serving size]" },
+        mealType: { type: String, default: "[no meal type]" },
+        legacyKey: { type: String, required: false } // set on foods moved from User.foods (see util/foodLog)
+    },
+    { timestamps: true }
+);
+schema.index({ userId: 1, date: 1 }); // a user's foods on a day or range of days
+schema.index({ userId: 1, legacyKey: 1 }, { unique: true, partialFilterExpression: { legacyKey: { $exists: true } } });
+
+module.exports = mongoose.model("FoodLog", schema);
@@ -0,0 +1,38 @@
+/* Defines Schema in DB for a single run of the dining menu ingestion */
+const mongoose = require("mongoose");
+
+/**
+ * A fetch that still failed after all retries. `kind` is "courts" when the court list couldn't be
+ * loaded, "menu" when a court's menu couldn't be loaded and "item" when an item's details couldn't be
+ * loaded. Item failures keep the court data they were served with so a resumed run can write them.
+ */
+const failureSchema = new mongoose.Schema(
+    {
+        kind: { type: String, enum: ["courts", "menu", "item"], required: true },
+        court: { type: String },
+        itemID: { type: String },
+        courtData: { type: [] }, // [dining court, station, meal type] entries of the failed item
+        error: { type: String },
+        attempts: { type: Number }
+    },
+    { _id: false }
+);
+
+const schema = new mongoose.Schema(
+    {
+        date: { type: String, required: true }, // "YYYY-M-D" date the menus were loaded for
+        provider: { type: String, required: true },
+        upcoming: { type: Boolean, default: false }, // true when loading a future date's menus ahead of time
+        status: { type: String, enum: ["running", "completed", "partial", "failed"], default: "running" },
+        resumedFrom: { type: mongoose.Schema.Types.ObjectId, ref: "IngestionRun" },
+        courts: { type: [String], default: [] },
+        itemsAdded: { type: Number, default: 0 },
+        itemsUpdated: { type: Number, default: 0 },
+        itemsFailed: { type: Number, default: 0 },
+        failures: { type: [failureSchema], default: [] },
+        durationMs: { type: Number }
+    },
+    { timestamps: true }
+);
+
+module.exports = mongoose.model("IngestionRun", schema);
@@ -0,0 +1,19 @@
+/* Defines Schema in DB for the items most similar to a menu item, computed by util/recommender.js */
+const mongoose = require("mongoose");
+
+/**
+ * One document per menu item that users have rated or saved. neighbors are the items users liked or disliked
+ * together with it, most similar first; support is the number of users who rated or saved both.
+ */
+const schema = new mongoose.Schema(
+    {
+        menuItemID: { type: String, required: true, unique: true },
+        neighbors: {
+            type: [{ menuItemID: String, similarity: Number, support: Number }],
+            default: []
+        },
+        trainedAt: { type: Date, required: true } // when the recommender run that computed it started
+    }
+);
+
+module.exports = mongoose.model("ItemSimilarity", schema);
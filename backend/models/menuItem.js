@@ -9,9 +9,14 @@ const schema = new mongoose.Schema(
         dateServed: { type: Date }, // date that this item was served (tentative field)
         isVegetarian: { type: Boolean, required: false },
         allergens: { type: [], required: false },
+        inferredAllergens: { type: [], required: false }, // [{Name, Value, confidence}] guessed from ingredients, see util/menu/inferAllergens
         nutritionFacts: { type: [], required: false },
         ingredients: { type: String, required: false },
-        avgRating: {type: Number, default: 0}
+        avgRating: {type: Number, default: 0},
+        ratingCount: { type: Number, default: 0 }, // number of 1-5 star ratings (0s don't count)
+        ratingSum: { type: Number, default: 0 }, // total stars of those ratings
+        ratingDistribution: { type: [Number], default: [0, 0, 0, 0, 0] } // number of 1, 2, 3, 4 and 5 star ratings
     }
 );
+schema.index({ name: "text", ingredients: "text" }, { weights: { name: 5, ingredients: 1 } }); // for /menuInfo/search
 module.exports = mongoose.model("MenuItem", schema); 
\ No newline at end of file
@@ -0,0 +1,29 @@
+/* Defines Schema in DB for one action taken on a review by a moderator (or by the blocklist check) */
+const mongoose = require("mongoose");
+
+/**
+ * MongoDB schema for the moderation log. action is one of:
+ *   "hold"    - the blocklist check kept a review from being published (adminId is null)
+ *   "hide"    - an admin hid a review from the item's review list
+ *   "restore" - an admin published a held or hidden review again and dismissed its flags
+ *   "delete"  - an admin deleted a review's text and photos (the rating itself stays)
+ * review and photos are a copy of the review when the action was taken.
+ */
+const schema = new mongoose.Schema(
+    {
+        action: { type: String, enum: ["hold", "hide", "restore", "delete"], required: true },
+        adminId: { type: String, default: null },
+        reviewId: { type: String, required: true },
+        menuItemID: { type: String, required: true },
+        reviewUserId: { type: String, required: true }, // the author of the review
+        reason: { type: String, default: "" },
+        review: { type: String, default: "" },
+        photos: { type: [String], default: [] }
+    },
+    { timestamps: true }
+);
+
+schema.index({ createdAt: -1 });
+schema.index({ reviewId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ModerationAction", schema);
@@ -1,13 +1,26 @@
-/* Defines Schema in DB for a rating of a menu item */
+/* Defines Schema in DB for a rating of a menu item, with the user's optional written review */
 const mongoose = require("mongoose");
 
 const schema = new mongoose.Schema( // create schema for ratings in DB
     {
         userId: { type: String, required: true },   
         menuItemID: { type: String, required: true },
-        rating: { type: Number, required: true }
+        rating: { type: Number, required: true },
+        review: { type: String, required: false, default: "" }, // short written review, see routes/reviews.js
+        reviewedAt: { type: Date, required: false }, // when the review was last written (updatedAt also changes with the rating)
+        photos: { type: [String], required: false, default: [] }, // storage keys of the review's photos, see util/storage
+        helpfulBy: { type: [String], required: false, default: [] }, // ids of the users who found the review helpful
+        helpfulCount: { type: Number, default: 0 },
+        // "published" reviews are listed; "pending" ones are waiting for a moderator (e.g. held by the blocklist
+        // check) and "hidden" ones were hidden by one, see routes/moderation.js
+        status: { type: String, enum: ["published", "pending", "hidden"], default: "published" },
+        flags: { type: [{ userId: String, reason: String, flaggedAt: Date }], default: [] }, // users' reports not yet handled by a moderator
+        flagCount: { type: Number, default: 0 }
     },
     { timestamps: true }
 );
+schema.index({ userId: 1, menuItemID: 1 }, { unique: true }); // one rating per user and item, see util/ratingAggregates
+schema.index({ menuItemID: 1, helpfulCount: -1, reviewedAt: -1 }); // for listing an item's reviews
+schema.index({ status: 1, flagCount: -1 }); // for the moderation queue
 
 module.exports = mongoose.model("Rating", schema);
\ No newline at end of file
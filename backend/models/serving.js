@@ -0,0 +1,22 @@
+/* Defines Schema in DB for one serving of a menu item (an item served at a court, station and meal on a given day) */
+const mongoose = require("mongoose");
+
+/**
+ * MongoDB schema for the menu archive. MenuItem only knows where an item is served today,
+ * servings keep every day's menu so past menus can be queried.
+ */
+const schema = new mongoose.Schema(
+    {
+        menuItemID: { type: String, required: true }, // MenuItem.ID
+        date: { type: Date, required: true }, // same value as MenuItem.dateServed on the day it was served
+        court: { type: String, required: true },
+        station: { type: String },
+        meal: { type: String }
+    }
+);
+
+schema.index({ menuItemID: 1, date: 1, court: 1, station: 1, meal: 1 }, { unique: true });
+schema.index({ court: 1, date: 1, meal: 1 });
+schema.index({ menuItemID: 1, date: -1 });
+
+module.exports = mongoose.model("Serving", schema);
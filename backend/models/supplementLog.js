@@ -0,0 +1,17 @@
+/* Defines Schema in DB for an entry of a user's supplement log */
+const mongoose = require("mongoose");
+
+const schema = new mongoose.Schema(
+    {
+        userId: { type: String, required: true },
+        date: { type: Date, required: true }, // the campus day, stored like MenuItem.dateServed (see util/campusDate)
+        supplement: { type: String, required: true },
+        amount: { type: Number, required: true }, // pills
+        legacyKey: { type: String, required: false } // set on entries moved from User.supplementLog (see util/healthLogs)
+    },
+    { timestamps: true }
+);
+schema.index({ userId: 1, date: 1 });
+schema.index({ userId: 1, legacyKey: 1 }, { unique: true, partialFilterExpression: { legacyKey: { $exists: true } } });
+
+module.exports = mongoose.model("SupplementLog", schema);
@@ -18,10 +18,12 @@ const schema = new mongoose.Schema(
         /* Dining court */
         preferences: { type: [], required: false, default: [] },
         restrictions: { type: [], required: false, default: [] },
+        strictRestrictions: { type: [String], required: false, default: [] }, /* restrictions that are strict allergies, see util/allergenFilter */
+        unknownAllergens: { type: String, enum: ["exclude", "include", "unverified"], required: false, default: "exclude" }, /* how to treat items with unknown allergen info */
         favoriteMenuItems: { type: [], required: false, default: [] }, /* saved/favorite menu items are currently stored in their own collection */
         
         /* Food tracking and nutrition */
-        foods: { type: [], required: false, default: [] }, /* foods in user's meal tracker */
+        foods: { type: [], required: false, default: [] }, /* legacy: the meal tracker's foods, now in FoodLog (moved there on startup) */
         lowLevelNutritionGoals: { type: Map, of: String, required: false, 
             default: {
                 calories: "2000",
@@ -35,9 +37,9 @@ const schema = new mongoose.Schema(
         favoriteFoodItems: { type: [], required: false, default: [] },
 
         /* Fitness */
-        liftingLog: { type: [], required: false, default: [] },
-        cardioLog: { type: [], required: false, default: [] },
-        otherExerciseLog: { type: [], required: false, default: [] },
+        liftingLog: { type: [], required: false, default: [] }, /* legacy: now in ExerciseLog (moved there on startup) */
+        cardioLog: { type: [], required: false, default: [] }, /* legacy: now in ExerciseLog (moved there on startup) */
+        otherExerciseLog: { type: [], required: false, default: [] }, /* legacy: now in ExerciseLog (moved there on startup) */
         favoriteExercises: { type: [], required: false, default: [] },
         lowLevelFitnessGoals: { type: [], required: false, default: [] },
         highLevelFitnessGoals: { type: [], required: false, default: [] },
@@ -50,10 +52,10 @@ const schema = new mongoose.Schema(
         currentHealthPlan: { type: [], required: false, default: [] },
 
         /* Other Health Features */
-        weightLog: { type: [], required: false, default: [] },
-        waterIntakeLog: { type: [], required: false, default: [] },
-        sleepLog: { type: [], required: false, default: [] },
-        supplementLog: { type: [], required: false, default: [] },
+        weightLog: { type: [], required: false, default: [] }, /* legacy: now in WeightLog (moved there on startup) */
+        waterIntakeLog: { type: [], required: false, default: [] }, /* legacy: now in WaterLog (moved there on startup) */
+        sleepLog: { type: [], required: false, default: [] }, /* legacy: now in SleepLog (moved there on startup) */
+        supplementLog: { type: [], required: false, default: [] }, /* legacy: now in SupplementLog (moved there on startup) */
 
         /* Social Features */
         friends: { type: [], required: false, default: [] },
@@ -0,0 +1,16 @@
+/* Defines Schema in DB for an entry of a user's weight log */
+const mongoose = require("mongoose");
+
+const schema = new mongoose.Schema(
+    {
+        userId: { type: String, required: true },
+        date: { type: Date, required: true }, // the campus day weighed, stored like MenuItem.dateServed (see util/campusDate)
+        weight: { type: Number, required: true }, // lbs
+        legacyKey: { type: String, required: false } // set on entries moved from User.weightLog (see util/healthLogs)
+    },
+    { timestamps: true }
+);
+schema.index({ userId: 1, date: 1 });
+schema.index({ userId: 1, legacyKey: 1 }, { unique: true, partialFilterExpression: { legacyKey: { $exists: true } } });
+
+module.exports = mongoose.model("WeightLog", schema);
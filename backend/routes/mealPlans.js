@@ -0,0 +1,246 @@
+const router = require("express").Router();
+const mongoose = require("mongoose");
+const User = require("../models/user");
+const FoodLog = require("../models/foodLog");
+const verify = require("../util/auth/verifyJWTToken");
+const campusDate = require("../util/campusDate");
+const { toClient } = require("../util/foodLog");
+const {
+    MAX_CUSTOM_FOODS,
+    newId,
+    parseCustomFood,
+    parseWeekdayGoals,
+    parsePlannedMeal,
+    projectWeek,
+    toTrackerFoods
+} = require("../util/mealPlanner");
+
+/*
+ * The meal planner: a week of planned meals made of dining court items and custom foods, with each day's
+ * projected macros against the user's goals (see util/mealPlanner). A planned meal for today can be moved to
+ * the meal tracker in one request once it's eaten.
+ */
+
+/* lets the request through only for the user's own plan (or an admin) */
+function ownPlan(req, res, next) {
+    if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+        res.status(403).json("You can only plan meals for your own account!");
+        return;
+    }
+    if (!mongoose.isValidObjectId(req.params.userId)) {
+        res.status(404).json("User doesn't exist");
+        return;
+    }
+    next();
+}
+
+/* responds with the user's plan for the week, as GET /:userId does */
+async function sendPlan(res, userId, status = 200) {
+    const user = await User.findById(userId);
+    if (!user) {
+        res.status(404).json("User doesn't exist");
+        return;
+    }
+    res.status(status).json({
+        days: projectWeek(user),
+        customFoods: user.favoriteFoodItems,
+        weekdayGoals: user.highLevelNutritionGoals
+    });
+}
+
+// get the user's plan for today and the next 6 days. Responds with { days: [{ date, day, meals, totals, goals,
+// difference }], customFoods, weekdayGoals }, where difference is the planned macros minus the day's goals
+router.get("/:userId", verify, ownPlan, async (req, res) => {
+    try {
+        await sendPlan(res, req.params.userId);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// plan a meal. Body: { date: "YYYY-MM-DD", mealType, items: [{ menuItemID, servings } or { customFoodId, servings }] }.
+// Meals planned for days that have passed are dropped. Responds with the updated plan
+router.post("/:userId/meals", verify, ownPlan, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.userId, { favoriteFoodItems: 1 });
+        if (!user) {
+            res.status(404).json("User doesn't exist");
+            return;
+        }
+        const { meal, error } = await parsePlannedMeal(req.body, user.favoriteFoodItems);
+        if (error) {
+            res.status(400).json(error);
+            return;
+        }
+
+        await User.updateOne({ _id: user._id }, { $pull: { currentFoodPlan: { date: { $lt: campusDate.todayDate() } } } });
+        await User.updateOne({ _id: user._id }, { $push: { currentFoodPlan: { id: newId(), ...meal } } });
+        await sendPlan(res, user._id, 201);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// change a planned meal that isn't in the tracker yet. Body like POST /:userId/meals. Responds with the updated plan
+router.put("/:userId/meals/:mealId", verify, ownPlan, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.userId, { favoriteFoodItems: 1 });
+        if (!user) {
+            res.status(404).json("User doesn't exist");
+            return;
+        }
+        const { meal, error } = await parsePlannedMeal(req.body, user.favoriteFoodItems);
+        if (error) {
+            res.status(400).json(error);
+            return;
+        }
+
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id, currentFoodPlan: { $elemMatch: { id: req.params.mealId, trackedAt: null } } },
+            { $set: { "currentFoodPlan.$": { id: req.params.mealId, ...meal } } });
+        if (!updated) {
+            await sendMealError(res, user._id, req.params.mealId);
+            return;
+        }
+        await sendPlan(res, user._id);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// remove a planned meal (foods already moved to the tracker stay there). Responds with the updated plan
+router.delete("/:userId/meals/:mealId", verify, ownPlan, async (req, res) => {
+    try {
+        const updated = await User.findOneAndUpdate(
+            { _id: req.params.userId, "currentFoodPlan.id": req.params.mealId },
+            { $pull: { currentFoodPlan: { id: req.params.mealId } } });
+        if (!updated) {
+            res.status(404).json("No planned meal found");
+            return;
+        }
+        await sendPlan(res, req.params.userId);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// move a meal planned for today into the meal tracker, once. Responds with the foods added to the tracker
+router.post("/:userId/meals/:mealId/track", verify, ownPlan, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.userId, { currentFoodPlan: 1 });
+        if (!user) {
+            res.status(404).json("User doesn't exist");
+            return;
+        }
+        const meal = user.currentFoodPlan.find(planned => planned && planned.id === req.params.mealId);
+        if (!meal) {
+            res.status(404).json("No planned meal found");
+            return;
+        }
+        if (campusDate.fromDate(new Date(meal.date)) !== campusDate.todayKey()) {
+            res.status(400).json("Only meals planned for today can be moved to the tracker");
+            return;
+        }
+
+        // marking the meal tracked first keeps a double click from adding its foods twice
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id, currentFoodPlan: { $elemMatch: { id: meal.id, trackedAt: null } } },
+            { $set: { "currentFoodPlan.$.trackedAt": new Date() } });
+        if (!updated) {
+            res.status(409).json("This meal is already in your tracker");
+            return;
+        }
+        let foods;
+        try {
+            foods = await FoodLog.insertMany(toTrackerFoods(meal).map(food => ({
+                userId: String(user._id),
+                date: campusDate.todayDate(),
+                eatenAt: campusDate.now(),
+                ...food
+            })));
+        } catch (error) {
+            await User.updateOne({ _id: user._id, "currentFoodPlan.id": meal.id }, { $set: { "currentFoodPlan.$.trackedAt": null } });
+            throw error;
+        }
+        res.status(201).json(foods.map(toClient));
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// add a custom food to plan with. Body: { foodName, calories, protein, carbohydrates, fat, servingSize } (per serving).
+// Responds with the food
+router.post("/:userId/customFoods", verify, ownPlan, async (req, res) => {
+    const { food, error } = parseCustomFood(req.body);
+    if (error) {
+        res.status(400).json(error);
+        return;
+    }
+
+    try {
+        const updated = await User.findOneAndUpdate(
+            { _id: req.params.userId, [`favoriteFoodItems.${MAX_CUSTOM_FOODS - 1}`]: { $exists: false } },
+            { $push: { favoriteFoodItems: food } });
+        if (!updated) {
+            const exists = await User.exists({ _id: req.params.userId });
+            res.status(exists ? 400 : 404).json(exists ? "You can have at most " + MAX_CUSTOM_FOODS + " custom foods" : "User doesn't exist");
+            return;
+        }
+        res.status(201).json(food);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// delete a custom food; meals already planned with it keep it
+router.delete("/:userId/customFoods/:foodId", verify, ownPlan, async (req, res) => {
+    try {
+        const updated = await User.findOneAndUpdate(
+            { _id: req.params.userId, "favoriteFoodItems.id": req.params.foodId },
+            { $pull: { favoriteFoodItems: { id: req.params.foodId } } });
+        if (!updated) {
+            res.status(404).json("No custom food found");
+            return;
+        }
+        res.status(200).json("Custom food deleted");
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// set the changes to the daily nutrition goals on some weekdays, e.g. { goals: { Saturday: { calories: 2600 } } }.
+// Weekdays left out use the daily goals. Responds with the updated plan
+router.put("/:userId/goals", verify, ownPlan, async (req, res) => {
+    const { goals, error } = parseWeekdayGoals(req.body.goals);
+    if (error) {
+        res.status(400).json(error);
+        return;
+    }
+
+    try {
+        const updated = await User.findByIdAndUpdate(req.params.userId, { highLevelNutritionGoals: goals });
+        if (!updated) {
+            res.status(404).json("User doesn't exist");
+            return;
+        }
+        await sendPlan(res, req.params.userId);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+/* responds to a failed change of a planned meal: it doesn't exist or it's already in the tracker */
+async function sendMealError(res, userId, mealId) {
+    const exists = await User.exists({ _id: userId, "currentFoodPlan.id": mealId });
+    res.status(exists ? 409 : 404).json(exists ? "This meal is already in your tracker" : "No planned meal found");
+}
+
+module.exports = router;
@@ -1,476 +1,181 @@
 const router = require("express").Router();
-const fetch = require('node-fetch');
 const MenuItem = require('../models/menuItem');
 const DiningCourt = require('../models/diningCourt')
 const User = require("../models/user");
+const IngestionRun = require("../models/ingestionRun");
+const Serving = require("../models/serving");
+const BusyCheckIn = require("../models/busyCheckIn");
+const verify = require("../util/auth/verifyJWTToken");
+const verifyAdmin = require("../util/auth/verifyAdmin");
+const { getMenuProvider } = require("../util/menu/providers");
+const { ingestMenus } = require("../util/menu/ingest");
+const campusDate = require("../util/campusDate");
+const { BUSY_LEVELS, estimateBusyness, getBusynessProfile } = require("../util/busyness");
+const { parseCourtInfo } = require("../util/courtInfo");
+const { getCourtStatus } = require("../util/mealTimes");
+const { parseSearchQuery, buildSearchPipeline } = require("../util/menuSearch");
+const { parseFilter, filterItems } = require("../util/allergenFilter");
+const { listDietProfiles } = require("../util/dietProfiles");
+const { WINDOWS, getPopularItems } = require("../util/popularity");
+
+const POPULAR_LIMIT = 25; // number of items in the popular list
+const POPULAR_COURT_LIMIT = 10; // number of items in each court's leaderboard
+const UPCOMING_DAYS = 7; // number of days after today whose menus are loaded ahead of time
+const CHECK_IN_COOLDOWN_MINUTES = 10; // a user's busyness check-ins at a court within this window count once
+
+// LOAD - load menus for the current day and the next UPCOMING_DAYS days from the configured menu provider
+// (see util/menu/providers). Responds with the IngestionRun report of each day; items that failed to load
+// can be retried with /load/runs/:runId/resume
+router.post("/load", async (req, res) => {
+    var today = campusDate.todayKey();
 
-const DINING_COURTS = ["Earhart", "Ford", "Hillenbrand", "Wiley", "Windsor"];
-const PURDUE_DINING_API_URL_MENU_ITEMS = "https://api.hfs.purdue.edu/menus/v2/items/";
-const PURDUE_DINING_API_URL_DINING_COURTS = "https://api.hfs.purdue.edu/menus/v2/locations/";
-const DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
-
-const POPULAR_RATING_THRESHOLD = 3; // items >= 3 stars are considered "popular"
-// const MIN_NUM_RATINGS_POPULAR = 2; // min number of ratings for an item to be popular
-
-// LOAD - load menus site for current day
-router.post("/load", async (req, res) => { // use async/await to ensure request is fulfilled before writing to DB
-    var d = new Date();
-    var today = d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate();
-    var todayDay = d.getDay();
-    try { //parse outer xml
-        const response = await fetch(PURDUE_DINING_API_URL_DINING_COURTS);
-        if (!response.ok) {
-            throw new Error(`Error! status: ${response.status}`);
-        }
-        const json = await response.json(); // outer information stored in outer json
-        //debug: console.log(outerJson);
-        //iterate through locations listed in dining url
-        //structure: court -> day -> meal
-        for (var court of json.Location) {
-            //if not a court in DINING_COURTS, skip
-            if (!(DINING_COURTS.find(courtname => (courtname === court.Name)))) {
-                continue
-            }
-            var name = court.Name
-            const formalName = court.FormalName
-            const placeID = String(court.GooglePlaceId)
-            var mealInfo = [] //[{meal name, start time, end time}]
-            //populate mealInfo array
-            for (var day of court.NormalHours[0].Days) {
-                //only select today's day, disregard other days
-                if (day.Name !== DAYS[todayDay]) {
-                    continue
-                }
-                //for each meal today calculate start and end times, convert to 12-hour format, and add suffix
-                for (var meal of day.Meals) {
-                    var type = meal.Name
-                    var start = meal.Hours.StartTime
-                    var end = meal.Hours.EndTime
-                    var sh = start.split(":")[0]
-                    var eh = end.split(":")[0]
-                    var sm = start.split(":")[1]
-                    var em = end.split(":")[1]
-                    var startSuffix = sh >= 12 ? " PM" : " AM"
-                    var endSuffix = eh >= 12 ? " PM" : " AM"
-                    var mealstart = ((sh % 12) || 12) + ":" + sm + startSuffix
-                    var mealend = ((eh % 12) || 12) + ":" + em + endSuffix
-
-                    var curmealinfo = {
-                        mealType: type,
-                        start: mealstart,
-                        end: mealend,
-                    }
-                    console.log(curmealinfo)
-                    mealInfo.push(curmealinfo)
-                    // type contains final meal type
-                    // mealstart contains this meal's start time, mealend contains end time
-                }
-            }
-            // create object and push
-
-            // name contains court name
-            // formalName contains court's formal name
-            // mealInfo contains objects denoting meals start/end times
-            // googleID contains google place API key
-            try {
-                const diningCourtObj = await DiningCourt.findOne({
-                    name: name
-                });
-                if (diningCourtObj) { // if menu item already exists, update it with possibly new information
-                    await DiningCourt.findByIdAndUpdate(diningCourtObj._id, {
-                        name: name,
-                        formalName: formalName,
-                        googleID: placeID,
-                        mealInfo: mealInfo,
-                    });
-                    console.log("Updated dining court - " + name);
-                } else {// create new MenuItem for current menu item
-                    const newDiningCourt = new DiningCourt({
-                        name: name,
-                        formalName: formalName,
-                        googleID: placeID,
-                        mealInfo: mealInfo,
-                    });
-
-                    const newcourt = await newDiningCourt.save();
-                    // res.status(201).json(item); //return item in DB response to JSON
-                    console.log("Added dining court - " + name);
-                }
-            } catch (err) {
-                console.log("Error occured while parsing and saving dining court information");
-                console.log(err)
-            }
+    try {
+        const provider = getMenuProvider();
+        const itemCache = new Map(); // items served on several days are only fetched once
+        const run = await ingestMenus({ provider: provider, date: today, itemCache: itemCache });
+        console.log("Dining court data was parsed for " + today + " using the " + provider.name + " provider: " + run.status);
+
+        const upcomingRuns = [];
+        for (let i = 1; i <= UPCOMING_DAYS; i++) {
+            const date = campusDate.addDays(today, i);
+            upcomingRuns.push(await ingestMenus({ provider: provider, date: date, upcoming: true, itemCache: itemCache }));
+            console.log("Upcoming dining court data was parsed for " + date + ": " + upcomingRuns[i - 1].status);
         }
+
+        res.status(run.status === "failed" ? 500 : 201).json({ today: run, upcoming: upcomingRuns });
     } catch (err) {
-        res.status(500).json(err);
+        res.status(500).json(err.message);
         console.log(err);
-        return;
     }
+});
 
-
-    var d = new Date();
-    var today = d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate();
-    var todayDate = new Date(today);
-
-    // Parse dining items for each dining court
-    for (const diningCourt of DINING_COURTS) {
-        const outerUrl = PURDUE_DINING_API_URL_DINING_COURTS + diningCourt + "/" + today;
-        try {
-            const outerResponse = await fetch(outerUrl);
-            if (!outerResponse.ok) {
-                throw new Error(`Error! status: ${outerResponse.status}`);
-            }
-            const outerJson = await outerResponse.json(); //outer information stored in outer json
-            // debug: console.log(outerJson);    
-            //iterate through keys and parse
-            for (const meal of outerJson.Meals) {
-                const type = meal.Type;
-                for (const station of meal.Stations) {
-                    const stationname = station.Name;
-                    for (const item of station.Items) {
-                        const parseUrl = PURDUE_DINING_API_URL_MENU_ITEMS + item.ID;
-
-                        // console.log(parseUrl)
-                        const response = await fetch(parseUrl);
-                        if (!response.ok) {
-                            throw new Error(`Error! status: ${response.status}`)
-                        }
-
-                        const json = await response.json();
-
-                        const courtdata = [diningCourt, stationname, type]
-
-                        try {
-                            const menuItem = await MenuItem.findOne({
-                                ID: json.ID
-                            });
-
-                            /* if menu item date is different, reset court data and update info */
-                            if (menuItem && menuItem.dateServed.getTime() != todayDate.getTime()) {
-                                await MenuItem.findByIdAndUpdate(menuItem._id, {
-                                    ID: json.ID,
-                                    name: json.Name,
-                                    courtData: [courtdata],
-                                    dateServed: today,
-                                    isVegetarian: json.IsVegetarian,
-                                    allergens: json.Allergens,
-                                    nutritionFacts: json.Nutrition,
-                                    ingredients: json.Ingredients,
-                                    avgRating: json.avgRating
-                                })
-                            } else if (menuItem) { // if menu item already exists, update it with possibly new information
-                                await MenuItem.findByIdAndUpdate(menuItem._id, { $addToSet: { courtData: courtdata } }, { /* use addToSet to prevent duplicates */
-                                    ID: json.ID,
-                                    name: json.Name,
-                                    dateServed: today,
-                                    isVegetarian: json.IsVegetarian,
-                                    allergens: json.Allergens,
-                                    nutritionFacts: json.Nutrition,
-                                    ingredients: json.Ingredients,
-                                    avgRating: json.avgRating
-                                });
-                                console.log("Updated menu item - " + diningCourt + ": " + json.Name);
-                            } else { // create new MenuItem for current menu item
-                                const newMenuItem = new MenuItem({
-                                    ID: json.ID,
-                                    name: json.Name,
-                                    courtData: [courtdata],
-                                    dateServed: today,
-                                    isVegetarian: json.IsVegetarian,
-                                    allergens: json.Allergens,
-                                    nutritionFacts: json.Nutrition,
-                                    ingredients: json.Ingredients,
-                                    avgRating: 0
-                                });
-
-                                const item = await newMenuItem.save();
-                                //menuItems.push(item) // push to menu (taken out for now)
-                                // res.status(201).json(item); //return item in DB response to JSON
-                                console.log("Added menu item - " + diningCourt + ": " + json.Name);
-                            }
-                        } catch (err) {
-                            // res.status(500).json(err);
-                            console.log("Error occured while parsing and saving data: " + err);
-                        }
-                    }
-                }
-
-            }
-        } catch (err) {
-            res.status(500).json(err);
-            console.log(err);
-            return;
-        }
+// GET - list past ingestion runs, most recent first (admin only). Client can specify how many to return.
+router.get("/load/runs", verifyAdmin, async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 20;
+        const runs = await IngestionRun.find().sort({ createdAt: -1 }).limit(limit);
+        res.status(200).json(runs);
+    } catch (error) {
+        res.status(500).json("Error retrieving ingestion runs. " + error);
     }
-    res.status(201).json("Dining court data was parsed successfully for " + today);
-    console.log("Dining court data was parsed successfully for " + today);
 });
 
-
-
-// this gets all items from today regardless of dining court given the prefs and rests
-router.post("/prefsAndRests", async (req, res) => {
-    var d = new Date();
-    var today = new Date(d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate());
-
+// GET - get a single ingestion run and its errors (admin only)
+router.get("/load/runs/:runId", verifyAdmin, async (req, res) => {
     try {
-
-        const rests = req.body.restrictions; //for example could be - "Coconut", "Peanuts"
-        const prefs = req.body.preferences; //for example could be - "Vegan"
-        const menuItems = await MenuItem.find({
-            dateServed: today,
-        });
-
-        if (!menuItems) { //this means items were not found
-            res.status(500).json("No items found");
-            return;
-        }
-
-        if (rests.length == 0 && prefs.length == 0) { //no prefs or rests provided, so all items work
-            res.status(200).json(menuItems);
+        const run = await IngestionRun.findById(req.params.runId);
+        if (!run) {
+            res.status(404).json("Ingestion run not found");
             return;
         }
-
-        //then find out the rests & prefs
-
-        let matchingItems = [];
-
-        menuItems.forEach((item) => { //for each item we check if it matches all preferences
-
-            let allergens = item.allergens;
-            let skipRests = false;
-            let skipPrefs = false;
-
-            //these if-checks below are testing edge cases
-            if (allergens == null) {
-                skipRests = true;
-                skipPrefs = true;
-            }
-            if (allergens.length == 0 && (prefs.length != 0 || rests.length != 0)) {
-                skipRests = true;
-                skipPrefs = true;
-            }
-
-            allergens.forEach((allergen) => { //first check rests criteria
-                if (!skipRests && rests.includes(allergen.Name) && allergen.Value == true) {
-                    skipRests = true;
-                }
-            });
-
-            if (!skipRests) { //if the item passes all the requested rests
-                allergens.forEach((allergen) => { //then we check if it passes the requested prefs
-
-                    if (!skipPrefs && prefs.includes(allergen.Name) && allergen.Value == false) {
-
-                        skipPrefs = true;
-
-                    }
-
-                });
-                if (!skipPrefs) matchingItems.push(item); //this item matches both prefs & rests
-            }
-        });
-        res.status(200).json(matchingItems);
+        res.status(200).json(run);
     } catch (error) {
-        res.status(500).json(error);
-        console.log(error);
+        res.status(500).json("Error retrieving ingestion run. " + error);
     }
 });
 
-// this gets items from today matching the meal type from a dining court given the prefs and rests
-router.post("/prefsAndRests/:mealType", async (req, res) => {
-    var d = new Date();
-    var today = new Date(d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate());
+// POST - rerun only the court menus and items that failed in a previous run (admin only)
+router.post("/load/runs/:runId/resume", verifyAdmin, async (req, res) => {
     try {
-
-        const rests = req.body.restrictions; //for example could be - "Coconut", "Peanuts"
-        const prefs = req.body.preferences; //for example could be - "Vegan"
-        const menuItems = await (MenuItem.find(
-            {
-                dateServed: today,
-                courtData: {
-                    $elemMatch: { $elemMatch: { $in: [req.params.mealType] } }
-                }
-            }
-        ));
-
-        if (!menuItems) { //this means items were not found
-            res.status(500).json("No items found");
+        const previousRun = await IngestionRun.findById(req.params.runId);
+        if (!previousRun) {
+            res.status(404).json("Ingestion run not found");
             return;
         }
-
-        if (rests.length == 0 && prefs.length == 0) { //no prefs or rests provided, so all items work
-            res.status(200).json(menuItems);
+        if (previousRun.status === "completed" || previousRun.status === "running") {
+            res.status(400).json("Only partial or failed runs can be resumed");
             return;
         }
 
-        //then find out the rests & prefs
-
-        let matchingItems = [];
-
-        menuItems.forEach((item) => { //for each item we check if it matches all preferences
-
-            let allergens = item.allergens;
-            let skipRests = false;
-            let skipPrefs = false;
-
-            //these if-checks below are testing edge cases
-            if (allergens == null) {
-                skipRests = true;
-                skipPrefs = true;
-            }
-            if (allergens.length == 0 && (prefs.length != 0 || rests.length != 0)) {
-                skipRests = true;
-                skipPrefs = true;
-            }
-
-            allergens.forEach((allergen) => { //first check rests criteria
-                if (!skipRests && rests.includes(allergen.Name) && allergen.Value == true) {
-                    skipRests = true;
-                }
-            });
-
-            if (!skipRests) { //if the item passes all the requested rests
-                allergens.forEach((allergen) => { //then we check if it passes the requested prefs
-
-                    if (!skipPrefs && prefs.includes(allergen.Name) && allergen.Value == false) {
-
-                        skipPrefs = true;
-
-                    }
-
-                });
-                if (!skipPrefs) matchingItems.push(item); //this item matches both prefs & rests
-            }
+        const run = await ingestMenus({
+            provider: getMenuProvider(previousRun.provider),
+            date: previousRun.date,
+            upcoming: previousRun.upcoming,
+            resume: previousRun
         });
-
-        res.status(200).json(matchingItems);
-    } catch (error) {
-        res.status(500).json(error);
-        console.log(error);
+        res.status(run.status === "failed" ? 500 : 201).json(run);
+    } catch (err) {
+        res.status(500).json(err.message);
+        console.log(err);
     }
 });
 
 
+
 /*
-//this endpoint returns all items that align with the requested restrictions and preferences
-//the request body must include the requested restrictions & preferences
-//created the other functions in case both prefs & rests are not needed to be filtered
+//these endpoints return today's items that align with the requested restrictions and preferences
+//the request body must include the requested restrictions & preferences, and can say how serious each
+//restriction is and what to do with items whose allergen info is unknown (see util/allergenFilter)
 req url -> http://localhost:8000/api/menuInfo/prefsAndRests
 Example req body below
 {
     "preferences": ["Vegan"],
-    "restrictions": ["Coconut", "Tree Nuts"]
+    "restrictions": ["Coconut", { "name": "Tree Nuts", "severity": "strict" }],
+    "unknownAllergens": "unverified"
 }
-^ that call + body will give all items that don't have Coconut or Tree Nuts in it and that are Vegan
+^ that call + body will give all items that don't have Coconut or Tree Nuts in it and that are Vegan. Items
+without Coconut or Vegan info are included with an "unverifiedAllergens" list, items not known to be free of
+Tree Nuts are left out
 */
-router.post("/prefsAndRests/:diningCourt", async (req, res) => {
-    var d = new Date();
-    var today = new Date(d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate());
-
-    try {
+router.post("/prefsAndRests", async (req, res) => {
+    await sendFilteredItems(res, filterOfBody(req.body), () => true);
+});
 
-        const rests = req.body.restrictions; //for example could be - "Coconut", "Peanuts"
-        const prefs = req.body.preferences; //for example could be - "Vegan"
+// this gets today's items from a dining court or of a meal type given the prefs and rests
+// (/prefsAndRests/:diningCourt and /prefsAndRests/:mealType share this path, so either is matched)
+router.post("/prefsAndRests/:courtOrMeal", async (req, res) => {
+    const value = req.params.courtOrMeal;
+    await sendFilteredItems(res, filterOfBody(req.body), ([court, , meal]) => court === value || meal === value, [value]);
+});
 
-        // get all menu items
-        const menuItems = await MenuItem.find({
-            dateServed: today,
-            courtData: {
-                $elemMatch: {
-                    $elemMatch: {
-                        $in: [req.params.diningCourt]
-                    }
-                }
-            }
-        });
 
-        if (!menuItems) { // this means items were not found
-            res.status(500).json("No items found");
-            return;
-        }
+/* Return the POPULAR_LIMIT most popular menu items served today, ranked by the Bayesian average of their ratings
+ * (see util/popularity). ?window=today|week|all (default all) picks which ratings count and ?court= only ranks the
+ * items served at one dining court. Items are returned with a popularity field { score, avgRating, ratingCount, ratingDistribution } */
+router.get("/popular", async (req, res) => {
+    const window = req.query.window || "all";
+    if (!WINDOWS.includes(window)) {
+        res.status(400).json("window must be one of " + WINDOWS.join(", "));
+        return;
+    }
 
-        if (rests.length == 0 && prefs.length == 0) { // no prefs or rests provided, so all items work
-            res.status(200).json(menuItems);
-            return;
+    try {
+        const menuItems = await getPopularItems({ window: window, court: req.query.court || null, limit: POPULAR_LIMIT });
+        if (menuItems.length === 0) {
+            console.log("No popular menu items found");
         }
-
-        //then find out the rests & prefs
-
-        let matchingItems = [];
-
-        menuItems.forEach((item) => { //for each item we check if it matches all preferences
-
-            let allergens = item.allergens;
-            let skipRests = false;
-            let skipPrefs = false;
-
-            //these if-checks below are testing edge cases
-            if (allergens == null) {
-                skipRests = true;
-                skipPrefs = true;
-            }
-            if (allergens.length == 0 && (prefs.length != 0 || rests.length != 0)) {
-                skipRests = true;
-                skipPrefs = true;
-            }
-
-            allergens.forEach((allergen) => { //first check rests criteria
-                if (!skipRests && rests.includes(allergen.Name) && allergen.Value == true) {
-                    skipRests = true;
-                }
-            });
-
-            if (!skipRests) { //if the item passes all the requested rests
-                allergens.forEach((allergen) => { //then we check if it passes the requested prefs
-
-                    if (!skipPrefs && prefs.includes(allergen.Name) && allergen.Value == false) {
-
-                        skipPrefs = true;
-
-                    }
-                });
-                if (!skipPrefs) matchingItems.push(item); // this item matches both prefs & rests
-            }
-        });
-        res.status(200).json(matchingItems);
+        res.status(200).json(menuItems);
     } catch (error) {
-        res.status(500).json(error);
+        res.status(500).json("Error: " + error);
         console.log(error);
     }
 });
 
-/* Return top 25 menu items from today sorted by their average rating (rating must be greater than POPULAR_RATING_THRESHOLD) */
-router.get("/popular", async (req, res) => {
-    var d = new Date();
-    var today = new Date(d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate());
-    try {
-        const menuItems = await MenuItem.find({
-            dateServed: today,
-            avgRating: {
-                $gte: POPULAR_RATING_THRESHOLD
-            }
-        }).sort({ avgRating: -1 }).limit(25);
-
-        // TODO: create an variable to keep track on number of ratings for a given item, there should be a threshold of 2 ratings
+/* Return a leaderboard of the POPULAR_COURT_LIMIT most popular items for every dining court, as { court: [items] };
+ * takes the same ?window= as /popular */
+router.get("/popular/courts", async (req, res) => {
+    const window = req.query.window || "all";
+    if (!WINDOWS.includes(window)) {
+        res.status(400).json("window must be one of " + WINDOWS.join(", "));
+        return;
+    }
 
-        if (menuItems.length === 0) {
-            console.log("No popular menu items found");
-            res.status(500).json([]); /* send all menu items if no menu items found */
-            return;
-        } else {
-            res.status(200).json(menuItems);
+    try {
+        const courts = await DiningCourt.find({}, { name: 1 }).sort({ name: 1 });
+        const leaderboards = {};
+        for (const court of courts) {
+            leaderboards[court.name] = await getPopularItems({ window: window, court: court.name, limit: POPULAR_COURT_LIMIT });
         }
+        res.status(200).json(leaderboards);
     } catch (error) {
-        res.status(500).json(error);
+        res.status(500).json("Error: " + error);
         console.log(error);
     }
 });
 
 // this endpoint returns all menu items of the provided dining court
 router.get("/all", async (req, res) => {
-    var d = new Date();
-    var today = new Date(d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate());
+    var today = campusDate.todayDate();
 
     try {
         const menuItems = await MenuItem.find({
@@ -485,12 +190,106 @@ router.get("/all", async (req, res) => {
     } catch (error) { console.log(error); }
 });
 
+// this endpoint returns every dining court's information, sorted by name
+router.get("/courts", async (req, res) => {
+    try {
+        const courts = await DiningCourt.find().sort({ name: 1 });
+        res.status(200).json(courts);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log("Error: " + error);
+    }
+});
+
+/*
+Searches today's menu items by text over their name and ingredients, with filters by court, meal, station,
+vegetarian, allergens and nutrient ranges, sorting and pagination (see util/menuSearch for every parameter)
+Example Call: http://localhost:8000/api/menuInfo/search?q=chicken&court=Wiley&meal=Lunch&minProtein=30&sort=protein&order=desc
+Returns: { items: [...], total, page, limit, pages, facets: { courts, meals, stations, vegetarian, allergens } }
+where each facet is a list of { value, count } of the matching items
+*/
+router.get("/search", async (req, res) => {
+    const { search, error } = parseSearchQuery(req.query);
+    if (error) {
+        res.status(400).json(error);
+        return;
+    }
+
+    try {
+        const date = campusDate.todayDate();
+        const excludedIds = search.exclusions ? await findExcludedIds(search.exclusions, date) : [];
+        const [result] = await MenuItem.aggregate(buildSearchPipeline(search, date, excludedIds));
+        const total = result.total.length > 0 ? result.total[0].count : 0;
+        res.status(200).json({
+            items: result.items,
+            total: total,
+            page: search.page,
+            limit: search.limit,
+            pages: Math.ceil(total / search.limit),
+            facets: {
+                courts: result.courts,
+                meals: result.meals,
+                stations: result.stations,
+                vegetarian: result.vegetarian,
+                allergens: result.allergens
+            }
+        });
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log("Error: " + error);
+    }
+});
+
+// returns the diet profiles users can add to their restrictions as { type: "profile", name }
+router.get("/dietProfiles", async (req, res) => {
+    res.status(200).json(listDietProfiles());
+});
+
+// OPEN NOW - returns every court's current meal (or its next one if it's closed) with the minutes until it
+// closes (or opens) and the items on that meal's menu. ?items=false leaves out the items
+router.get("/status", async (req, res) => {
+    try {
+        const courts = await DiningCourt.find().sort({ name: 1 });
+        const statuses = await Promise.all(courts.map(court => getCourtMealStatus(court, req.query.items !== "false")));
+        res.status(200).json(statuses);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log("Error: " + error);
+    }
+});
+
+// OPEN NOW - returns one court's current or next meal, like /status
+router.get("/status/:diningCourt", async (req, res) => {
+    try {
+        const court = await DiningCourt.findOne({ name: req.params.diningCourt });
+        if (court == null) {
+            res.status(404).json("No court found");
+            return;
+        }
+        res.status(200).json(await getCourtMealStatus(court, req.query.items !== "false"));
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log("Error: " + error);
+    }
+});
+
 // this endpoint returns all menu items of the provided dining court
+// an optional ?date=YYYY-MM-DD query returns that day's menu from the menu archive instead of today's
 router.get("/:diningCourt", async (req, res) => {
-    var d = new Date();
-    var today = new Date(d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate());
+    var today = campusDate.todayDate();
 
     try {
+        if (req.query.date) {
+            const date = campusDate.parseDateKey(req.query.date);
+            if (!date) {
+                res.status(400).json("Invalid date, expected YYYY-MM-DD");
+                return;
+            }
+            const archivedItems = await getArchivedMenu(req.params.diningCourt, date);
+            res.status(200).json(archivedItems);
+            return;
+        }
+
         const menuItems = await MenuItem.find({
             dateServed: today,
             courtData: {
@@ -507,11 +306,23 @@ router.get("/:diningCourt", async (req, res) => {
 });
 
 // this endpoint returns all menu items of provided dining court that are serving during the meal specified
+// an optional ?date=YYYY-MM-DD query returns that day's meal from the menu archive instead of today's
 router.get("/meals/:diningCourt/:meal", async (req, res) => {
     //debug:
-    var d = new Date();
-    var today = new Date(d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate());
+    var today = campusDate.todayDate();
     try {
+        if (req.query.date) {
+            const date = campusDate.parseDateKey(req.query.date);
+            if (!date) {
+                res.status(400).json("Invalid date, expected YYYY-MM-DD");
+                return;
+            }
+            /* match the shape of the aggregation below, where courtData is the single matching entry */
+            const archivedItems = await getArchivedMenu(req.params.diningCourt, date, req.params.meal);
+            res.status(200).json(archivedItems.map(item => ({ ...item, courtData: item.courtData[0] })));
+            return;
+        }
+
         const menuItems = await (MenuItem.aggregate([
             {
                 $unwind: "$courtData"
@@ -560,6 +371,81 @@ router.get("/meals/:diningCourt/:meal", async (req, res) => {
     }
 });
 
+/*
+Returns a court's hours for today and each of the next UPCOMING_DAYS days
+Example Call: http://localhost:8000/api/menuInfo/upcoming/Wiley
+Returns: [{ "date": "2023-11-14", "day": "Tuesday", "mealInfo": [{ "mealType": "Lunch", "start": "11:00 AM", "end": "2:00 PM" }, ...] }, ...]
+*/
+router.get("/upcoming/:diningCourt", async (req, res) => {
+    var today = campusDate.todayKey();
+
+    try {
+        const court = await DiningCourt.findOne({ name: req.params.diningCourt });
+        if (court == null) {
+            res.status(404).json("No court found");
+            return;
+        }
+
+        const days = [];
+        for (let i = 0; i <= UPCOMING_DAYS; i++) {
+            const date = campusDate.addDays(today, i);
+            days.push({ date: campusDate.formatDateKey(date), day: campusDate.dayName(date), mealInfo: getMealInfo(court, date) });
+        }
+        res.status(200).json(days);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log("Error: " + error);
+    }
+});
+
+/*
+Returns a court's hours and menu for a date up to UPCOMING_DAYS days from now
+Example Call: http://localhost:8000/api/menuInfo/upcoming/Wiley/2023-11-14
+Returns: { "date": "2023-11-14", "day": "Tuesday", "mealInfo": [...], "items": [...] }
+*/
+router.get("/upcoming/:diningCourt/:date", async (req, res) => {
+    try {
+        const date = parseUpcomingDate(req.params.date);
+        if (!date) {
+            res.status(400).json("Invalid date, expected YYYY-MM-DD within the next " + UPCOMING_DAYS + " days");
+            return;
+        }
+
+        const court = await DiningCourt.findOne({ name: req.params.diningCourt });
+        if (court == null) {
+            res.status(404).json("No court found");
+            return;
+        }
+
+        const items = await getArchivedMenu(req.params.diningCourt, date);
+        res.status(200).json({ date: campusDate.formatDateKey(date), day: campusDate.dayName(date), mealInfo: getMealInfo(court, date), items: items });
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log("Error: " + error);
+    }
+});
+
+/*
+Returns the items a court will serve at a meal on a date up to UPCOMING_DAYS days from now
+Example Call: http://localhost:8000/api/menuInfo/upcoming/Wiley/2023-11-14/Dinner
+*/
+router.get("/upcoming/:diningCourt/:date/:meal", async (req, res) => {
+    try {
+        const date = parseUpcomingDate(req.params.date);
+        if (!date) {
+            res.status(400).json("Invalid date, expected YYYY-MM-DD within the next " + UPCOMING_DAYS + " days");
+            return;
+        }
+
+        /* match the shape of /meals/:diningCourt/:meal, where courtData is the single matching entry */
+        const items = await getArchivedMenu(req.params.diningCourt, date, req.params.meal);
+        res.status(200).json(items.map(item => ({ ...item, courtData: item.courtData[0] })));
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log("Error: " + error);
+    }
+});
+
 // this endpoint returns the specified court's information
 router.get("/courts/:diningCourt", async (req, res) => {
     try {
@@ -579,87 +465,71 @@ router.get("/courts/:diningCourt", async (req, res) => {
     }
 })
 
-// this endpoint returns all menu items of the provided dining court that aligns 
-// with a user's dietary preferences and restrictions
-router.get("/prefs/:diningCourt/:username", async (req, res) => {
-    var d = new Date();
-    var today = new Date(d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate());
-    // console.log("today is " + d);
+// ADMIN - adds a dining court. body: { name, formalName, googleID, address: {street, city, state, zip},
+// coordinates: {latitude, longitude}, contact: {phone, email}, weeklyMealInfo }; only name is required
+router.post("/courts", verifyAdmin, async (req, res) => {
     try {
-        const user = await User.findOne({
-            username: req.params.username
-        });
-        if (!user) {
-            res.status(500).json("User doesn't exist");
+        const name = req.body.name;
+        if (typeof name !== "string" || name.trim() === "") {
+            res.status(400).json("A dining court needs a name");
             return;
         }
-
-        // get preferences from response
-        const preferences = user.preferences;
-
-        // get restrictions from response
-        const restrictions = user.restrictions;
-
-        /* query menu items */
-        const menuItems = await MenuItem.find({
-            dateServed: today,
-            courtData: {
-                $elemMatch: {
-                    $elemMatch: {
-                        $in: [req.params.diningCourt]
-                    }
-                }
-            }
-        });
-
-        if (!menuItems || menuItems.length == 0) { // this means items were not found
-            res.status(200).json([]); // empty
+        const { update, error } = parseCourtInfo(req.body);
+        if (error) {
+            res.status(400).json(error);
+            return;
+        }
+        if (await DiningCourt.findOne({ name: name })) {
+            res.status(409).json("Dining court " + name + " already exists");
             return;
         }
-        let courtsItems = [];
-        menuItems.forEach((item) => {
-            let courtsArray = item.courtData;
-
-            if (courtsArray == null) return;
 
-            allergens = item.allergens;
-            let matchesPrefs = true;
+        const weeklyMealInfo = update.weeklyMealInfo || {};
+        const court = await new DiningCourt({
+            ...update,
+            name: name,
+            mealInfo: weeklyMealInfo[campusDate.dayName(campusDate.todayKey())] || []
+        }).save();
+        res.status(201).json(court);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log("Error: " + error);
+    }
+});
 
-            /* if doesn't match all restrictions then continue */
-            if (restrictions.length > 0) {
-                if (allergens.length === 0) { /* edge case for when item has no allergen info */
-                    matchesPrefs = false;
-                }
-                for (const allergen of allergens) {
-                    if (restrictions.includes(allergen.Name) && allergen.Value === true) {
-                        matchesPrefs = false;
-                        break;
-                    }
-                }
-            }
+// ADMIN - edits a dining court's information, takes the same body as POST /courts without name. Only the
+// fields that are sent are changed. Hours set here are kept by later menu loads until manualHours is set to false
+router.put("/courts/:diningCourt", verifyAdmin, async (req, res) => {
+    try {
+        const { update, error } = parseCourtInfo(req.body);
+        if (error) {
+            res.status(400).json(error);
+            return;
+        }
+        if (update.weeklyMealInfo) {
+            update.mealInfo = update.weeklyMealInfo[campusDate.dayName(campusDate.todayKey())] || [];
+        }
 
-            /* if doesn't match all preferences then continue */
-            if (preferences.length > 0) {
-                if (allergens.length === 0) { /* edge case for when item has no allergen info */
-                    matchesPrefs = false;
-                }
-                for (const allergen of allergens) {
-                    if (preferences.includes(allergen.Name) && allergen.Value === false) {
-                        matchesPrefs = false;
-                        break;
-                    }
-                }
-            }
-            if (matchesPrefs) {
-                courtsItems.push(item);
-            }
-        });
-        res.status(200).json(courtsItems);
+        const court = await DiningCourt.findOneAndUpdate({ name: req.params.diningCourt }, update, { new: true });
+        if (court == null) {
+            res.status(404).json("No court found");
+            return;
+        }
+        res.status(200).json(court);
     } catch (error) {
-        console.log(error);
+        res.status(500).json("Error: " + error);
+        console.log("Error: " + error);
     }
 });
 
+// this endpoint returns all menu items of the provided dining court that aligns 
+// with a user's dietary preferences and restrictions
+// an optional ?unknownAllergens=exclude|include|unverified overrides the user's setting for unknown allergen info
+router.get("/prefs/:diningCourt/:username", async (req, res) => {
+    const court = req.params.diningCourt;
+    await sendUsersFilteredItems(req, res, ([servingCourt]) => servingCourt === court, [court]);
+});
+
 /*
 Returns a menu item based on the provided item ID
 Example Call: http://localhost:8000/api/menuInfo/item/76f9d158-d45d-42e0-8e37-8bd3c2c45986
@@ -671,6 +541,25 @@ Returns this object:
     ...
 }
 */
+/*
+Returns when and where a menu item was served, most recent first (from the menu archive)
+Example Call: http://localhost:8000/api/menuInfo/item/76f9d158-d45d-42e0-8e37-8bd3c2c45986/servings?limit=10
+The first entry answers "when was this last served?"
+*/
+router.get("/item/:menuItemID/servings", async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 50;
+        const servings = await Serving.find({
+            menuItemID: req.params.menuItemID
+        }).sort({ date: -1 }).limit(limit);
+
+        res.status(200).json(servings);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log("Error: " + error);
+    }
+});
+
 router.get("/item/:menuItemID", async (req, res) => {
     try {
         const menuItemID = req.params.menuItemID;
@@ -691,228 +580,150 @@ router.get("/item/:menuItemID", async (req, res) => {
     }
 });
 
+/*
+Returns how busy a dining court is right now, estimated from users' check-ins
+Example Call: http://localhost:8000/api/menuInfo/busy/Wiley
+Returns: { "level": 2.6, "label": "a little busy", "source": "live", "checkIns": 4 }
+source is "live" when based on recent check-ins, "historical" when based on past check-ins at this
+day of week and hour, and "none" (with label "unknown") when there are no check-ins to go on
+*/
 router.get("/busy/:diningCourt", async (req, res) => {
-    //debug:
-    var d = new Date();
     try {
-        const court = req.params.diningCourt;
-        var busytime = "not busy";
-        if (court === "Wiley") {
-            // console.log("wiley")
-            if (d.getHours() > 20) {
-                busytime = "not too busy"
-            } else if (d.getHours() > 18) {
-                busytime = "as busy as it gets"
-            } else if (d.getHours() > 16) {
-                busytime = "a little busy"
-            } else if (d.getHours() > 14) {
-                busytime = "not busy"
-            } else if (d.getHours() > 12) {
-                busytime = "as busy as it gets";
-            } else if (d.getHours() > 10) {
-                busytime = "not busy";
-            } else if (d.getHours() > 8) {
-                busytime = "not too busy";
-            } else if (d.getHours() > 6) {
-                busytime = "not busy";
-            }
-        }
-        else if (court === "Windsor") {
-            // console.log("windsor")
-            if (d.getHours() > 20) {
-                busytime = "closed"
-            } else if (d.getHours() > 18) {
-                busytime = "not too busy"
-            } else if (d.getHours() > 16) {
-                busytime = "a little busy"
-            } else if (d.getHours() > 14) {
-                busytime = "not too busy"
-            } else if (d.getHours() > 12) {
-                busytime = "as busy as it gets";
-            } else if (d.getHours() > 10) {
-                busytime = "not too busy";
-            } else if (d.getHours() > 8) {
-                busytime = "not busy";
-            } else if (d.getHours() > 6) {
-                busytime = "closed";
-            }
-        }
-        else if (court === "Hillenbrand") {
-            // console.log("hilly")
-            if (d.getHours() > 20) {
-                busytime = "closed"
-            } else if (d.getHours() > 18) {
-                busytime = "a little busy"
-            } else if (d.getHours() > 16) {
-                busytime = "a little busy"
-            } else if (d.getHours() > 14) {
-                busytime = "not too busy"
-            } else if (d.getHours() > 12) {
-                busytime = "as busy as it gets";
-            } else if (d.getHours() > 10) {
-                busytime = "closed";
-            } else if (d.getHours() > 8) {
-                busytime = "not too busy";
-            } else if (d.getHours() > 6) {
-                busytime = "not busy";
-            }
-        }
-        else if (court === "Ford") {
-            // console.log("ford")
-            if (d.getHours() > 20) {
-                busytime = "closed"
-            } else if (d.getHours() > 18) {
-                busytime = "a little busy"
-            } else if (d.getHours() > 16) {
-                busytime = "a little busy"
-            } else if (d.getHours() > 14) {
-                busytime = "not too busy"
-            } else if (d.getHours() > 12) {
-                busytime = "as busy as it gets";
-            } else if (d.getHours() > 10) {
-                busytime = "closed";
-            } else if (d.getHours() > 8) {
-                busytime = "not too busy";
-            } else if (d.getHours() > 6) {
-                busytime = "not busy";
-            }
-        }
-        else if (court === "Earhart") {
-            // console.log("earhart")
-            if (d.getHours() > 20) {
-                busytime = "not busy"
-            } else if (d.getHours() > 18) {
-                busytime = "a little busy"
-            } else if (d.getHours() > 16) {
-                busytime = "not too busy"
-            } else if (d.getHours() > 14) {
-                busytime = "closed"
-            } else if (d.getHours() > 12) {
-                busytime = "a little busy";
-            } else if (d.getHours() > 10) {
-                busytime = "not busy";
-            } else if (d.getHours() > 8) {
-                busytime = "not too busy";
-            } else if (d.getHours() > 6) {
-                busytime = "not busy";
-            }
-        }
-        // console.log("Successfully retrieved " + req.params.diningCourt + "'s busy time at " + d)
-        // console.log("busy time is: " + busytime);
-        res.status(200).json(busytime);
-        return;
+        const estimate = await estimateBusyness(req.params.diningCourt);
+        res.status(200).json(estimate);
     } catch (error) {
+        res.status(500).json("Error: " + error);
         console.log(error);
     }
 });
 
-/* gets items matching custom prefs and rests of a particular meal type from a dining court*/
-router.post("/prefsAndRests/:diningCourt/:mealType", async (req, res) => {
-    var d = new Date();
-    var today = new Date(d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate());
-
+/* Returns a court's average busyness for each day of week (1 = Sunday) and hour that has check-ins */
+router.get("/busy/:diningCourt/profile", async (req, res) => {
     try {
+        const profile = await getBusynessProfile(req.params.diningCourt);
+        res.status(200).json(profile);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
 
-        const rests = req.body.restrictions; //for example could be - "Coconut", "Peanuts"
-        const prefs = req.body.preferences; //for example could be - "Vegan"
-
-        // get all menu items
-        const menuItems = await (MenuItem.aggregate([
-            {
-                $unwind: "$courtData"
-            }, {
-                $match: {
-                    $and: [{
-                        courtData: {
-                            $elemMatch: { $in: [req.params.diningCourt] }
-                        }
-                    },
-                    {
-                        courtData: {
-                            $elemMatch: { $in: [req.params.mealType] }
-                        }
-                    }, {
-                        dateServed: today
-                    }]
-                }
-            }, {
-                $group: { /* deduplicate results */
-                    _id: "$ID",
-                    "ID": { $first: "$ID"},
-                    "name": { $first: "$name"},
-                    "courtData": { $first: "$courtData"},
-                    "dateServed": { $first: "$dateServed"},
-                    "isVegetarian": { $first: "$isVegetarian"},
-                    "allergens": { $first: "$allergens"},
-                    "nutritionFacts": { $first: "$nutritionFacts"},
-                    "ingredients": { $first: "$ingredients"},
-                    "avgRating": { $first: "$avgRating"},
-                    "__v": { $first: "$__v"},
-                }
-            }
-        ]));
-
-        if (!menuItems) { // this means items were not found
-            res.status(500).json("No items found");
+/*
+Check in how busy a dining court is right now. Checking in again at the same court within
+CHECK_IN_COOLDOWN_MINUTES replaces the user's previous check-in instead of adding another one, so it counts as
+made now in the live estimate.
+Example body: { "level": 3 } (1 = not busy to 4 = as busy as it gets)
+*/
+router.post("/busy/:diningCourt", verify, async (req, res) => {
+    try {
+        const level = Number(req.body.level);
+        if (!Number.isInteger(level) || level < 1 || level > BUSY_LEVELS.length) {
+            res.status(400).json("level must be a whole number from 1 to " + BUSY_LEVELS.length);
             return;
         }
 
-        if (rests.length == 0 && prefs.length == 0) { // no prefs or rests provided, so all items work
-            res.status(200).json(menuItems);
+        const court = await DiningCourt.findOne({ name: req.params.diningCourt });
+        if (court == null) {
+            res.status(404).json("No court found");
             return;
         }
 
-        //then find out the rests & prefs
+        const recentCheckIn = await BusyCheckIn.findOne({
+            userId: req.user.id,
+            court: court.name,
+            createdAt: { $gte: new Date(campusDate.now().getTime() - CHECK_IN_COOLDOWN_MINUTES * 60 * 1000) }
+        });
 
-        let matchingItems = [];
+        if (recentCheckIn) {
+            await BusyCheckIn.deleteOne({ _id: recentCheckIn._id });
+        }
+        await new BusyCheckIn({ userId: req.user.id, court: court.name, level: level }).save();
 
-        menuItems.forEach((item) => { //for each item we check if it matches all preferences
+        const estimate = await estimateBusyness(court.name);
+        res.status(201).json(estimate);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
 
-            let allergens = item.allergens;
-            let skipRests = false;
-            let skipPrefs = false;
+/* gets items matching custom prefs and rests of a particular meal type from a dining court*/
+router.post("/prefsAndRests/:diningCourt/:mealType", async (req, res) => {
+    const { diningCourt, mealType } = req.params;
+    await sendFilteredItems(res, filterOfBody(req.body),
+        ([court, , meal]) => court === diningCourt && meal === mealType, [diningCourt]);
+});
 
-            //these if-checks below are testing edge cases
-            if (allergens == null) {
-                skipRests = true;
-                skipPrefs = true;
-            }
-            if (allergens.length == 0 && (prefs.length != 0 || rests.length != 0)) {
-                skipRests = true;
-                skipPrefs = true;
-            }
+// this endpoint returns all menu items of the provided dining court that aligns 
+// with a user's dietary preferences and restrictions of a specific meal time
+router.get("/prefs/:diningCourt/:username/:mealType", async (req, res) => {
+    const { diningCourt, mealType } = req.params;
+    await sendUsersFilteredItems(req, res,
+        ([court, , meal]) => court === diningCourt && meal === mealType, [diningCourt]);
+});
 
-            allergens.forEach((allergen) => { //first check rests criteria
-                if (!skipRests && rests.includes(allergen.Name) && allergen.Value == true) {
-                    skipRests = true;
-                }
-            });
+/* parses a "YYYY-MM-DD" route parameter into a date key between today and UPCOMING_DAYS from now, or null */
+function parseUpcomingDate(value) {
+    const today = campusDate.todayKey();
+    const date = campusDate.parseDateKey(value);
+
+    for (let i = 0; i <= UPCOMING_DAYS; i++) {
+        if (date && campusDate.addDays(today, i) === date) {
+            return date;
+        }
+    }
+    return null;
+}
 
-            if (!skipRests) { //if the item passes all the requested rests
-                allergens.forEach((allergen) => { //then we check if it passes the requested prefs
+/* returns a court's meal hours on a "YYYY-M-D" date from its weekly hours */
+function getMealInfo(court, date) {
+    return (court.weeklyMealInfo && court.weeklyMealInfo[campusDate.dayName(date)]) || [];
+}
 
-                    if (!skipPrefs && prefs.includes(allergen.Name) && allergen.Value == false) {
+/* reads the filter sent in a /prefsAndRests request body (see util/allergenFilter) */
+function filterOfBody(body) {
+    return {
+        preferences: body.preferences,
+        restrictions: body.restrictions,
+        strict: body.strict,
+        unknown: body.unknownAllergens
+    };
+}
 
-                        skipPrefs = true;
+/* returns the _ids of the items served on `date` that a parsed filter leaves out */
+async function findExcludedIds(filter, date) {
+    const items = await MenuItem.find({ dateServed: date }, { allergens: 1, inferredAllergens: 1, ingredients: 1 });
+    const kept = new Set(filterItems(items, filter).map(item => String(item._id)));
+    return items.filter(item => !kept.has(String(item._id))).map(item => item._id);
+}
 
-                    }
-                });
-                if (!skipPrefs) matchingItems.push(item); // this item matches both prefs & rests
-            }
-        });
-        res.status(200).json(matchingItems);
+/**
+ * Responds with today's menu items that have a [court, station, meal] serving for which `matchesServing`
+ * is true and that pass the filter. `values` (court or meal names) narrows the query down in the DB first.
+ */
+async function sendFilteredItems(res, filterInput, matchesServing, values = []) {
+    const { filter, error } = parseFilter(filterInput);
+    if (error) {
+        res.status(400).json(error);
+        return;
+    }
+
+    try {
+        const query = { dateServed: campusDate.todayDate() };
+        if (values.length > 0) {
+            query.courtData = { $elemMatch: { $elemMatch: { $in: values } } };
+        }
+        const menuItems = await MenuItem.find(query);
+        const servedItems = menuItems.filter(item => (item.courtData || []).some(matchesServing));
+        res.status(200).json(filterItems(servedItems, filter));
     } catch (error) {
         res.status(500).json(error);
         console.log(error);
     }
-});
+}
 
-// this endpoint returns all menu items of the provided dining court that aligns 
-// with a user's dietary preferences and restrictions of a specific meal time
-router.get("/prefs/:diningCourt/:username/:mealType", async (req, res) => {
-    var d = new Date();
-    var today = new Date(d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate());
-    // console.log("today is " + d);
+/* like sendFilteredItems, with the preferences and restrictions of the user in req.params.username */
+async function sendUsersFilteredItems(req, res, matchesServing, values) {
     try {
         const user = await User.findOne({
             username: req.params.username
@@ -921,95 +732,60 @@ router.get("/prefs/:diningCourt/:username/:mealType", async (req, res) => {
             res.status(500).json("User doesn't exist");
             return;
         }
+        await sendFilteredItems(res, {
+            preferences: user.preferences,
+            restrictions: user.restrictions,
+            strict: user.strictRestrictions,
+            unknown: req.query.unknownAllergens || user.unknownAllergens
+        }, matchesServing, values);
+    } catch (error) {
+        res.status(500).json(error);
+        console.log(error);
+    }
+}
 
-        // get preferences from response
-        const preferences = user.preferences;
-      
-        // get restrictions from response
-        const restrictions = user.restrictions;
+/**
+ * Returns { court, open, meal, date, minutesUntilClose | minutesUntilOpen, items } for a court's current or
+ * next meal (see getCourtStatus), with date as "YYYY-MM-DD" and the meal's menu from the archive if withItems.
+ */
+async function getCourtMealStatus(court, withItems) {
+    const status = getCourtStatus(court);
+    if (!status.meal) {
+        return { court: court.name, ...status };
+    }
+    return {
+        court: court.name,
+        ...status,
+        date: campusDate.formatDateKey(status.date),
+        items: withItems ? await getArchivedMenu(court.name, status.date, status.meal.mealType) : undefined
+    };
+}
 
-        /* query menu items */
-        const menuItems = await (MenuItem.aggregate([
-            {
-                $unwind: "$courtData"
-            }, {
-                $match: {
-                    $and: [{
-                        courtData: {
-                            $elemMatch: { $in: [req.params.diningCourt] }
-                        }
-                    },
-                    {
-                        courtData: {
-                            $elemMatch: { $in: [req.params.mealType] }
-                        }
-                    }, {
-                        dateServed: today
-                    }]
-                }
-            }, {
-                $group: { /* deduplicate results */
-                    _id: "$ID",
-                    "ID": { $first: "$ID"},
-                    "name": { $first: "$name"},
-                    "courtData": { $first: "$courtData"},
-                    "dateServed": { $first: "$dateServed"},
-                    "isVegetarian": { $first: "$isVegetarian"},
-                    "allergens": { $first: "$allergens"},
-                    "nutritionFacts": { $first: "$nutritionFacts"},
-                    "ingredients": { $first: "$ingredients"},
-                    "avgRating": { $first: "$avgRating"},
-                    "__v": { $first: "$__v"},
-                }
-            }
-        ]));
+/**
+ * Builds a court's menu for a date key from the menu archive. Items are returned in the same
+ * shape as today's menu, with courtData and dateServed taken from that day's servings.
+ */
+async function getArchivedMenu(diningCourt, date, meal) {
+    const query = { court: diningCourt, date: campusDate.toDate(date) };
+    if (meal) {
+        query.meal = meal;
+    }
+    const servings = await Serving.find(query);
 
-        if (!menuItems || menuItems.length == 0) { // this means items were not found
-            res.status(200).json([]); // empty
-            return;
+    const courtDataById = new Map(); // item ID -> [[court, station, meal], ...]
+    for (const serving of servings) {
+        if (!courtDataById.has(serving.menuItemID)) {
+            courtDataById.set(serving.menuItemID, []);
         }
-        let courtsItems = [];
-        menuItems.forEach((item) => {
-            let courtsArray = item.courtData;
-
-            if (courtsArray == null) return;
-
-            allergens = item.allergens;
-            let matchesPrefs = true;
-
-            /* if doesn't match all restrictions then continue */
-            if (restrictions.length > 0) {
-                if (allergens.length === 0) { /* edge case for when item has no allergen info */
-                    matchesPrefs = false;
-                }
-                for (const allergen of allergens) {
-                    if (restrictions.includes(allergen.Name) && allergen.Value === true) {
-                        matchesPrefs = false;
-                        break;
-                    }
-                }
-            }
-
-            /* if doesn't match all preferences then continue */
-            if (preferences.length > 0) {
-                if (allergens.length === 0) { /* edge case for when item has no allergen info */
-                    matchesPrefs = false;
-                }
-                for (const allergen of allergens) {
-                    if (preferences.includes(allergen.Name) && allergen.Value === false) {
-                        matchesPrefs = false;
-                        break;
-                    }
-                }
-            }
-            if (matchesPrefs) {
-                courtsItems.push(item);
-            }
-        });
-        res.status(200).json(courtsItems);
-    } catch (error) {
-        console.log(error);
+        courtDataById.get(serving.menuItemID).push([serving.court, serving.station, serving.meal]);
     }
-});
+
+    const menuItems = await MenuItem.find({ ID: { $in: [...courtDataById.keys()] } }).lean();
+    return menuItems.map(item => ({
+        ...item,
+        courtData: courtDataById.get(item.ID),
+        dateServed: campusDate.toDate(date)
+    }));
+}
 
 module.exports = router;
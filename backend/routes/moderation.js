@@ -0,0 +1,133 @@
+const router = require("express").Router();
+const mongoose = require("mongoose");
+const Rating = require("../models/rating");
+const ModerationAction = require("../models/moderationAction");
+const verifyAdmin = require("../util/auth/verifyAdmin");
+const { recordAction } = require("../util/moderation");
+const { getPhotoStorage } = require("../util/storage");
+
+/*
+ * Admin only endpoints for moderating reviews (see routes/reviews.js). Every action is saved to the
+ * moderation log along with a copy of the review as it was.
+ */
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+
+/* parses ?page and ?limit, returning { page, limit } or null if they aren't positive integers */
+function pageOf(query) {
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1) {
+        return null;
+    }
+    return { page: page, limit: Math.min(limit, MAX_PAGE_SIZE) };
+}
+
+// get the moderation queue: reviews waiting for a moderator and published reviews users reported, most
+// reported first. Responds with { reviews, total, page, limit, pages }
+router.get("/queue", verifyAdmin, async (req, res) => {
+    const paging = pageOf(req.query);
+    if (!paging) {
+        res.status(400).json("page and limit must be positive integers");
+        return;
+    }
+
+    try {
+        const filter = {
+            reviewedAt: { $ne: null },
+            $or: [{ status: "pending" }, { status: { $ne: "hidden" }, flagCount: { $gt: 0 } }]
+        };
+        const [reviews, total] = await Promise.all([
+            Rating.find(filter, { helpfulBy: 0 })
+                .sort({ flagCount: -1, reviewedAt: 1, _id: 1 })
+                .skip((paging.page - 1) * paging.limit)
+                .limit(paging.limit),
+            Rating.countDocuments(filter)
+        ]);
+        res.status(200).json({ reviews: reviews, total: total, ...paging, pages: Math.ceil(total / paging.limit) });
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// get the moderation log, newest first (?reviewId= for one review's history).
+// Responds with { actions, total, page, limit, pages }
+router.get("/log", verifyAdmin, async (req, res) => {
+    const paging = pageOf(req.query);
+    if (!paging) {
+        res.status(400).json("page and limit must be positive integers");
+        return;
+    }
+
+    try {
+        const filter = req.query.reviewId ? { reviewId: req.query.reviewId } : {};
+        const [actions, total] = await Promise.all([
+            ModerationAction.find(filter).sort({ createdAt: -1 }).skip((paging.page - 1) * paging.limit).limit(paging.limit),
+            ModerationAction.countDocuments(filter)
+        ]);
+        res.status(200).json({ actions: actions, total: total, ...paging, pages: Math.ceil(total / paging.limit) });
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// hide a review from its item's review list and dismiss its reports. Body: { reason }
+router.post("/reviews/:reviewId/hide", verifyAdmin, async (req, res) => {
+    await moderate(req, res, "hide", { status: "hidden", flags: [], flagCount: 0 });
+});
+
+// publish a held or hidden review again and dismiss its reports. Body: { reason }
+router.post("/reviews/:reviewId/restore", verifyAdmin, async (req, res) => {
+    await moderate(req, res, "restore", { status: "published", flags: [], flagCount: 0 });
+});
+
+// delete a review's text and photos; the user's rating stays. Body: { reason }
+router.delete("/reviews/:reviewId", verifyAdmin, async (req, res) => {
+    await moderate(req, res, "delete", {
+        review: "",
+        photos: [],
+        reviewedAt: null,
+        helpfulBy: [],
+        helpfulCount: 0,
+        status: "published",
+        flags: [],
+        flagCount: 0
+    });
+});
+
+/* applies a moderation action's update to a review and records it in the moderation log */
+async function moderate(req, res, action, update) {
+    if (!mongoose.isValidObjectId(req.params.reviewId)) {
+        res.status(404).json("No review found");
+        return;
+    }
+
+    try {
+        const review = await Rating.findOneAndUpdate(
+            { _id: req.params.reviewId, reviewedAt: { $ne: null } },
+            update,
+            { timestamps: false } // returns the review as it was before the action
+        );
+        if (!review) {
+            res.status(404).json("No review found");
+            return;
+        }
+
+        const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+        const logged = await recordAction(action, review, { adminId: req.user.id, reason: reason });
+        if (action === "delete") {
+            const storage = getPhotoStorage();
+            for (const key of review.photos) {
+                await storage.remove(key);
+            }
+        }
+        res.status(200).json(logged);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+}
+
+module.exports = router;
@@ -1,79 +1,30 @@
 const router = require("express").Router();
 const Rating = require("../models/rating");
 const MenuItem = require("../models/menuItem");
+const campusDate = require("../util/campusDate");
+const verifyAdmin = require("../util/auth/verifyAdmin");
+const { setRating, rebuildRatingAggregates } = require("../util/ratingAggregates");
 
 // TODO: add JWT token to all API calls for security
 
 //send user's rating to DB, if it exists alr then update
 //this function requires the req body to contain {userId, menuItemID, and rating}
+//the menu item's aggregates are moved from the user's previous rating to the new one in one atomic update
 router.post("/", async (req, res) => {
-    try {
-        const findRating = await Rating.findOne({ //findOne returns null if no matching doc found
-            userId: req.body.userId,
-            menuItemID: req.body.menuItemID
-        });
-
-        if (findRating) { // first see if there is already a rating in the DB for this user + menu item
-            const updatedRating = await Rating.findByIdAndUpdate(findRating._id, {
-                rating: req.body.rating
-            }, { new: true }); // this will return the modified document after updating the rating
-
-            /* update average rating of menu item */
-            const ratings = await Rating.find({
-                menuItemID: req.body.menuItemID
-            });
+    const rating = Number(req.body.rating);
+    if (!req.body.userId || !req.body.menuItemID || !Number.isInteger(rating) || rating < 0 || rating > 5) {
+        res.status(400).json("userId, menuItemID and a rating of 0 to 5 whole stars are required");
+        return;
+    }
 
-            if (!ratings || ratings.length == 0) { /* if item has no ratings, set avg rating to new rating */
-                const updatedRatingVal = updatedRating.rating;
-                await MenuItem.updateOne({
-                    ID: req.body.menuItemID
-                }, {
-                    avgRating: updatedRatingVal
-                });
-                res.status(201).json("Rating updated, set avg rating: " + updatedRating);
-                return;
-            } else {
-                const avg = getAverageRating(ratings) /* if item has ratings, calculate avg rating ignoring 0s and update entry */
-                await MenuItem.updateOne({
-                    ID: req.body.menuItemID
-                }, {
-                    avgRating: avg
-                });
-                res.status(201).json("Rating updated, updated avg rating: " + updatedRating);
-                return;
-            }
-        } else { // if not then make a new document in the DB
-            const newRating = await new Rating({
-                userId: req.body.userId,
-                menuItemID: req.body.menuItemID,
-                rating: req.body.rating
-            }).save();
-
-            /* update average rating of menu item */
-            const ratings = await Rating.find({
-                menuItemID: req.body.menuItemID
-            });
+    try {
+        const { previousRating, menuItem } = await setRating(req.body.userId, req.body.menuItemID, rating);
+        const avgRating = menuItem ? menuItem.avgRating : 0;
 
-            if (!ratings || ratings.length === 0) { /* if item has no ratings, set avg rating to new rating */
-                const newRatingVal = newRating.rating;
-                await MenuItem.updateOne({
-                    ID: req.body.menuItemID
-                }, {
-                    avgRating: newRatingVal
-                }, {new: true});
-
-                res.status(201).json("New Rating created, set avg rating: " + newRating);
-                return;
-            } else {
-                const avg = getAverageRating(ratings) /* if item has ratings, calculate avg rating ignoring 0s and update entry */
-                await MenuItem.updateOne({
-                    ID: req.body.menuItemID
-                }, {
-                    avgRating: avg
-                });
-                res.status(201).json("New Rating created, updated avg rating: " + newRating);
-                return;
-            }
+        if (previousRating) {
+            res.status(201).json("Rating updated, updated avg rating to " + avgRating);
+        } else {
+            res.status(201).json("New Rating created, updated avg rating to " + avgRating);
         }
     } catch (error) {
         res.status(500).json(error);
@@ -81,13 +32,23 @@ router.post("/", async (req, res) => {
     }
 });
 
+// rebuilds every menu item's rating aggregates from the ratings (this also runs every night, see index.js)
+router.post("/repair", verifyAdmin, async (req, res) => {
+    try {
+        const result = await rebuildRatingAggregates();
+        res.status(200).json(result);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log("Error: " + error);
+    }
+});
+
 // this endpoint returns all menuItems rated by a specific user above 4+ stars
 //first get ALL items where user = specificUser AND rating >= 4 (using rating collection)
 //then go thru each item and see if served today (using menuItems collection) 
 router.get("/highlyRatedItems/:userId", async (req, res) => {
     
-    var d = new Date();
-    var today = new Date(d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate());
+    var today = campusDate.todayDate();
     try {
         const highlyRatedItems = await (Rating.find({
             userId: req.params.userId, 
@@ -123,21 +84,14 @@ router.get("/highlyRatedItems/:userId", async (req, res) => {
 //get a user's rating of a specific menu item
 router.get("/:userId/:menuItemId", async (req, res) => {
     try {
-        //find the doc with the matching userId and menuItemId
-        const findRating = await Rating.findOne({
+        //find the doc with the matching userId and menuItemId, if a rating doc is not found create one with rating 0
+        //(in one upsert, so two requests at once can't both create it)
+        const findRating = await Rating.findOneAndUpdate({
             userId: req.params.userId,
             menuItemID: req.params.menuItemId
-        });
-
-        if (!findRating) { // this means a rating doc was not found so create one with rating 0
-            const newRating = await new Rating({
-                userId: req.params.userId,
-                menuItemID: req.params.menuItemId,
-                rating: 0
-            }).save();
-            res.status(200).json(newRating);
-            return;
-        }
+        }, {
+            $setOnInsert: { rating: 0 }
+        }, { upsert: true, new: true });
 
         res.status(200).json(findRating);
 
@@ -148,7 +102,7 @@ router.get("/:userId/:menuItemId", async (req, res) => {
     }
 });
 
-// get avg rating of a menu item 
+// get avg rating of a menu item, with its number of ratings and how many of them gave 1 to 5 stars
 router.get("/:menuItemId", async (req, res) => {
 
     try {
@@ -160,7 +114,11 @@ router.get("/:menuItemId", async (req, res) => {
             res.status(200).json({ "avgRating": "N/A" });
             return;
         } else {
-            res.status(200).json({ "avgRating": menuItem.avgRating });
+            res.status(200).json({
+                "avgRating": menuItem.avgRating,
+                "ratingCount": menuItem.ratingCount,
+                "ratingDistribution": menuItem.ratingDistribution
+            });
         }
     } catch (error) {
         res.status(500).json("Error: " + error);
@@ -168,20 +126,4 @@ router.get("/:menuItemId", async (req, res) => {
     }
 });
 
-/* get the average rating of a menu item */
-function getAverageRating(ratings) {
-    let total = 0;
-    let numRatings = 0;
-
-    ratings.forEach(ratingObj => {
-        if (ratingObj.rating > 0) { // ratings of 0 don't count
-            numRatings++;
-        }
-        total += ratingObj.rating;
-    });
-
-    let avg = total / numRatings;
-    return avg.toFixed(1);
-}
-
 module.exports = router;
\ No newline at end of file
@@ -1,472 +1,197 @@
 const router = require("express").Router();
 const Saved = require("../models/saved");
 const MenuItem = require("../models/menuItem");
+const User = require("../models/user");
+const mongoose = require("mongoose");
+const { parseFilter, filterItems } = require("../util/allergenFilter");
+const campusDate = require("../util/campusDate");
+const ItemSimilarity = require("../models/itemSimilarity");
+const verifyAdmin = require("../util/auth/verifyAdmin");
+const verify = require("../util/auth/verifyJWTToken");
+const { trainRecommender, recommendForUser } = require("../util/recommender");
+const { remainingMacros, findCombinations } = require("../util/mealCombos");
+const { parseWeights, getWeights, scoreItems } = require("../util/recommendationPipeline");
+const { getFoodsOn } = require("../util/foodLog");
+
+const SAVED_LIMIT = 25; // default number of items recommended by the scoring pipeline
+const SIMILAR_LIMIT = 20; // default number of items recommended from similar users' ratings
+const MEAL_COMBO_MAX_ITEMS = 4; // most items in a meal combination (also the default)
+const MEAL_COMBO_LIMIT = 5; // default number of meal combinations
+const MEAL_COMBO_MAX_LIMIT = 20;
+
+/* lets the request through only for recommendations made from the user's own data (or to an admin) */
+function ownRecommendations(req, res, next) {
+    if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+        res.status(403).json("You can only see recommendations for your own account!");
+        return;
+    }
+    next();
+}
+
+// get today's items scored for the user by util/recommendationPipeline: how they compare to the user's saved
+// items, ratings, how sure their allergen info is, how they fit the user's remaining macros and how recently
+// the user liked them. ?meal= (or the old /:mealType) and ?court= narrow today's menu down, ?limit= caps the list
+// and ?weights= ("saved:2,recency:0") changes how much each signal counts. Items keep to all of the user's
+// preferences and restrictions. Responds with { items (each with recommendationScore and signals), weights, message }
+router.get(["/saved/:userId", "/saved/:userId/:mealType"], verify, ownRecommendations, async (req, res) => {
+    const limit = req.query.limit === undefined ? SAVED_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+        res.status(400).json("limit must be a positive integer");
+        return;
+    }
+    const { weights: overrides, error: weightsError } = parseWeights(req.query.weights);
+    if (weightsError) {
+        res.status(400).json(weightsError);
+        return;
+    }
 
-// TODO: add verify to all calls, add auth token to calls on frontend
-
-// get all recommended items based on user's saved items
-router.get("/saved/:userId", async (req, res) => {
-    // console.log("get all items")
     try {
-        var d = new Date();
-        var today = new Date(d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate());
-
-        //find all the user's saved items
-        const savedItems = await Saved.find({ userId: req.params.userId });
-
-        if (!savedItems || savedItems.length == 0) { //this means no saved items were found
-            // we will return all menu items, with a boolean to indicate that the mesage
-            // "save more items to have better recommendations"
-
-            const todaysItems = await MenuItem.find({
-                dateServed: today,
-            });
-
-            const toReturn = {
-                items: todaysItems,
-                message: "Save more items to have more personalized recommendations!"
-            }
-
-            res.status(200).json(toReturn);
+        const user = mongoose.isValidObjectId(req.params.userId) ? await User.findById(req.params.userId) : null;
+        if (!user) {
+            res.status(404).json("User doesn't exist");
+            return;
+        }
+        const { filter, error } = getUserFilter(user);
+        if (error) {
+            res.status(400).json(error);
             return;
-
         }
 
-        // preferences
-        const VEGAN = "Vegan";
-        const VEGETARIAN = "Vegetarian";
-        // restrictions
-        const COCONUT = "Coconut";
-        const EGGS = "Eggs";
-        const FISH = "Fish";
-        const GLUTEN = "Gluten";
-        const SESAME = "Sesame";
-        const SHELLFISH = "Shellfish";
-        const SOY = "Soy";
-        const TREE_NUTS = "Tree Nuts";
-        const WHEAT = "Wheat";
-        const MILK = "Milk";
-        const PEANUTS = "Peanuts";
-
-        let vegetarianWeight = 0;
-        let veganWeight = 0;
-        let coconutWeight = 0;
-        let eggsWeight = 0;
-        let fishWeight = 0;
-        let glutenWeight = 0;
-        let sesameWeight = 0;
-        let shellfishWeight = 0;
-        let soyWeight = 0;
-        let treeNutsWeight = 0;
-        let wheatWeight = 0;
-        let milkWeight = 0;
-        let peanutsWeight = 0;
-
-        //this is be a 13-element array with each spot representage weightage of different attributes
-
-        let index = 0;
-
-        savedItems.forEach(async (item) => {
-            const menuItem = await MenuItem.findOne({ ID: item.menuItemID }); //the itemObj of this saved item
-
-            var itemsAllergens;
-            itemsAllergens = menuItem.allergens;
-
-            // now go through its allergens and add true attributes to respective elements in array
-            if (!itemsAllergens || itemsAllergens.length)
-                itemsAllergens.forEach((allergen) => {
-
-                    if (allergen.Value == true) {
-                        //check which allergen it is then update weight
-
-                        switch (allergen.Name) { //this switch updates weights array using the given allergen
-                            case VEGETARIAN:
-                                vegetarianWeight += 1;
-                                break;
-                            case VEGAN:
-                                veganWeight += 1;
-                                break;
-                            case COCONUT:
-                                coconutWeight += 1;
-                                break;
-                            case EGGS:
-                                eggsWeight += 1;
-                                break;
-                            case FISH:
-                                fishWeight += 1;
-                                break;
-                            case GLUTEN:
-                                glutenWeight += 1;
-                                break;
-                            case SESAME:
-                                sesameWeight += 1;
-                                break;
-                            case SHELLFISH:
-                                shellfishWeight += 1;
-                                break;
-                            case SOY:
-                                soyWeight += 1;
-                                break;
-                            case TREE_NUTS:
-                                treeNutsWeight += 1;
-                                break;
-                            case WHEAT:
-                                wheatWeight += 1;
-                                break;
-                            case MILK:
-                                milkWeight += 1;
-                                break;
-                            case PEANUTS:
-                                peanutsWeight += 1;
-                                break;
-                        }
-
-                    }
-
-                }); // after this loop, the allergens of this item have been dealt with
-
-            if (index == savedItems.length - 1) { // if we are on the last element in the array
-
-                let weights = [vegetarianWeight, veganWeight, coconutWeight, eggsWeight, fishWeight, glutenWeight,
-                    sesameWeight, shellfishWeight, soyWeight, treeNutsWeight, wheatWeight, milkWeight, peanutsWeight];
-
-                // now we just need select the attributes that have a weight above 3
-                // and if no weights above 3, return all items
-
-                let finalPrefs = [];
-                let finalRests = [];
-
-                for (let j = 0; j < weights.length; j++) {
-
-                    if (weights[j] >= 3) {
-
-                        switch (j) { //this switch adds the attribute to the final arrays
-                            case 0:
-                                finalPrefs.push(VEGETARIAN);
-                                break;
-                            case 1:
-                                finalPrefs.push(VEGAN);
-                                break;
-                            case 2:
-                                finalRests.push(COCONUT);
-                                break;
-                            case 3:
-                                finalRests.push(EGGS);
-                                break;
-                            case 4:
-                                finalRests.push(FISH);
-                                break;
-                            case 5:
-                                finalRests.push(GLUTEN);
-                                break;
-                            case 6:
-                                finalRests.push(SESAME);
-                                break;
-                            case 7:
-                                finalRests.push(SHELLFISH);
-                                break;
-                            case 8:
-                                finalRests.push(SOY);
-                                break;
-                            case 9:
-                                finalRests.push(TREE_NUTS);
-                                break;
-                            case 10:
-                                finalRests.push(WHEAT);
-                                break;
-                            case 11:
-                                finalRests.push(MILK);
-                                break;
-                            case 12:
-                                finalRests.push(PEANUTS);
-                                break;
-                        }
-
-                    }
-
-                } //after this loop the final attributes have been found
-                if (finalPrefs.length == 0 && finalRests.length == 0) { //this means no attributes were >= 3 weight
-
-                    //we will return all menu items, with a boolean to indicate that the mesage
-                    //"save more items to have better recommendations"
-
-                    const todaysItems = await MenuItem.find({
-                        dateServed: today,
-                    });
-
-                    const toReturn = {
-                        items: todaysItems,
-                        message: "Save more items to have more personalized recommendations!"
-                    }
-
-                    res.status(200).json(toReturn);
-                    return;
-
-                }
-
-                //now we can return the arrays of preferences and restrictions
-
-                const toReturn = {
-                    preferences: finalPrefs,
-                    restrictions: finalRests,
-                    message: "All Good!"
-                };
-
-                // console.log("recommendation weights: " + weights);
-
-                res.status(200).json(toReturn);
-                return;
-
-            }
-
-            index += 1;
+        const weights = getWeights(overrides);
+        const todaysItems = await getTodaysItems(req.query.court, req.query.meal || req.params.mealType);
+        const scored = (await scoreItems(user, filterItems(todaysItems, filter), { weights: weights, filter: filter })).slice(0, limit);
+        const hasSaved = await Saved.exists({ userId: String(user._id), saved: true });
+
+        res.status(200).json({
+            items: scored.map(({ item, score, signals }) => ({
+                ...(typeof item.toObject === "function" ? item.toObject() : item),
+                recommendationScore: score,
+                signals: signals
+            })),
+            weights: weights,
+            message: hasSaved ? "All Good!" : "Save more items to have more personalized recommendations!"
+        });
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
 
-        }); //after this loop all items' attributes have been added to weightages
+// get today's items that users with similar taste liked, from the collaborative filtering recommender in
+// util/recommender (retrained every night). ?meal= and ?court= narrow today's menu down, ?limit= caps the list.
+// Items keep to all of the user's preferences and restrictions and come with a "because you liked X" explanation
+router.get("/similar/:userId", verify, ownRecommendations, async (req, res) => {
+    const limit = req.query.limit === undefined ? SIMILAR_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+        res.status(400).json("limit must be a positive integer");
+        return;
+    }
 
+    try {
+        const user = mongoose.isValidObjectId(req.params.userId) ? await User.findById(req.params.userId) : null;
+        if (!user) {
+            res.status(404).json("User doesn't exist");
+            return;
+        }
+        const { filter, error } = getUserFilter(user);
+        if (error) {
+            res.status(400).json(error);
+            return;
+        }
 
+        const todaysItems = await getTodaysItems(req.query.court, req.query.meal);
+        const recommendations = (await recommendForUser(String(user._id), filterItems(todaysItems, filter))).slice(0, limit);
+
+        const likedItems = await MenuItem.find({ ID: { $in: recommendations.map(r => r.because) } }, { ID: 1, name: 1 });
+        const names = new Map(likedItems.map(item => [item.ID, item.name]));
+        const latest = await ItemSimilarity.findOne({}, { trainedAt: 1 }).sort({ trainedAt: -1 });
+
+        res.status(200).json({
+            items: recommendations.map(({ item, score, because }) => ({
+                ...(typeof item.toObject === "function" ? item.toObject() : item),
+                recommendationScore: score,
+                because: { ID: because, name: names.get(because) || null },
+                explanation: "Because you liked " + (names.get(because) || "a similar item")
+            })),
+            message: recommendations.length > 0
+                ? "All Good!"
+                : "Rate or save more items to get recommendations from users with similar taste!",
+            trainedAt: latest ? latest.trainedAt : null
+        });
     } catch (error) {
-
         res.status(500).json("Error: " + error);
-
+        console.log(error);
     }
-
 });
 
-// get all recommended items based on user's saved items that match the mealtype
-router.get("/saved/:userId/:mealType", async (req, res) => {
-    // console.log("get items matching meal type")
+// recompute the collaborative filtering recommender's item similarities now instead of waiting for the nightly run
+router.post("/similar/train", verifyAdmin, async (req, res) => {
     try {
-        var d = new Date();
-        var today = new Date(d.getFullYear() + "-" + (d.getMonth() + 1) + "-" + d.getDate());
-
-        //find all the user's saved items
-        const savedItems = await Saved.find({ userId: req.params.userId });
-
-        if (!savedItems || savedItems.length == 0) { //this means no saved items were found
-
-            // we will return all menu items, with a boolean to indicate that the mesage
-            // "save more items to have better recommendations"
-            const todaysItems = await (MenuItem.find(
-                {
-                    dateServed: today,
-                    courtData: {
-                        $elemMatch: { $elemMatch: { $in: [req.params.mealType] } }
-                    }
-                }
-            ));
+        const result = await trainRecommender();
+        res.status(201).json(result);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
 
-            const toReturn = {
-                items: todaysItems,
-                message: "Save more items to have more personalized recommendations!"
-            }
+// get combinations of today's items at a court and meal (?court=, ?meal=, both required) that best fill the macros
+// the user has left today: their lowLevelNutritionGoals minus the foods in their tracker. ?maxItems= (default 4)
+// caps the items per combination and ?limit= (default 5) the number of combinations. Items keep to the user's
+// preferences and restrictions. Responds with { goals, consumed, remaining, combinations: [{ items, totals, error }] }
+router.get("/nutrition/:userId", verify, ownRecommendations, async (req, res) => {
+    if (!req.query.court || !req.query.meal) {
+        res.status(400).json("court and meal are required");
+        return;
+    }
+    const maxItems = req.query.maxItems === undefined ? MEAL_COMBO_MAX_ITEMS : Number(req.query.maxItems);
+    const limit = req.query.limit === undefined ? MEAL_COMBO_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(maxItems) || maxItems < 1 || maxItems > MEAL_COMBO_MAX_ITEMS
+        || !Number.isInteger(limit) || limit < 1 || limit > MEAL_COMBO_MAX_LIMIT) {
+        res.status(400).json("maxItems must be from 1 to " + MEAL_COMBO_MAX_ITEMS + " and limit from 1 to " + MEAL_COMBO_MAX_LIMIT);
+        return;
+    }
 
-            res.status(200).json(toReturn);
+    try {
+        const user = mongoose.isValidObjectId(req.params.userId) ? await User.findById(req.params.userId) : null;
+        if (!user) {
+            res.status(404).json("User doesn't exist");
+            return;
+        }
+        const { filter, error } = getUserFilter(user);
+        if (error) {
+            res.status(400).json(error);
             return;
-
         }
 
-        // preferences
-        const VEGAN = "Vegan";
-        const VEGETARIAN = "Vegetarian";
-        // restrictions
-        const COCONUT = "Coconut";
-        const EGGS = "Eggs";
-        const FISH = "Fish";
-        const GLUTEN = "Gluten";
-        const SESAME = "Sesame";
-        const SHELLFISH = "Shellfish";
-        const SOY = "Soy";
-        const TREE_NUTS = "Tree Nuts";
-        const WHEAT = "Wheat";
-        const MILK = "Milk";
-        const PEANUTS = "Peanuts";
-
-        let vegetarianWeight = 0;
-        let veganWeight = 0;
-        let coconutWeight = 0;
-        let eggsWeight = 0;
-        let fishWeight = 0;
-        let glutenWeight = 0;
-        let sesameWeight = 0;
-        let shellfishWeight = 0;
-        let soyWeight = 0;
-        let treeNutsWeight = 0;
-        let wheatWeight = 0;
-        let milkWeight = 0;
-        let peanutsWeight = 0;
-
-        //this is be a 13-element array with each spot representage weightage of different attributes
-
-        let index = 0;
-
-        savedItems.forEach(async (item) => {
-
-            const menuItem = await MenuItem.findOne({ ID: item.menuItemID }); //the itemObj of this saved item
-            const itemsAllergens = menuItem.allergens;
-            // now go through its allergens and add true attributes to respective elements in array
-            if (!itemsAllergens || itemsAllergens.length)
-                itemsAllergens.forEach((allergen) => {
-
-                    if (allergen.Value == true) {
-                        //check which allergen it is then update weight
-
-                        switch (allergen.Name) { //this switch updates weights array using the given allergen
-                            case VEGETARIAN:
-                                vegetarianWeight += 1;
-                                break;
-                            case VEGAN:
-                                veganWeight += 1;
-                                break;
-                            case COCONUT:
-                                coconutWeight += 1;
-                                break;
-                            case EGGS:
-                                eggsWeight += 1;
-                                break;
-                            case FISH:
-                                fishWeight += 1;
-                                break;
-                            case GLUTEN:
-                                glutenWeight += 1;
-                                break;
-                            case SESAME:
-                                sesameWeight += 1;
-                                break;
-                            case SHELLFISH:
-                                shellfishWeight += 1;
-                                break;
-                            case SOY:
-                                soyWeight += 1;
-                                break;
-                            case TREE_NUTS:
-                                treeNutsWeight += 1;
-                                break;
-                            case WHEAT:
-                                wheatWeight += 1;
-                                break;
-                            case MILK:
-                                milkWeight += 1;
-                                break;
-                            case PEANUTS:
-                                peanutsWeight += 1;
-                                break;
-                        }
-
-                    }
-
-                }); // after this loop, the allergens of this item have been dealt with
-
-            if (index == savedItems.length - 1) { // if we are on the last element in the array
-
-                let weights = [vegetarianWeight, veganWeight, coconutWeight, eggsWeight, fishWeight, glutenWeight,
-                    sesameWeight, shellfishWeight, soyWeight, treeNutsWeight, wheatWeight, milkWeight, peanutsWeight];
-
-                // now we just need select the attributes that have a weight above 3
-                // and if no weights above 3, return all items
-
-                let finalPrefs = [];
-                let finalRests = [];
-
-                for (let j = 0; j < weights.length; j++) {
-
-                    if (weights[j] >= 3) {
-
-                        switch (j) { //this switch adds the attribute to the final arrays
-                            case 0:
-                                finalPrefs.push(VEGETARIAN);
-                                break;
-                            case 1:
-                                finalPrefs.push(VEGAN);
-                                break;
-                            case 2:
-                                finalRests.push(COCONUT);
-                                break;
-                            case 3:
-                                finalRests.push(EGGS);
-                                break;
-                            case 4:
-                                finalRests.push(FISH);
-                                break;
-                            case 5:
-                                finalRests.push(GLUTEN);
-                                break;
-                            case 6:
-                                finalRests.push(SESAME);
-                                break;
-                            case 7:
-                                finalRests.push(SHELLFISH);
-                                break;
-                            case 8:
-                                finalRests.push(SOY);
-                                break;
-                            case 9:
-                                finalRests.push(TREE_NUTS);
-                                break;
-                            case 10:
-                                finalRests.push(WHEAT);
-                                break;
-                            case 11:
-                                finalRests.push(MILK);
-                                break;
-                            case 12:
-                                finalRests.push(PEANUTS);
-                                break;
-                        }
-
-                    }
-
-                } //after this loop the final attributes have been found
-
-                if (finalPrefs.length == 0 && finalRests.length == 0) { //this means no attributes were >= 3 weight
-
-                    //we will return all menu items, with a boolean to indicate that the mesage
-                    //"save more items to have better recommendations"
-
-                    const todaysItems = await (MenuItem.find(
-                        {
-                            dateServed: today,
-                            courtData: {
-                                $elemMatch: { $elemMatch: { $in: [req.params.mealType] } }
-                            }
-                        }
-                    ));
-
-                    const toReturn = {
-                        items: todaysItems,
-                        message: "Save more items to have more personalized recommendations!"
-                    }
-
-                    res.status(200).json(toReturn);
-                    return;
-
-                }
-
-                //now we can return the arrays of preferences and restrictions
-
-                const toReturn = {
-                    preferences: finalPrefs,
-                    restrictions: finalRests,
-                    message: "All Good!"
-                };
-
-                // console.log("recommendation weights: " + weights);
-
-                res.status(200).json(toReturn);
-                return;
-
-            }
-
-            index += 1;
-
-        }); //after this loop all items' attributes have been added to weightages
-
+        const { goals, consumed, remaining } = remainingMacros(user.lowLevelNutritionGoals, await getFoodsOn(user._id, campusDate.todayKey()));
+        const items = filterItems(await getTodaysItems(req.query.court, req.query.meal), filter);
+        const combinations = remaining.calories > 0
+            ? findCombinations(items, remaining, goals, { maxItems: maxItems, limit: limit })
+            : []; // the user already reached their calorie goal
 
+        res.status(200).json({ goals: goals, consumed: consumed, remaining: remaining, combinations: combinations });
     } catch (error) {
-
         res.status(500).json("Error: " + error);
-
+        console.log(error);
     }
-
 });
 
+/* returns a util/allergenFilter filter for all of a user's preferences and restrictions, as { filter } or { error } */
+function getUserFilter(user) {
+    return parseFilter({
+        preferences: user.preferences,
+        restrictions: user.restrictions,
+        strict: user.strictRestrictions,
+        unknown: user.unknownAllergens
+    });
+}
+
+/* returns today's menu items, only those served at `court` and/or `meal` when they're given */
+async function getTodaysItems(court, meal) {
+    const items = await MenuItem.find({ dateServed: campusDate.todayDate() });
+    return items.filter(item => item.courtData.some(([itemCourt, , itemMeal]) =>
+        (!court || itemCourt === court) && (!meal || itemMeal === meal)));
+}
+
 module.exports = router;
\ No newline at end of file
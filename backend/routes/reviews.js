@@ -0,0 +1,321 @@
+const router = require("express").Router();
+const express = require("express");
+const mongoose = require("mongoose");
+const Rating = require("../models/rating");
+const User = require("../models/user");
+const verify = require("../util/auth/verifyJWTToken");
+const verifyOptional = require("../util/auth/verifyOptional");
+const { setRating, starsOf } = require("../util/ratingAggregates");
+const { getPhotoStorage } = require("../util/storage");
+const { findBlockedWords, recordAction } = require("../util/moderation");
+
+/*
+ * A review is the text and photos a user attaches to their Rating of a menu item, so every user has at most
+ * one review per item. Photos are uploaded first (POST /photos) and then listed by key in the review.
+ * Reviews using blocklisted words, and edits of reviews a moderator hid, wait for a moderator before they're
+ * listed (see routes/moderation.js).
+ */
+const MAX_REVIEW_LENGTH = 1000; // characters
+const MAX_PHOTOS = 4; // per review
+const MAX_PHOTO_SIZE = "5mb";
+const PHOTO_TYPES = { // accepted Content-Types of uploaded photos and the extension they're saved with
+    "image/jpeg": "jpg",
+    "image/png": "png",
+    "image/webp": "webp",
+    "image/gif": "gif",
+};
+const MAX_FLAG_REASON_LENGTH = 200; // characters
+const UNLISTED_STATUSES = ["pending", "hidden"]; // reviews saved before moderation have no status and are listed
+const DEFAULT_PAGE_SIZE = 10;
+const MAX_PAGE_SIZE = 50;
+
+/* returns the Content-Type of a stored photo from its key's extension */
+function contentTypeOf(key) {
+    const extension = key.split(".").pop();
+    return Object.keys(PHOTO_TYPES).find(type => PHOTO_TYPES[type] === extension) || "application/octet-stream";
+}
+
+/* returns whether a review is listed: it was written and isn't waiting for or hidden by a moderator */
+function isListed(rating) {
+    return !!rating.reviewedAt && !UNLISTED_STATUSES.includes(rating.status);
+}
+
+/* returns whether a photo key was made for the given user's upload (see POST /photos) */
+function isUsersPhoto(key, userId) {
+    return typeof key === "string" && key.startsWith(userId + "-");
+}
+
+// upload a photo for a review; the body is the image itself, sent with its Content-Type (one of PHOTO_TYPES).
+// Responds with the photo's key, which is then listed in the review's photos
+router.post("/photos", verify, express.raw({ type: Object.keys(PHOTO_TYPES), limit: MAX_PHOTO_SIZE }), async (req, res) => {
+    const type = req.is(Object.keys(PHOTO_TYPES)); // ignores parameters such as "; charset=binary"
+    const extension = type ? PHOTO_TYPES[type] : undefined;
+    if (!extension || !Buffer.isBuffer(req.body) || req.body.length === 0) {
+        res.status(400).json("Photos must be sent as one of " + Object.keys(PHOTO_TYPES).join(", "));
+        return;
+    }
+
+    try {
+        const key = await getPhotoStorage().save(req.body, { prefix: req.user.id, extension: extension });
+        res.status(201).json({ key: key });
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// get a review photo by its key. Photos of listed reviews are public; photos of unlisted reviews, and uploads
+// not in a review yet, are only sent to their author (with their token in the header) and admins
+router.get("/photos/:key", verifyOptional, async (req, res) => {
+    try {
+        const rating = await Rating.findOne({ photos: req.params.key });
+        const isAuthor = !!req.user && (rating ? rating.userId === req.user.id : isUsersPhoto(req.params.key, req.user.id));
+        if (!(rating && isListed(rating)) && !isAuthor && !(req.user && req.user.isAdmin)) {
+            res.status(404).json("No photo found");
+            return;
+        }
+
+        const photo = await getPhotoStorage().read(req.params.key);
+        if (!photo) {
+            res.status(404).json("No photo found");
+            return;
+        }
+        res.set("Content-Type", contentTypeOf(req.params.key));
+        res.status(200).send(photo);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// get the reviews of a menu item, most helpful first (?sort=recent for newest first), a page at a time
+// (?page= starting at 1, ?limit= up to MAX_PAGE_SIZE). ?userId= marks the reviews that user found helpful.
+// Responds with { reviews: [{ _id, userId, username, rating, review, photos, helpfulCount, votedHelpful, reviewedAt }], total, page, limit, pages }
+router.get("/:menuItemID", async (req, res) => {
+    const page = req.query.page === undefined ? 1 : Number(req.query.page);
+    const limit = req.query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(page) || page < 1 || !Number.isInteger(limit) || limit < 1) {
+        res.status(400).json("page and limit must be positive integers");
+        return;
+    }
+    const sort = req.query.sort || "helpful";
+    if (sort !== "helpful" && sort !== "recent") {
+        res.status(400).json("sort must be helpful or recent");
+        return;
+    }
+    const pageSize = Math.min(limit, MAX_PAGE_SIZE);
+
+    try {
+        const filter = { menuItemID: req.params.menuItemID, reviewedAt: { $ne: null }, status: { $nin: UNLISTED_STATUSES } };
+        const order = sort === "helpful" ? { helpfulCount: -1, reviewedAt: -1 } : { reviewedAt: -1 };
+        const [reviews, total] = await Promise.all([
+            Rating.find(filter).sort({ ...order, _id: 1 }).skip((page - 1) * pageSize).limit(pageSize),
+            Rating.countDocuments(filter)
+        ]);
+
+        const userIds = reviews.map(review => review.userId).filter(id => mongoose.isValidObjectId(id));
+        const users = await User.find({ _id: { $in: userIds } }, { username: 1 });
+        const usernames = new Map(users.map(user => [String(user._id), user.username]));
+
+        res.status(200).json({
+            reviews: reviews.map(review => ({
+                _id: review._id,
+                userId: review.userId,
+                username: usernames.get(review.userId) || "Deleted user",
+                rating: review.rating,
+                review: review.review,
+                photos: review.photos,
+                helpfulCount: review.helpfulCount,
+                votedHelpful: req.query.userId ? review.helpfulBy.includes(req.query.userId) : false,
+                reviewedAt: review.reviewedAt
+            })),
+            total: total,
+            page: page,
+            limit: pageSize,
+            pages: Math.ceil(total / pageSize)
+        });
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// write or edit the logged in user's review of a menu item. Body: { review, photos: [keys from POST /photos], rating }.
+// rating is optional if the user already rated the item; photos dropped from the review are deleted.
+// Responds with the review, whose status is "pending" if it has to wait for a moderator
+router.put("/:menuItemID", verify, async (req, res) => {
+    const review = typeof req.body.review === "string" ? req.body.review.trim() : "";
+    const photos = req.body.photos === undefined ? [] : req.body.photos;
+    if (review.length > MAX_REVIEW_LENGTH) {
+        res.status(400).json("Reviews can be at most " + MAX_REVIEW_LENGTH + " characters");
+        return;
+    }
+    if (!Array.isArray(photos) || photos.length > MAX_PHOTOS || !photos.every(key => isUsersPhoto(key, req.user.id))) {
+        res.status(400).json("photos must be a list of at most " + MAX_PHOTOS + " keys of photos you uploaded");
+        return;
+    }
+    if (review === "" && photos.length === 0) {
+        res.status(400).json("A review needs text or photos");
+        return;
+    }
+    if (req.body.rating !== undefined && (!Number.isInteger(Number(req.body.rating)) || starsOf(req.body.rating) === 0)) {
+        res.status(400).json("rating must be 1 to 5 whole stars");
+        return;
+    }
+
+    try {
+        const storage = getPhotoStorage();
+        for (const key of photos) {
+            if (!(await storage.exists(key))) {
+                res.status(400).json("No photo found with key " + key);
+                return;
+            }
+        }
+
+        if (req.body.rating !== undefined) {
+            await setRating(req.user.id, req.params.menuItemID, starsOf(req.body.rating));
+        }
+        const rating = await Rating.findOne({ userId: req.user.id, menuItemID: req.params.menuItemID });
+        if (!rating || starsOf(rating.rating) === 0) {
+            res.status(400).json("Rate the item before reviewing it");
+            return;
+        }
+
+        const blockedWords = findBlockedWords(review);
+        const wasPublished = !UNLISTED_STATUSES.includes(rating.status) || !rating.reviewedAt;
+        const droppedPhotos = rating.photos.filter(key => !photos.includes(key));
+        const updatedRating = await Rating.findByIdAndUpdate(rating._id, {
+            review: review,
+            photos: photos,
+            reviewedAt: new Date(),
+            status: blockedWords.length === 0 && wasPublished ? "published" : "pending"
+        }, { new: true, timestamps: false }); // updatedAt is when the rating last changed, see util/popularity
+        for (const key of droppedPhotos) {
+            await storage.remove(key);
+        }
+        if (blockedWords.length > 0) {
+            await recordAction("hold", updatedRating, { reason: "Blocklisted words: " + blockedWords.join(", ") });
+        }
+
+        res.status(200).json(updatedRating);
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// delete the logged in user's review of a menu item and its photos (their rating stays)
+router.delete("/:menuItemID", verify, async (req, res) => {
+    try {
+        const rating = await Rating.findOneAndUpdate({
+            userId: req.user.id,
+            menuItemID: req.params.menuItemID
+        }, {
+            review: "",
+            photos: [],
+            reviewedAt: null,
+            helpfulBy: [],
+            helpfulCount: 0,
+            status: "published",
+            flags: [],
+            flagCount: 0
+        }, { timestamps: false });
+
+        if (!rating || !rating.reviewedAt) {
+            res.status(404).json("No review found");
+            return;
+        }
+        const storage = getPhotoStorage();
+        for (const key of rating.photos) {
+            await storage.remove(key);
+        }
+        res.status(200).json("Review deleted");
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// report a review to the moderators, with an optional { reason }; each user can report a review once
+router.post("/:reviewId/flag", verify, async (req, res) => {
+    const reason = typeof req.body.reason === "string" ? req.body.reason.trim() : "";
+    if (reason.length > MAX_FLAG_REASON_LENGTH) {
+        res.status(400).json("The reason can be at most " + MAX_FLAG_REASON_LENGTH + " characters");
+        return;
+    }
+    if (!mongoose.isValidObjectId(req.params.reviewId)) {
+        res.status(404).json("No review found");
+        return;
+    }
+
+    try {
+        const userId = req.user.id;
+        const flagged = await Rating.findOneAndUpdate(
+            { _id: req.params.reviewId, reviewedAt: { $ne: null }, userId: { $ne: userId }, "flags.userId": { $ne: userId } },
+            { $push: { flags: { userId: userId, reason: reason, flaggedAt: new Date() } }, $inc: { flagCount: 1 } },
+            { new: true, timestamps: false });
+
+        if (!flagged) {
+            const review = await Rating.findOne({ _id: req.params.reviewId, reviewedAt: { $ne: null } });
+            if (!review) {
+                res.status(404).json("No review found");
+            } else if (review.userId === userId) {
+                res.status(400).json("You can't report your own review");
+            } else {
+                res.status(200).json("You already reported this review");
+            }
+            return;
+        }
+        res.status(201).json("Review reported, a moderator will look at it");
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+});
+
+// mark a review as helpful for the logged in user; each user counts once and can't vote for their own review
+router.post("/:reviewId/helpful", verify, async (req, res) => {
+    await voteHelpful(req, res, true);
+});
+
+// take back the logged in user's helpful vote on a review
+router.delete("/:reviewId/helpful", verify, async (req, res) => {
+    await voteHelpful(req, res, false);
+});
+
+/* adds or removes the user's helpful vote in one update, so the count stays right when users vote at once */
+async function voteHelpful(req, res, helpful) {
+    if (!mongoose.isValidObjectId(req.params.reviewId)) {
+        res.status(404).json("No review found");
+        return;
+    }
+
+    try {
+        const userId = req.user.id;
+        const updated = helpful
+            ? await Rating.findOneAndUpdate(
+                { _id: req.params.reviewId, reviewedAt: { $ne: null }, userId: { $ne: userId }, helpfulBy: { $ne: userId } },
+                { $push: { helpfulBy: userId }, $inc: { helpfulCount: 1 } },
+                { new: true, timestamps: false })
+            : await Rating.findOneAndUpdate(
+                { _id: req.params.reviewId, helpfulBy: userId },
+                { $pull: { helpfulBy: userId }, $inc: { helpfulCount: -1 } },
+                { new: true, timestamps: false });
+
+        const review = updated || await Rating.findOne({ _id: req.params.reviewId, reviewedAt: { $ne: null } });
+        if (!review) {
+            res.status(404).json("No review found");
+            return;
+        }
+        if (helpful && !updated && review.userId === userId) {
+            res.status(400).json("You can't vote for your own review");
+            return;
+        }
+        res.status(200).json({ helpfulCount: review.helpfulCount, votedHelpful: review.helpfulBy.includes(userId) });
+    } catch (error) {
+        res.status(500).json("Error: " + error);
+        console.log(error);
+    }
+}
+
+module.exports = router;
@@ -1,9 +1,39 @@
 /* REST API Route for users */
 const router = require("express").Router();
+const mongoose = require("mongoose");
 const CryptoJS = require("crypto-js");
 const User = require("../models/user");
 const verify = require("../util/auth/verifyJWTToken");
-const crypto = require('crypto')
+const campusDate = require("../util/campusDate");
+const { parseFilter } = require("../util/allergenFilter");
+const FoodLog = require("../models/foodLog");
+const {
+  MAX_HISTORY_DAYS,
+  MAX_TREND_DAYS,
+  TREND_PERIODS,
+  foodFields,
+  parseEatenAt,
+  toClient,
+  parseRange,
+  getFoodsOn,
+  getHistory,
+  getTrends
+} = require("../util/foodLog");
+const WeightLog = require("../models/weightLog");
+const WaterLog = require("../models/waterLog");
+const SleepLog = require("../models/sleepLog");
+const SupplementLog = require("../models/supplementLog");
+const ExerciseLog = require("../models/exerciseLog");
+const {
+  parseLogEntry,
+  parseDateRange,
+  getLog,
+  parseExercise,
+  parsePerformedAt,
+  exerciseToClient,
+  getExercisesOn
+} = require("../util/healthLogs");
+const { STATS_PERIODS, parseStatsRange, getExerciseStats } = require("../util/exerciseStats");
 
 
 /* ###################### 
@@ -45,10 +75,26 @@ router.put("/restrictions", verify, async (req, res) => {
       return;
     }
 
-    /* Write changes to database */
-    const updatedRestrictions = await User.findByIdAndUpdate(user._id, {
-      restrictions: req.body.restrictions
-    }, { new: true });
+    /* Validate the restrictions, which strict allergies they include and how to treat unknown allergen info */
+    const { error } = parseFilter({
+      restrictions: req.body.restrictions,
+      strict: req.body.strictRestrictions,
+      unknown: req.body.unknownAllergens
+    });
+    if (error) {
+      res.status(400).json(error);
+      return;
+    }
+
+    /* Write changes to database, strictRestrictions and unknownAllergens only if they were sent */
+    const update = { restrictions: req.body.restrictions };
+    if (req.body.strictRestrictions !== undefined) {
+      update.strictRestrictions = req.body.strictRestrictions;
+    }
+    if (req.body.unknownAllergens !== undefined) {
+      update.unknownAllergens = req.body.unknownAllergens;
+    }
+    const updatedRestrictions = await User.findByIdAndUpdate(user._id, update, { new: true });
     res.status(201).json("Restrictions were updated. " + updatedRestrictions);
   } catch (error) {
     res.status(500).json("Error updating restrictions. " + error);
@@ -83,284 +129,238 @@ router.put("/personalInfo", verify, async (req, res) => {
   }
 });
 
-/* PUT - add user food in tracker */
+/* PUT - add user food in tracker, eaten at eatenAt, or on today or an earlier day given as date (YYYY-MM-DD) */
 router.put('/addFood/:userId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only add to your own food tracker!' });
+  }
   try {
-    //TODO: add logic to reject duplicate foods
     const userId = req.params.userId;
-    const { foodName, calories, fat, protein, carbohydrates, servings, servingSize, mealType } = req.body;
-    let hash = crypto.createHash('sha1').update(foodName).digest('hex');
-    hash += Math.floor(Date.now() / 1000).toString(); // salt the hash with current time.
-
-    const newFood = {
-      foodName: foodName || "[No name]",
-      calories: calories || 0,
-      fat: fat || 0,
-      protein: protein || 0,
-      carbohydrates: carbohydrates || 0,
-      servings: servings || 0,
-      servingSize: servingSize || "[unknown serving size]",
-      mealType: mealType || "[no meal type]",
-      hash
-    };
+    const { date, eatenAt, error } = parseEatenAt(req.body);
+    if (error) {
+      return res.status(400).json({ error: error });
+    }
 
     // Find the user by ID
-    const user = await User.findById(userId);
+    const user = await User.exists({ _id: userId });
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    user.foods.push(newFood);
+    const newFood = await new FoodLog({
+      userId: userId,
+      date: campusDate.toDate(date),
+      eatenAt: eatenAt,
+      ...foodFields(req.body)
+    }).save();
 
-    // Save the updated user
-    await user.save();
-
-    return res.status(200).json(user);
+    // Respond with the added food and all the foods of its day
+    const foods = await getFoodsOn(userId, date);
+    return res.status(200).json({ food: toClient(newFood), date: campusDate.formatDateKey(date), foods: foods.map(toClient) });
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-/* PUT - edit user food in tracker */
-router.put('/editFood/:userId', verify, async (req, res) => {
+/* PUT - edit user food in tracker (on whichever day it was logged), moving it to another time if eatenAt or date is given */
+router.put('/editFood/:userId/:foodId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only edit your own food tracker!' });
+  }
   try {
-    const userId = req.params.userId;
-    const { foodName, calories, fat, protein, carbohydrates, servings, servingSize, mealType, hash } = req.body;
-    const editedFood = {
-      foodName: foodName || "[add name]",
-      calories: calories || "[add calories]",
-      fat: fat || "[add fat]",
-      protein: protein || "[add protein]",
-      carbohydrates: carbohydrates || "[add carbs]",
-      servings: servings || "[add servings]",
-      servingSize: servingSize || "[add serving size]",
-      mealType: mealType || "[add meal type]",
-      hash
-    };
-
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const { userId, foodId } = req.params;
+    const moved = req.body.eatenAt !== undefined || req.body.date !== undefined;
+    const { date, eatenAt, error } = moved ? parseEatenAt(req.body) : {};
+    if (error) {
+      return res.status(400).json({ error: error });
+    }
+    if (!mongoose.isValidObjectId(foodId)) {
+      return res.status(404).json({ error: 'Food item not found' });
     }
 
-    const itemIndex = user.foods.findIndex((obj => obj.hash === hash));
-    user.foods[itemIndex] = editedFood;
+    const edited = moved ? { ...foodFields(req.body), date: campusDate.toDate(date), eatenAt: eatenAt } : foodFields(req.body);
+    const editedFood = await FoodLog.findOneAndUpdate({ _id: foodId, userId: userId }, edited, { new: true });
 
-    // Save the updated user
-    await user.save();
+    if (!editedFood) {
+      return res.status(404).json({ error: 'Food item not found' });
+    }
 
-    return res.status(200).json(user);
+    return res.status(200).json(toClient(editedFood));
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-
-
-/* PUT - add to weight log */
+/* PUT - add to weight log. Body: { weight (lbs), date: "YYYY-MM-DD" (today by default) }. Responds with the weight log */
 router.put("/weight/:userId", verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only add to your own weight log!' });
+  }
+  const { entry, error } = parseLogEntry("weight", req.body);
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
+
   try {
-    // Get user by ID
+    // Find the user by ID
     const userId = req.params.userId;
-    const user = await User.findById(userId);
-
-    const { weight, date } = req.body;
-    const newEntry = {
-      weight: weight || "[add weight]",
-      date: date || "[add date]"
-    };
+    const user = await User.exists({ _id: userId });
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    user.weightLog.push(newEntry);
-
-    // Save the updated user
-    await user.save();
+    await new WeightLog({ userId: userId, ...entry }).save();
 
-    return res.status(200).json(user);
+    return res.status(200).json(await getLog("weight", userId));
   } catch (error) {
     console.error("Error making new weight entry: " + error);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-/* PUT - add to water log */
+/* PUT - add to water intake log. Body: { intake (cups), date: "YYYY-MM-DD" (today by default) }. Responds with the water intake log */
 router.put("/water/:userId", verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only add to your own water intake log!' });
+  }
+  const { entry, error } = parseLogEntry("water", req.body);
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
+
   try {
-    // Get user by ID
+    // Find the user by ID
     const userId = req.params.userId;
-    const user = await User.findById(userId);
-
-    const { intake, date } = req.body;
-    const newEntry = {
-      intake: intake || "[add water intake]",
-      date: date || "[add date]"
-    };
+    const user = await User.exists({ _id: userId });
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    user.waterIntakeLog.push(newEntry);
-
-    // Save the updated user
-    await user.save();
-
-    return res.status(200).json(user);
+    await new WaterLog({ userId: userId, ...entry }).save();
 
+    return res.status(200).json(await getLog("water", userId));
   } catch (error) {
     console.error("Error making new water intake entry: " + error);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-/* PUT - add exercise in tracker */
+/* PUT - add exercise in tracker. Body: { exerciseName, exerciseType, sets: [{ reps, weight, unit ("lb" or "kg"), rpe (1 to 10), */
+/* rest (seconds) }], time (minutes), performedAt (now by default) } */
 router.put('/addExercise/:userId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only add to your own exercises!' });
+  }
+  const { exercise, error } = parseExercise(req.body);
+  const { date, performedAt, error: timeError } = parsePerformedAt(req.body);
+  if (error || timeError) {
+    return res.status(400).json({ error: error || timeError });
+  }
+
   try {
-    //TODO: add logic to reject duplicate exercises
     const userId = req.params.userId;
-    const { exerciseName, sets, reps, time, exerciseType } = req.body;
-    let hash = crypto.createHash('sha1').update(exerciseName).digest('hex');
-    const d = new Date();
-    //hash += "*" + "2023-10-24";  //only used to add exercises to a specific month
-    hash += "*" + d.toISOString().split('T')[0]; //add data in yyyy-mm-dd format
-    const newExercise = {
-      exerciseName: exerciseName || "[add name]",
-      sets: sets || (exerciseType === "Cardio" || "Other" ? "N/A" : "[add sets]"),
-      reps: reps || (exerciseType === "Cardio" || "Other" ? "N/A" : "[add reps]"),
-      time: time || "[add time]",
-      exerciseType: exerciseType || "[add exercise type]",
-      hash
-    };
 
     // Find the user by ID
-    const user = await User.findById(userId);
+    const user = await User.exists({ _id: userId });
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    
-    if (exerciseType === "Weight Lifting") user.liftingLog.push(newExercise);
-    else if (exerciseType === "Cardio") user.cardioLog.push(newExercise);
-    else user.otherExerciseLog.push(newExercise);
-    
-    // Save the updated user
-    await user.save();
 
-    return res.status(200).json(user);
+    const newExercise = await new ExerciseLog({ userId: userId, date: campusDate.toDate(date), performedAt: performedAt, ...exercise }).save();
 
+    return res.status(200).json(exerciseToClient(newExercise));
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-/* PUT - edit user food in tracker */
-router.put('/editExercise/:userId', verify, async (req, res) => {
+/* PUT - edit exercise in tracker. Body like PUT /addExercise; fields left empty keep their values and it moves only if performedAt is given */
+router.put('/editExercise/:userId/:exerciseId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only edit your own exercises!' });
+  }
   try {
-    const userId = req.params.userId;
-    const { exerciseName, sets, reps, time, exerciseType, hash } = req.body;
-    const editedExercise = {
-      exerciseName: exerciseName,
-      sets: sets,
-      reps: reps,
-      time: time,
-      exerciseType: exerciseType,
-      hash: hash
-    };
+    const { userId, exerciseId } = req.params;
+    const current = mongoose.isValidObjectId(exerciseId) ? await ExerciseLog.findOne({ _id: exerciseId, userId: userId }) : null;
 
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!current) {
+      return res.status(404).json({ error: 'Exercise not found' });
     }
 
-    let itemIndex;
-
-    if (exerciseType === "Weight Lifting") {
-      itemIndex = user.liftingLog.findIndex((obj => obj.hash === hash));
-      user.liftingLog[itemIndex] = editedExercise;
-    } else if (exerciseType === "Cardio") {
-      itemIndex = user.cardioLog.findIndex((obj => obj.hash === hash));
-      user.cardioLog[itemIndex] = editedExercise;
-    } else {
-      itemIndex = user.otherExerciseLog.findIndex((obj => obj.hash === hash));
-      user.otherExerciseLog[itemIndex] = editedExercise;
+    const moved = req.body.performedAt !== undefined;
+    const { exercise, error } = parseExercise(req.body, current);
+    const { date, performedAt, error: timeError } = moved ? parsePerformedAt(req.body) : {};
+    if (error || timeError) {
+      return res.status(400).json({ error: error || timeError });
     }
 
-    // Save the updated user
-    await user.save();
+    const edited = moved ? { ...exercise, date: campusDate.toDate(date), performedAt: performedAt } : exercise;
+    const editedExercise = await ExerciseLog.findByIdAndUpdate(current._id, edited, { new: true });
 
-    return res.status(200).json(user);
+    return res.status(200).json(exerciseToClient(editedExercise));
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-/* PUT - add to sleep log */
+/* PUT - add to sleep log. Body: { length (hours), date: when the sleep started (now by default) }. Responds with the sleep log */
 router.put("/sleep/:userId", verify, async (req, res) => {
-  //TODO: disallow duplicate dates
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only add to your own sleep log!' });
+  }
+  const { entry, error } = parseLogEntry("sleep", req.body);
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
+
   try {
-    // Get user by ID
+    // Find the user by ID
     const userId = req.params.userId;
-    const user = await User.findById(userId);
-
-    const { length, date } = req.body;
-    const newEntry = {
-      length: length || "[add amount]",
-      date: date || "[add date]"
-    };
+    const user = await User.exists({ _id: userId });
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    user.sleepLog.push(newEntry);
-
-    // Save the updated user
-    await user.save();
+    await new SleepLog({ userId: userId, ...entry }).save();
 
-    return res.status(200).json(user);
+    return res.status(200).json(await getLog("sleep", userId));
   } catch (error) {
     console.error("Error making new sleep entry: " + error);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-/* PUT - add to supplement log */
+/* PUT - add to supplement log. Body: { supplement, amount (pills), date: "YYYY-MM-DD" (today by default) }. Responds with the supplement log */
 router.put("/supplement/:userId", verify, async (req, res) => {
-  //TODO: disallow duplicate dates
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only add to your own supplement log!' });
+  }
+  const { entry, error } = parseLogEntry("supplement", req.body);
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
+
   try {
-    // Get user by ID
+    // Find the user by ID
     const userId = req.params.userId;
-    const user = await User.findById(userId);
-
-    const { supplement, amount, date } = req.body;
-    const newEntry = {
-      supplement: supplement || "[add supplement]",
-      amount: amount || "[add amount]",
-      date: date || "[add date]"
-    };
+    const user = await User.exists({ _id: userId });
 
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    user.supplementLog.push(newEntry);
+    await new SupplementLog({ userId: userId, ...entry }).save();
 
-    // Save the updated user
-    await user.save();
-
-    return res.status(200).json(user);
+    return res.status(200).json(await getLog("supplement", userId));
   } catch (error) {
     console.error("Error making new supplement entry: " + error);
     return res.status(500).json({ error: 'Internal Server Error' });
@@ -487,124 +487,140 @@ router.get("/restrictions/:userId", verify, async (req, res) => {
   }
 });
 
-/* GET - get all food items in tracker */
+/* GET - get all food items in tracker for today, or for an earlier day given as ?date=YYYY-MM-DD */
 router.get('/allFoods/:userId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only see your own food tracker!' });
+  }
   try {
     const userId = req.params.userId;
-
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    const date = req.query.date === undefined ? campusDate.todayKey() : campusDate.parseDateKey(req.query.date);
+    if (!date) {
+      return res.status(400).json({ error: 'date must be a YYYY-MM-DD date' });
     }
 
-    // Get all the food items
-    return res.status(200).json(user.foods);
+    // Get all the food items of the day
+    const foods = await getFoodsOn(userId, date);
+    return res.status(200).json(foods.map(toClient));
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-/* other health features */
-/* GET - get weights in log */
-router.get('/weights/:userId', verify, async (req, res) => {
-  try {
-    const userId = req.params.userId;
-
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+/* GET - get the foods in tracker day by day from ?from= to ?to= (YYYY-MM-DD, the last 7 days by default) */
+/* Returns [{ date, foods, totals }] with every day of the range, including days without foods */
+router.get('/foodHistory/:userId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only see your own food history!' });
+  }
+  const { from, to, error } = parseRange(req.query, 7, MAX_HISTORY_DAYS);
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
 
-    // Get all the requisite items
-    return res.status(200).json(user.weightLog);
+  try {
+    return res.status(200).json(await getHistory(req.params.userId, from, to));
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-/* GET - get sleep in log */
-router.get('/sleep/:userId', verify, async (req, res) => {
-  try {
-    const userId = req.params.userId;
+/* GET - get weekly or monthly (?period=week|month) macro totals and daily averages from ?from= to ?to= */
+/* (YYYY-MM-DD, the last 8 weeks or 6 months by default). Returns [{ start, end, daysLogged, totals, dailyAverage }] */
+router.get('/foodTrends/:userId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only see your own food history!' });
+  }
+  const period = req.query.period || 'week';
+  if (!TREND_PERIODS.includes(period)) {
+    return res.status(400).json({ error: 'period must be one of ' + TREND_PERIODS.join(', ') });
+  }
+  const { from, to, error } = parseRange(req.query, period === 'week' ? 8 * 7 : 183, MAX_TREND_DAYS);
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
 
-    // Find the user by ID
-    const user = await User.findById(userId);
+  try {
+    return res.status(200).json(await getTrends(req.params.userId, period, from, to));
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+/* other health features */
+/* GET - get weights in log, oldest first (only from ?from= to ?to=, YYYY-MM-DD, if given) */
+router.get('/weights/:userId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only see your own weight log!' });
+  }
+  const { filter, error } = parseDateRange(req.query, "weight");
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
 
+  try {
     // Get all the requisite items
-    return res.status(200).json(user.sleepLog);
+    return res.status(200).json(await getLog("weight", req.params.userId, filter));
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-/* GET - get water intake in log */
-router.get('/water/:userId', verify, async (req, res) => {
-  try {
-    const userId = req.params.userId;
-
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+/* GET - get sleep in log, oldest first (only from ?from= to ?to=, YYYY-MM-DD, if given) */
+router.get('/sleep/:userId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only see your own sleep log!' });
+  }
+  const { filter, error } = parseDateRange(req.query, "sleep");
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
 
+  try {
     // Get all the requisite items
-    return res.status(200).json(user.waterIntakeLog);
+    return res.status(200).json(await getLog("sleep", req.params.userId, filter));
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-/* GET - get supplements in log */
-router.get('/supplement/:userId', verify, async (req, res) => {
-  try {
-    const userId = req.params.userId;
-
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+/* GET - get water intake in log, oldest first (only from ?from= to ?to=, YYYY-MM-DD, if given) */
+router.get('/water/:userId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only see your own water intake log!' });
+  }
+  const { filter, error } = parseDateRange(req.query, "water");
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
 
+  try {
     // Get all the requisite items
-    return res.status(200).json(user.supplementLog);
+    return res.status(200).json(await getLog("water", req.params.userId, filter));
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-/* GET - get all other exercises in tracker */
-router.get('/allOther/:userId', verify, async (req, res) => {
-  try {
-    const userId = req.params.userId;
-
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
+/* GET - get supplements in log, oldest first (only from ?from= to ?to=, YYYY-MM-DD, if given) */
+router.get('/supplement/:userId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only see your own supplement log!' });
+  }
+  const { filter, error } = parseDateRange(req.query, "supplement");
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
 
-    let d = new Date();
-    let date = d.toISOString().split('T')[0];
- 
-    // Get all other exercises from today
-    return res.status(200).json(user.otherExerciseLog.filter((exercise) => exercise.hash.split('*')[1] === date));
+  try {
+    // Get all the requisite items
+    return res.status(200).json(await getLog("supplement", req.params.userId, filter));
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
@@ -612,95 +628,61 @@ router.get('/allOther/:userId', verify, async (req, res) => {
 });
 
 /* GET - get a food item in tracker */
-router.get('/aFoodItem/:userId/:hash', verify, async (req, res) => {
-    try {
-      const userId = req.params.userId;
-      const hash = req.params.hash;
-  
-      // Find the user by ID
-      const user = await User.findById(userId);
-  
-      if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-  
-      const itemIndex = user.foods.findIndex((obj => obj.hash === hash));
-  
-      // Get all the food items
-      return res.status(200).json(user.foods[itemIndex]);
-    } catch (error) {
-      console.error(error);
-      return res.status(500).json({ error: 'Internal Server Error' });
+router.get('/aFoodItem/:userId/:foodId', verify, async (req, res) => {
+    if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+      return res.status(403).json({ error: 'You can only see your own food tracker!' });
     }
-  });
-  
-  /* GET - get all weight lifting exercises in tracker */
-  router.get('/allLifting/:userId', verify, async (req, res) => {
     try {
-      const userId = req.params.userId;
-  
-      // Find the user by ID
-      const user = await User.findById(userId);
-  
-      if (!user) {
-        return res.status(404).json({ error: 'User not found' });
+      const { userId, foodId } = req.params;
+      const food = mongoose.isValidObjectId(foodId) ? await FoodLog.findOne({ _id: foodId, userId: userId }) : null;
+
+      if (!food) {
+        return res.status(404).json({ error: 'Food item not found' });
       }
-  
-      let d = new Date();
-      let date = d.toISOString().split('T')[0];
 
-      // Get all lifting exercises from today
-      return res.status(200).json(user.liftingLog.filter((exercise) => exercise.hash.split('*')[1] === date));
+      return res.status(200).json(toClient(food));
     } catch (error) {
       console.error(error);
       return res.status(500).json({ error: 'Internal Server Error' });
     }
   });
-
-
-/* GET - get all cardio exercises in tracker */
-router.get('/allCardio/:userId', verify, async (req, res) => {
   
-    try {
-      const userId = req.params.userId;
-
-      // Find the user by ID
-      const user = await User.findById(userId);
-
-      if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-
-      let d = new Date();
-      let date = d.toISOString().split('T')[0];
-
-      // Get all cardio exercises from today
-      return res.status(200).json(user.cardioLog.filter((exercise) => exercise.hash.split('*')[1] === date));
-    } catch (error) {
-      console.error(error);
-      return res.status(500).json({ error: 'Internal Server Error' });
-    }
+/* GET - get all weight lifting exercises in tracker from today */
+router.get('/allLifting/:userId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only see your own exercises!' });
+  }
+  try {
+    const exercises = await getExercisesOn(req.params.userId, campusDate.todayKey(), "Weight Lifting");
+    return res.status(200).json(exercises.map(exerciseToClient));
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
 });
 
+/* GET - get all cardio exercises in tracker from today */
+router.get('/allCardio/:userId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only see your own exercises!' });
+  }
+  try {
+    const exercises = await getExercisesOn(req.params.userId, campusDate.todayKey(), "Cardio");
+    return res.status(200).json(exercises.map(exerciseToClient));
+  } catch (error) {
+    console.error(error);
+    return res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
 
-/* GET - get all other exercises in tracker */
+/* GET - get all other exercises in tracker from today */
 router.get('/allOther/:userId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only see your own exercises!' });
+  }
   try {
-    const userId = req.params.userId;
-
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    let d = new Date();
-    let date = d.toISOString().split('T')[0];
- 
-    // Get all other exercises from today
-    return res.status(200).json(user.otherExerciseLog.filter((exercise) => exercise.hash.split('*')[1] === date));
-    
+    const exercises = await getExercisesOn(req.params.userId, campusDate.todayKey(), "Other");
+    return res.status(200).json(exercises.map(exerciseToClient));
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
@@ -727,47 +709,20 @@ router.get('/activityInfo/:userId', verify, async (req, res) => {
   }
 });
   
-  /* GET - get all cardio exercises in tracker */
-  router.get('/allCardio/:userId', verify, async (req, res) => {
-    try {
-      const userId = req.params.userId;
-  
-      // Find the user by ID
-      const user = await User.findById(userId);
-  
-      if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-  
-      // Get all the food items
-      return res.status(200).json(user.cardioLog);
-    } catch (error) {
-      console.error(error);
-      return res.status(500).json({ error: 'Internal Server Error' });
-    }
-  });
-
 /* GET - get an exercise from tracker */
-router.get('/anExercise/:userId/:hash', verify, async (req, res) => {
+router.get('/anExercise/:userId/:exerciseId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only see your own exercises!' });
+  }
   try {
-    const userId = req.params.userId;
-    const hash = req.params.hash;
+    const { userId, exerciseId } = req.params;
+    const exercise = mongoose.isValidObjectId(exerciseId) ? await ExerciseLog.findOne({ _id: exerciseId, userId: userId }) : null;
 
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!exercise) {
+      return res.status(404).json({ error: 'Exercise not found' });
     }
 
-    const itemIndex = user.liftingLog.findIndex((obj => obj.hash === hash));
-    const itemIndex2 = user.cardioLog.findIndex((obj => obj.hash === hash));
-    const itemIndex3 = user.otherExerciseLog.findIndex((obj => obj.hash === hash));
-
-    if (itemIndex != -1) return res.status(200).json(user.liftingLog[itemIndex]);
-    else if (itemIndex2 != -1) return res.status(200).json(user.cardioLog[itemIndex2]);
-    else return res.status(200).json(user.otherExerciseLog[itemIndex3]);
-
+    return res.status(200).json(exerciseToClient(exercise));
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
@@ -776,54 +731,37 @@ router.get('/anExercise/:userId/:hash', verify, async (req, res) => {
 
 /* GET - get an old exercise from tracker */
 router.get('/priorExercise/:userId/:name', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only see your own exercises!' });
+  }
   try {
-    const userId = req.params.userId;
-    const name = req.params.name;
-
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    const allExercise = user.liftingLog.concat(user.cardioLog).concat(user.otherExerciseLog);
-    const itemIndex = allExercise.findIndex((obj => obj.exerciseName === name)); 
-
-    return itemIndex == -1 ? res.status(200).json("No Prior History") : res.status(200).json(allExercise[itemIndex]);
+    const exercise = await ExerciseLog.findOne({ userId: req.params.userId, exerciseName: req.params.name }).sort({ performedAt: 1, _id: 1 });
 
+    return !exercise ? res.status(200).json("No Prior History") : res.status(200).json(exerciseToClient(exercise));
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
   }
 });
 
-/* GET - get counts of exercises per month */
-router.get('/exercisesPerMonth/:userId', verify, async (req, res) => {
-  try {
-    const userId = req.params.userId;
-
-    // Find the user by ID
-    const user = await User.findById(userId);
-
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-
-    let counts = [0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0];
-    let allExercises = user.cardioLog.concat(user.liftingLog).concat(user.otherExerciseLog);
-
-    for (let i = 0; i < allExercises.length; i++) {
-
-      if (allExercises[i].hash != null && allExercises[i].hash.split('*').length == 2) {
-        let month = allExercises[i].hash.split('*')[1].split("-")[1];
-        counts[parseInt(month) - 1]++;
-      } 
-
-    }
+/* GET - get exercise stats by ?period=week|month|year (month by default) from ?from= to ?to= (YYYY-MM-DD, the last */
+/* 12 weeks or months or 5 years by default), only for ?exercise= if given. Returns { period, from, to, buckets, */
+/* exercises } with sessions, volume and time per period and each exercise's records and progression (see util/exerciseStats) */
+router.get('/exerciseStats/:userId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only see your own exercise stats!' });
+  }
+  const period = req.query.period || 'month';
+  if (!STATS_PERIODS.includes(period)) {
+    return res.status(400).json({ error: 'period must be one of ' + STATS_PERIODS.join(', ') });
+  }
+  const { from, to, error } = parseStatsRange(req.query, period);
+  if (error) {
+    return res.status(400).json({ error: error });
+  }
 
-    // Get counts of exercises
-    return res.status(200).json(counts);
+  try {
+    return res.status(200).json(await getExerciseStats(req.params.userId, period, from, to, req.query.exercise));
   } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
@@ -853,21 +791,18 @@ router.get('/exercisesPerMonth/:userId', verify, async (req, res) => {
 ######################### */
 
 /* DELETE - Delete food item in tracker*/
-router.delete('/deleteFood/:userId/:hash', verify, async (req, res) => {
+router.delete('/deleteFood/:userId/:foodId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only delete from your own food tracker!' });
+  }
   try {
-    const userId = req.params.userId;
-    const user = await User.findById(userId);
-    const hash = req.params.hash;
+    const { userId, foodId } = req.params;
+    const deletedFood = mongoose.isValidObjectId(foodId) ? await FoodLog.findOneAndDelete({ _id: foodId, userId: userId }) : null;
 
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!deletedFood) {
+      return res.status(404).json({ error: 'Food item not found' });
     }
 
-    // delete food item
-    const itemIndex = user.foods.findIndex((obj => obj.hash === hash));
-    user.foods.splice(itemIndex, 1);
-    await user.save();
-
     return res.status(200).json({ message: 'Food item deleted successfully' });
   } catch (error) {
     console.error(error);
@@ -875,106 +810,26 @@ router.delete('/deleteFood/:userId/:hash', verify, async (req, res) => {
   }
 });
 
-/* DELETE - Delete all food items in a single user's tracker */
-// router.delete('/deleteFood/:userId', verify, async (req, res) => {
-//     try {
-//       const userId = req.params.userId;
-//       const user = await User.findById(userId);
-  
-//       if (!user) {
-//         return res.status(404).json({ error: 'User not found' });
-//       }
-  
-//       // delete food item
-//       user.foods = [];
-//       await user.save();
-  
-//       return res.status(200).json({ message: 'All food items deleted successfully' });
-//     } catch (error) {
-//       console.error(error);
-//       return res.status(500).json({ error: 'Internal Server Error' });
-//     }
-// });
-
-/* DELETE - Delete all food items in tracker */
-router.delete('/resetTrackers', async (req, res) => { /* skip JWT token for now so that server can call this without being a user */
-    try {
-      const users = await User.find();
-  
-      if (!users) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-     
-      // loop through each user and clear their food tracker
-      for (let user of users) {
-        const id = user._id;
-        await User.findByIdAndUpdate(id, {
-            foods: []
-        })
-      }
-
-      // Print success message and return response to client
-      console.log("Successfully deleted all food trackers for all users.");
-      return res.status(200).json({ message: 'All food items deleted successfully' });
-    } catch (error) {
-      console.error(error);
-      return res.status(500).json({ error: 'Internal Server Error' });
-    }
-});
-
-/* DELETE - Delete food item in tracker*/
-router.delete('/deleteFood/:userId/:hash', verify, async (req, res) => {
-    try {
-      const userId = req.params.userId;
-      const hash = req.params.hash;
-      const user = await User.findById(userId); // Find the user by ID
-  
-      if (!user) {
-        return res.status(404).json({ error: 'User not found' });
-      }
-  
-      const itemIndex = user.foods.findIndex((obj => obj.hash === hash));
-      user.foods.splice(itemIndex, 1);
-  
-      // Save the updated user
-      await user.save();
-  
-      return res.status(200).json({ message: 'Food item deleted successfully' });
-  
-    } catch (error) {
-      console.error(error);
-      return res.status(500).json({ error: 'Internal Server Error' });
-    }
-  });
-  
 /* DELETE - Delete exercise in tracker*/
-router.delete('/deleteExercise/:userId/:hash', verify, async (req, res) => {
-try {
-    const userId = req.params.userId;
-    const hash = req.params.hash;
-    const user = await User.findById(userId); // Find the user by ID
+router.delete('/deleteExercise/:userId/:exerciseId', verify, async (req, res) => {
+  if (req.user.id !== req.params.userId && !req.user.isAdmin) {
+    return res.status(403).json({ error: 'You can only delete your own exercises!' });
+  }
+  try {
+    const { userId, exerciseId } = req.params;
+    const deletedExercise = mongoose.isValidObjectId(exerciseId)
+      ? await ExerciseLog.findOneAndDelete({ _id: exerciseId, userId: userId })
+      : null;
 
-    if (!user) {
-    return res.status(404).json({ error: 'User not found' });
+    if (!deletedExercise) {
+      return res.status(404).json({ error: 'Exercise not found' });
     }
 
-    const itemIndex = user.liftingLog.findIndex((obj => obj.hash === hash));
-    const itemIndex2 = user.cardioLog.findIndex((obj => obj.hash === hash));
-    const itemIndex3 = user.otherExerciseLog.findIndex((obj => obj.hash === hash));
-
-    if (itemIndex != -1) user.liftingLog.splice(itemIndex, 1);
-    else if (itemIndex2 != -1) user.cardioLog.splice(itemIndex2, 1);
-    else user.otherExerciseLog.splice(itemIndex3, 1);
-
-    // Save the updated user
-    await user.save();
-
     return res.status(200).json({ message: 'Exercise deleted successfully' });
-
-} catch (error) {
+  } catch (error) {
     console.error(error);
     return res.status(500).json({ error: 'Internal Server Error' });
-}
+  }
 });
 
 /* export module for external use */
@@ -0,0 +1,162 @@
+/* allergenFilter.test.js - the menu allergen filter on its own: parsing filters and checking items against them */
+const { parseFilter, checkItem, filterItems } = require("../util/allergenFilter");
+
+/* returns a parsed filter, failing the test if it doesn't parse */
+function filterOf(body) {
+    const { filter, error } = parseFilter(body);
+    expect(error).toBeUndefined();
+    return filter;
+}
+
+/* items with what they say about Peanuts */
+const ITEMS = {
+    free: { allergens: [{ Name: "Peanuts", Value: false }] },
+    contains: { allergens: [{ Name: "Peanuts", Value: true }] },
+    noInfo: { allergens: [] },
+    notListed: { allergens: [{ Name: "Milk", Value: false }] },
+    guessedFree: { allergens: [], inferredAllergens: [{ Name: "Peanuts", Value: false, confidence: "low" }] },
+    inferredContains: { allergens: [], inferredAllergens: [{ Name: "Peanuts", Value: true, confidence: "high" }] }
+};
+
+describe("parseFilter", () => {
+    test("defaults to no preferences or restrictions and excluding unknowns", () => {
+        expect(parseFilter({})).toEqual({ filter: { preferences: [], restrictions: [], unknown: "exclude" } });
+    });
+
+    test("allergen names are avoided unless they're listed as strict", () => {
+        const filter = filterOf({ restrictions: ["Peanuts", "Milk"], strict: ["Milk"] });
+        expect(filter.restrictions).toEqual([
+            { type: "allergen", name: "Peanuts", severity: "avoid" },
+            { type: "allergen", name: "Milk", severity: "strict" }
+        ]);
+    });
+
+    test("a severity given with the restriction wins over strict", () => {
+        const filter = filterOf({ restrictions: [{ name: "Milk", severity: "avoid" }], strict: ["Milk"] });
+        expect(filter.restrictions[0].severity).toBe("avoid");
+    });
+
+    test("diet profiles become an ingredient check plus their allergens", () => {
+        const filter = filterOf({ restrictions: [{ type: "profile", name: "Low-FODMAP", severity: "strict" }] });
+        expect(filter.restrictions.map(({ type, name, severity }) => [type, name, severity])).toEqual([
+            ["ingredients", "Low-FODMAP", "strict"],
+            ["allergen", "Wheat", "strict"],
+            ["allergen", "Milk", "strict"]
+        ]);
+    });
+
+    test.each([
+        [{ preferences: "Vegan" }, "preferences must be a list of names"],
+        [{ preferences: [1] }, "preferences must be a list of names"],
+        [{ restrictions: "Peanuts" }, "restrictions must be a list"],
+        [{ unknown: "maybe" }, "unknown allergen info must be handled with one of exclude, include, unverified"],
+        [{ restrictions: [{ name: "Peanuts", severity: "mild" }] }, expect.stringContaining("severity avoid or strict")],
+        [{ restrictions: [{ type: "brand", name: "Acme" }] }, expect.stringContaining("with type allergen, ingredient, profile")],
+        [{ restrictions: [""] }, expect.stringContaining("restrictions must be names")],
+        [{ restrictions: [{ type: "profile", name: "Paleo" }] }, "There is no diet profile named Paleo"]
+    ])("rejects %j", (body, error) => {
+        expect(parseFilter(body)).toEqual({ error: error });
+    });
+});
+
+describe("checkItem with allergen restrictions", () => {
+    // [item, severity, unknown policy, matches, unverified]
+    test.each([
+        ["free", "avoid", "exclude", true, []],
+        ["free", "strict", "exclude", true, []],
+        ["contains", "avoid", "include", false, []],
+        ["contains", "strict", "unverified", false, []],
+        ["noInfo", "avoid", "exclude", false, []],
+        ["noInfo", "avoid", "include", true, []],
+        ["noInfo", "avoid", "unverified", true, ["Peanuts"]],
+        ["noInfo", "strict", "exclude", false, []],
+        ["noInfo", "strict", "include", false, []],
+        ["noInfo", "strict", "unverified", false, []],
+        ["notListed", "avoid", "exclude", false, []],
+        ["notListed", "avoid", "unverified", true, ["Peanuts"]],
+        ["notListed", "strict", "include", false, []],
+        ["guessedFree", "avoid", "exclude", true, []],
+        ["guessedFree", "avoid", "include", true, []],
+        ["guessedFree", "avoid", "unverified", true, ["Peanuts"]],
+        ["guessedFree", "strict", "include", false, []],
+        ["guessedFree", "strict", "unverified", false, []],
+        ["inferredContains", "avoid", "include", false, []]
+    ])("%s item, %s restriction, unknowns %s", (item, severity, unknown, matches, unverified) => {
+        const filter = filterOf({ restrictions: [{ name: "Peanuts", severity: severity }], unknown: unknown });
+        expect(checkItem(ITEMS[item], filter)).toEqual({ matches: matches, unverified: unverified });
+    });
+
+    test("HFS allergen info wins over inferred flags", () => {
+        const item = { allergens: [{ Name: "Peanuts", Value: false }], inferredAllergens: [{ Name: "Peanuts", Value: true, confidence: "high" }] };
+        expect(checkItem(item, filterOf({ restrictions: [{ name: "Peanuts", severity: "strict" }] }))).toEqual({ matches: true, unverified: [] });
+    });
+});
+
+describe("checkItem with preferences", () => {
+    test.each([
+        [[{ Name: "Vegan", Value: true }], "exclude", true, []],
+        [[{ Name: "Vegan", Value: false }], "include", false, []],
+        [[], "exclude", false, []],
+        [[], "include", true, []],
+        [[], "unverified", true, ["Vegan"]]
+    ])("allergens %j, unknowns %s", (allergens, unknown, matches, unverified) => {
+        expect(checkItem({ allergens: allergens }, filterOf({ preferences: ["Vegan"], unknown: unknown })))
+            .toEqual({ matches: matches, unverified: unverified });
+    });
+
+    test("a low confidence guess is kept but reported as unverified", () => {
+        const item = { inferredAllergens: [{ Name: "Vegan", Value: true, confidence: "low" }] };
+        expect(checkItem(item, filterOf({ preferences: ["Vegan"], unknown: "unverified" }))).toEqual({ matches: true, unverified: ["Vegan"] });
+    });
+});
+
+describe("checkItem with ingredient and diet profile restrictions", () => {
+    /* whether an item with these ingredients passes a restriction */
+    function passes(ingredients, restriction, unknown = "exclude") {
+        return checkItem({ ingredients: ingredients }, filterOf({ restrictions: [restriction], unknown: unknown })).matches;
+    }
+    const halal = { type: "profile", name: "Halal" };
+
+    test("Halal leaves out ham but not words or phrases that only contain it", () => {
+        expect(passes("Bread, Ham, Cheese", halal)).toBe(false);
+        expect(passes("Sliced Hams", halal)).toBe(false);
+        expect(passes("Graham Crackers, Sugar", halal)).toBe(true);
+        expect(passes("Hamburger Bun", halal)).toBe(true);
+        expect(passes("Turkey Ham, Swiss Cheese", halal)).toBe(true);
+        expect(passes("Turkey Ham, Ham", halal)).toBe(false);
+    });
+
+    test("wine vinegar isn't alcohol", () => {
+        expect(passes("Red Wine Vinegar, Oil", halal)).toBe(true);
+        expect(passes("Rice Wine Vinegar", { type: "profile", name: "Alcohol-Free" })).toBe(true);
+        expect(passes("White Wine, Butter", halal)).toBe(false);
+        expect(passes("Wine Vinegar, Sherry", { type: "profile", name: "Alcohol-Free" })).toBe(false);
+    });
+
+    test("free-form ingredients match whole words, plurals included", () => {
+        const mushroom = { type: "ingredient", name: "Mushroom" };
+        expect(passes("Rice, Mushrooms", mushroom)).toBe(false);
+        expect(passes("Rice, Mushroom Broth", mushroom)).toBe(false);
+        expect(passes("Rice, Peas", mushroom)).toBe(true);
+    });
+
+    test("items without ingredient text are unknown", () => {
+        expect(passes("", { type: "ingredient", name: "Mushroom" }, "exclude")).toBe(false);
+        expect(passes("", { type: "ingredient", name: "Mushroom" }, "include")).toBe(true);
+        expect(passes(undefined, { type: "ingredient", name: "Mushroom", severity: "strict" }, "include")).toBe(false);
+        expect(checkItem({}, filterOf({ restrictions: [halal], unknown: "unverified" }))).toEqual({ matches: true, unverified: ["Halal"] });
+    });
+});
+
+describe("filterItems", () => {
+    test("keeps matching items and lists their unverified allergens", () => {
+        const doc = { name: "Pad Thai", allergens: [], toObject() { return { name: "Pad Thai", allergens: [] }; } };
+        const items = [{ name: "PB&J", allergens: [{ Name: "Peanuts", Value: true }] }, ITEMS.free, doc];
+        const filter = filterOf({ restrictions: ["Peanuts"], unknown: "unverified" });
+
+        expect(filterItems(items, filter)).toEqual([
+            ITEMS.free,
+            { name: "Pad Thai", allergens: [], unverifiedAllergens: ["Peanuts"] }
+        ]);
+    });
+});
@@ -0,0 +1,73 @@
+/* busyness.test.js - busyness check-ins and the live estimate, with an in-memory BusyCheckIn collection */
+const request = require("supertest");
+const DiningCourt = require("../models/diningCourt");
+const BusyCheckIn = require("../models/busyCheckIn");
+const campusDate = require("../util/campusDate");
+const { appWith, tokenFor } = require("./helpers");
+
+const START = new Date("2023-11-14T17:00:00Z").getTime();
+const MINUTE = 60 * 1000;
+
+let checkIns;
+let app;
+
+/* makes the clock show `minutes` after START */
+function at(minutes) {
+    campusDate.setClock(() => new Date(START + minutes * MINUTE));
+}
+
+/* checks in as `userId` */
+function checkIn(userId, level) {
+    return request(app).post("/api/menuInfo/busy/Wiley").set("token", tokenFor(userId)).send({ level: level });
+}
+
+beforeEach(() => {
+    checkIns = [];
+    const isRecent = (checkIn, query) => checkIn.createdAt >= query.createdAt.$gte;
+    jest.spyOn(DiningCourt, "findOne").mockResolvedValue({ name: "Wiley" });
+    jest.spyOn(BusyCheckIn.prototype, "save").mockImplementation(async function () {
+        this.initializeTimestamps();
+        checkIns.push(this);
+        return this;
+    });
+    jest.spyOn(BusyCheckIn, "findOne").mockImplementation(async (query) =>
+        checkIns.find(c => c.userId === query.userId && c.court === query.court && isRecent(c, query)) || null);
+    jest.spyOn(BusyCheckIn, "deleteOne").mockImplementation(async (query) => {
+        checkIns = checkIns.filter(c => c._id !== query._id);
+    });
+    jest.spyOn(BusyCheckIn, "find").mockImplementation(async (query) => checkIns.filter(c => isRecent(c, query)));
+    app = appWith("/api/menuInfo", require("../routes/menuInfo"));
+});
+
+afterEach(() => {
+    campusDate.resetClock();
+    jest.restoreAllMocks();
+});
+
+test("check-ins are timed by campusDate's clock", async () => {
+    at(0);
+    await checkIn("a", 2);
+    expect(checkIns[0].createdAt).toEqual(new Date(START));
+});
+
+test("checking in again within the cooldown replaces the check-in and counts as made now", async () => {
+    at(0);
+    await checkIn("b", 1);
+    at(8);
+    await checkIn("a", 1);
+    const res = await checkIn("b", 4);
+
+    expect(res.status).toBe(201);
+    expect(checkIns).toHaveLength(2);
+    expect(res.body).toEqual({ level: 2.5, label: "a little busy", source: "live", checkIns: 2 }); // both weigh 1
+});
+
+test("checking in after the cooldown adds a check-in", async () => {
+    at(0);
+    await checkIn("a", 1);
+    at(11);
+    const res = await checkIn("a", 4);
+
+    expect(checkIns).toHaveLength(2);
+    expect(res.body.checkIns).toBe(2);
+});
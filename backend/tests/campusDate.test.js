@@ -0,0 +1,90 @@
+/* campusDate.test.js - "today" on campus with a fixed clock, including late at night and across DST changes */
+const request = require("supertest");
+const express = require("express");
+const MenuItem = require("../models/menuItem");
+const campusDate = require("../util/campusDate");
+
+/* pins now() to an instant */
+function setNow(iso) {
+    campusDate.setClock(() => new Date(iso));
+}
+
+afterEach(() => {
+    campusDate.resetClock();
+    jest.restoreAllMocks();
+});
+
+describe("todayKey and todayDate", () => {
+    test("03:30Z is still the previous day on campus", () => {
+        setNow("2023-11-14T03:30:00Z"); // 22:30 EST on the 13th
+        expect(campusDate.todayKey()).toBe("2023-11-13");
+        expect(campusDate.todayDate()).toEqual(new Date(Date.UTC(2023, 10, 13)));
+    });
+
+    test("the campus day starts at campus midnight, not UTC midnight", () => {
+        setNow("2023-11-14T04:59:00Z");
+        expect(campusDate.todayKey()).toBe("2023-11-13");
+        setNow("2023-11-14T05:00:00Z");
+        expect(campusDate.todayKey()).toBe("2023-11-14");
+    });
+
+    test("late at night during daylight saving time", () => {
+        setNow("2023-07-01T03:30:00Z"); // 23:30 EDT on June 30th
+        expect(campusDate.todayKey()).toBe("2023-6-30");
+        setNow("2023-07-01T04:00:00Z");
+        expect(campusDate.todayKey()).toBe("2023-7-1");
+    });
+
+    test("the timezone can be configured", () => {
+        process.env.CAMPUS_TIMEZONE = "UTC";
+        try {
+            setNow("2023-11-14T03:30:00Z");
+            expect(campusDate.todayKey()).toBe("2023-11-14");
+        } finally {
+            delete process.env.CAMPUS_TIMEZONE;
+        }
+    });
+});
+
+describe("addDays across DST changes", () => {
+    test("the night the clocks go back", () => {
+        setNow("2023-11-05T04:30:00Z"); // 00:30 EDT on the 5th, the clocks go back at 06:00Z
+        expect(campusDate.todayKey()).toBe("2023-11-5");
+        expect(campusDate.addDays(campusDate.todayKey(), 1)).toBe("2023-11-6");
+        expect(campusDate.addDays(campusDate.todayKey(), -1)).toBe("2023-11-4");
+        setNow("2023-11-06T04:30:00Z"); // 23:30 EST, still the 5th
+        expect(campusDate.todayKey()).toBe("2023-11-5");
+    });
+
+    test("the night the clocks go forward", () => {
+        setNow("2024-03-10T04:30:00Z"); // 23:30 EST on the 9th, the clocks go forward at 07:00Z
+        expect(campusDate.todayKey()).toBe("2024-3-9");
+        expect(campusDate.addDays(campusDate.todayKey(), 1)).toBe("2024-3-10");
+        expect(campusDate.addDays("2024-3-10", 1)).toBe("2024-3-11");
+        expect(campusDate.addDays("2024-3-11", -2)).toBe("2024-3-9");
+    });
+
+    test("days are 24 hours apart when stored", () => {
+        const day = campusDate.toDate("2023-11-5");
+        expect(campusDate.toDate(campusDate.addDays("2023-11-5", 1)) - day).toBe(24 * 3600000);
+    });
+
+    test("timeOn follows the campus wall clock on both sides of a change", () => {
+        expect(campusDate.timeOn("2023-11-4", 12)).toEqual(new Date("2023-11-04T16:00:00Z")); // EDT
+        expect(campusDate.timeOn("2023-11-6", 12)).toEqual(new Date("2023-11-06T17:00:00Z")); // EST
+    });
+});
+
+describe("menu routes", () => {
+    test("GET /all late at night asks for the campus day's menu", async () => {
+        setNow("2023-11-14T03:30:00Z");
+        const find = jest.spyOn(MenuItem, "find").mockResolvedValue([]);
+        const app = express();
+        app.use("/api/menuInfo", require("../routes/menuInfo"));
+
+        const res = await request(app).get("/api/menuInfo/all");
+
+        expect(res.status).toBe(200);
+        expect(find).toHaveBeenCalledWith({ dateServed: new Date(Date.UTC(2023, 10, 13)) });
+    });
+});
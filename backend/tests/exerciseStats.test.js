@@ -0,0 +1,90 @@
+/* exerciseStats.test.js - exercise stats over a range, with an in-memory ExerciseLog collection */
+const ExerciseLog = require("../models/exerciseLog");
+const { getExerciseStats } = require("../util/exerciseStats");
+
+const USER = "64b000000000000000000001";
+
+/* a session of 5 reps of `weight` pounds on a "YYYY-MM-DD" day */
+function session(exerciseName, day, weight) {
+    const date = new Date(day + "T00:00:00Z");
+    return new ExerciseLog({
+        userId: USER,
+        date: date,
+        performedAt: new Date(date.getTime() + 17 * 3600000),
+        exerciseName: exerciseName,
+        exerciseType: "Weight Lifting",
+        sets: [{ reps: 5, weight: weight }]
+    });
+}
+
+const SESSIONS = [
+    session("Bench", "2023-10-30", 200),
+    session("Squat", "2023-10-31", 300),
+    session("Bench", "2023-11-06", 185),
+    session("bench ", "2023-11-08", 205),
+    session("Bench", "2023-11-13", 210),
+    session("Bench", "2023-11-15", 215),
+    session("Bench", "2023-11-20", 300) // after the range
+];
+
+/* returns whether a session matches a find() query on userId, date and exerciseName */
+function matches(exercise, { userId, date, exerciseName }) {
+    const names = exerciseName === undefined ? null : exerciseName.$in || [exerciseName];
+    return exercise.userId === userId
+        && !(date.$gte && exercise.date < date.$gte) && !(date.$lte && exercise.date > date.$lte) && !(date.$lt && exercise.date >= date.$lt)
+        && (names === null || names.some(name => name.test(exercise.exerciseName)));
+}
+
+beforeEach(() => {
+    jest.spyOn(ExerciseLog, "find").mockImplementation((query) => ({
+        sort: async () => SESSIONS.filter(exercise => matches(exercise, query)).sort((a, b) => a.performedAt - b.performedAt)
+    }));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe("getExerciseStats", () => {
+    test("reads sessions before the range only for the exercises done in it", async () => {
+        await getExerciseStats(USER, "week", "2023-11-5", "2023-11-18");
+        expect(ExerciseLog.find).toHaveBeenCalledTimes(2);
+        const [query, projection] = ExerciseLog.find.mock.calls[1];
+        expect(query.date).toEqual({ $lt: new Date(Date.UTC(2023, 10, 5)) });
+        expect(query.exerciseName.$in.map(String)).toEqual(["/^\\s*bench\\s*$/i"]);
+        expect(projection).toEqual({ exerciseName: 1, date: 1, performedAt: 1, sets: 1, time: 1 });
+    });
+
+    test("doesn't read earlier sessions when nothing was done in the range", async () => {
+        const stats = await getExerciseStats(USER, "week", "2023-11-1", "2023-11-4");
+        expect(ExerciseLog.find).toHaveBeenCalledTimes(1);
+        expect(stats.exercises).toEqual([]);
+    });
+
+    test("works out records, a streak of sessions beating them and progression over a range", async () => {
+        const stats = await getExerciseStats(USER, "week", "2023-11-5", "2023-11-18", " BENCH ");
+        expect(stats.buckets).toEqual([
+            { start: "2023-11-05", end: "2023-11-11", sessions: 2, volume: 1950, reps: 10, time: 0 },
+            { start: "2023-11-12", end: "2023-11-18", sessions: 2, volume: 2125, reps: 10, time: 0 }
+        ]);
+
+        const [bench] = stats.exercises;
+        expect(stats.exercises).toHaveLength(1);
+        expect(bench).toMatchObject({ sessions: 4, volume: 4075, reps: 20 });
+        expect(bench.personalRecords.heaviestWeight).toMatchObject({ value: 215, date: "2023-11-15" });
+        expect(bench.personalRecords.estimated1RM).toMatchObject({ value: 250.8, date: "2023-11-15" });
+        expect(bench.personalRecords.totalReps).toMatchObject({ value: 5, date: "2023-10-30" }); // from before the range
+        expect(bench.personalRecords.time).toBeNull();
+
+        // the first session is below the record set before the range, then every session beats it
+        expect(bench.progression.map(p => [p.date, p.records])).toEqual([
+            ["2023-11-06", []],
+            ["2023-11-08", ["heaviestWeight", "estimated1RM", "volume"]],
+            ["2023-11-13", ["heaviestWeight", "estimated1RM", "volume"]],
+            ["2023-11-15", ["heaviestWeight", "estimated1RM", "volume"]]
+        ]);
+        expect(bench.progression[0].change).toEqual({ volume: -75, estimated1RM: -17.5, time: null });
+        expect(bench.progression[1].change).toEqual({ volume: 100, estimated1RM: 23.4, time: null });
+        expect(bench.buckets.map(bucket => bucket.estimated1RM)).toEqual([239.2, 250.8]);
+    });
+});
@@ -0,0 +1,90 @@
+/* foodLog.test.js - the meal tracker's food routes in routes/users.js and moving foods out of User */
+const request = require("supertest");
+const User = require("../models/user");
+const FoodLog = require("../models/foodLog");
+const campusDate = require("../util/campusDate");
+const { migrateTrackerFoods } = require("../util/foodLog");
+const { appWith, tokenFor } = require("./helpers");
+
+const OWNER = "64b000000000000000000001";
+const OTHER = "64b000000000000000000002";
+const ADMIN = "64b000000000000000000003";
+const FOOD = "64b0000000000000000000f1";
+
+/* each food route with a path for OWNER's foods */
+const FOOD_ROUTES = [
+    ["put", "/addFood/" + OWNER],
+    ["put", "/editFood/" + OWNER + "/" + FOOD],
+    ["get", "/allFoods/" + OWNER + "?date=2023-11-13"],
+    ["get", "/aFoodItem/" + OWNER + "/" + FOOD],
+    ["delete", "/deleteFood/" + OWNER + "/" + FOOD]
+];
+
+let app;
+
+afterEach(() => {
+    campusDate.resetClock();
+    jest.restoreAllMocks();
+});
+
+describe.each(FOOD_ROUTES)("%s %s", (method, path) => {
+    const body = { foodName: "Oatmeal", calories: 150, servings: 1 };
+
+    beforeEach(() => {
+        const food = new FoodLog({ _id: FOOD, userId: OWNER, date: new Date(), eatenAt: new Date(), ...body });
+        jest.spyOn(User, "exists").mockResolvedValue({ _id: OWNER });
+        jest.spyOn(FoodLog, "find").mockReturnValue({ sort: async () => [food] });
+        jest.spyOn(FoodLog, "findOne").mockResolvedValue(food);
+        jest.spyOn(FoodLog, "findOneAndUpdate").mockResolvedValue(food);
+        jest.spyOn(FoodLog, "findOneAndDelete").mockResolvedValue(food);
+        jest.spyOn(FoodLog.prototype, "save").mockImplementation(async function () { return this; });
+        app = appWith("/api/users", require("../routes/users"));
+    });
+
+    test("doesn't let another user see or change the foods", async () => {
+        const res = await request(app)[method]("/api/users" + path).set("token", tokenFor(OTHER)).send(body);
+        expect(res.status).toBe(403);
+        for (const stub of [FoodLog.find, FoodLog.findOne, FoodLog.findOneAndUpdate, FoodLog.findOneAndDelete, FoodLog.prototype.save]) {
+            expect(stub).not.toHaveBeenCalled();
+        }
+    });
+
+    test("lets the owner and admins see and change the foods", async () => {
+        for (const token of [tokenFor(OWNER), tokenFor(ADMIN, true)]) {
+            expect((await request(app)[method]("/api/users" + path).set("token", token).send(body)).status).toBe(200);
+        }
+    });
+});
+
+describe("migrateTrackerFoods", () => {
+    const SHA1 = "2fd4e1c67a2d28fced849ee1bb76e7391b93eb12";
+
+    /* moves `foods` out of OWNER's User.foods at 2023-11-14 12:00 on campus and returns the foods it inserted */
+    async function migrate(foods) {
+        campusDate.setClock(() => new Date("2023-11-14T17:00:00Z"));
+        jest.spyOn(User, "find").mockResolvedValue([{ _id: OWNER, foods: foods }]);
+        jest.spyOn(User, "updateOne").mockResolvedValue({});
+        jest.spyOn(FoodLog, "insertMany").mockImplementation(async (docs) => docs);
+        await migrateTrackerFoods();
+        return FoodLog.insertMany.mock.calls[0][0];
+    }
+
+    test("dates foods with when their hash says they were logged", async () => {
+        const loggedAt = new Date("2023-11-13T03:30:00Z"); // 22:30 on the 12th on campus
+        const [food] = await migrate([{ foodName: "Pizza", calories: 300, hash: SHA1 + loggedAt.getTime() / 1000 }]);
+        expect(food.eatenAt).toEqual(loggedAt);
+        expect(food.date).toEqual(new Date(Date.UTC(2023, 10, 12)));
+    });
+
+    test("dates foods whose hash can't be read with now", async () => {
+        const foods = await migrate([
+            { foodName: "Pizza", calories: 300 },
+            { foodName: "Salad", calories: 100, hash: "not-a-hash" },
+            { foodName: "Soup", calories: 200, hash: SHA1 + "9999999999" } // in the future
+        ]);
+        for (const food of foods) {
+            expect(food.eatenAt).toEqual(new Date("2023-11-14T17:00:00Z"));
+            expect(food.date).toEqual(new Date(Date.UTC(2023, 10, 14)));
+        }
+    });
+});
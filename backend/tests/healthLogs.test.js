@@ -0,0 +1,165 @@
+/* healthLogs.test.js - the weight, water, sleep and supplement logs: their routes in routes/users.js, date ranges and migrating them */
+const request = require("supertest");
+const User = require("../models/user");
+const WeightLog = require("../models/weightLog");
+const WaterLog = require("../models/waterLog");
+const SleepLog = require("../models/sleepLog");
+const SupplementLog = require("../models/supplementLog");
+const ExerciseLog = require("../models/exerciseLog");
+const { parseDateRange, migrateHealthLogs } = require("../util/healthLogs");
+const { appWith, tokenFor } = require("./helpers");
+
+const OWNER = "64b000000000000000000001";
+const OTHER = "64b000000000000000000002";
+const ADMIN = "64b000000000000000000003";
+
+/* each log's GET and PUT paths, its model and a valid entry to add */
+const LOG_ROUTES = [
+    { get: "/weights", put: "/weight", model: WeightLog, entry: { weight: 150 } },
+    { get: "/water", put: "/water", model: WaterLog, entry: { intake: 8 } },
+    { get: "/sleep", put: "/sleep", model: SleepLog, entry: { length: 7.5 } },
+    { get: "/supplement", put: "/supplement", model: SupplementLog, entry: { supplement: "Vitamin D", amount: 1 } }
+];
+
+let app;
+
+beforeEach(() => {
+    jest.spyOn(User, "exists").mockResolvedValue({ _id: OWNER });
+    for (const { model } of LOG_ROUTES) {
+        jest.spyOn(model, "find").mockReturnValue({ sort: async () => [] });
+        jest.spyOn(model.prototype, "save").mockImplementation(async function () { return this; });
+    }
+    app = appWith("/api/users", require("../routes/users"));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe.each(LOG_ROUTES)("$get and $put", ({ get, put, model, entry }) => {
+    test("only let users see their own log", async () => {
+        const res = await request(app).get("/api/users" + get + "/" + OWNER).set("token", tokenFor(OTHER));
+        expect(res.status).toBe(403);
+        expect(model.find).not.toHaveBeenCalled();
+    });
+
+    test("only let users add to their own log", async () => {
+        const res = await request(app).put("/api/users" + put + "/" + OWNER).set("token", tokenFor(OTHER)).send(entry);
+        expect(res.status).toBe(403);
+        expect(model.prototype.save).not.toHaveBeenCalled();
+    });
+
+    test("let the owner and admins see and add to the log", async () => {
+        for (const token of [tokenFor(OWNER), tokenFor(ADMIN, true)]) {
+            expect((await request(app).get("/api/users" + get + "/" + OWNER).set("token", token)).status).toBe(200);
+            expect((await request(app).put("/api/users" + put + "/" + OWNER).set("token", token).send(entry)).status).toBe(200);
+        }
+        expect(model.prototype.save).toHaveBeenCalledTimes(2);
+    });
+});
+
+/* each exercise route with a path for OWNER's exercises; EXERCISE is the _id of one of them */
+const EXERCISE = "64b0000000000000000000e1";
+const EXERCISE_ROUTES = [
+    ["put", "/addExercise/" + OWNER],
+    ["put", "/editExercise/" + OWNER + "/" + EXERCISE],
+    ["get", "/allLifting/" + OWNER],
+    ["get", "/allCardio/" + OWNER],
+    ["get", "/allOther/" + OWNER],
+    ["get", "/anExercise/" + OWNER + "/" + EXERCISE],
+    ["get", "/priorExercise/" + OWNER + "/Bench"],
+    ["delete", "/deleteExercise/" + OWNER + "/" + EXERCISE]
+];
+
+describe.each(EXERCISE_ROUTES)("%s %s", (method, path) => {
+    const body = { exerciseName: "Bench", exerciseType: "Weight Lifting", sets: [{ reps: 5, weight: 135 }] };
+
+    beforeEach(() => {
+        const exercise = new ExerciseLog({ _id: EXERCISE, userId: OWNER, date: new Date(), performedAt: new Date(), ...body });
+        jest.spyOn(ExerciseLog, "find").mockReturnValue({ sort: async () => [exercise] });
+        jest.spyOn(ExerciseLog, "findOne").mockImplementation(() => {
+            const found = Promise.resolve(exercise);
+            found.sort = async () => exercise;
+            return found;
+        });
+        jest.spyOn(ExerciseLog, "findByIdAndUpdate").mockResolvedValue(exercise);
+        jest.spyOn(ExerciseLog, "findOneAndDelete").mockResolvedValue(exercise);
+        jest.spyOn(ExerciseLog.prototype, "save").mockImplementation(async function () { return this; });
+    });
+
+    test("doesn't let another user see or change the exercises", async () => {
+        const res = await request(app)[method]("/api/users" + path).set("token", tokenFor(OTHER)).send(body);
+        expect(res.status).toBe(403);
+        for (const stub of [ExerciseLog.find, ExerciseLog.findOne, ExerciseLog.findByIdAndUpdate, ExerciseLog.findOneAndDelete, ExerciseLog.prototype.save]) {
+            expect(stub).not.toHaveBeenCalled();
+        }
+    });
+
+    test("lets the owner and admins see and change the exercises", async () => {
+        for (const token of [tokenFor(OWNER), tokenFor(ADMIN, true)]) {
+            expect((await request(app)[method]("/api/users" + path).set("token", token).send(body)).status).toBe(200);
+        }
+    });
+});
+
+describe("parseDateRange", () => {
+    test("covers whole days of logs kept by day", () => {
+        expect(parseDateRange({ from: "2023-11-13", to: "2023-11-14" }, "weight")).toEqual({
+            filter: { date: { $gte: new Date(Date.UTC(2023, 10, 13)), $lt: new Date(Date.UTC(2023, 10, 15)) } }
+        });
+    });
+
+    test("covers the campus days of sleep, from campus midnight to campus midnight", () => {
+        expect(parseDateRange({ from: "2023-11-13", to: "2023-11-14" }, "sleep")).toEqual({
+            filter: { date: { $gte: new Date("2023-11-13T05:00:00Z"), $lt: new Date("2023-11-15T05:00:00Z") } }
+        });
+    });
+
+    test("follows DST changes in the campus timezone", () => {
+        expect(parseDateRange({ from: "2023-11-05", to: "2023-11-05" }, "sleep")).toEqual({
+            filter: { date: { $gte: new Date("2023-11-05T04:00:00Z"), $lt: new Date("2023-11-06T05:00:00Z") } }
+        });
+    });
+
+    test("leaves out the bounds that aren't given and rejects ones that aren't days", () => {
+        expect(parseDateRange({}, "sleep")).toEqual({ filter: {} });
+        expect(parseDateRange({ to: "2023-11-14" }, "sleep")).toEqual({ filter: { date: { $lt: new Date("2023-11-15T05:00:00Z") } } });
+        expect(parseDateRange({ from: "2023-02-30" }, "weight").error).toBeDefined();
+        expect(parseDateRange({ to: "today" }, "sleep").error).toBeDefined();
+    });
+
+    test("GET /sleep asks for the campus days of the range", async () => {
+        const res = await request(app).get("/api/users/sleep/" + OWNER + "?from=2023-11-14&to=2023-11-14").set("token", tokenFor(OWNER));
+        expect(res.status).toBe(200);
+        expect(SleepLog.find).toHaveBeenCalledWith({
+            userId: OWNER,
+            date: { $gte: new Date("2023-11-14T05:00:00Z"), $lt: new Date("2023-11-15T05:00:00Z") }
+        });
+    });
+});
+
+describe("migrateHealthLogs", () => {
+    /* migrates a user with the given sleepLog and returns the sleep entries it inserted */
+    async function migrateSleep(sleepLog) {
+        jest.spyOn(User, "find").mockResolvedValue([{ _id: OWNER, sleepLog: sleepLog }]);
+        jest.spyOn(User, "updateOne").mockResolvedValue({});
+        jest.spyOn(SleepLog, "insertMany").mockImplementation(async (docs) => docs);
+        await migrateHealthLogs();
+        return SleepLog.insertMany.mock.calls.length > 0 ? SleepLog.insertMany.mock.calls[0][0] : [];
+    }
+
+    test("reads legacy sleep times on the campus wall clock", async () => {
+        const docs = await migrateSleep([{ length: 8, date: "2023-11-13T23:30" }, { length: 7, date: "2023-07-01T22:15" }]);
+        expect(docs.map(doc => doc.date)).toEqual([new Date("2023-11-14T04:30:00Z"), new Date("2023-07-02T02:15:00Z")]);
+    });
+
+    test("keeps the timezone of sleep times that have one", async () => {
+        const docs = await migrateSleep([{ length: 8, date: "2023-11-14T04:30:00.000Z" }]);
+        expect(docs.map(doc => doc.date)).toEqual([new Date("2023-11-14T04:30:00Z")]);
+    });
+
+    test("leaves sleep without a real time on the User", async () => {
+        const docs = await migrateSleep([{ length: 8, date: "[add date]" }, { length: 8, date: "2023-11-13T25:00" }]);
+        expect(docs).toEqual([]);
+    });
+});
@@ -0,0 +1,21 @@
+/* helpers.js - shared setup for route tests: an app serving one router and tokens for verifyJWTToken */
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const SECRET_KEY = "test-secret";
+
+/* returns an app serving `router` at `path`, like index.js does */
+function appWith(path, router) {
+    process.env.SECRET_KEY = SECRET_KEY;
+    const app = express();
+    app.use(express.json());
+    app.use(path, router);
+    return app;
+}
+
+/* returns the token header of a user, e.g. .set("token", tokenFor(id)) */
+function tokenFor(id, isAdmin = false) {
+    return "Bearer " + jwt.sign({ id: id, isAdmin: isAdmin }, SECRET_KEY);
+}
+
+module.exports = { appWith, tokenFor };
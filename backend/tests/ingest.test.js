@@ -0,0 +1,64 @@
+/* ingest.test.js - which parts of the DB a menu ingestion run writes, with the models stubbed out */
+const MenuItem = require("../models/menuItem");
+const DiningCourt = require("../models/diningCourt");
+const IngestionRun = require("../models/ingestionRun");
+const Serving = require("../models/serving");
+const campusDate = require("../util/campusDate");
+const { ingestMenus } = require("../util/menu/ingest");
+
+const TODAY = "2023-11-14";
+const YESTERDAY = "2023-11-13";
+
+/* a provider serving one item at one court */
+const provider = {
+    name: "test",
+    getCourts: async () => [{ name: "Wiley", mealInfo: [{ name: "Lunch" }] }],
+    getCourtMenu: async () => [{ ID: "item-1", station: "Grill", meal: "Lunch" }],
+    getItem: async () => ({ ID: "item-1", name: "Burger" })
+};
+
+beforeEach(() => {
+    campusDate.setClock(() => new Date("2023-11-14T17:00:00Z"));
+    jest.spyOn(IngestionRun.prototype, "save").mockImplementation(async function () { return this; });
+    jest.spyOn(DiningCourt, "findOne").mockResolvedValue({ _id: "court", toObject: () => ({}) });
+    jest.spyOn(DiningCourt, "findByIdAndUpdate").mockResolvedValue(null);
+    jest.spyOn(Serving, "deleteMany").mockResolvedValue(null);
+    jest.spyOn(Serving, "insertMany").mockResolvedValue([]);
+    jest.spyOn(MenuItem, "findOne").mockResolvedValue({ _id: "menu-item", dateServed: campusDate.toDate(TODAY) });
+    jest.spyOn(MenuItem, "findByIdAndUpdate").mockResolvedValue(null);
+    jest.spyOn(console, "log").mockImplementation(() => {});
+});
+
+afterEach(() => {
+    campusDate.resetClock();
+    jest.restoreAllMocks();
+});
+
+test("a run for today saves the courts' hours and today's court data", async () => {
+    const run = await ingestMenus({ provider: provider, date: campusDate.parseDateKey(TODAY), retry: { retries: 0 } });
+
+    expect(run.status).toBe("completed");
+    expect(DiningCourt.findByIdAndUpdate).toHaveBeenCalled();
+    expect(MenuItem.findByIdAndUpdate).toHaveBeenCalledWith("menu-item", expect.objectContaining({
+        $addToSet: { courtData: { $each: [["Wiley", "Grill", "Lunch"]] } }
+    }));
+});
+
+test("resuming a failed run of a past day only rewrites the archive and item details", async () => {
+    const date = campusDate.parseDateKey(YESTERDAY);
+    const run = await ingestMenus({ provider: provider, date: date, resume: { _id: "old", status: "failed", failures: [] }, retry: { retries: 0 } });
+
+    expect(run.status).toBe("completed");
+    expect(DiningCourt.findByIdAndUpdate).not.toHaveBeenCalled();
+    expect(Serving.insertMany).toHaveBeenCalledWith([expect.objectContaining({ date: campusDate.toDate(date), court: "Wiley" })]);
+    expect(MenuItem.findByIdAndUpdate).toHaveBeenCalledWith("menu-item", { ID: "item-1", name: "Burger" });
+});
+
+test("resuming the failed items of a past day leaves today's court data alone", async () => {
+    const failures = [{ kind: "item", itemID: "item-1", courtData: [["Wiley", "Grill", "Lunch"]] }];
+    await ingestMenus({ provider: provider, date: campusDate.parseDateKey(YESTERDAY), resume: { _id: "old", status: "partial", failures: failures } });
+
+    expect(MenuItem.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+    expect(MenuItem.findByIdAndUpdate.mock.calls[0][1]).not.toHaveProperty("courtData");
+    expect(MenuItem.findByIdAndUpdate.mock.calls[0][1]).not.toHaveProperty("dateServed");
+});
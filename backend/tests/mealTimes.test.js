@@ -0,0 +1,52 @@
+/* mealTimes.test.js - which meal a dining court is serving now or next, on the campus clock */
+const { toMinutes, getCourtStatus } = require("../util/mealTimes");
+
+/* Monday 2023-11-13 and Tuesday 2023-11-14 hours, with Monday's late night meal running past midnight */
+const court = {
+    weeklyMealInfo: {
+        Monday: [
+            { mealType: "Dinner", start: "5:00 PM", end: "9:00 PM" },
+            { mealType: "Late Night", start: "10:00 PM", end: "2:00 AM" }
+        ],
+        Tuesday: [{ mealType: "Breakfast", start: "7:00 AM", end: "10:00 AM" }]
+    }
+};
+
+/* returns an instant on the campus wall clock (EST in November) */
+function campusTime(date, time) {
+    return new Date(date + "T" + time + ":00-05:00");
+}
+
+test("toMinutes reads 12-hour times", () => {
+    expect(toMinutes("7:00 AM")).toBe(420);
+    expect(toMinutes("12:30 AM")).toBe(30);
+    expect(toMinutes("12:00 PM")).toBe(720);
+    expect(toMinutes("noon")).toBeNull();
+});
+
+test("a meal being served is open until it ends", () => {
+    const status = getCourtStatus(court, campusTime("2023-11-13", "20:00"));
+    expect(status).toMatchObject({ open: true, date: "2023-11-13", minutesUntilClose: 60 });
+    expect(status.meal.mealType).toBe("Dinner");
+});
+
+test("a late meal is open before midnight on its own day", () => {
+    const status = getCourtStatus(court, campusTime("2023-11-13", "23:30"));
+    expect(status).toMatchObject({ open: true, date: "2023-11-13", minutesUntilClose: 150 });
+});
+
+test("yesterday's late meal is still open after midnight", () => {
+    const status = getCourtStatus(court, campusTime("2023-11-14", "01:00"));
+    expect(status).toMatchObject({ open: true, date: "2023-11-13", minutesUntilClose: 60 });
+    expect(status.meal.mealType).toBe("Late Night");
+});
+
+test("once yesterday's late meal ends, today's next meal is up", () => {
+    const status = getCourtStatus(court, campusTime("2023-11-14", "02:00"));
+    expect(status).toMatchObject({ open: false, date: "2023-11-14", minutesUntilOpen: 300 });
+    expect(status.meal.mealType).toBe("Breakfast");
+});
+
+test("a court without hours has no meal", () => {
+    expect(getCourtStatus({ weeklyMealInfo: {} }, campusTime("2023-11-14", "12:00"))).toEqual({ open: false, meal: null });
+});
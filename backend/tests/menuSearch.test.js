@@ -0,0 +1,72 @@
+/* menuSearch.test.js - the exclusions of GET /api/menuInfo/search, with today's items stubbed */
+const request = require("supertest");
+const MenuItem = require("../models/menuItem");
+const { parseSearchQuery, buildSearchPipeline } = require("../util/menuSearch");
+const { appWith } = require("./helpers");
+
+/* today's items, by _id */
+const ITEMS = [
+    { _id: "ham", ingredients: "Ham, Water, Salt" },
+    { _id: "hamburger", ingredients: "Hamburger Bun, Beef Patty" },
+    { _id: "eggs", ingredients: "Scrambled Eggs, Butter" },
+    { _id: "eggplant", ingredients: "Eggplant, Olive Oil" },
+    { _id: "peanutSauce", ingredients: "Noodles", allergens: [{ Name: "Peanuts", Value: true }] },
+    { _id: "satay", ingredients: "Chicken, Peanut Butter", inferredAllergens: [{ Name: "Peanuts", Value: true, confidence: "high" }] },
+    { _id: "noInfo" }
+];
+
+let app;
+
+/* searches with a query string and returns the _ids the search pipeline leaves out */
+async function excludedBy(query) {
+    MenuItem.aggregate.mockClear();
+    await request(app).get("/api/menuInfo/search?" + query).expect(200);
+    const [match] = MenuItem.aggregate.mock.calls[0][0];
+    return match.$match._id ? match.$match._id.$nin : [];
+}
+
+beforeEach(() => {
+    jest.spyOn(MenuItem, "find").mockResolvedValue(ITEMS);
+    jest.spyOn(MenuItem, "aggregate").mockResolvedValue([{ items: [], total: [], courts: [], meals: [], stations: [], vegetarian: [], allergens: [] }]);
+    app = appWith("/api/menuInfo", require("../routes/menuInfo"));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe("excludeIngredients", () => {
+    test("matches whole words and their plurals", async () => {
+        expect(await excludedBy("excludeIngredients=ham")).toEqual(["ham"]);
+            expect(await excludedBy("excludeIngredients=egg")).toEqual(["eggs"]);
+    });
+
+    test("keeps items without ingredients", async () => {
+        expect(await excludedBy("excludeIngredients=ham,egg,noodle")).toEqual(["ham", "eggs", "peanutSauce"]);
+    });
+});
+
+test("excludeAllergens counts allergens inferred from the ingredients", async () => {
+    expect(await excludedBy("excludeAllergens=Peanuts")).toEqual(["peanutSauce", "satay"]);
+});
+
+test("excludeProfiles leaves out what a diet profile does", async () => {
+    expect(await excludedBy("excludeProfiles=Halal")).toEqual(["ham"]);
+    expect(await excludedBy("excludeProfiles=Halal,Beef-Free")).toEqual(["ham", "hamburger"]);
+});
+
+test("doesn't look at today's items without exclusions", async () => {
+    expect(await excludedBy("q=pasta")).toEqual([]);
+    expect(MenuItem.find).not.toHaveBeenCalled();
+});
+
+test("rejects diet profiles that don't exist", () => {
+    expect(parseSearchQuery({ excludeProfiles: "Carnivore" }).error).toBe("There is no diet profile named Carnivore");
+});
+
+test("buildSearchPipeline leaves out the excluded items", () => {
+    const { search } = parseSearchQuery({ excludeIngredients: "ham" });
+    const date = new Date(Date.UTC(2023, 10, 14));
+    expect(buildSearchPipeline(search, date, ["ham"])[0]).toEqual({ $match: { dateServed: date, _id: { $nin: ["ham"] } } });
+    expect(buildSearchPipeline(search, date)[0]).toEqual({ $match: { dateServed: date } });
+});
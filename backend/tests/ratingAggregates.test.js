@@ -0,0 +1,66 @@
+/* ratingAggregates.test.js - the stars a rating counts as, live, when the aggregates are rebuilt, in popularity and in the recommender */
+const request = require("supertest");
+const MenuItem = require("../models/menuItem");
+const Rating = require("../models/rating");
+const { starsOf, rebuildRatingAggregates } = require("../util/ratingAggregates");
+const { summarizeRatings } = require("../util/popularity");
+const { buildInteractions } = require("../util/recommender");
+const { appWith } = require("./helpers");
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test.each([
+    [0, 0], [1, 1], [5, 5], ["4", 4], [2.5, 2], [4.9, 4], [0.5, 0], [5.5, 0], [-1, 0], ["five", 0], [undefined, 0]
+])("starsOf(%j) is %j", (rating, stars) => {
+    expect(starsOf(rating)).toBe(stars);
+});
+
+test("the rebuild counts the same ratings as starsOf, as the same stars", async () => {
+    const aggregate = jest.spyOn(Rating, "aggregate").mockResolvedValue([]);
+    jest.spyOn(Rating, "syncIndexes").mockResolvedValue([]);
+    jest.spyOn(MenuItem, "bulkWrite").mockResolvedValue({ modifiedCount: 0 });
+
+    await rebuildRatingAggregates();
+
+    const pipeline = aggregate.mock.calls[1][0]; // the first call looks for duplicates
+    expect(pipeline[0]).toEqual({ $match: { rating: { $gte: 1, $lte: 5 } } });
+    expect(pipeline[1].$project.stars).toEqual({ $floor: "$rating" });
+});
+
+test("popularity counts legacy fractional ratings as starsOf does", () => {
+    expect(summarizeRatings([{ rating: 4.5 }, { rating: 2.9 }, { rating: 0.5 }, { rating: 5 }])).toEqual({
+        avgRating: 3.7,
+        ratingCount: 3,
+        ratingSum: 11,
+        ratingDistribution: [0, 1, 0, 1, 1]
+    });
+});
+
+test("the recommender counts legacy fractional ratings as starsOf does", () => {
+    const interactions = buildInteractions([
+        { userId: "u", menuItemID: "a", rating: 4.5 },
+        { userId: "u", menuItemID: "b", rating: 0.5 }
+    ], []);
+    expect(interactions.get("u")).toEqual(new Map([["a", 0.5]]));
+});
+
+describe("POST /ratings", () => {
+    const app = appWith("/api/ratings", require("../routes/ratings"));
+
+    test.each([2.5, 0.5, -1, 6, "abc"])("rejects a rating of %j", async (rating) => {
+        const res = await request(app).post("/api/ratings").send({ userId: "u", menuItemID: "item", rating: rating });
+        expect(res.status).toBe(400);
+    });
+
+    test("accepts whole stars", async () => {
+        jest.spyOn(Rating, "findOneAndUpdate").mockResolvedValue(null);
+        const update = jest.spyOn(MenuItem, "findOneAndUpdate").mockResolvedValue({ avgRating: 3 });
+
+        const res = await request(app).post("/api/ratings").send({ userId: "u", menuItemID: "item", rating: 3 });
+
+        expect(res.status).toBe(201);
+        expect(update).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,44 @@
+/* recommendations.test.js - who the recommendation routes made from a user's own data answer */
+const request = require("supertest");
+const User = require("../models/user");
+const { appWith, tokenFor } = require("./helpers");
+
+const OWNER = "64b000000000000000000001";
+const OTHER = "64b000000000000000000002";
+const ADMIN = "64b000000000000000000003";
+const PATHS = [
+    "/api/recommendations/saved/" + OWNER,
+    "/api/recommendations/saved/" + OWNER + "/Lunch",
+    "/api/recommendations/similar/" + OWNER,
+    "/api/recommendations/nutrition/" + OWNER + "?court=Wiley&meal=Lunch"
+];
+
+let app;
+
+beforeEach(() => {
+    jest.spyOn(User, "findById").mockResolvedValue(null); // the guard comes before the user is looked up
+    app = appWith("/api/recommendations", require("../routes/recommendations"));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe.each(PATHS)("GET %s", (path) => {
+    test("needs a token", async () => {
+        expect((await request(app).get(path)).status).toBe(401);
+        expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test("doesn't recommend from another user's goals, tracker and ratings", async () => {
+        const res = await request(app).get(path).set("token", tokenFor(OTHER));
+        expect(res.status).toBe(403);
+        expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    test.each([["the user", OWNER, false], ["an admin", ADMIN, true]])("looks the user up for %s", async (who, id, isAdmin) => {
+        const res = await request(app).get(path).set("token", tokenFor(id, isAdmin));
+        expect(res.status).toBe(404);
+        expect(User.findById).toHaveBeenCalledWith(OWNER);
+    });
+});
@@ -0,0 +1,97 @@
+/* reviewPhotos.test.js - uploading review photos and who gets sent them, with photos stored in a temporary directory */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const Rating = require("../models/rating");
+const { appWith, tokenFor } = require("./helpers");
+
+const AUTHOR = "64b000000000000000000001";
+const OTHER = "64b000000000000000000002";
+const ADMIN = "64b000000000000000000003";
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]);
+
+let uploadsDir;
+let app;
+
+/* uploads a photo as AUTHOR and returns its key */
+async function upload() {
+    const res = await request(app).post("/api/reviews/photos").set("token", tokenFor(AUTHOR))
+        .set("Content-Type", "image/jpeg").send(JPEG);
+    expect(res.status).toBe(201);
+    return res.body.key;
+}
+
+/* makes `key` belong to a review by AUTHOR with the given fields, or to no review if `review` is null */
+function attachTo(review) {
+    jest.spyOn(Rating, "findOne").mockResolvedValue(review && { userId: AUTHOR, ...review });
+}
+
+beforeEach(() => {
+    uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), "review-photos-"));
+    process.env.UPLOADS_DIR = uploadsDir;
+    app = appWith("/api/reviews", require("../routes/reviews"));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(uploadsDir, { recursive: true, force: true });
+    delete process.env.UPLOADS_DIR;
+});
+
+describe("POST /photos", () => {
+    test("accepts a Content-Type with parameters", async () => {
+        const res = await request(app).post("/api/reviews/photos").set("token", tokenFor(AUTHOR))
+            .set("Content-Type", "image/jpeg; charset=binary").send(JPEG);
+        expect(res.status).toBe(201);
+        expect(res.body.key).toMatch(new RegExp(`^${AUTHOR}-.*\\.jpg$`));
+    });
+
+    test("rejects types that aren't photos", async () => {
+        const res = await request(app).post("/api/reviews/photos").set("token", tokenFor(AUTHOR))
+            .set("Content-Type", "text/plain").send("not a photo");
+        expect(res.status).toBe(400);
+    });
+});
+
+describe("GET /photos/:key", () => {
+    test("sends photos of listed reviews to anyone", async () => {
+        const key = await upload();
+        attachTo({ reviewedAt: new Date(), status: "published" });
+        const res = await request(app).get("/api/reviews/photos/" + key);
+        expect(res.status).toBe(200);
+        expect(res.headers["content-type"]).toBe("image/jpeg");
+        expect(Rating.findOne).toHaveBeenCalledWith({ photos: key });
+    });
+
+    test("lists reviews saved before moderation, which have no status", async () => {
+        const key = await upload();
+        attachTo({ reviewedAt: new Date() });
+        expect((await request(app).get("/api/reviews/photos/" + key)).status).toBe(200);
+    });
+
+    test.each(["pending", "hidden"])("sends photos of %s reviews only to their author and admins", async (status) => {
+        const key = await upload();
+        attachTo({ reviewedAt: new Date(), status: status });
+        expect((await request(app).get("/api/reviews/photos/" + key)).status).toBe(404);
+        expect((await request(app).get("/api/reviews/photos/" + key).set("token", tokenFor(OTHER))).status).toBe(404);
+        expect((await request(app).get("/api/reviews/photos/" + key).set("token", tokenFor(AUTHOR))).status).toBe(200);
+        expect((await request(app).get("/api/reviews/photos/" + key).set("token", tokenFor(ADMIN, true))).status).toBe(200);
+    });
+
+    test("sends photos not in a review yet only to their uploader and admins", async () => {
+        const key = await upload();
+        attachTo(null);
+        expect((await request(app).get("/api/reviews/photos/" + key)).status).toBe(404);
+        expect((await request(app).get("/api/reviews/photos/" + key).set("token", tokenFor(OTHER))).status).toBe(404);
+        expect((await request(app).get("/api/reviews/photos/" + key).set("token", tokenFor(AUTHOR))).status).toBe(200);
+        expect((await request(app).get("/api/reviews/photos/" + key).set("token", tokenFor(ADMIN, true))).status).toBe(200);
+    });
+
+    test("treats an invalid token as no token", async () => {
+        const key = await upload();
+        attachTo({ reviewedAt: new Date(), status: "hidden" });
+        const res = await request(app).get("/api/reviews/photos/" + key).set("token", "Bearer not-a-jwt");
+        expect(res.status).toBe(404);
+    });
+});
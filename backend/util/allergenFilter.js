@@ -0,0 +1,188 @@
+/* allergenFilter.js - matches menu items against dietary preferences and restrictions */
+const { compileKeywords } = require("./menu/inferAllergens");
+const { getDietProfile } = require("./dietProfiles");
+
+/*
+ * What to do when an item's allergen info doesn't say whether it contains a restriction (or satisfies a
+ * preference), either because the item has no allergen info at all or because the allergen isn't listed.
+ */
+const UNKNOWN_POLICIES = [
+    "exclude", // leave the item out
+    "include", // treat the item as matching
+    "unverified", // keep the item but list the unknowns in its unverifiedAllergens
+];
+
+/*
+ * How serious a restriction is. Items that contain an "avoid" restriction are left out and unknowns follow
+ * the unknown policy; a "strict" allergy also leaves out every item not known to be free of it.
+ */
+const SEVERITIES = ["avoid", "strict"];
+
+/*
+ * Kinds of restrictions: an allergen HFS flags (the default), a free-form ingredient matched against
+ * MenuItem.ingredients (e.g. "mushroom") or a named diet profile from util/dietProfiles (e.g. "Halal").
+ */
+const RESTRICTION_TYPES = ["allergen", "ingredient", "profile"];
+
+/**
+ * Normalizes one restriction into [{ type: "allergen" | "ingredients", name, severity, contains }], where
+ * contains tells whether lowercased ingredient text has what the restriction excludes.
+ * Returns { restrictions } or { error }.
+ */
+function parseRestriction(restriction, strict) {
+    const { type, name, severity } = typeof restriction === "string"
+        ? { type: "allergen", name: restriction }
+        : { type: "allergen", ...restriction };
+    const level = severity || (strict.includes(name) ? "strict" : "avoid");
+
+    if (typeof name !== "string" || name.trim() === "" || !RESTRICTION_TYPES.includes(type) || !SEVERITIES.includes(level)) {
+        return {
+            error: "restrictions must be names or { type, name, severity } with type " + RESTRICTION_TYPES.join(", ")
+                + " and severity " + SEVERITIES.join(" or ")
+        };
+    }
+    if (type === "allergen") {
+        return { restrictions: [{ type: "allergen", name: name, severity: level }] };
+    }
+    if (type === "ingredient") {
+        const contains = compileKeywords({ keywords: [name.trim().toLowerCase()] });
+        return { restrictions: [{ type: "ingredients", name: name, severity: level, contains: contains }] };
+    }
+
+    const profile = getDietProfile(name);
+    if (!profile) {
+        return { error: "There is no diet profile named " + name };
+    }
+    return {
+        restrictions: [
+            { type: "ingredients", name: name, severity: level, contains: compileKeywords(profile) },
+            ...profile.allergens.map(allergen => ({ type: "allergen", name: allergen, severity: level }))
+        ]
+    };
+}
+
+/**
+ * Validates and normalizes a filter. preferences is a list of names (e.g. "Vegan"); restrictions is a list
+ * of allergen names (e.g. "Peanuts") or { type, name, severity } objects (see RESTRICTION_TYPES), names in
+ * `strict` are strict allergies, and unknown is one of UNKNOWN_POLICIES (default "exclude").
+ * Returns { filter: { preferences, restrictions, unknown } } or { error }.
+ */
+function parseFilter({ preferences = [], restrictions = [], strict = [], unknown = "exclude" }) {
+    if (!Array.isArray(preferences) || !preferences.every(p => typeof p === "string")) {
+        return { error: "preferences must be a list of names" };
+    }
+    if (!Array.isArray(restrictions) || !Array.isArray(strict)) {
+        return { error: "restrictions must be a list" };
+    }
+    if (!UNKNOWN_POLICIES.includes(unknown)) {
+        return { error: "unknown allergen info must be handled with one of " + UNKNOWN_POLICIES.join(", ") };
+    }
+
+    const normalized = [];
+    for (const restriction of restrictions) {
+        const { restrictions: parsed, error } = parseRestriction(restriction, strict);
+        if (error) {
+            return { error: error };
+        }
+        normalized.push(...parsed);
+    }
+    return { filter: { preferences: preferences, restrictions: normalized, unknown: unknown } };
+}
+
+/**
+ * Checks an item against a parsed filter. Returns { matches, unverified } where unverified lists the
+ * preferences and restrictions the item's allergen info says nothing about (only with unknown "unverified").
+ *
+ * Where HFS gives no allergen info, flags inferred from the ingredients (item.inferredAllergens) are used:
+ * a keyword found in them ("high" confidence) counts as known, and not finding one ("low" confidence)
+ * counts as known for "avoid" restrictions and preferences but is reported as unverified. Ingredient and
+ * diet profile restrictions are checked against the ingredient text, which is unknown if the item has none.
+ */
+function checkItem(item, filter) {
+    const known = new Map(); // allergen name -> whether the item contains it
+    const guessed = new Set(); // names whose value is only a low confidence guess
+    for (const allergen of (item.inferredAllergens || [])) {
+        known.set(allergen.Name, allergen.Value === true);
+        if (allergen.confidence !== "high") {
+            guessed.add(allergen.Name);
+        }
+    }
+    for (const allergen of (item.allergens || [])) {
+        known.set(allergen.Name, allergen.Value === true);
+        guessed.delete(allergen.Name);
+    }
+
+    const unverified = [];
+    const isUnknown = name => !known.has(name);
+    const unknownMatches = name => { // whether an unknown keeps the item in
+        if (filter.unknown === "unverified") {
+            unverified.push(name);
+        }
+        return filter.unknown !== "exclude";
+    };
+    const flagGuess = name => { // a guess keeps the item in (strict allergies never get here)
+        if (filter.unknown === "unverified") {
+            unverified.push(name);
+        }
+    };
+
+    const ingredients = typeof item.ingredients === "string" && item.ingredients.trim() !== ""
+        ? item.ingredients.toLowerCase()
+        : null;
+
+    for (const restriction of filter.restrictions) {
+        const { name, severity } = restriction;
+        if (restriction.type === "ingredients") {
+            if (ingredients === null) {
+                if (severity === "strict" || !unknownMatches(name)) {
+                    return { matches: false, unverified: [] };
+                }
+            } else if (restriction.contains(ingredients)) {
+                return { matches: false, unverified: [] };
+            }
+        } else if (isUnknown(name) || (guessed.has(name) && severity === "strict")) {
+            if (severity === "strict" || !unknownMatches(name)) {
+                return { matches: false, unverified: [] };
+            }
+        } else if (known.get(name)) {
+            return { matches: false, unverified: [] };
+        } else if (guessed.has(name)) {
+            flagGuess(name);
+        }
+    }
+    for (const preference of filter.preferences) {
+        if (isUnknown(preference)) {
+            if (!unknownMatches(preference)) {
+                return { matches: false, unverified: [] };
+            }
+        } else if (!known.get(preference)) {
+            return { matches: false, unverified: [] };
+        } else if (guessed.has(preference)) {
+            flagGuess(preference);
+        }
+    }
+    return { matches: true, unverified: unverified };
+}
+
+/**
+ * Returns the items matching a parsed filter. With unknown "unverified", items that match only because
+ * of unknowns or guesses are returned as plain objects with an unverifiedAllergens list.
+ */
+function filterItems(items, filter) {
+    const matchingItems = [];
+    for (const item of items) {
+        const { matches, unverified } = checkItem(item, filter);
+        if (!matches) {
+            continue;
+        }
+        if (unverified.length > 0) {
+            const plain = typeof item.toObject === "function" ? item.toObject() : item;
+            matchingItems.push({ ...plain, unverifiedAllergens: unverified });
+        } else {
+            matchingItems.push(item);
+        }
+    }
+    return matchingItems;
+}
+
+module.exports = { UNKNOWN_POLICIES, SEVERITIES, RESTRICTION_TYPES, parseFilter, checkItem, filterItems };
@@ -0,0 +1,15 @@
+/* verifyAdmin.js - verifying JSON web token and that it belongs to an admin */
+const verify = require("./verifyJWTToken");
+
+/* verifies the JSON web token like verify(), then rejects users whose token doesn't carry isAdmin */
+function verifyAdmin(req, res, next) {
+    verify(req, res, () => {
+        if (!req.user.isAdmin) {
+            res.status(403).json("You must be an admin to do this.");
+            return;
+        }
+        next();
+    });
+}
+
+module.exports = verifyAdmin;
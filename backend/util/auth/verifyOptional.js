@@ -0,0 +1,20 @@
+/* verifyOptional.js - reading the JSON web token of requests that don't need one */
+const jwt = require("jsonwebtoken")
+
+/* sets req.user like verify() when the header has a valid JSON web token, and lets every request through either way */
+function verifyOptional(req, res, next) {
+    const authHeader = req.headers.token;
+    if (!authHeader) {
+        next();
+        return;
+    }
+
+    jwt.verify(authHeader.split(" ")[1], process.env.SECRET_KEY, (err, user) => {
+        if (!err) {
+            req.user = user;
+        }
+        next();
+    });
+}
+
+module.exports = verifyOptional;
@@ -0,0 +1,96 @@
+/* busyness.js - estimates how busy a dining court is from users' check-ins */
+const BusyCheckIn = require("../models/busyCheckIn");
+const campusDate = require("./campusDate");
+
+const BUSY_LEVELS = ["not busy", "not too busy", "a little busy", "as busy as it gets"]; // level 1 to 4
+const LIVE_WINDOW_MINUTES = 30; // check-ins younger than this describe the court right now
+const HISTORY_WEEKS = 8; // how far back the day-of-week/hour profile looks
+
+/* returns the label of an average level, e.g. 2.6 -> "a little busy" */
+function labelOf(level) {
+    const index = Math.min(Math.max(Math.round(level), 1), BUSY_LEVELS.length) - 1;
+    return BUSY_LEVELS[index];
+}
+
+/**
+ * Averages the check-ins of the last LIVE_WINDOW_MINUTES minutes, newer check-ins weighing more
+ * (a check-in's weight falls linearly from 1 when it's made to 0 at the end of the window).
+ * Returns null if there are none.
+ */
+async function getLiveEstimate(court) {
+    const now = campusDate.now();
+    const windowMs = LIVE_WINDOW_MINUTES * 60 * 1000;
+    const checkIns = await BusyCheckIn.find({
+        court: court,
+        createdAt: { $gte: new Date(now.getTime() - windowMs) }
+    });
+    if (checkIns.length === 0) {
+        return null;
+    }
+
+    let total = 0;
+    let totalWeight = 0;
+    for (const checkIn of checkIns) {
+        const weight = Math.max(1 - (now.getTime() - checkIn.createdAt.getTime()) / windowMs, 0.05);
+        total += checkIn.level * weight;
+        totalWeight += weight;
+    }
+    const level = total / totalWeight;
+    return { level: Number(level.toFixed(1)), label: labelOf(level), source: "live", checkIns: checkIns.length };
+}
+
+/**
+ * Averages the last HISTORY_WEEKS weeks of check-ins by campus day of week (1 = Sunday, like MongoDB's
+ * $dayOfWeek) and hour. Returns [{ day, hour, level, checkIns }] for every day/hour that has check-ins.
+ */
+async function getBusynessProfile(court) {
+    const since = new Date(campusDate.now().getTime() - HISTORY_WEEKS * 7 * 24 * 60 * 60 * 1000);
+    const timezone = campusDate.getTimezone();
+
+    const profile = await BusyCheckIn.aggregate([
+        { $match: { court: court, createdAt: { $gte: since } } },
+        {
+            $group: {
+                _id: {
+                    day: { $dayOfWeek: { date: "$createdAt", timezone: timezone } },
+                    hour: { $hour: { date: "$createdAt", timezone: timezone } }
+                },
+                level: { $avg: "$level" },
+                checkIns: { $sum: 1 }
+            }
+        },
+        { $sort: { "_id.day": 1, "_id.hour": 1 } }
+    ]);
+
+    return profile.map(slot => ({
+        day: slot._id.day,
+        hour: slot._id.hour,
+        level: Number(slot.level.toFixed(1)),
+        label: labelOf(slot.level),
+        checkIns: slot.checkIns
+    }));
+}
+
+/* returns what the court is usually like at this day of week and hour, or null if nobody checked in then */
+async function getHistoricalEstimate(court) {
+    const { weekday, hour } = campusDate.campusParts();
+    const day = campusDate.DAYS.indexOf(weekday) + 1;
+
+    const slot = (await getBusynessProfile(court)).find(s => s.day === day && s.hour === hour);
+    if (!slot) {
+        return null;
+    }
+    return { level: slot.level, label: slot.label, source: "historical", checkIns: slot.checkIns };
+}
+
+/**
+ * Estimates how busy a court is right now from recent check-ins, falling back to the court's
+ * day-of-week/hour profile when nobody has checked in recently.
+ */
+async function estimateBusyness(court) {
+    return await getLiveEstimate(court)
+        || await getHistoricalEstimate(court)
+        || { level: null, label: "unknown", source: "none", checkIns: 0 };
+}
+
+module.exports = { BUSY_LEVELS, estimateBusyness, getBusynessProfile };
@@ -0,0 +1,161 @@
+/* campusDate.js - the single source of "now" and "today" in the campus timezone */
+
+const DEFAULT_TIMEZONE = "America/Indiana/Indianapolis"; // Purdue's timezone
+const DAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+/*
+ * Days are passed around as "YYYY-M-D" date keys of the campus calendar and stored in the DB as
+ * UTC midnight of that day (see toDate), so neither depends on the server's own timezone.
+ */
+
+let clock = () => new Date();
+
+/* replaces the clock used by now(), e.g. setClock(() => new Date("2023-11-14T03:30:00Z")) in tests */
+function setClock(fn) {
+    clock = fn;
+}
+
+/* restores the real clock */
+function resetClock() {
+    clock = () => new Date();
+}
+
+/* returns the current instant from the clock */
+function now() {
+    return clock();
+}
+
+/* returns the campus timezone, configurable with CAMPUS_TIMEZONE */
+function getTimezone() {
+    return process.env.CAMPUS_TIMEZONE || DEFAULT_TIMEZONE;
+}
+
+/* returns the year, month, day, hour, minute and weekday of an instant on the campus wall clock */
+function campusParts(date = now()) {
+    const parts = {};
+    new Intl.DateTimeFormat("en-US", {
+        timeZone: getTimezone(),
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        hourCycle: "h23",
+        weekday: "long"
+    }).formatToParts(date).forEach(part => {
+        parts[part.type] = part.value;
+    });
+
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: parts.weekday
+    };
+}
+
+/* returns the "YYYY-M-D" campus date key of an instant */
+function dateKeyOf(date) {
+    const { year, month, day } = campusParts(date);
+    return year + "-" + month + "-" + day;
+}
+
+/* returns today's "YYYY-M-D" campus date key */
+function todayKey() {
+    return dateKeyOf(now());
+}
+
+/* converts a "YYYY-M-D" date key into the Date it is stored as (UTC midnight of that day) */
+function toDate(key) {
+    const [y, m, d] = key.split("-").map(Number);
+    return new Date(Date.UTC(y, m - 1, d));
+}
+
+/* converts a stored Date back into its "YYYY-M-D" date key */
+function fromDate(date) {
+    return date.getUTCFullYear() + "-" + (date.getUTCMonth() + 1) + "-" + date.getUTCDate();
+}
+
+/* returns today's campus date as it is stored in the DB (e.g. MenuItem.dateServed) */
+function todayDate() {
+    return toDate(todayKey());
+}
+
+/* returns the date key `days` days after the given one */
+function addDays(key, days) {
+    const date = toDate(key);
+    date.setUTCDate(date.getUTCDate() + days);
+    return fromDate(date);
+}
+
+/* returns the weekday name of a date key */
+function dayName(key) {
+    return DAYS[toDate(key).getUTCDay()];
+}
+
+/* returns the date key of the first day of the week (starting Sunday), month or year ("week", "month", "year") a date key is in */
+function periodStart(key, period) {
+    const [year, month] = key.split("-");
+    if (period === "week") {
+        return addDays(key, -toDate(key).getUTCDay());
+    }
+    return period === "month" ? year + "-" + month + "-1" : year + "-1-1";
+}
+
+/* parses a "YYYY-MM-DD" (or "YYYY-M-D") string from a request into a date key, or null if it isn't a real date */
+function parseDateKey(value) {
+    const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value || "");
+    if (!match) {
+        return null;
+    }
+    const key = Number(match[1]) + "-" + Number(match[2]) + "-" + Number(match[3]);
+    return fromDate(toDate(key)) === key ? key : null; // rejects e.g. 2023-02-30
+}
+
+/* parses a time from a request (e.g. an ISO string) into a Date, or null if it isn't one */
+function parseTime(value) {
+    const date = typeof value === "string" && value !== "" ? new Date(value) : null;
+    return date && !isNaN(date) ? date : null;
+}
+
+/* returns the instant the campus wall clock shows `hour`:00 on a date key */
+function timeOn(key, hour) {
+    const guess = new Date(toDate(key).getTime() + hour * 3600000); // right if the campus were on UTC
+    const { year, month, day, hour: shownHour, minute } = campusParts(guess);
+    const shown = Date.UTC(year, month - 1, day, shownHour, minute);
+    return new Date(guess.getTime() - (shown - guess.getTime()));
+}
+
+/* returns when something logged for a day without a time happened: when it was logged if that was on the day, otherwise noon */
+function timeOnDay(key, loggedAt = now()) {
+    return dateKeyOf(loggedAt) === key ? loggedAt : timeOn(key, 12);
+}
+
+/* formats a date key as "YYYY-MM-DD" */
+function formatDateKey(key) {
+    return key.split("-").map(n => n.padStart(2, "0")).join("-");
+}
+
+module.exports = {
+    DAYS,
+    setClock,
+    resetClock,
+    now,
+    getTimezone,
+    campusParts,
+    dateKeyOf,
+    todayKey,
+    toDate,
+    fromDate,
+    todayDate,
+    addDays,
+    dayName,
+    periodStart,
+    parseDateKey,
+    parseTime,
+    timeOn,
+    timeOnDay,
+    formatDateKey
+};
@@ -0,0 +1,51 @@
+/* concurrency.js - helpers for running batches of async work with a concurrency limit and retries */
+
+/* resolves after the given number of milliseconds */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Calls fn on every element of items with at most `limit` calls in flight at once.
+ * Results are returned in the same order as items. Rejections are not caught here,
+ * so fn should handle its own errors if one failure shouldn't stop the batch.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function worker() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const workers = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+/**
+ * Calls fn until it resolves, retrying up to `retries` more times with exponential backoff
+ * (baseDelayMs, 2 * baseDelayMs, 4 * baseDelayMs, ...). The last error is rethrown with
+ * an `attempts` property recording how many calls were made.
+ */
+async function withRetry(fn, { retries = 3, baseDelayMs = 500 } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (err) {
+            if (attempt > retries) {
+                err.attempts = attempt;
+                throw err;
+            }
+            await sleep(baseDelayMs * 2 ** (attempt - 1));
+        }
+    }
+}
+
+module.exports = { sleep, mapWithConcurrency, withRetry };
@@ -0,0 +1,162 @@
+/* courtInfo.js - default and admin-edited dining court metadata (address, coordinates, contacts, hours) */
+const { DAYS } = require("./campusDate");
+const { withMinutes } = require("./mealTimes");
+
+/*
+ * Metadata the menu providers don't have. A court gets these when it's first loaded (or is missing
+ * them); after that admins keep them up to date with PUT /menuInfo/courts/:diningCourt.
+ */
+const DEFAULT_COURT_INFO = {
+    Windsor: {
+        address: { street: "205 North Russell Street", city: "West Lafayette", state: "IN", zip: "47906" },
+        coordinates: { latitude: 40.4270158, longitude: -86.9205696 },
+        contact: { phone: "(765) 496-3905", email: "kbinge@purdue.edu" }
+    },
+    Wiley: {
+        address: { street: "498 S Martin Jischke Drive", city: "West Lafayette", state: "IN", zip: "47906" },
+        coordinates: { latitude: 40.4285229, longitude: -86.9207974 },
+        contact: { phone: "(765) 494-2264", email: "cavanare@purdue.edu" }
+    },
+    Ford: {
+        address: { street: "1122 West Stadium Avenue", city: "West Lafayette", state: "IN", zip: "47906" },
+        coordinates: { latitude: 40.4321076, longitude: -86.9193754 },
+        contact: { phone: "(765) 494-2482", email: "ahallmen@purdue.edu" }
+    },
+    Earhart: {
+        address: { street: "1275 1st Street", city: "West Lafayette", state: "IN", zip: "47906" },
+        coordinates: { latitude: 40.4256049, longitude: -86.9251085 },
+        contact: { phone: "(765) 496-6925", email: "coryb@purdue.edu" }
+    },
+    Hillenbrand: {
+        address: { street: "1301 3rd Street", city: "West Lafayette", state: "IN", zip: "47906" },
+        coordinates: { latitude: 40.4270003, longitude: -86.9266448 },
+        contact: { phone: "(765) 496-0461", email: "nmputubw@purdue.edu" }
+    }
+};
+
+const TIME_FORMAT = /^(1[0-2]|[1-9]):[0-5]\d (AM|PM)$/; // e.g. "7:00 AM", the format of mealInfo times
+const EMAIL_FORMAT = /^[^\s@]+@[^\s@]+$/;
+
+const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+const isString = value => typeof value === "string";
+
+/* returns the default metadata of a court, or an empty object if it has none */
+function getDefaultCourtInfo(name) {
+    return DEFAULT_COURT_INFO[name] || {};
+}
+
+/* returns an error message if `address` isn't {street, city, state, zip} strings, else null */
+function checkAddress(address) {
+    if (!isObject(address)) {
+        return "address must be an object";
+    }
+    for (const key of ["street", "city", "state", "zip"]) {
+        if (address[key] !== undefined && !isString(address[key])) {
+            return "address." + key + " must be a string";
+        }
+    }
+    return null;
+}
+
+/* returns an error message if `coordinates` isn't a valid {latitude, longitude}, else null */
+function checkCoordinates(coordinates) {
+    if (!isObject(coordinates)) {
+        return "coordinates must be an object";
+    }
+    const { latitude, longitude } = coordinates;
+    if (typeof latitude !== "number" || latitude < -90 || latitude > 90) {
+        return "coordinates.latitude must be a number between -90 and 90";
+    }
+    if (typeof longitude !== "number" || longitude < -180 || longitude > 180) {
+        return "coordinates.longitude must be a number between -180 and 180";
+    }
+    return null;
+}
+
+/* returns an error message if `contact` isn't {phone, email} strings, else null */
+function checkContact(contact) {
+    if (!isObject(contact)) {
+        return "contact must be an object";
+    }
+    if (contact.phone !== undefined && !isString(contact.phone)) {
+        return "contact.phone must be a string";
+    }
+    if (contact.email !== undefined && !(isString(contact.email) && EMAIL_FORMAT.test(contact.email))) {
+        return "contact.email must be an email address";
+    }
+    return null;
+}
+
+/* returns an error message if `weeklyMealInfo` isn't { weekday: [{mealType, start, end}] }, else null */
+function checkWeeklyMealInfo(weeklyMealInfo) {
+    if (!isObject(weeklyMealInfo)) {
+        return "weeklyMealInfo must be an object";
+    }
+    for (const [day, meals] of Object.entries(weeklyMealInfo)) {
+        if (!DAYS.includes(day)) {
+            return "weeklyMealInfo has an unknown day " + day;
+        }
+        if (!Array.isArray(meals)) {
+            return "weeklyMealInfo." + day + " must be a list of meals";
+        }
+        for (const meal of meals) {
+            if (!isObject(meal) || !isString(meal.mealType) || meal.mealType === "") {
+                return "every meal in weeklyMealInfo." + day + " needs a mealType";
+            }
+            if (!TIME_FORMAT.test(meal.start) || !TIME_FORMAT.test(meal.end)) {
+                return "meal times in weeklyMealInfo." + day + " must look like \"7:00 AM\"";
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates the editable fields of a court in a request body. Returns { update } with the fields to set,
+ * or { error } with what's wrong. Setting weeklyMealInfo marks the hours as manual so menu loads keep them;
+ * sending manualHours: false hands them back to the menu provider.
+ */
+function parseCourtInfo(body) {
+    const update = {};
+    const checks = {
+        address: checkAddress,
+        coordinates: checkCoordinates,
+        contact: checkContact,
+        weeklyMealInfo: checkWeeklyMealInfo
+    };
+
+    for (const key of ["formalName", "googleID"]) {
+        if (body[key] !== undefined) {
+            if (!isString(body[key])) {
+                return { error: key + " must be a string" };
+            }
+            update[key] = body[key];
+        }
+    }
+    for (const [key, check] of Object.entries(checks)) {
+        if (body[key] !== undefined) {
+            const error = check(body[key]);
+            if (error) {
+                return { error: error };
+            }
+            update[key] = body[key];
+        }
+    }
+    if (update.weeklyMealInfo) {
+        const weeklyMealInfo = {};
+        for (const [day, meals] of Object.entries(update.weeklyMealInfo)) {
+            weeklyMealInfo[day] = meals.map(meal => withMinutes({ mealType: meal.mealType, start: meal.start, end: meal.end }));
+        }
+        update.weeklyMealInfo = weeklyMealInfo;
+        update.manualHours = true;
+    }
+    if (body.manualHours !== undefined) {
+        if (typeof body.manualHours !== "boolean") {
+            return { error: "manualHours must be true or false" };
+        }
+        update.manualHours = body.manualHours;
+    }
+    return { update: update };
+}
+
+module.exports = { getDefaultCourtInfo, parseCourtInfo };
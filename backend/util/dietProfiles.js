@@ -0,0 +1,53 @@
+/* dietProfiles.js - named diets users can pick as restrictions, matched against MenuItem.ingredients */
+
+/*
+ * Each profile leaves out items whose ingredients contain one of its keywords (whole words, plurals
+ * included, phrases in except don't count) and items carrying one of its allergens.
+ */
+const DIET_PROFILES = {
+    "Halal": {
+        description: "No pork, alcohol or non-halal animal fats",
+        keywords: ["pork", "bacon", "ham", "lard", "pepperoni", "salami", "prosciutto", "chorizo", "pancetta", "gelatin",
+            "wine", "beer", "rum", "bourbon", "brandy", "vodka", "liqueur", "alcohol", "mirin"],
+        except: ["turkey bacon", "turkey ham", "beef pepperoni", "halal gelatin", "vegan gelatin", "wine vinegar", "rice wine vinegar"],
+        allergens: [],
+    },
+    "Pork-Free": {
+        description: "No pork or pork products",
+        keywords: ["pork", "bacon", "ham", "lard", "pepperoni", "salami", "prosciutto", "chorizo", "pancetta"],
+        except: ["turkey bacon", "turkey ham", "beef pepperoni"],
+        allergens: [],
+    },
+    "Beef-Free": {
+        description: "No beef or veal",
+        keywords: ["beef", "veal", "steak", "brisket", "tallow", "corned beef", "pastrami"],
+        except: [],
+        allergens: [],
+    },
+    "Alcohol-Free": {
+        description: "No alcohol used in cooking",
+        keywords: ["wine", "beer", "rum", "bourbon", "brandy", "vodka", "liqueur", "alcohol", "mirin", "sherry"],
+        except: ["wine vinegar", "rice wine vinegar", "sherry vinegar"],
+        allergens: [],
+    },
+    "Low-FODMAP": {
+        description: "Leaves out common high-FODMAP ingredients",
+        keywords: ["garlic", "onion", "shallot", "leek", "honey", "agave", "high fructose corn syrup", "inulin", "chicory",
+            "apple", "pear", "mango", "watermelon", "cauliflower", "mushroom", "asparagus", "artichoke",
+            "bean", "lentil", "chickpea", "cashew", "pistachio", "sorbitol", "mannitol", "xylitol", "lactose"],
+        except: ["garlic-infused oil", "garlic infused oil", "green beans", "lactose-free", "lactose free"],
+        allergens: ["Wheat", "Milk"],
+    },
+};
+
+/* returns the names and descriptions of the diet profiles */
+function listDietProfiles() {
+    return Object.entries(DIET_PROFILES).map(([name, profile]) => ({ name: name, description: profile.description }));
+}
+
+/* returns a diet profile by name, or undefined if there's none */
+function getDietProfile(name) {
+    return DIET_PROFILES[name];
+}
+
+module.exports = { listDietProfiles, getDietProfile };
@@ -0,0 +1,238 @@
+/* exerciseStats.js - exercise analytics: volume, estimated one-rep maxes, personal records and progression per exercise */
+const ExerciseLog = require("../models/exerciseLog");
+const campusDate = require("./campusDate");
+const { parseRange } = require("./foodLog");
+const { exerciseToClient } = require("./healthLogs");
+
+/*
+ * Every logged exercise is one session of it, and exercises with the same name (ignoring case and surrounding
+ * spaces) are the same exercise. Volume is the pounds moved in a session, reps times weight over all its sets, and
+ * all weights are in pounds (sets logged in kilograms are converted).
+ * The estimated one-rep max (1RM) is Epley's weight × (1 + reps / 30), from sets of at most MAX_1RM_REPS reps since
+ * it means little past that. Personal records cover all of a user's history up to the end of the range asked for,
+ * and progression compares every session in the range with the session of the same exercise before it.
+ */
+const STATS_PERIODS = ["week", "month", "year"]; // weeks start on Sunday
+const DEFAULT_PERIODS = { week: 12, month: 12, year: 5 }; // periods covered when no ?from= is given
+const MAX_STATS_DAYS = 1827; // days a range can cover, 5 years
+const MAX_1RM_REPS = 12;
+const POUNDS_PER_KG = 2.20462;
+const RECORDS = ["heaviestWeight", "estimated1RM", "volume", "totalReps", "time"]; // kept per exercise, the biggest one wins
+const PROGRESSION = ["volume", "estimated1RM", "time"]; // compared with the previous session
+
+/* rounds to one decimal */
+function round(n) {
+    return Number(n.toFixed(1));
+}
+
+/* returns the key exercises are grouped by: their name in lowercase without surrounding spaces */
+function nameKey(exerciseName) {
+    return String(exerciseName).trim().toLowerCase();
+}
+
+/* returns a regex matching the exercise names that nameKey gives the same key as `exerciseName` */
+function nameMatcher(exerciseName) {
+    return new RegExp("^\\s*" + String(exerciseName).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&") + "\\s*$", "i");
+}
+
+/*
+ * Returns the exercises a user logged from `from` to `to` (only the ones named `exerciseName` if given) and the
+ * sessions before `from` of the exercises done in the range, which only need what their stats are worked out from.
+ * Both are sorted by when they were done.
+ */
+async function findSessions(userId, from, to, exerciseName) {
+    const inRange = await ExerciseLog.find({
+        userId: String(userId),
+        date: { $gte: campusDate.toDate(from), $lte: campusDate.toDate(to) },
+        ...(exerciseName !== undefined ? { exerciseName: nameMatcher(exerciseName) } : {})
+    }).sort({ performedAt: 1, _id: 1 });
+    const names = [...new Set(inRange.map(exercise => nameKey(exercise.exerciseName)))];
+    const before = names.length === 0 ? [] : await ExerciseLog.find(
+        { userId: String(userId), date: { $lt: campusDate.toDate(from) }, exerciseName: { $in: names.map(nameMatcher) } },
+        { exerciseName: 1, date: 1, performedAt: 1, sets: 1, time: 1 }
+    ).sort({ performedAt: 1, _id: 1 });
+    return { before: before, inRange: inRange };
+}
+
+/* returns the sets of a logged exercise that have reps as [{ reps, weight }], weight in pounds or null if none was logged */
+function setsOf(exercise) {
+    return exercise.sets.filter(set => set.reps > 0).map(set => ({
+        reps: set.reps,
+        weight: set.weight > 0 ? set.weight * (set.unit === "kg" ? POUNDS_PER_KG : 1) : null
+    }));
+}
+
+/* returns Epley's estimated one-rep max from a set, or null if the set has no weight or too many reps */
+function estimate1RM(set) {
+    if (set.weight === null || set.reps > MAX_1RM_REPS) {
+        return null;
+    }
+    return set.reps <= 1 ? set.weight : set.weight * (1 + set.reps / 30);
+}
+
+/* returns { heaviestWeight, estimated1RM, volume, totalReps, time } of a session, with null for the ones it has none of */
+function sessionStats(exercise) {
+    const sets = setsOf(exercise);
+    const weights = sets.filter(set => set.weight !== null).map(set => set.weight);
+    const estimates = sets.map(estimate1RM).filter(estimate => estimate !== null);
+    const volume = sets.reduce((sum, set) => sum + set.reps * (set.weight || 0), 0);
+    const reps = sets.reduce((sum, set) => sum + set.reps, 0);
+    return {
+        heaviestWeight: weights.length > 0 ? round(Math.max(...weights)) : null,
+        estimated1RM: estimates.length > 0 ? round(Math.max(...estimates)) : null,
+        volume: volume > 0 ? round(volume) : null,
+        totalReps: reps > 0 ? reps : null,
+        time: exercise.time > 0 ? exercise.time : null
+    };
+}
+
+/**
+ * Parses ?from= and ?to= ("YYYY-MM-DD") of stats by `period` into { from, to } date keys, or { error }. to defaults
+ * to today and from to the start of the 12th week or month, or the 5th year, back from to.
+ */
+function parseStatsRange(query, period) {
+    if (query.from === undefined) {
+        const to = query.to === undefined ? campusDate.todayKey() : campusDate.parseDateKey(query.to);
+        if (!to) {
+            return { error: "Invalid date, expected YYYY-MM-DD" };
+        }
+        let from = campusDate.periodStart(to, period);
+        for (let i = 1; i < DEFAULT_PERIODS[period]; i++) {
+            from = campusDate.periodStart(campusDate.addDays(from, -1), period);
+        }
+        return { from: from, to: to };
+    }
+    return parseRange(query, 1, MAX_STATS_DAYS);
+}
+
+/* returns a Map<period start, { start, end }> of every week, month or year a range touches, cut to the range */
+function periodsOf(period, from, to) {
+    const periods = new Map();
+    for (let key = from; campusDate.toDate(key) <= campusDate.toDate(to); key = campusDate.addDays(key, 1)) {
+        const start = campusDate.periodStart(key, period);
+        if (!periods.has(start)) {
+            periods.set(start, { start: key, end: key });
+        }
+        periods.get(start).end = key;
+    }
+    return periods;
+}
+
+/* returns the totals of no sessions, for a period or a range */
+function emptyTotals() {
+    return { sessions: 0, volume: 0, reps: 0, time: 0 };
+}
+
+/* adds a session's stats to totals */
+function addSession(totals, stats) {
+    totals.sessions += 1;
+    totals.volume += stats.volume || 0;
+    totals.reps += stats.totalReps || 0;
+    totals.time += stats.time || 0;
+}
+
+/* returns totals as sent to clients, with the period they cover if they are a period's */
+function totalsToClient({ sessions, volume, reps, time }, period) {
+    const totals = { sessions: sessions, volume: round(volume), reps: round(reps), time: round(time) };
+    return period ? { start: campusDate.formatDateKey(period.start), end: campusDate.formatDateKey(period.end), ...totals } : totals;
+}
+
+/**
+ * Works out a user's exercise stats by week, month or year (`period`) from `from` to `to`, for every exercise or
+ * only the one named `exerciseName`. Returns
+ *   { period, from, to, buckets: [{ start, end, sessions, volume, reps, time }], exercises: [{ exerciseName,
+ *     exerciseType, sessions, volume, reps, time, personalRecords, progression, buckets }] }
+ * where buckets cover every period the range touches (cut to the range) and exercises are the ones done in the
+ * range, by name. personalRecords has the best { value, date, _id } (or null) of each of RECORDS; progression
+ * has every session in the range, oldest first, as logged with its stats, the change of PROGRESSION since the
+ * session before it (null without one to compare) and the records it beat; an exercise's buckets also have the
+ * best estimated1RM. Sessions before the range are only read for the exercises done in it.
+ */
+async function getExerciseStats(userId, period, from, to, exerciseName) {
+    const { before, inRange } = await findSessions(userId, from, to, exerciseName);
+    const logged = [...before, ...inRange];
+    const periods = periodsOf(period, from, to);
+    const buckets = new Map([...periods.keys()].map(start => [start, emptyTotals()]));
+    const exercises = new Map();
+
+    for (const exercise of logged) {
+        const key = nameKey(exercise.exerciseName);
+        if (exerciseName !== undefined && key !== nameKey(exerciseName)) {
+            continue;
+        }
+        if (!exercises.has(key)) {
+            exercises.set(key, {
+                records: Object.fromEntries(RECORDS.map(record => [record, null])),
+                previous: null,
+                totals: emptyTotals(),
+                progression: [],
+                buckets: new Map([...periods.keys()].map(start => [start, { ...emptyTotals(), estimated1RM: null }]))
+            });
+        }
+        const current = exercises.get(key);
+        const stats = sessionStats(exercise);
+        const day = campusDate.fromDate(exercise.date);
+        const beaten = RECORDS.filter(record => stats[record] !== null && current.records[record] !== null &&
+            stats[record] > current.records[record].value);
+
+        if (campusDate.toDate(day) >= campusDate.toDate(from)) {
+            const start = campusDate.periodStart(day, period);
+            const bucket = current.buckets.get(start);
+            addSession(current.totals, stats);
+            addSession(bucket, stats);
+            addSession(buckets.get(start), stats);
+            if (stats.estimated1RM !== null && !(bucket.estimated1RM >= stats.estimated1RM)) {
+                bucket.estimated1RM = stats.estimated1RM;
+            }
+            current.exerciseName = exercise.exerciseName;
+            current.exerciseType = exercise.exerciseType;
+            current.progression.push({
+                _id: exercise._id,
+                date: campusDate.formatDateKey(day),
+                performedAt: exercise.performedAt,
+                ...stats,
+                sets: exerciseToClient(exercise).sets,
+                time: exercise.time,
+                change: Object.fromEntries(PROGRESSION.map(stat => [
+                    stat,
+                    current.previous && current.previous[stat] !== null && stats[stat] !== null ? round(stats[stat] - current.previous[stat]) : null
+                ])),
+                records: beaten
+            });
+        }
+
+        for (const record of RECORDS) {
+            if (stats[record] !== null && (current.records[record] === null || stats[record] > current.records[record].value)) {
+                current.records[record] = { value: stats[record], date: campusDate.formatDateKey(day), _id: exercise._id };
+            }
+        }
+        current.previous = stats;
+    }
+
+    return {
+        period: period,
+        from: campusDate.formatDateKey(from),
+        to: campusDate.formatDateKey(to),
+        buckets: [...periods.entries()].map(([start, dates]) => totalsToClient(buckets.get(start), dates)),
+        exercises: [...exercises.values()]
+            .filter(current => current.progression.length > 0)
+            .sort((a, b) => a.exerciseName.localeCompare(b.exerciseName))
+            .map(current => ({
+                exerciseName: current.exerciseName,
+                exerciseType: current.exerciseType,
+                ...totalsToClient(current.totals),
+                personalRecords: current.records,
+                progression: current.progression,
+                buckets: [...periods.entries()].map(([start, dates]) => ({
+                    ...totalsToClient(current.buckets.get(start), dates),
+                    estimated1RM: current.buckets.get(start).estimated1RM
+                }))
+            }))
+    };
+}
+
+module.exports = {
+    STATS_PERIODS,
+    parseStatsRange,
+    getExerciseStats
+};
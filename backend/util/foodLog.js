@@ -0,0 +1,251 @@
+/* foodLog.js - the meal tracker's history: foods logged per campus day, daily totals and weekly/monthly trends */
+const crypto = require("crypto");
+const FoodLog = require("../models/foodLog");
+const User = require("../models/user");
+const campusDate = require("./campusDate");
+
+/*
+ * Every food a user logs is a FoodLog document dated with the campus day it was eaten, so "today" in the meal
+ * tracker is just the foods dated today and past days stay browsable. Foods are identified by their _id and keep
+ * when they were eaten in eatenAt. Foods used to live in User.foods and were wiped every midnight;
+ * migrateTrackerFoods moves whatever is left there into the log.
+ */
+const MACROS = ["calories", "protein", "carbohydrates", "fat"];
+const MAX_HISTORY_DAYS = 92; // days of foods returned at once
+const MAX_TREND_DAYS = 366; // days of totals a trend can cover
+const TREND_PERIODS = ["week", "month"]; // weeks start on Sunday
+
+/* returns a non-negative number from a tracker value ("12", 12), or 0 if it isn't one */
+function toAmount(value) {
+    const n = parseFloat(value);
+    return Number.isFinite(n) && n >= 0 ? n : 0;
+}
+
+/* returns the fields of a food from a tracker request body, with the tracker's defaults for missing ones */
+function foodFields(body) {
+    return {
+        foodName: typeof body.foodName === "string" && body.foodName.trim() !== "" ? body.foodName : "[No name]",
+        ...Object.fromEntries(MACROS.map(key => [key, toAmount(body[key])])),
+        servings: toAmount(body.servings),
+        servingSize: body.servingSize || "[unknown serving size]",
+        mealType: body.mealType || "[no meal type]"
+    };
+}
+
+/**
+ * Reads when a food was eaten from a request body: eatenAt (a time), or a date ("YYYY-MM-DD", today by default)
+ * eaten at campusDate.timeOnDay of it. Neither can be in the future. Returns { date, eatenAt } or { error }.
+ */
+function parseEatenAt(body) {
+    if (body.eatenAt !== undefined) {
+        const eatenAt = campusDate.parseTime(body.eatenAt);
+        if (!eatenAt || eatenAt > campusDate.now()) {
+            return { error: "eatenAt must be a time that is not in the future" };
+        }
+        const date = campusDate.dateKeyOf(eatenAt);
+        if (body.date !== undefined && campusDate.parseDateKey(body.date) !== date) {
+            return { error: "eatenAt must be on date" };
+        }
+        return { date: date, eatenAt: eatenAt };
+    }
+    const date = body.date === undefined ? campusDate.todayKey() : campusDate.parseDateKey(body.date);
+    if (!date || campusDate.toDate(date) > campusDate.todayDate()) {
+        return { error: "date must be a YYYY-MM-DD date that is not in the future" };
+    }
+    return { date: date, eatenAt: campusDate.timeOnDay(date) };
+}
+
+/* returns a logged food as the tracker sends it to clients, with its day as "YYYY-MM-DD" */
+function toClient(food) {
+    const { _id, foodName, calories, fat, protein, carbohydrates, servings, servingSize, mealType, eatenAt } = food;
+    return {
+        _id, foodName, calories, fat, protein, carbohydrates, servings, servingSize, mealType, eatenAt,
+        date: campusDate.formatDateKey(campusDate.fromDate(food.date))
+    };
+}
+
+/**
+ * Parses ?from= and ?to= ("YYYY-MM-DD") into { from, to } date keys, or { error }. to defaults to today and from
+ * to `defaultDays` - 1 days before to; the range can't be longer than maxDays.
+ */
+function parseRange(query, defaultDays, maxDays) {
+    const to = query.to === undefined ? campusDate.todayKey() : campusDate.parseDateKey(query.to);
+    const from = query.from === undefined && to ? campusDate.addDays(to, 1 - defaultDays) : campusDate.parseDateKey(query.from);
+    if (!from || !to) {
+        return { error: "Invalid date, expected YYYY-MM-DD" };
+    }
+    if (campusDate.toDate(from) > campusDate.toDate(to)) {
+        return { error: "from must not be after to" };
+    }
+    if (campusDate.toDate(campusDate.addDays(from, maxDays - 1)) < campusDate.toDate(to)) {
+        return { error: "A range can be at most " + maxDays + " days long" };
+    }
+    return { from: from, to: to };
+}
+
+/* returns the date keys from `from` to `to`, both included */
+function daysBetween(from, to) {
+    const days = [];
+    for (let key = from; campusDate.toDate(key) <= campusDate.toDate(to); key = campusDate.addDays(key, 1)) {
+        days.push(key);
+    }
+    return days;
+}
+
+/* returns the foods a user logged on a day, in the order they were eaten */
+async function getFoodsOn(userId, dateKey) {
+    return await FoodLog.find({ userId: String(userId), date: campusDate.toDate(dateKey) }).sort({ eatenAt: 1, _id: 1 });
+}
+
+/* returns the macros of foods added up (each food's macros times its servings), rounded to one decimal */
+function totalsOf(foods) {
+    const totals = {};
+    for (const key of MACROS) {
+        const total = foods.reduce((sum, food) => sum + toAmount(food[key]) * toAmount(food.servings), 0);
+        totals[key] = Number(total.toFixed(1));
+    }
+    return totals;
+}
+
+/* returns Map<date key, { calories, protein, carbohydrates, fat, foods }> of the days a user logged foods on in a range */
+async function getDailyTotals(userId, from, to) {
+    const rows = await FoodLog.aggregate([
+        { $match: { userId: String(userId), date: { $gte: campusDate.toDate(from), $lte: campusDate.toDate(to) } } },
+        {
+            $group: {
+                _id: "$date",
+                ...Object.fromEntries(MACROS.map(key => [key, { $sum: { $multiply: ["$" + key, "$servings"] } }])),
+                foods: { $sum: 1 }
+            }
+        }
+    ]);
+    return new Map(rows.map(row => [
+        campusDate.fromDate(row._id),
+        { ...Object.fromEntries(MACROS.map(key => [key, Number(row[key].toFixed(1))])), foods: row.foods }
+    ]));
+}
+
+/* returns every day of a range with the foods logged on it: [{ date, foods, totals }] */
+async function getHistory(userId, from, to) {
+    const foods = await FoodLog.find({ userId: String(userId), date: { $gte: campusDate.toDate(from), $lte: campusDate.toDate(to) } })
+        .sort({ date: 1, eatenAt: 1, _id: 1 });
+    return daysBetween(from, to).map(key => {
+        const dayFoods = foods.filter(food => campusDate.fromDate(food.date) === key);
+        return { date: campusDate.formatDateKey(key), foods: dayFoods.map(toClient), totals: totalsOf(dayFoods) };
+    });
+}
+
+/**
+ * Sums a user's daily totals per week or month of a range. Returns [{ start, end, daysLogged, totals, dailyAverage }]
+ * for every period the range touches (cut to the range), where dailyAverage is over the days with foods logged
+ * (0s if there are none).
+ */
+async function getTrends(userId, period, from, to) {
+    const daily = await getDailyTotals(userId, from, to);
+    const periods = new Map();
+    for (const key of daysBetween(from, to)) {
+        const start = campusDate.periodStart(key, period);
+        if (!periods.has(start)) {
+            periods.set(start, { start: key, end: key, days: [] }); // the range can start in the middle of a period
+        }
+        const current = periods.get(start);
+        current.end = key;
+        if (daily.has(key)) {
+            current.days.push(daily.get(key));
+        }
+    }
+
+    return [...periods.values()].map(({ start, end, days }) => {
+        const totals = {};
+        const dailyAverage = {};
+        for (const key of MACROS) {
+            totals[key] = Number(days.reduce((sum, day) => sum + day[key], 0).toFixed(1));
+            dailyAverage[key] = days.length > 0 ? Number((totals[key] / days.length).toFixed(1)) : 0;
+        }
+        return {
+            start: campusDate.formatDateKey(start),
+            end: campusDate.formatDateKey(end),
+            daysLogged: days.length,
+            totals: totals,
+            dailyAverage: dailyAverage
+        };
+    });
+}
+
+/* returns when a food in User.foods was logged, from the unix seconds its hash (a sha1 in hex) ended in, or null */
+function loggedAtOf(food) {
+    const match = /^[0-9a-f]{40}(\d+)$/.exec(typeof food.hash === "string" ? food.hash : "");
+    const loggedAt = match ? new Date(Number(match[1]) * 1000) : null;
+    return loggedAt && !isNaN(loggedAt) && loggedAt <= campusDate.now() ? loggedAt : null;
+}
+
+/* returns { date, eatenAt } of a food moved from User.foods */
+function eatenWhenLogged(food) {
+    const eatenAt = loggedAtOf(food) || campusDate.now();
+    return { date: campusDate.toDate(campusDate.dateKeyOf(eatenAt)), eatenAt: eatenAt };
+}
+
+/**
+ * Moves the foods left in users' User.foods (the tracker before it kept history) into the food log, eaten when
+ * they were logged (see loggedAtOf), or now if that can't be told. Moved foods keep a legacyKey, so running it
+ * again is safe. Returns { users, foods } moved.
+ */
+async function migrateTrackerFoods() {
+    const users = await User.find({ "foods.0": { $exists: true } }, { foods: 1 });
+    let moved = 0;
+    for (const user of users) {
+        const foods = user.foods.filter(food => food && typeof food === "object").map((food, i) => ({
+            userId: String(user._id),
+            ...eatenWhenLogged(food),
+            ...foodFields(food),
+            legacyKey: crypto.createHash("sha1").update("foods" + i + JSON.stringify(food)).digest("hex")
+        }));
+        try {
+            const inserted = await FoodLog.insertMany(foods, { ordered: false });
+            moved += inserted.length;
+        } catch (error) {
+            if (!error.writeErrors || error.writeErrors.some(e => e.code !== 11000)) {
+                throw error;
+            }
+            moved += foods.length - error.writeErrors.length;
+        }
+        await User.updateOne({ _id: user._id }, { $set: { foods: [] } });
+    }
+    return { users: users.length, foods: moved };
+}
+
+/**
+ * Gives the foods logged before foods had an eatenAt one (campusDate.timeOnDay of when they were logged) and drops
+ * the hashes foods were identified by before. Returns how many foods got an eatenAt.
+ */
+async function backfillEatenAt() {
+    await FoodLog.syncIndexes(); // drops the unique index on hashes
+    await FoodLog.collection.updateMany({ hash: { $exists: true } }, { $unset: { hash: "" } });
+    const foods = await FoodLog.find({ eatenAt: { $exists: false } }, { date: 1, createdAt: 1 });
+    if (foods.length > 0) {
+        await FoodLog.bulkWrite(foods.map(food => ({
+            updateOne: {
+                filter: { _id: food._id },
+                update: { $set: { eatenAt: campusDate.timeOnDay(campusDate.fromDate(food.date), food.createdAt) } }
+            }
+        })));
+    }
+    return foods.length;
+}
+
+module.exports = {
+    MACROS,
+    MAX_HISTORY_DAYS,
+    MAX_TREND_DAYS,
+    TREND_PERIODS,
+    foodFields,
+    parseEatenAt,
+    toClient,
+    parseRange,
+    getFoodsOn,
+    totalsOf,
+    getHistory,
+    getTrends,
+    migrateTrackerFoods,
+    backfillEatenAt
+};
@@ -0,0 +1,403 @@
+/* healthLogs.js - the weight, water, sleep, supplement and exercise logs: validating entries, date range queries and moving them out of User */
+const crypto = require("crypto");
+const User = require("../models/user");
+const WeightLog = require("../models/weightLog");
+const WaterLog = require("../models/waterLog");
+const SleepLog = require("../models/sleepLog");
+const SupplementLog = require("../models/supplementLog");
+const ExerciseLog = require("../models/exerciseLog");
+const campusDate = require("./campusDate");
+
+/*
+ * Each health log is its own collection of typed entries indexed by (userId, date). Weight, water, supplement and
+ * exercise entries are dated with a campus day (stored like MenuItem.dateServed, sent to clients as "YYYY-MM-DD");
+ * sleep entries keep the time the sleep started and exercises when on their day they were done (performedAt).
+ * Exercises keep each of their sets, with its reps, weight, RPE and rest. Entries are identified by their _id.
+ * The logs used to be untyped arrays on User filled with placeholders like "[add date]"; migrateHealthLogs moves
+ * the entries that convert into the collections.
+ */
+const EXERCISE_TYPES = ["Weight Lifting", "Cardio", "Other"];
+const WEIGHT_UNITS = ["lb", "kg"];
+const MAX_SETS = 50; // sets of one exercise
+
+/* the logs of one amount per entry: their model, the User array they used to be in, their number and text fields,
+   and whether their date is a day or a time */
+const LOGS = {
+    weight: { model: WeightLog, legacyField: "weightLog", amounts: ["weight"], texts: [], byDay: true },
+    water: { model: WaterLog, legacyField: "waterIntakeLog", amounts: ["intake"], texts: [], byDay: true },
+    sleep: { model: SleepLog, legacyField: "sleepLog", amounts: ["length"], texts: [], byDay: false },
+    supplement: { model: SupplementLog, legacyField: "supplementLog", amounts: ["amount"], texts: ["supplement"], byDay: true }
+};
+
+/* the User arrays exercises used to be in, with the type of their exercises */
+const LEGACY_EXERCISE_FIELDS = { liftingLog: "Weight Lifting", cardioLog: "Cardio", otherExerciseLog: "Other" };
+
+/* returns a number from a request ("12", 12), null if there is none, or NaN if it isn't a number that isn't negative */
+function toAmount(value) {
+    if (value === undefined || value === null || value === "") {
+        return null;
+    }
+    const n = Number(value);
+    return Number.isFinite(n) && n >= 0 ? n : NaN;
+}
+
+/* returns the Date of a day ("YYYY-MM-DD") or, for logs not kept by day, of a time; null if it isn't one */
+function toEntryDate(value, byDay) {
+    if (byDay) {
+        const key = campusDate.parseDateKey(value);
+        return key ? campusDate.toDate(key) : null;
+    }
+    const date = typeof value === "string" || value instanceof Date ? new Date(value) : null;
+    return date && !isNaN(date) ? date : null;
+}
+
+/**
+ * Validates an entry of one of LOGS from a request body, e.g. { weight: 150, date: "2023-11-14" } for "weight".
+ * date defaults to today (now for sleep) and can't be in the future. Returns { entry } or { error }.
+ */
+function parseLogEntry(log, body) {
+    const { amounts, texts, byDay } = LOGS[log];
+    const entry = {};
+    for (const key of amounts) {
+        const amount = toAmount(body[key]);
+        if (!(amount > 0)) {
+            return { error: key + " must be a number more than 0" };
+        }
+        entry[key] = amount;
+    }
+    for (const key of texts) {
+        if (typeof body[key] !== "string" || body[key].trim() === "") {
+            return { error: key + " is required" };
+        }
+        entry[key] = body[key].trim();
+    }
+
+    if (body.date === undefined || body.date === "") {
+        entry.date = byDay ? campusDate.todayDate() : campusDate.now();
+    } else {
+        entry.date = toEntryDate(body.date, byDay);
+        if (!entry.date) {
+            return { error: byDay ? "date must be a YYYY-MM-DD date" : "date must be a date and time" };
+        }
+    }
+    if (entry.date > (byDay ? campusDate.todayDate() : campusDate.now())) {
+        return { error: "date can't be in the future" };
+    }
+    return { entry: entry };
+}
+
+/**
+ * Parses the optional ?from= and ?to= ("YYYY-MM-DD", both included) of a request for one of LOGS into a filter on
+ * date, or { error }. The days of logs kept by time (sleep) run from campus midnight to campus midnight.
+ */
+function parseDateRange(query, log) {
+    const startOf = LOGS[log].byDay ? campusDate.toDate : key => campusDate.timeOn(key, 0);
+    const date = {};
+    if (query.from !== undefined) {
+        const from = campusDate.parseDateKey(query.from);
+        if (!from) {
+            return { error: "from must be a YYYY-MM-DD date" };
+        }
+        date.$gte = startOf(from);
+    }
+    if (query.to !== undefined) {
+        const to = campusDate.parseDateKey(query.to);
+        if (!to) {
+            return { error: "to must be a YYYY-MM-DD date" };
+        }
+        date.$lt = startOf(campusDate.addDays(to, 1));
+    }
+    return { filter: Object.keys(date).length > 0 ? { date: date } : {} };
+}
+
+/* returns an entry of one of LOGS as sent to clients, with a day as "YYYY-MM-DD" or a time as an ISO string */
+function toClient(log, entry) {
+    const { amounts, texts, byDay } = LOGS[log];
+    return {
+        _id: entry._id,
+        ...Object.fromEntries([...amounts, ...texts].map(key => [key, entry[key]])),
+        date: byDay ? campusDate.formatDateKey(campusDate.fromDate(entry.date)) : entry.date.toISOString()
+    };
+}
+
+/* returns a user's entries of one of LOGS, oldest first, optionally only those matching a filter from parseDateRange */
+async function getLog(log, userId, filter = {}) {
+    const entries = await LOGS[log].model.find({ userId: String(userId), ...filter }).sort({ date: 1, _id: 1 });
+    return entries.map(entry => toClient(log, entry));
+}
+
+/* validates a set { reps, weight, unit, rpe, rest } of an exercise (rest in seconds, unit "lb" by default). Returns { set } or { error } */
+function parseSet(body) {
+    if (!body || typeof body !== "object") {
+        return { error: "every set must be { reps, weight, unit, rpe, rest }" };
+    }
+    const set = { reps: toAmount(body.reps), weight: toAmount(body.weight), unit: body.unit || "lb", rpe: toAmount(body.rpe), rest: toAmount(body.rest) };
+    if (set.reps === null || Number.isNaN(set.reps)) {
+        return { error: "every set needs reps, a number that isn't negative" };
+    }
+    if (Number.isNaN(set.weight) || Number.isNaN(set.rest)) {
+        return { error: "weight and rest of a set must be numbers that aren't negative" };
+    }
+    if (!WEIGHT_UNITS.includes(set.unit)) {
+        return { error: "unit must be one of " + WEIGHT_UNITS.join(", ") };
+    }
+    if (set.rpe !== null && !(set.rpe >= 1 && set.rpe <= 10)) {
+        return { error: "rpe must be a number from 1 to 10" };
+    }
+    return { set: set };
+}
+
+/**
+ * Validates an exercise { exerciseName, exerciseType, sets: [{ reps, weight, unit, rpe, rest }], time } (time in
+ * minutes, see parseSet) from a request body. Types other than EXERCISE_TYPES are "Other". Fields left empty are
+ * null (no sets for sets), or keep their value in `current` when editing an exercise. Returns { exercise } or { error }.
+ */
+function parseExercise(body, current = {}) {
+    const exerciseName = typeof body.exerciseName === "string" && body.exerciseName.trim() !== ""
+        ? body.exerciseName.trim()
+        : current.exerciseName;
+    if (!exerciseName) {
+        return { error: "exerciseName is required" };
+    }
+    const exercise = {
+        exerciseName: exerciseName,
+        exerciseType: EXERCISE_TYPES.includes(body.exerciseType) ? body.exerciseType : (current.exerciseType || "Other")
+    };
+    const time = toAmount(body.time);
+    if (Number.isNaN(time)) {
+        return { error: "time must be a number that isn't negative" };
+    }
+    exercise.time = time !== null ? time : (current.time !== undefined ? current.time : null);
+
+    if (body.sets === undefined || body.sets === null || body.sets === "") {
+        exercise.sets = current.sets !== undefined ? current.sets : [];
+        return { exercise: exercise };
+    }
+    if (!Array.isArray(body.sets) || body.sets.length > MAX_SETS) {
+        return { error: "sets must be a list of at most " + MAX_SETS + " sets" };
+    }
+    exercise.sets = [];
+    for (const setBody of body.sets) {
+        const { set, error } = parseSet(setBody);
+        if (error) {
+            return { error: error };
+        }
+        exercise.sets.push(set);
+    }
+    return { exercise: exercise };
+}
+
+/* reads when an exercise was done (performedAt, a time; now by default) from a request body. Returns { date, performedAt } or { error } */
+function parsePerformedAt(body) {
+    const performedAt = body.performedAt === undefined ? campusDate.now() : campusDate.parseTime(body.performedAt);
+    if (!performedAt || performedAt > campusDate.now()) {
+        return { error: "performedAt must be a time that is not in the future" };
+    }
+    return { date: campusDate.dateKeyOf(performedAt), performedAt: performedAt };
+}
+
+/* returns an exercise as the tracker sends it to clients, with its day as "YYYY-MM-DD" */
+function exerciseToClient(exercise) {
+    const { _id, exerciseName, exerciseType, time, performedAt } = exercise;
+    return {
+        _id, exerciseName, exerciseType, time, performedAt,
+        sets: exercise.sets.map(({ reps, weight, unit, rpe, rest }) => ({ reps, weight, unit, rpe, rest })),
+        date: campusDate.formatDateKey(campusDate.fromDate(exercise.date))
+    };
+}
+
+/* returns the exercises of a type a user did on a day, in the order they were done */
+async function getExercisesOn(userId, dateKey, exerciseType) {
+    return await ExerciseLog.find({ userId: String(userId), date: campusDate.toDate(dateKey), exerciseType: exerciseType })
+        .sort({ performedAt: 1, _id: 1 });
+}
+
+/* returns the key of an entry moved from a User array: the same entry at the same place always gets the same key */
+function legacyKeyOf(field, index, entry) {
+    return crypto.createHash("sha1").update(field + index + JSON.stringify(entry)).digest("hex");
+}
+
+/* returns the Date of a legacy "YYYY-MM-DDTHH:mm" time read on the campus wall clock (or of a time with its own
+   timezone, e.g. an ISO string), or null if it isn't one */
+function fromLegacyTime(value) {
+    const match = /^(\d{4}-\d{1,2}-\d{1,2})T(\d{1,2}):(\d{2})$/.exec(typeof value === "string" ? value.trim() : "");
+    if (!match) {
+        return toEntryDate(value, false);
+    }
+    const key = campusDate.parseDateKey(match[1]);
+    const [hour, minute] = [Number(match[2]), Number(match[3])];
+    return key && hour < 24 && minute < 60 ? new Date(campusDate.timeOn(key, hour).getTime() + minute * 60000) : null;
+}
+
+/* converts an entry of a legacy User array of one of LOGS, or returns null if it has no real amount or date */
+function fromLegacyEntry(log, entry) {
+    const { amounts, texts, byDay } = LOGS[log];
+    if (!entry || typeof entry !== "object") {
+        return null;
+    }
+    const converted = {};
+    for (const key of amounts) {
+        const amount = toAmount(entry[key]);
+        if (!(amount > 0)) {
+            return null;
+        }
+        converted[key] = amount;
+    }
+    for (const key of texts) {
+        if (typeof entry[key] !== "string" || entry[key].trim() === "" || entry[key].startsWith("[add")) {
+            return null;
+        }
+        converted[key] = entry[key].trim();
+    }
+    // days were saved as "YYYY-MM-DD" from date inputs, and sleep as "YYYY-MM-DDTHH:mm" from the campus wall clock
+    converted.date = byDay ? toEntryDate(String(entry.date).slice(0, 10), true) : fromLegacyTime(entry.date);
+    return converted.date ? converted : null;
+}
+
+/**
+ * Returns the sets of an exercise logged as single values: `sets` sets of `reps` reps of `weight` pounds each (at
+ * most MAX_SETS), or one set if only reps were logged. Any of them can be null.
+ */
+function setsFromCounts(sets, reps, weight) {
+    const count = sets >= 1 ? Math.min(Math.floor(sets), MAX_SETS) : (reps > 0 ? 1 : 0);
+    return Array.from({ length: count }, () => ({ reps: reps >= 0 ? reps : null, weight: weight > 0 ? weight : null, unit: "lb", rpe: null, rest: null }));
+}
+
+/* converts an exercise of a legacy User array, dated with the day in its hash ("<sha1>*YYYY-MM-DD"), or returns null without one */
+function fromLegacyExercise(exerciseType, entry) {
+    if (!entry || typeof entry !== "object" || typeof entry.hash !== "string" || typeof entry.exerciseName !== "string") {
+        return null;
+    }
+    const key = campusDate.parseDateKey(entry.hash.split("*")[1]);
+    if (!key) {
+        return null;
+    }
+    const toNumber = value => toAmount(value) >= 0 ? toAmount(value) : null; // "N/A" and "[add sets]" become null
+    return {
+        date: campusDate.toDate(key),
+        performedAt: campusDate.timeOnDay(key),
+        exerciseName: entry.exerciseName,
+        exerciseType: exerciseType,
+        sets: setsFromCounts(toNumber(entry.sets), toNumber(entry.reps), null),
+        time: toNumber(entry.time)
+    };
+}
+
+/* inserts documents, skipping the ones already inserted (same legacyKey). Returns how many were inserted */
+async function insertNew(model, docs) {
+    try {
+        return (await model.insertMany(docs, { ordered: false })).length;
+    } catch (error) {
+        if (!error.writeErrors || error.writeErrors.some(e => e.code !== 11000)) {
+            throw error;
+        }
+        return docs.length - error.writeErrors.length;
+    }
+}
+
+/**
+ * Moves the entries of users' legacy log arrays on User (weightLog, waterIntakeLog, sleepLog, supplementLog,
+ * liftingLog, cardioLog and otherExerciseLog) into the log collections. Entries without a real amount or date
+ * can't be converted and stay on the User. Moved entries keep a legacyKey, so running it again is safe.
+ * Returns { users, entries, skipped }.
+ */
+async function migrateHealthLogs() {
+    const logs = [
+        ...Object.keys(LOGS).map(log => ({
+            model: LOGS[log].model,
+            field: LOGS[log].legacyField,
+            convert: entry => fromLegacyEntry(log, entry)
+        })),
+        ...Object.entries(LEGACY_EXERCISE_FIELDS).map(([field, exerciseType]) => ({
+            model: ExerciseLog,
+            field: field,
+            convert: entry => fromLegacyExercise(exerciseType, entry)
+        }))
+    ];
+    const users = await User.find(
+        { $or: logs.map(({ field }) => ({ [field + ".0"]: { $exists: true } })) },
+        Object.fromEntries(logs.map(({ field }) => [field, 1])));
+
+    let moved = 0;
+    let skipped = 0;
+    for (const user of users) {
+        const update = {};
+        for (const { model, field, convert } of logs) {
+            const docs = [];
+            const left = [];
+            (user[field] || []).forEach((entry, i) => {
+                const converted = convert(entry);
+                if (converted) {
+                    docs.push({ userId: String(user._id), ...converted, legacyKey: legacyKeyOf(field, i, entry) });
+                } else {
+                    left.push(entry);
+                }
+            });
+            skipped += left.length;
+            if (docs.length > 0) {
+                moved += await insertNew(model, docs);
+                update[field] = left;
+            }
+        }
+        if (Object.keys(update).length > 0) {
+            await User.updateOne({ _id: user._id }, { $set: update });
+        }
+    }
+    return { users: users.length, entries: moved, skipped: skipped };
+}
+
+/**
+ * Gives the exercises logged before exercises had a performedAt one (campusDate.timeOnDay of when they were
+ * logged) and drops the hashes exercises were identified by before. Returns how many exercises got a performedAt.
+ */
+async function backfillPerformedAt() {
+    await ExerciseLog.syncIndexes(); // drops the index on hashes
+    await ExerciseLog.collection.updateMany({ hash: { $exists: true } }, { $unset: { hash: "" } });
+    const exercises = await ExerciseLog.find({ performedAt: { $exists: false } }, { date: 1, createdAt: 1 });
+    if (exercises.length > 0) {
+        await ExerciseLog.bulkWrite(exercises.map(exercise => ({
+            updateOne: {
+                filter: { _id: exercise._id },
+                update: { $set: { performedAt: campusDate.timeOnDay(campusDate.fromDate(exercise.date), exercise.createdAt) } }
+            }
+        })));
+    }
+    return exercises.length;
+}
+
+/**
+ * Gives the exercises logged before exercises kept each set (with sets, reps and weight as single values) their
+ * sets, and drops the single values. Returns how many exercises got sets.
+ */
+async function migrateExerciseSets() {
+    const exercises = await ExerciseLog.collection.find({ sets: { $not: { $type: "array" } } })
+        .project({ sets: 1, reps: 1, weight: 1 }).toArray();
+    if (exercises.length > 0) {
+        await ExerciseLog.collection.bulkWrite(exercises.map(exercise => ({
+            updateOne: {
+                filter: { _id: exercise._id },
+                update: {
+                    $set: { sets: setsFromCounts(exercise.sets, exercise.reps, exercise.weight) },
+                    $unset: { reps: "", weight: "" }
+                }
+            }
+        })));
+    }
+    return exercises.length;
+}
+
+module.exports = {
+    EXERCISE_TYPES,
+    WEIGHT_UNITS,
+    LOGS,
+    parseLogEntry,
+    parseDateRange,
+    getLog,
+    parseExercise,
+    parsePerformedAt,
+    exerciseToClient,
+    getExercisesOn,
+    migrateHealthLogs,
+    backfillPerformedAt,
+    migrateExerciseSets
+};
@@ -0,0 +1,152 @@
+/* mealCombos.js - finds combinations of menu items that fill what's left of a user's daily macro goals */
+
+/* the macros combinations are fitted to, keyed like User.lowLevelNutritionGoals and the foods in the tracker */
+const MACROS = {
+    calories: "Calories",
+    protein: "Protein",
+    carbohydrates: "Total Carbohydrate",
+    fat: "Total fat",
+};
+
+/*
+ * A combination is scored by how far its totals are from the remaining macros, each difference measured as a
+ * share of the macro's daily goal (so 100 kcal and 10 g of protein can be compared) and squared. Going over a
+ * macro costs OVERSHOOT_PENALTY times as much as falling short of it. Combinations are built item by item with
+ * a beam search that keeps the BEAM_WIDTH best partial combinations at every step.
+ */
+const SERVING_OPTIONS = [0.5, 1, 1.5, 2];
+const OVERSHOOT_PENALTY = 2;
+const BEAM_WIDTH = 40;
+const DEFAULT_MAX_ITEMS = 4;
+const DEFAULT_LIMIT = 5;
+
+/* returns a number from a tracker or goal value ("12", "12g", 12), or 0 if it isn't one */
+function amountOf(value) {
+    const n = parseFloat(value);
+    return Number.isFinite(n) ? n : 0;
+}
+
+/* returns { calories, protein, carbohydrates, fat } of one serving of a menu item, or null if it lists no calories */
+function macrosOf(item) {
+    const macros = {};
+    for (const [key, name] of Object.entries(MACROS)) {
+        const fact = (item.nutritionFacts || []).find(f => f.Name === name);
+        const value = fact ? (typeof fact.Value === "number" ? fact.Value : amountOf(fact.LabelValue)) : null;
+        if (key === "calories" && (value === null || value <= 0)) {
+            return null;
+        }
+        macros[key] = value || 0;
+    }
+    return macros;
+}
+
+/**
+ * Returns { goals, consumed, remaining } for a user's lowLevelNutritionGoals (a Map or object of strings)
+ * and the foods in their tracker, each { calories, protein, carbohydrates, fat }. remaining is never negative.
+ */
+function remainingMacros(lowLevelNutritionGoals, foods) {
+    const goalOf = key => amountOf(lowLevelNutritionGoals instanceof Map
+        ? lowLevelNutritionGoals.get(key)
+        : (lowLevelNutritionGoals || {})[key]);
+    const goals = {};
+    const consumed = {};
+    const remaining = {};
+    for (const key of Object.keys(MACROS)) {
+        goals[key] = goalOf(key);
+        consumed[key] = (foods || []).reduce((total, food) => total + amountOf(food[key]) * amountOf(food.servings), 0);
+        remaining[key] = Math.max(goals[key] - consumed[key], 0);
+    }
+    return { goals: goals, consumed: consumed, remaining: remaining };
+}
+
+/* returns how badly totals miss the remaining macros (0 is a perfect fit) */
+function errorOf(totals, remaining, goals) {
+    let error = 0;
+    for (const key of Object.keys(MACROS)) {
+        const scale = goals[key] > 0 ? goals[key] : 1;
+        const difference = (totals[key] - remaining[key]) / scale;
+        error += difference * difference * (difference > 0 ? OVERSHOOT_PENALTY : 1);
+    }
+    return error;
+}
+
+/* returns the macros of a combination's items added up */
+function totalsOf(entries) {
+    const totals = {};
+    for (const key of Object.keys(MACROS)) {
+        totals[key] = entries.reduce((total, entry) => total + entry.macros[key] * entry.servings, 0);
+    }
+    return totals;
+}
+
+/* rounds every macro of a totals object to one decimal */
+function rounded(totals) {
+    return Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, Number(value.toFixed(1))]));
+}
+
+/**
+ * Finds up to `limit` combinations of 1 to `maxItems` different items (with servings from SERVING_OPTIONS)
+ * whose macros best fill `remaining`, best first. Items without nutrition info are skipped. Returns
+ * [{ items: [{ ID, name, servings, calories, protein, carbohydrates, fat }], totals, error }].
+ */
+function findCombinations(items, remaining, goals, { maxItems = DEFAULT_MAX_ITEMS, limit = DEFAULT_LIMIT } = {}) {
+    const candidates = [];
+    const seenIds = new Set();
+    for (const item of items) {
+        const macros = macrosOf(item);
+        if (macros && !seenIds.has(item.ID)) {
+            seenIds.add(item.ID);
+            candidates.push({ item: item, macros: macros });
+        }
+    }
+
+    const found = new Map(); // combination key -> combination
+    let beam = [{ entries: [], error: errorOf(totalsOf([]), remaining, goals) }];
+    for (let step = 0; step < maxItems && beam.length > 0; step++) {
+        const next = new Map();
+        for (const combination of beam) {
+            const usedIds = new Set(combination.entries.map(entry => entry.item.ID));
+            for (const candidate of candidates) {
+                if (usedIds.has(candidate.item.ID)) {
+                    continue;
+                }
+                for (const servings of SERVING_OPTIONS) {
+                    const entries = [...combination.entries, { ...candidate, servings: servings }];
+                    const key = entries.map(entry => entry.item.ID + "x" + entry.servings).sort().join(",");
+                    if (next.has(key)) {
+                        continue;
+                    }
+                    next.set(key, { key: key, entries: entries, error: errorOf(totalsOf(entries), remaining, goals) });
+                }
+            }
+        }
+        beam = [...next.values()].sort((a, b) => a.error - b.error).slice(0, BEAM_WIDTH);
+        for (const combination of beam) {
+            found.set(combination.key, combination);
+        }
+    }
+
+    const best = new Map(); // the same items with other servings only count once, with their best servings
+    for (const combination of found.values()) {
+        const itemsKey = combination.entries.map(entry => entry.item.ID).sort().join(",");
+        if (!best.has(itemsKey) || combination.error < best.get(itemsKey).error) {
+            best.set(itemsKey, combination);
+        }
+    }
+
+    return [...best.values()]
+        .sort((a, b) => a.error - b.error || a.entries.length - b.entries.length)
+        .slice(0, limit)
+        .map(({ entries, error }) => ({
+            items: entries.map(({ item, macros, servings }) => ({
+                ID: item.ID,
+                name: item.name,
+                servings: servings,
+                ...rounded(macros)
+            })),
+            totals: rounded(totalsOf(entries)),
+            error: Number(error.toFixed(4))
+        }));
+}
+
+module.exports = { MACROS, amountOf, macrosOf, remainingMacros, findCombinations };
@@ -0,0 +1,229 @@
+/* mealPlanner.js - a user's week of planned meals: validating them, projecting their macros and moving them to the tracker */
+const crypto = require("crypto");
+const MenuItem = require("../models/menuItem");
+const campusDate = require("./campusDate");
+const { MACROS, amountOf, macrosOf } = require("./mealCombos");
+
+/*
+ * A user's plan lives in User.currentFoodPlan as planned meals { id, date, mealType, items, trackedAt }, where
+ * date is the campus day the meal is planned for (stored like MenuItem.dateServed) and trackedAt is when the meal
+ * was moved to the meal tracker. Items are dining court items or the user's custom foods (User.favoriteFoodItems),
+ * copied into the plan with their macros per serving so the plan doesn't change when menus are reloaded.
+ * User.highLevelNutritionGoals holds per weekday changes to the daily goals in lowLevelNutritionGoals, e.g.
+ * [{ day: "Saturday", calories: "2600" }] for a day with more exercise.
+ */
+const PLAN_DAYS = 7; // days planned ahead, starting today
+const MEAL_TYPES = ["Breakfast", "Lunch", "Dinner", "Snack"]; // the meal tracker's meal types
+const MAX_ITEMS_PER_MEAL = 15;
+const MAX_SERVINGS = 10;
+const MAX_CUSTOM_FOODS = 100;
+
+/* returns a random id for a planned meal or custom food */
+function newId() {
+    return crypto.randomUUID();
+}
+
+/* returns the macros object with every value rounded to one decimal */
+function rounded(macros) {
+    return Object.fromEntries(Object.keys(MACROS).map(key => [key, Number((macros[key] || 0).toFixed(1))]));
+}
+
+/* returns whether a value is a number (or numeric string) that isn't negative */
+function isAmount(value) {
+    return value !== "" && value !== null && value !== undefined && Number(value) >= 0;
+}
+
+/* returns the date keys of the days that can be planned, today first */
+function planDays() {
+    const today = campusDate.todayKey();
+    return Array.from({ length: PLAN_DAYS }, (_, i) => campusDate.addDays(today, i));
+}
+
+/**
+ * Validates a custom food { foodName, calories, protein, carbohydrates, fat, servingSize } (macros per serving).
+ * Returns { food } with a new id, or { error }.
+ */
+function parseCustomFood(body) {
+    const foodName = typeof body.foodName === "string" ? body.foodName.trim() : "";
+    if (foodName === "") {
+        return { error: "foodName is required" };
+    }
+    if (!Object.keys(MACROS).every(key => isAmount(body[key]))) {
+        return { error: Object.keys(MACROS).join(", ") + " must be numbers that aren't negative" };
+    }
+    return {
+        food: {
+            id: newId(),
+            foodName: foodName,
+            ...rounded(Object.fromEntries(Object.keys(MACROS).map(key => [key, Number(body[key])]))),
+            servingSize: typeof body.servingSize === "string" && body.servingSize.trim() !== "" ? body.servingSize.trim() : "1 serving"
+        }
+    };
+}
+
+/**
+ * Validates per weekday goal changes, e.g. { Saturday: { calories: 2600 } }. Returns { goals } in the shape of
+ * User.highLevelNutritionGoals (values as strings like lowLevelNutritionGoals), or { error }.
+ */
+function parseWeekdayGoals(body) {
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+        return { error: "goals must be an object of weekdays" };
+    }
+    const goals = [];
+    for (const [day, changes] of Object.entries(body)) {
+        if (!campusDate.DAYS.includes(day) || !changes || typeof changes !== "object") {
+            return { error: "goals must be keyed by weekday (" + campusDate.DAYS.join(", ") + ")" };
+        }
+        const goal = { day: day };
+        for (const [key, value] of Object.entries(changes)) {
+            if (!MACROS[key] || !isAmount(value)) {
+                return { error: "The goals of a day must be " + Object.keys(MACROS).join(", ") + " amounts" };
+            }
+            goal[key] = String(Number(value));
+        }
+        if (Object.keys(goal).length > 1) {
+            goals.push(goal);
+        }
+    }
+    return { goals: goals };
+}
+
+/* returns a user's macro goals for a day: lowLevelNutritionGoals with that weekday's highLevelNutritionGoals applied */
+function goalsFor(user, dateKey) {
+    const daily = user.lowLevelNutritionGoals instanceof Map
+        ? Object.fromEntries(user.lowLevelNutritionGoals)
+        : (user.lowLevelNutritionGoals || {});
+    const weekday = (user.highLevelNutritionGoals || []).find(goal => goal && goal.day === campusDate.dayName(dateKey)) || {};
+    return Object.fromEntries(Object.keys(MACROS).map(key => [key, amountOf(weekday[key] !== undefined ? weekday[key] : daily[key])]));
+}
+
+/**
+ * Validates a planned meal { date: "YYYY-MM-DD", mealType, items: [{ menuItemID | customFoodId, servings }] } and
+ * looks up its items. The date must be one of the next PLAN_DAYS days. Returns { meal } (without id) or { error }.
+ */
+async function parsePlannedMeal(body, customFoods) {
+    const date = campusDate.parseDateKey(body.date);
+    if (!date || !planDays().includes(date)) {
+        return { error: "date must be a YYYY-MM-DD date within the next " + PLAN_DAYS + " days" };
+    }
+    if (!MEAL_TYPES.includes(body.mealType)) {
+        return { error: "mealType must be one of " + MEAL_TYPES.join(", ") };
+    }
+    if (!Array.isArray(body.items) || body.items.length === 0 || body.items.length > MAX_ITEMS_PER_MEAL) {
+        return { error: "A planned meal needs 1 to " + MAX_ITEMS_PER_MEAL + " items" };
+    }
+
+    const menuItemIDs = body.items.filter(item => item && item.menuItemID).map(item => String(item.menuItemID));
+    const menuItems = await MenuItem.find({ ID: { $in: menuItemIDs } }).sort({ dateServed: -1 });
+    const menuItemsById = new Map();
+    for (const item of menuItems) {
+        if (!menuItemsById.has(item.ID)) { // the most recently served copy
+            menuItemsById.set(item.ID, item);
+        }
+    }
+
+    const items = [];
+    for (const planned of body.items) {
+        if (!planned || typeof planned !== "object") {
+            return { error: "Every item needs a menuItemID or a customFoodId" };
+        }
+        const servings = Number(planned.servings !== undefined ? planned.servings : 1);
+        if (!(servings > 0 && servings <= MAX_SERVINGS)) {
+            return { error: "servings must be more than 0 and at most " + MAX_SERVINGS };
+        }
+        if (planned.menuItemID) {
+            const menuItem = menuItemsById.get(String(planned.menuItemID));
+            const macros = menuItem ? macrosOf(menuItem) : null;
+            if (!menuItem) {
+                return { error: "No menu item found with ID " + planned.menuItemID };
+            }
+            if (!macros) {
+                return { error: menuItem.name + " has no nutrition info to plan with" };
+            }
+            const servingSize = (menuItem.nutritionFacts || []).find(fact => fact.Name === "Serving Size");
+            items.push({
+                menuItemID: menuItem.ID,
+                foodName: menuItem.name,
+                servings: servings,
+                servingSize: servingSize ? servingSize.LabelValue : "1 serving",
+                ...rounded(macros)
+            });
+        } else if (planned.customFoodId) {
+            const food = customFoods.find(custom => custom && custom.id === planned.customFoodId);
+            if (!food) {
+                return { error: "No custom food found with id " + planned.customFoodId };
+            }
+            items.push({
+                customFoodId: food.id,
+                foodName: food.foodName,
+                servings: servings,
+                servingSize: food.servingSize,
+                ...rounded(food)
+            });
+        } else {
+            return { error: "Every item needs a menuItemID or a customFoodId" };
+        }
+    }
+    return { meal: { date: campusDate.toDate(date), mealType: body.mealType, items: items, trackedAt: null } };
+}
+
+/* returns the macros of a planned meal's items added up */
+function mealTotals(meal) {
+    const totals = {};
+    for (const key of Object.keys(MACROS)) {
+        totals[key] = meal.items.reduce((total, item) => total + amountOf(item[key]) * amountOf(item.servings), 0);
+    }
+    return rounded(totals);
+}
+
+/**
+ * Projects a user's plan over the next PLAN_DAYS days. Returns [{ date, day, meals, totals, goals, difference }]
+ * where meals have their own totals, and difference is totals minus goals (negative when under the goal).
+ */
+function projectWeek(user) {
+    const plan = user.currentFoodPlan || [];
+    return planDays().map(dateKey => {
+        const meals = plan
+            .filter(meal => meal && meal.date && campusDate.fromDate(new Date(meal.date)) === dateKey)
+            .sort((a, b) => MEAL_TYPES.indexOf(a.mealType) - MEAL_TYPES.indexOf(b.mealType))
+            .map(meal => ({ ...meal, date: campusDate.formatDateKey(dateKey), totals: mealTotals(meal) }));
+        const totals = {};
+        const goals = goalsFor(user, dateKey);
+        const difference = {};
+        for (const key of Object.keys(MACROS)) {
+            totals[key] = meals.reduce((total, meal) => total + meal.totals[key], 0);
+            difference[key] = totals[key] - goals[key];
+        }
+        return {
+            date: campusDate.formatDateKey(dateKey),
+            day: campusDate.dayName(dateKey),
+            meals: meals,
+            totals: rounded(totals),
+            goals: goals,
+            difference: rounded(difference)
+        };
+    });
+}
+
+/* returns a planned meal's items as foods for the meal tracker (see models/foodLog and PUT /users/addFood) */
+function toTrackerFoods(meal) {
+    return meal.items.map(item => ({
+        foodName: item.foodName,
+        ...rounded(item),
+        servings: item.servings,
+        servingSize: item.servingSize,
+        mealType: meal.mealType
+    }));
+}
+
+module.exports = {
+    PLAN_DAYS,
+    MEAL_TYPES,
+    MAX_CUSTOM_FOODS,
+    newId,
+    parseCustomFood,
+    parseWeekdayGoals,
+    parsePlannedMeal,
+    projectWeek,
+    toTrackerFoods
+};
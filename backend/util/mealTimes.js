@@ -0,0 +1,75 @@
+/* mealTimes.js - meal hours as minutes after midnight, and which meal a dining court is serving now or next */
+const campusDate = require("./campusDate");
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/* converts a 12-hour "7:00 AM" time into minutes after midnight (420), or null if it isn't one */
+function toMinutes(time) {
+    const match = /^(\d{1,2}):(\d{2}) (AM|PM)$/.exec(time || "");
+    if (!match) {
+        return null;
+    }
+    return (Number(match[1]) % 12 + (match[3] === "PM" ? 12 : 0)) * 60 + Number(match[2]);
+}
+
+/* adds startMinutes/endMinutes to a {mealType, start, end} meal, computing them from start/end if missing */
+function withMinutes(meal) {
+    return {
+        ...meal,
+        startMinutes: typeof meal.startMinutes === "number" ? meal.startMinutes : toMinutes(meal.start),
+        endMinutes: typeof meal.endMinutes === "number" ? meal.endMinutes : toMinutes(meal.end)
+    };
+}
+
+/* returns the meals of a day with their minutes, in the order they start */
+function mealsOf(meals) {
+    return (meals || [])
+        .map(withMinutes)
+        .filter(meal => meal.startMinutes !== null && meal.endMinutes !== null)
+        .map(meal => meal.endMinutes <= meal.startMinutes
+            ? { ...meal, endMinutes: meal.endMinutes + MINUTES_PER_DAY } // served until or past midnight
+            : meal)
+        .sort((a, b) => a.startMinutes - b.startMinutes);
+}
+
+/**
+ * Finds the meal a court is serving at `at`, or the next one it will serve within a week, from its weekly
+ * hours. Returns { open: true, meal, date, minutesUntilClose } while a meal is being served,
+ * { open: false, meal, date, minutesUntilOpen } before the next one, or { open: false, meal: null } if the
+ * court has no hours. `date` is the "YYYY-M-D" date key the meal is served on, which is yesterday's for a
+ * meal that started yesterday and runs past midnight.
+ */
+function getCourtStatus(court, at = campusDate.now()) {
+    const today = campusDate.dateKeyOf(at);
+    const { hour, minute } = campusDate.campusParts(at);
+    const nowMinutes = hour * 60 + minute;
+
+    if (court.weeklyMealInfo) {
+        const yesterday = campusDate.addDays(today, -1);
+        const lateMeal = mealsOf(court.weeklyMealInfo[campusDate.dayName(yesterday)])
+            .find(meal => nowMinutes + MINUTES_PER_DAY < meal.endMinutes);
+        if (lateMeal) {
+            return { open: true, meal: lateMeal, date: yesterday, minutesUntilClose: lateMeal.endMinutes - MINUTES_PER_DAY - nowMinutes };
+        }
+    }
+
+    for (let offset = 0; offset <= 7; offset++) {
+        const date = campusDate.addDays(today, offset);
+        const meals = court.weeklyMealInfo
+            ? mealsOf(court.weeklyMealInfo[campusDate.dayName(date)])
+            : mealsOf(offset === 0 ? court.mealInfo : []); // courts loaded before weekly hours were stored
+
+        for (const meal of meals) {
+            if (offset === 0 && meal.startMinutes <= nowMinutes && nowMinutes < meal.endMinutes) {
+                return { open: true, meal: meal, date: date, minutesUntilClose: meal.endMinutes - nowMinutes };
+            }
+            if (offset > 0 || meal.startMinutes > nowMinutes) {
+                const minutesUntilOpen = offset * MINUTES_PER_DAY + meal.startMinutes - nowMinutes;
+                return { open: false, meal: meal, date: date, minutesUntilOpen: minutesUntilOpen };
+            }
+        }
+    }
+    return { open: false, meal: null };
+}
+
+module.exports = { toMinutes, withMinutes, getCourtStatus };
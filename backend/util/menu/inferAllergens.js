@@ -0,0 +1,62 @@
+/* inferAllergens.js - infers allergen flags from a menu item's ingredient text */
+const dictionary = require("./allergenKeywords.json");
+
+/*
+ * The keyword dictionary (allergenKeywords.json) lists, per allergen, words that mean an ingredient
+ * contains it and phrases that look like they do but don't (e.g. "coconut milk" for Milk).
+ *
+ * Inferred flags have the same { Name, Value } shape as HFS allergens plus a confidence:
+ *   "high" - a keyword was found, the item contains the allergen (or isn't Vegetarian/Vegan)
+ *   "low"  - no keyword was found, the item probably doesn't contain it (or probably is Vegetarian/Vegan)
+ */
+
+/* escapes a keyword for use in a regular expression */
+function escape(keyword) {
+    return keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/* compiles a { keywords, except } entry into a function telling whether lowercased text contains it */
+function compileKeywords({ keywords, except = [] }) {
+    const words = keywords.map(escape).join("|");
+    const pattern = new RegExp("(?<![a-z])(?:" + words + ")(?:e?s)?(?![a-z])"); // whole words, plurals included
+    const exceptions = except.map(phrase => new RegExp("(?<![a-z])" + escape(phrase) + "(?![a-z])", "g"));
+    return text => {
+        for (const exception of exceptions) {
+            text = text.replace(exception, " ");
+        }
+        return pattern.test(text);
+    };
+}
+
+const ALLERGENS = Object.entries(dictionary.allergens).map(([name, entry]) => [name, compileKeywords(entry)]);
+const containsMeat = compileKeywords(dictionary.meat);
+const containsAnimalProducts = compileKeywords(dictionary.animalProducts);
+
+/**
+ * Returns the allergens (and Vegetarian/Vegan flags) inferred from an item's ingredients, as
+ * [{ Name, Value, confidence }], or [] if the item has no ingredient text.
+ */
+function inferAllergens(ingredients) {
+    if (typeof ingredients !== "string" || ingredients.trim() === "") {
+        return [];
+    }
+    const text = ingredients.toLowerCase();
+
+    const found = {};
+    for (const [name, contains] of ALLERGENS) {
+        found[name] = contains(text);
+    }
+    const meat = containsMeat(text) || found.Fish || found.Shellfish;
+    const animal = meat || found.Milk || found.Eggs || containsAnimalProducts(text);
+
+    const inferred = Object.entries(found).map(([name, contains]) => ({
+        Name: name,
+        Value: contains,
+        confidence: contains ? "high" : "low"
+    }));
+    inferred.push({ Name: "Vegetarian", Value: !meat, confidence: meat ? "high" : "low" });
+    inferred.push({ Name: "Vegan", Value: !animal, confidence: animal ? "high" : "low" });
+    return inferred;
+}
+
+module.exports = { inferAllergens, compileKeywords };
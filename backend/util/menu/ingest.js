@@ -0,0 +1,206 @@
+/* ingest.js - loads a day of dining data from a menu provider into the DiningCourt, MenuItem and Serving collections */
+const MenuItem = require("../../models/menuItem");
+const DiningCourt = require("../../models/diningCourt");
+const IngestionRun = require("../../models/ingestionRun");
+const Serving = require("../../models/serving");
+const { mapWithConcurrency, withRetry } = require("../concurrency");
+const { toDate, dayName, todayKey } = require("../campusDate");
+const { getDefaultCourtInfo } = require("../courtInfo");
+
+const DEFAULT_CONCURRENCY = 8; // max number of provider requests in flight at once
+const DEFAULT_RETRY = { retries: 3, baseDelayMs: 500 }; // retry failed fetches after 0.5s, 1s and 2s
+
+/**
+ * Creates or updates a dining court with the provider's information. Metadata the provider doesn't have
+ * (address, coordinates, contact) is filled in from the defaults when missing and otherwise left as admins
+ * set it, as are hours an admin has set by hand.
+ */
+async function saveCourt(court, date) {
+    const diningCourtObj = await DiningCourt.findOne({ name: court.name });
+    const defaults = getDefaultCourtInfo(court.name);
+
+    if (diningCourtObj) {
+        const update = { ...court };
+        const existing = diningCourtObj.toObject();
+        for (const key of Object.keys(defaults)) {
+            if (existing[key] === undefined) {
+                update[key] = defaults[key];
+            }
+        }
+        if (diningCourtObj.manualHours) {
+            delete update.weeklyMealInfo;
+            update.mealInfo = (diningCourtObj.weeklyMealInfo || {})[dayName(date)] || [];
+        }
+        await DiningCourt.findByIdAndUpdate(diningCourtObj._id, update);
+        console.log("Updated dining court - " + court.name);
+    } else {
+        await new DiningCourt({ ...defaults, ...court }).save();
+        console.log("Added dining court - " + court.name);
+    }
+}
+
+/* replaces a court's archived servings on `date` with the entries of its freshly loaded menu */
+async function replaceServings(court, date, entries) {
+    const servings = new Map(); // dedupe items listed twice at the same station and meal
+    for (const entry of entries) {
+        const serving = { menuItemID: entry.ID, date: toDate(date), court: court, station: entry.station, meal: entry.meal };
+        servings.set([entry.ID, entry.station, entry.meal].join("|"), serving);
+    }
+    await Serving.deleteMany({ court: court, date: toDate(date) });
+    await Serving.insertMany([...servings.values()]);
+}
+
+/**
+ * Creates or updates a menu item served on `date` at every [court, station, meal] in courtData.
+ * Returns "added" or "updated".
+ */
+async function saveMenuItem(item, courtData, date) {
+    const menuItem = await MenuItem.findOne({ ID: item.ID });
+
+    if (!menuItem) {
+        await new MenuItem({ ...item, courtData: courtData, dateServed: toDate(date), avgRating: 0 }).save();
+        console.log("Added menu item - " + item.name);
+        return "added";
+    }
+
+    if (menuItem.dateServed && menuItem.dateServed.getTime() === toDate(date).getTime()) {
+        /* already served today (e.g. written by an earlier run), add court data without duplicates */
+        await MenuItem.findByIdAndUpdate(menuItem._id, {
+            ...item,
+            $addToSet: { courtData: { $each: courtData } }
+        });
+    } else {
+        /* first time served today, reset court data */
+        await MenuItem.findByIdAndUpdate(menuItem._id, { ...item, courtData: courtData, dateServed: toDate(date) });
+    }
+    console.log("Updated menu item - " + item.name);
+    return "updated";
+}
+
+/**
+ * Creates or updates the details of a menu item that will be served on a future date. Where and when
+ * it's served is only recorded in the Serving archive, so today's courtData and dateServed are left alone.
+ * Returns "added" or "updated".
+ */
+async function saveUpcomingMenuItem(item) {
+    const menuItem = await MenuItem.findOne({ ID: item.ID });
+
+    if (!menuItem) {
+        await new MenuItem({ ...item, courtData: [], avgRating: 0 }).save();
+        return "added";
+    }
+    await MenuItem.findByIdAndUpdate(menuItem._id, item);
+    return "updated";
+}
+
+/* groups [court, station, meal] court data by item ID so every item is fetched and written once */
+function addEntries(itemsById, court, entries) {
+    for (const entry of entries) {
+        if (!itemsById.has(entry.ID)) {
+            itemsById.set(entry.ID, []);
+        }
+        itemsById.get(entry.ID).push([court, entry.station, entry.meal]);
+    }
+}
+
+/**
+ * Loads the courts, menus and items for `date` ("YYYY-M-D") from `provider`. Fetches run with at most
+ * `concurrency` requests at once and are retried with backoff; whatever still fails is recorded on the
+ * returned IngestionRun instead of aborting the run.
+ *
+ * When `resume` is a previous IngestionRun, only the court menus and items that failed in that run are
+ * loaded again (a run that couldn't load the court list at all is redone in full).
+ *
+ * When `upcoming` is true, `date` is a future date: its menus only go into the Serving archive and
+ * today's menu is left untouched. The same goes for any other date that isn't today, e.g. resuming a run
+ * of a day that has passed, so it can't replace today's menu or hours with that day's. `itemCache` can be
+ * shared between runs of several dates so each item's details are only fetched once.
+ */
+async function ingestMenus({ provider, date, resume = null, upcoming = false, itemCache = new Map(),
+    concurrency = DEFAULT_CONCURRENCY, retry = DEFAULT_RETRY }) {
+    const startTime = Date.now();
+    const run = await new IngestionRun({
+        date: date,
+        provider: provider.name,
+        upcoming: upcoming,
+        resumedFrom: resume ? resume._id : undefined
+    }).save();
+
+    const fetchWithRetry = fn => withRetry(fn, retry);
+    const recordFailure = (failure, err) => {
+        run.failures.push({ ...failure, error: err.message, attempts: err.attempts });
+        console.log("Error occured while loading dining data (" + failure.kind + "): " + err.message);
+    };
+
+    const archiveOnly = upcoming || date !== todayKey(); // leave today's courtData, dateServed and hours alone
+    const itemsById = new Map(); // item ID -> [[court, station, meal], ...]
+    let menuCourts = []; // courts whose menus need to be loaded
+
+    if (resume && resume.status !== "failed") {
+        menuCourts = resume.failures.filter(f => f.kind === "menu").map(f => f.court);
+        for (const failure of resume.failures.filter(f => f.kind === "item")) {
+            itemsById.set(failure.itemID, failure.courtData);
+        }
+    } else {
+        try {
+            const courts = await fetchWithRetry(() => provider.getCourts(date));
+            if (!archiveOnly) { // courts are saved with today's hours, other days use weeklyMealInfo
+                for (const court of courts) {
+                    try {
+                        await saveCourt(court, date);
+                    } catch (err) {
+                        console.log("Error occured while saving dining court information: " + err);
+                    }
+                }
+            }
+            menuCourts = courts.map(court => court.name);
+        } catch (err) {
+            recordFailure({ kind: "courts" }, err);
+        }
+    }
+    run.courts = menuCourts;
+
+    /* load each court's menu */
+    await mapWithConcurrency(menuCourts, concurrency, async (court) => {
+        try {
+            const entries = await fetchWithRetry(() => provider.getCourtMenu(court, date));
+            await replaceServings(court, date, entries);
+            addEntries(itemsById, court, entries);
+        } catch (err) {
+            recordFailure({ kind: "menu", court: court }, err);
+        }
+    });
+
+    /* load and save each item's details */
+    await mapWithConcurrency([...itemsById.entries()], concurrency, async ([itemID, courtData]) => {
+        try {
+            if (!itemCache.has(itemID)) {
+                itemCache.set(itemID, fetchWithRetry(() => provider.getItem(itemID)));
+            }
+            const item = await itemCache.get(itemID).catch(err => {
+                itemCache.delete(itemID); // let a later date retry the fetch
+                throw err;
+            });
+            const result = archiveOnly ? await saveUpcomingMenuItem(item) : await saveMenuItem(item, courtData, date);
+            if (result === "added") {
+                run.itemsAdded++;
+            } else {
+                run.itemsUpdated++;
+            }
+        } catch (err) {
+            run.itemsFailed++;
+            recordFailure({ kind: "item", itemID: itemID, courtData: courtData }, err);
+        }
+    });
+
+    if (run.failures.some(f => f.kind === "courts")) {
+        run.status = "failed";
+    } else {
+        run.status = run.failures.length > 0 ? "partial" : "completed";
+    }
+    run.durationMs = Date.now() - startTime;
+    await run.save();
+    return run;
+}
+
+module.exports = { ingestMenus, saveMenuItem };
@@ -0,0 +1,76 @@
+/* normalize.js - converts HFS-shaped dining data into the documents stored in DiningCourt and MenuItem */
+
+const { dayName } = require("../campusDate");
+const { inferAllergens } = require("./inferAllergens");
+
+/* converts a 24-hour "HH:MM(:SS)" time into a 12-hour time with an AM/PM suffix */
+function to12Hour(time) {
+    const h = time.split(":")[0];
+    const m = time.split(":")[1];
+    const suffix = h >= 12 ? " PM" : " AM";
+    return ((h % 12) || 12) + ":" + m + suffix;
+}
+
+/* converts a 24-hour "HH:MM(:SS)" time into minutes after midnight */
+function toMinutesOfDay(time) {
+    return Number(time.split(":")[0]) * 60 + Number(time.split(":")[1]);
+}
+
+/**
+ * Converts an HFS location into a DiningCourt document. weeklyMealInfo holds the meals served on each
+ * weekday and mealInfo the meals served on the given date's weekday.
+ */
+function normalizeCourt(location, date) {
+    const weeklyMealInfo = {}; // { weekday: [{meal name, start time, end time, start/end in minutes after midnight}] }
+    const normalHours = location.NormalHours && location.NormalHours[0];
+
+    for (const day of (normalHours ? normalHours.Days : [])) {
+        weeklyMealInfo[day.Name] = day.Meals.map(meal => ({
+            mealType: meal.Name,
+            start: to12Hour(meal.Hours.StartTime),
+            end: to12Hour(meal.Hours.EndTime),
+            startMinutes: toMinutesOfDay(meal.Hours.StartTime),
+            endMinutes: toMinutesOfDay(meal.Hours.EndTime),
+        }));
+    }
+
+    return {
+        name: location.Name,
+        formalName: location.FormalName,
+        googleID: String(location.GooglePlaceId),
+        mealInfo: weeklyMealInfo[dayName(date)] || [],
+        weeklyMealInfo: weeklyMealInfo,
+    };
+}
+
+/* flattens an HFS court menu (meal -> station -> item) into a list of {ID, station, meal} entries */
+function normalizeMenu(menu) {
+    const entries = [];
+    for (const meal of (menu.Meals || [])) {
+        for (const station of (meal.Stations || [])) {
+            for (const item of (station.Items || [])) {
+                entries.push({
+                    ID: item.ID,
+                    station: station.Name,
+                    meal: meal.Type,
+                });
+            }
+        }
+    }
+    return entries;
+}
+
+/* converts an HFS item detail into the nutritional fields of a MenuItem document, with allergens inferred from its ingredients */
+function normalizeItem(item) {
+    return {
+        ID: item.ID,
+        name: item.Name,
+        isVegetarian: item.IsVegetarian,
+        allergens: item.Allergens,
+        nutritionFacts: item.Nutrition,
+        ingredients: item.Ingredients,
+        inferredAllergens: inferAllergens(item.Ingredients),
+    };
+}
+
+module.exports = { to12Hour, normalizeCourt, normalizeMenu, normalizeItem };
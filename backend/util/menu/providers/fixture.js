@@ -0,0 +1,53 @@
+/* fixture.js - menu provider that reads HFS-shaped JSON fixtures from disk, for offline development */
+const fs = require("fs/promises");
+const path = require("path");
+const { normalizeCourt, normalizeMenu, normalizeItem } = require("../normalize");
+
+/* reads and parses a JSON file, returning null if it doesn't exist */
+async function readJson(file) {
+    try {
+        return JSON.parse(await fs.readFile(file, "utf8"));
+    } catch (err) {
+        if (err.code === "ENOENT") {
+            return null;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Creates a provider that reads fixtures laid out like the HFS API:
+ *   <dir>/locations.json              - same shape as the HFS locations response
+ *   <dir>/menus/<court>/<date>.json   - a court's menu for one date
+ *   <dir>/menus/<court>.json          - a court's menu used for any date without its own file
+ *   <dir>/items/<item ID>.json        - same shape as the HFS item response
+ */
+function createFixtureProvider(dir) {
+    return {
+        name: "fixture",
+
+        async getCourts(date) {
+            const json = await readJson(path.join(dir, "locations.json"));
+            if (!json) {
+                throw new Error("No locations.json fixture found in " + dir);
+            }
+            return json.Location.map(location => normalizeCourt(location, date));
+        },
+
+        async getCourtMenu(courtName, date) {
+            const json = await readJson(path.join(dir, "menus", courtName, date + ".json"))
+                || await readJson(path.join(dir, "menus", courtName + ".json"));
+            return json ? normalizeMenu(json) : []; // courts without a fixture serve nothing
+        },
+
+        async getItem(itemID) {
+            const json = await readJson(path.join(dir, "items", itemID + ".json"));
+            if (!json) {
+                throw new Error("No item fixture found for " + itemID);
+            }
+            return normalizeItem(json);
+        }
+    };
+}
+
+module.exports = createFixtureProvider;
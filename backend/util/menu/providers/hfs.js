@@ -0,0 +1,45 @@
+/* hfs.js - menu provider backed by the Purdue Housing & Food Services (HFS) dining API */
+const fetch = require("node-fetch");
+const { normalizeCourt, normalizeMenu, normalizeItem } = require("../normalize");
+
+const DINING_COURTS = ["Earhart", "Ford", "Hillenbrand", "Wiley", "Windsor"];
+const PURDUE_DINING_API_URL_MENU_ITEMS = "https://api.hfs.purdue.edu/menus/v2/items/";
+const PURDUE_DINING_API_URL_DINING_COURTS = "https://api.hfs.purdue.edu/menus/v2/locations/";
+
+/* fetches a url and parses its JSON body, throwing if the response is not ok */
+async function fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Error! status: ${response.status}`);
+    }
+    return response.json();
+}
+
+/**
+ * Creates a provider that reads today's courts, menus and item details from the HFS API.
+ * Only the locations listed in DINING_COURTS are returned.
+ */
+function createHfsProvider() {
+    return {
+        name: "hfs",
+
+        async getCourts(date) {
+            const json = await fetchJson(PURDUE_DINING_API_URL_DINING_COURTS);
+            return json.Location
+                .filter(location => DINING_COURTS.includes(location.Name))
+                .map(location => normalizeCourt(location, date));
+        },
+
+        async getCourtMenu(courtName, date) {
+            const json = await fetchJson(PURDUE_DINING_API_URL_DINING_COURTS + courtName + "/" + date);
+            return normalizeMenu(json);
+        },
+
+        async getItem(itemID) {
+            const json = await fetchJson(PURDUE_DINING_API_URL_MENU_ITEMS + itemID);
+            return normalizeItem(json);
+        }
+    };
+}
+
+module.exports = createHfsProvider;
@@ -0,0 +1,28 @@
+/* index.js - selects the dining menu provider used for ingestion */
+const path = require("path");
+const createHfsProvider = require("./hfs");
+const createFixtureProvider = require("./fixture");
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, "../../../fixtures/menus");
+
+/**
+ * Every provider exposes the same interface, with dates given as "YYYY-M-D" strings:
+ *   getCourts(date)               -> [{ name, formalName, googleID, mealInfo, weeklyMealInfo }]
+ *   getCourtMenu(courtName, date) -> [{ ID, station, meal }]
+ *   getItem(itemID)               -> { ID, name, isVegetarian, allergens, nutritionFacts, ingredients }
+ */
+const PROVIDERS = {
+    hfs: () => createHfsProvider(),
+    fixture: () => createFixtureProvider(process.env.MENU_FIXTURE_DIR || DEFAULT_FIXTURE_DIR),
+};
+
+/* returns the provider named by MENU_PROVIDER (defaults to the HFS API) */
+function getMenuProvider(name = process.env.MENU_PROVIDER || "hfs") {
+    const create = PROVIDERS[name];
+    if (!create) {
+        throw new Error(`Unknown menu provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}`);
+    }
+    return create();
+}
+
+module.exports = { getMenuProvider };
@@ -0,0 +1,232 @@
+/* menuSearch.js - builds the aggregation behind GET /menuInfo/search from its query parameters */
+const { parseFilter } = require("./allergenFilter");
+
+/* nutrients that can be filtered on (minProtein=30, maxCalories=500, ...) and sorted by, keyed by query name */
+const NUTRIENTS = {
+    calories: "Calories",
+    fat: "Total fat",
+    saturatedFat: "Saturated fat",
+    cholesterol: "Cholesterol",
+    sodium: "Sodium",
+    carbs: "Total Carbohydrate",
+    fiber: "Dietary Fiber",
+    sugar: "Sugar",
+    protein: "Protein",
+};
+
+/* sort fields and the order they use when ?order isn't given */
+const SORTS = {
+    relevance: "desc", // only with ?q
+    name: "asc",
+    rating: "desc",
+    ...Object.fromEntries(Object.keys(NUTRIENTS).map(key => [key, "asc"])),
+};
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+/* splits a comma separated query value into a list, e.g. "Lunch,Dinner" -> ["Lunch", "Dinner"] */
+function listOf(value) {
+    return value ? String(value).split(",").map(v => v.trim()).filter(v => v !== "") : [];
+}
+
+/* parses a query value as a positive integer, returning `fallback` if it's missing and null if it's invalid */
+function positiveInt(value, fallback) {
+    if (value === undefined) {
+        return fallback;
+    }
+    const n = Number(value);
+    return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Validates the search query. Returns { search } with the parsed options or { error } with what's wrong.
+ *
+ * q               text searched for in the item's name and ingredients
+ * court, meal,    only items served at one of these courts / meals / stations today (comma separated);
+ * station         court, meal and station must all match the same serving
+ * vegetarian      true or false
+ * excludeAllergens  leave out items containing any of these allergens (comma separated)
+ * excludeIngredients  leave out items whose ingredients mention any of these words (comma separated)
+ * excludeProfiles  leave out items that break any of these diet profiles (comma separated, e.g. Halal)
+ * min<Nutrient>,  nutrient ranges, e.g. minProtein=30&maxCalories=500 (see NUTRIENTS)
+ * max<Nutrient>
+ * sort, order     relevance (default with q), name (default), rating or a nutrient; asc or desc
+ * page, limit     1-based page number and page size (at most MAX_LIMIT)
+ *
+ * The exclusions are checked like restrictions of util/allergenFilter (search.exclusions, null without any),
+ * so inferred allergens and whole-word ingredient matches count, and items whose info says nothing are kept.
+ */
+function parseSearchQuery(query) {
+    const search = {
+        q: typeof query.q === "string" ? query.q.trim() : "",
+        courts: listOf(query.court),
+        meals: listOf(query.meal),
+        stations: listOf(query.station),
+        nutrients: {}, // nutrient key -> { min, max }
+    };
+
+    const restrictions = [
+        ...listOf(query.excludeAllergens).map(name => ({ type: "allergen", name: name })),
+        ...listOf(query.excludeIngredients).map(name => ({ type: "ingredient", name: name })),
+        ...listOf(query.excludeProfiles).map(name => ({ type: "profile", name: name })),
+    ];
+    const { filter, error } = parseFilter({ restrictions: restrictions, unknown: "include" });
+    if (error) {
+        return { error: error };
+    }
+    search.exclusions = restrictions.length > 0 ? filter : null;
+
+    if (query.vegetarian !== undefined) {
+        if (query.vegetarian !== "true" && query.vegetarian !== "false") {
+            return { error: "vegetarian must be true or false" };
+        }
+        search.vegetarian = query.vegetarian === "true";
+    }
+
+    for (const key of Object.keys(NUTRIENTS)) {
+        const suffix = key.charAt(0).toUpperCase() + key.slice(1);
+        for (const bound of ["min", "max"]) {
+            const value = query[bound + suffix];
+            if (value === undefined) {
+                continue;
+            }
+            if (value === "" || isNaN(Number(value))) {
+                return { error: bound + suffix + " must be a number" };
+            }
+            search.nutrients[key] = { ...search.nutrients[key], [bound]: Number(value) };
+        }
+    }
+
+    search.sort = query.sort || (search.q ? "relevance" : "name");
+    if (!(search.sort in SORTS)) {
+        return { error: "sort must be one of " + Object.keys(SORTS).join(", ") };
+    }
+    if (search.sort === "relevance" && !search.q) {
+        return { error: "sort=relevance needs a search text (q)" };
+    }
+    search.order = query.order || SORTS[search.sort];
+    if (search.order !== "asc" && search.order !== "desc") {
+        return { error: "order must be asc or desc" };
+    }
+
+    search.page = positiveInt(query.page, 1);
+    search.limit = positiveInt(query.limit, DEFAULT_LIMIT);
+    if (search.page === null || search.limit === null) {
+        return { error: "page and limit must be positive integers" };
+    }
+    search.limit = Math.min(search.limit, MAX_LIMIT);
+    return { search: search };
+}
+
+/* returns an expression for the value of a nutrient in an item's nutritionFacts (null if it isn't listed) */
+function nutrientValue(name) {
+    return {
+        $arrayElemAt: [{
+            $map: {
+                input: { $filter: { input: { $ifNull: ["$nutritionFacts", []] }, cond: { $eq: ["$$this.Name", name] } } },
+                in: "$$this.Value"
+            }
+        }, 0]
+    };
+}
+
+/* returns a facet pipeline counting the matching items per [court, station, meal] part `index` */
+function servingFacet(index) {
+    return [
+        { $unwind: "$servings" },
+        { $group: { _id: { value: { $arrayElemAt: ["$servings", index] }, item: "$ID" } } },
+        { $group: { _id: "$_id.value", count: { $sum: 1 } } },
+        { $project: { _id: 0, value: "$_id", count: 1 } },
+        { $sort: { count: -1, value: 1 } },
+    ];
+}
+
+/**
+ * Builds the aggregation pipeline for a parsed search over the items served on `date`, leaving out the items
+ * with `excludedIds` (the ones search.exclusions leaves out). It yields one document { items, total, courts,
+ * meals, stations, vegetarian, allergens }; the facets count the items matching every filter.
+ */
+function buildSearchPipeline(search, date, excludedIds = []) {
+    const match = { dateServed: date };
+    if (search.q) {
+        match.$text = { $search: search.q };
+    }
+    if (search.vegetarian !== undefined) {
+        match.isVegetarian = search.vegetarian;
+    }
+    if (excludedIds.length > 0) {
+        match._id = { $nin: excludedIds };
+    }
+
+    /* the servings of an item that match the court, meal and station filters */
+    const servingConditions = [];
+    [search.courts, search.stations, search.meals].forEach((values, index) => {
+        if (values.length > 0) {
+            servingConditions.push({ $in: [{ $arrayElemAt: ["$$serving", index] }, values] });
+        }
+    });
+    const servings = {
+        $filter: { input: { $ifNull: ["$courtData", []] }, as: "serving", cond: { $and: servingConditions } }
+    };
+
+    const nutrients = {};
+    for (const [key, name] of Object.entries(NUTRIENTS)) {
+        nutrients[key] = nutrientValue(name);
+    }
+
+    const afterMatch = { "servings.0": { $exists: true } };
+    for (const [key, range] of Object.entries(search.nutrients)) {
+        afterMatch["nutrients." + key] = {
+            ...(range.min !== undefined ? { $gte: range.min } : {}),
+            ...(range.max !== undefined ? { $lte: range.max } : {}),
+        };
+    }
+
+    const direction = search.order === "asc" ? 1 : -1;
+    const sortField = { relevance: "score", name: "name", rating: "avgRating" }[search.sort] || "nutrients." + search.sort;
+    const sort = { [sortField]: direction };
+    if (sortField !== "name") {
+        sort.name = 1;
+    }
+    sort._id = 1; // keeps pages stable between requests
+
+    return [
+        { $match: match },
+        {
+            $addFields: {
+                servings: servings,
+                nutrients: nutrients,
+                ...(search.q ? { score: { $meta: "textScore" } } : {}),
+            }
+        },
+        { $match: afterMatch },
+        {
+            $facet: {
+                items: [
+                    { $sort: sort },
+                    { $skip: (search.page - 1) * search.limit },
+                    { $limit: search.limit },
+                    { $project: { servings: 0, nutrients: 0, score: 0 } },
+                ],
+                total: [{ $count: "count" }],
+                courts: servingFacet(0),
+                stations: servingFacet(1),
+                meals: servingFacet(2),
+                vegetarian: [
+                    { $group: { _id: { $ifNull: ["$isVegetarian", false] }, count: { $sum: 1 } } },
+                    { $project: { _id: 0, value: "$_id", count: 1 } },
+                ],
+                allergens: [
+                    { $unwind: "$allergens" },
+                    { $match: { "allergens.Value": true, "allergens.Name": { $nin: ["Vegan", "Vegetarian"] } } }, // HFS lists these as allergens too
+                    { $group: { _id: "$allergens.Name", count: { $sum: 1 } } },
+                    { $project: { _id: 0, value: "$_id", count: 1 } },
+                    { $sort: { count: -1, value: 1 } },
+                ],
+            }
+        },
+    ];
+}
+
+module.exports = { NUTRIENTS, parseSearchQuery, buildSearchPipeline };
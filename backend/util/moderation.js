@@ -0,0 +1,45 @@
+/* moderation.js - checks user written text against a blocklist and records moderation actions */
+const ModerationAction = require("../models/moderationAction");
+const blocklist = require("./moderationBlocklist.json");
+const { compileKeywords } = require("./menu/inferAllergens");
+
+/*
+ * The blocklist (moderationBlocklist.json) is a { keywords, except } entry like the allergen keywords, matched
+ * as whole words with plurals. Extra words can be added with MODERATION_BLOCKLIST (comma separated).
+ */
+let compiled = null; // [extra words it was compiled with, matcher per keyword]
+
+/* returns [[word, matcher]] for the blocklist and MODERATION_BLOCKLIST */
+function getMatchers() {
+    const extra = process.env.MODERATION_BLOCKLIST || "";
+    if (!compiled || compiled[0] !== extra) {
+        const words = [...blocklist.keywords, ...extra.split(",").map(w => w.trim().toLowerCase()).filter(w => w !== "")];
+        compiled = [extra, words.map(word => [word, compileKeywords({ keywords: [word], except: blocklist.except })])];
+    }
+    return compiled[1];
+}
+
+/* returns the blocklisted words in a text ([] if there are none) */
+function findBlockedWords(text) {
+    if (typeof text !== "string" || text.trim() === "") {
+        return [];
+    }
+    const lower = text.toLowerCase();
+    return getMatchers().filter(([, contains]) => contains(lower)).map(([word]) => word);
+}
+
+/* saves a moderation action on a review (a Rating with a review) to the moderation log */
+async function recordAction(action, review, { adminId = null, reason = "" } = {}) {
+    return await new ModerationAction({
+        action: action,
+        adminId: adminId,
+        reviewId: String(review._id),
+        menuItemID: review.menuItemID,
+        reviewUserId: review.userId,
+        reason: reason,
+        review: review.review,
+        photos: review.photos
+    }).save();
+}
+
+module.exports = { findBlockedWords, recordAction };
@@ -0,0 +1,150 @@
+/* popularity.js - ranks menu items by their ratings, weighing in how many ratings they have */
+const MenuItem = require("../models/menuItem");
+const Rating = require("../models/rating");
+const { starsOf } = require("./ratingAggregates");
+const campusDate = require("./campusDate");
+
+/*
+ * Items are ranked by their Bayesian average: every item starts with PRIOR_WEIGHT imaginary ratings of
+ * PRIOR_MEAN stars, so a single 5 star vote barely moves it while many good ratings do. Both are
+ * configurable with POPULAR_PRIOR_MEAN and POPULAR_PRIOR_WEIGHT; items with fewer than POPULAR_MIN_RATINGS
+ * ratings aren't ranked at all.
+ */
+const DEFAULT_PRIOR_MEAN = 3;
+const DEFAULT_PRIOR_WEIGHT = 5;
+const DEFAULT_MIN_RATINGS = 2;
+
+/* which ratings count towards popularity; "today" and "week" only count ratings given since campus midnight / 6 days before it */
+const WINDOWS = ["today", "week", "all"];
+
+/* returns a number from the environment, or `fallback` if it isn't set or isn't a non-negative number */
+function envNumber(name, fallback) {
+    const value = Number(process.env[name]);
+    return process.env[name] !== undefined && process.env[name] !== "" && value >= 0 ? value : fallback;
+}
+
+/* returns the prior and minimum rating count popularity is computed with */
+function getPopularityConfig() {
+    return {
+        priorMean: envNumber("POPULAR_PRIOR_MEAN", DEFAULT_PRIOR_MEAN),
+        priorWeight: envNumber("POPULAR_PRIOR_WEIGHT", DEFAULT_PRIOR_WEIGHT),
+        minRatings: envNumber("POPULAR_MIN_RATINGS", DEFAULT_MIN_RATINGS)
+    };
+}
+
+/**
+ * Summarizes Rating documents into { avgRating, ratingCount, ratingSum, ratingDistribution }, counting every
+ * rating as the stars util/ratingAggregates counts it as. Ratings of 0 (an item the user opened but hasn't
+ * rated, see GET /ratings/:userId/:menuItemId) don't count.
+ */
+function summarizeRatings(ratings) {
+    const distribution = [0, 0, 0, 0, 0]; // number of 1 to 5 star ratings
+    let count = 0;
+    let sum = 0;
+    for (const { rating } of ratings) {
+        const stars = starsOf(rating);
+        if (stars > 0) {
+            distribution[stars - 1]++;
+            count++;
+            sum += stars;
+        }
+    }
+    return {
+        avgRating: count > 0 ? Number((sum / count).toFixed(1)) : 0,
+        ratingCount: count,
+        ratingSum: sum,
+        ratingDistribution: distribution
+    };
+}
+
+/* returns the Bayesian average of `count` ratings adding up to `sum` */
+function bayesianScore(sum, count, { priorMean, priorWeight }) {
+    if (count + priorWeight === 0) {
+        return 0;
+    }
+    return (priorMean * priorWeight + sum) / (priorWeight + count);
+}
+
+/* returns the instant the given window starts at, or null for "all" */
+function windowStart(window) {
+    if (window === "all") {
+        return null;
+    }
+    const now = campusDate.now();
+    const { hour, minute } = campusDate.campusParts(now);
+    const midnight = now.getTime() - ((hour * 60 + minute) * 60 + now.getUTCSeconds()) * 1000 - now.getUTCMilliseconds();
+    const days = window === "week" ? 6 : 0;
+    return new Date(midnight - days * 24 * 60 * 60 * 1000);
+}
+
+/* returns { menuItemID -> summary } of the ratings given since `since` to the given items */
+async function getWindowSummaries(itemIds, since) {
+    const ratings = await Rating.find({
+        menuItemID: { $in: itemIds },
+        rating: { $gt: 0 },
+        updatedAt: { $gte: since }
+    }, { menuItemID: 1, rating: 1 });
+
+    const byItem = new Map();
+    for (const rating of ratings) {
+        if (!byItem.has(rating.menuItemID)) {
+            byItem.set(rating.menuItemID, []);
+        }
+        byItem.get(rating.menuItemID).push(rating);
+    }
+    const summaries = new Map();
+    for (const [id, itemRatings] of byItem) {
+        summaries.set(id, summarizeRatings(itemRatings));
+    }
+    return summaries;
+}
+
+/* returns whether an item is served at the given court today */
+function servedAt(item, court) {
+    return (item.courtData || []).some(([itemCourt]) => itemCourt === court);
+}
+
+/**
+ * Ranks today's menu items by popularity. Options: window (one of WINDOWS), court (only items served at
+ * that court) and limit. Returns the items as plain objects with a popularity field
+ * { score, avgRating, ratingCount, ratingDistribution } describing the ratings in the window.
+ */
+async function getPopularItems({ window = "all", court = null, limit = 25 }) {
+    const config = getPopularityConfig();
+    let items = await MenuItem.find({ dateServed: campusDate.todayDate() });
+    if (court) {
+        items = items.filter(item => servedAt(item, court));
+    }
+
+    const since = windowStart(window);
+    const summaries = since ? await getWindowSummaries(items.map(item => item.ID), since) : null;
+
+    const ranked = [];
+    for (const item of items) {
+        const summary = summaries ? summaries.get(item.ID) : {
+            avgRating: item.avgRating,
+            ratingCount: item.ratingCount,
+            ratingSum: item.ratingSum,
+            ratingDistribution: item.ratingDistribution
+        };
+        if (!summary || summary.ratingCount < Math.max(config.minRatings, 1)) {
+            continue;
+        }
+        ranked.push({
+            ...item.toObject(),
+            popularity: {
+                score: Number(bayesianScore(summary.ratingSum, summary.ratingCount, config).toFixed(2)),
+                avgRating: summary.avgRating,
+                ratingCount: summary.ratingCount,
+                ratingDistribution: summary.ratingDistribution
+            }
+        });
+    }
+
+    ranked.sort((a, b) => b.popularity.score - a.popularity.score
+        || b.popularity.ratingCount - a.popularity.ratingCount
+        || a.name.localeCompare(b.name));
+    return ranked.slice(0, limit);
+}
+
+module.exports = { WINDOWS, getPopularityConfig, summarizeRatings, bayesianScore, windowStart, getPopularItems };
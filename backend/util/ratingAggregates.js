@@ -0,0 +1,150 @@
+/* ratingAggregates.js - keeps MenuItem's avgRating, ratingCount, ratingSum and ratingDistribution in step with its ratings */
+const MenuItem = require("../models/menuItem");
+const Rating = require("../models/rating");
+
+/*
+ * A rating only counts once it's 1 to 5 stars; 0 means the user opened the item without rating it
+ * (see GET /ratings/:userId/:menuItemId). Ratings are whole stars, and any fractional ones stored before
+ * that was checked count as the stars below them, the same here and in rebuildRatingAggregates. Changing a
+ * rating moves it from one star count to another, which is applied to the MenuItem in a single update so
+ * concurrent votes can't overwrite each other.
+ */
+
+/* returns the star count a rating counts as (1 to 5), or 0 if it doesn't count */
+function starsOf(rating) {
+    const n = Number(rating);
+    return n >= 1 && n <= 5 ? Math.floor(n) : 0;
+}
+
+/* returns an expression for sum / count rounded to one decimal, or 0 if there are no ratings */
+function averageOf(sum, count) {
+    return { $cond: [{ $gt: [count, 0] }, { $round: [{ $divide: [sum, count] }, 1] }, 0] };
+}
+
+/**
+ * Atomically moves a menu item's aggregates from a user's previous rating to their new one (either can be
+ * 0 or missing: a first rating or a rating taken back). Returns the updated MenuItem, or null if there's none.
+ */
+async function applyRatingChange(menuItemID, previousRating, newRating) {
+    const before = starsOf(previousRating);
+    const after = starsOf(newRating);
+    const countChange = (after > 0 ? 1 : 0) - (before > 0 ? 1 : 0);
+
+    const distribution = {
+        $map: {
+            input: { $range: [0, 5] },
+            as: "i",
+            in: {
+                $add: [
+                    { $ifNull: [{ $arrayElemAt: ["$ratingDistribution", "$$i"] }, 0] },
+                    { $cond: [{ $eq: ["$$i", after - 1] }, 1, 0] },
+                    { $cond: [{ $eq: ["$$i", before - 1] }, -1, 0] }
+                ]
+            }
+        }
+    };
+
+    return await MenuItem.findOneAndUpdate({ ID: menuItemID }, [
+        {
+            $set: {
+                ratingCount: { $add: [{ $ifNull: ["$ratingCount", 0] }, countChange] },
+                ratingSum: { $add: [{ $ifNull: ["$ratingSum", 0] }, after - before] },
+                ratingDistribution: distribution
+            }
+        },
+        { $set: { avgRating: averageOf("$ratingSum", "$ratingCount") } }
+    ], { new: true });
+}
+
+/**
+ * Sets a user's rating of a menu item, creating the Rating if needed, and applies the change to the item's
+ * aggregates. Returns { previousRating, menuItem } where previousRating is the Rating as it was before (null
+ * if it's new) and menuItem is the updated MenuItem.
+ */
+async function setRating(userId, menuItemID, rating) {
+    const update = () => Rating.findOneAndUpdate(
+        { userId: userId, menuItemID: menuItemID },
+        { rating: rating },
+        { upsert: true, new: false }
+    );
+    let previousRating;
+    try {
+        previousRating = await update();
+    } catch (error) {
+        if (error.code !== 11000) {
+            throw error;
+        }
+        previousRating = await update(); // another request created the rating at the same time, so it exists now
+    }
+
+    const menuItem = await applyRatingChange(menuItemID, previousRating ? previousRating.rating : 0, rating);
+    return { previousRating: previousRating, menuItem: menuItem };
+}
+
+/**
+ * Removes duplicate ratings of the same item by the same user (keeping the most recently updated one) so the
+ * unique (userId, menuItemID) index can be built. Returns the number of ratings removed.
+ */
+async function removeDuplicateRatings() {
+    const duplicates = await Rating.aggregate([
+        { $sort: { updatedAt: -1 } },
+        { $group: { _id: { userId: "$userId", menuItemID: "$menuItemID" }, ids: { $push: "$_id" }, count: { $sum: 1 } } },
+        { $match: { count: { $gt: 1 } } }
+    ]);
+
+    const extraIds = duplicates.flatMap(duplicate => duplicate.ids.slice(1));
+    if (extraIds.length === 0) {
+        return 0;
+    }
+    const result = await Rating.deleteMany({ _id: { $in: extraIds } });
+    return result.deletedCount;
+}
+
+/**
+ * Rebuilds every menu item's aggregates from the Rating collection, fixing any drift. Items without ratings
+ * are reset to no ratings. Returns { duplicatesRemoved, itemsUpdated }.
+ */
+async function rebuildRatingAggregates() {
+    const duplicatesRemoved = await removeDuplicateRatings();
+    await Rating.syncIndexes(); // builds the unique index if duplicates kept it from being built before
+
+    const aggregates = await Rating.aggregate([
+        { $match: { rating: { $gte: 1, $lte: 5 } } }, // the ratings starsOf counts
+        { $project: { menuItemID: 1, stars: { $floor: "$rating" } } },
+        { $group: { _id: { item: "$menuItemID", stars: "$stars" }, count: { $sum: 1 } } },
+        { $group: { _id: "$_id.item", counts: { $push: { stars: "$_id.stars", count: "$count" } } } }
+    ]);
+
+    const operations = aggregates.map(({ _id, counts }) => {
+        const distribution = [0, 0, 0, 0, 0];
+        for (const { stars, count } of counts) {
+            distribution[stars - 1] = count;
+        }
+        const ratingCount = distribution.reduce((total, count) => total + count, 0);
+        const ratingSum = distribution.reduce((total, count, i) => total + count * (i + 1), 0);
+        return {
+            updateOne: {
+                filter: { ID: _id },
+                update: {
+                    $set: {
+                        ratingCount: ratingCount,
+                        ratingSum: ratingSum,
+                        ratingDistribution: distribution,
+                        avgRating: Number((ratingSum / ratingCount).toFixed(1))
+                    }
+                }
+            }
+        };
+    });
+    operations.push({
+        updateMany: {
+            filter: { ID: { $nin: aggregates.map(aggregate => aggregate._id) } },
+            update: { $set: { ratingCount: 0, ratingSum: 0, ratingDistribution: [0, 0, 0, 0, 0], avgRating: 0 } }
+        }
+    });
+
+    const result = await MenuItem.bulkWrite(operations, { ordered: false });
+    return { duplicatesRemoved: duplicatesRemoved, itemsUpdated: result.modifiedCount };
+}
+
+module.exports = { starsOf, applyRatingChange, setRating, rebuildRatingAggregates };
@@ -0,0 +1,258 @@
+/* recommendationPipeline.js - scores menu items for a user by combining weighted signals from pluggable scorers */
+const MenuItem = require("../models/menuItem");
+const Rating = require("../models/rating");
+const { starsOf } = require("./ratingAggregates");
+const Saved = require("../models/saved");
+const campusDate = require("./campusDate");
+const { checkItem } = require("./allergenFilter");
+const { getPopularityConfig, bayesianScore } = require("./popularity");
+const { MACROS, macrosOf, remainingMacros } = require("./mealCombos");
+const { getFoodsOn } = require("./foodLog");
+
+/*
+ * Every scorer looks at one signal and rates an item from 0 (bad) to 1 (good), or null when the signal says
+ * nothing about it (e.g. no nutrition info). A scorer is { name, describe, load(user, { filter }), score(item, data) }:
+ * load fetches what it needs for a user once, score rates one item with it and describe is the default detail.
+ * An item's recommendation score is the weighted average of the signals that rated it. Weights default to
+ * DEFAULT_WEIGHTS and can be changed with RECOMMENDATION_WEIGHTS or per request, both as "name:weight" pairs
+ * (e.g. "saved:2,recency:0").
+ */
+const DEFAULT_WEIGHTS = {
+    saved: 1,
+    ratings: 0.75,
+    allergens: 0.5,
+    nutrition: 0.5,
+    recency: 0.25,
+};
+const LIKED_RATING = 4; // stars from which a rating counts as liking an item (for recency)
+const RECENCY_HALF_LIFE_DAYS = 14; // a save or good rating counts half as much after this many days
+const OVERSHOOT_PENALTY = 2; // how much going over a remaining macro costs, see the nutrition scorer
+
+/* returns Map<allergen name, whether the item has it> from its HFS allergens, or inferred ones where HFS says nothing */
+function knownAllergens(item) {
+    const known = new Map();
+    for (const allergen of (item.inferredAllergens || [])) {
+        if (allergen.confidence === "high") {
+            known.set(allergen.Name, allergen.Value === true);
+        }
+    }
+    for (const allergen of (item.allergens || [])) {
+        known.set(allergen.Name, allergen.Value === true);
+    }
+    return known;
+}
+
+/* returns how many days ago a date was */
+function daysSince(date) {
+    return Math.max(campusDate.now().getTime() - new Date(date).getTime(), 0) / (24 * 60 * 60 * 1000);
+}
+
+// how much the item has in common with the user's saved items: 1 for a saved item, otherwise how often the
+// item's allergens and preferences (Vegan, Eggs, ...) agree with those of the saved items
+const savedScorer = {
+    name: "saved",
+    describe: "Similar to your saved items",
+    async load(user) {
+        const savedItems = await Saved.find({ userId: String(user._id), saved: true });
+        const menuItems = await MenuItem.find({ ID: { $in: savedItems.map(saved => saved.menuItemID) } });
+        const itemsById = new Map(menuItems.map(item => [item.ID, item])); // items are served on many days, keep one
+        const shares = new Map(); // allergen name -> [saved items that have it, saved items it's known for]
+        for (const item of itemsById.values()) {
+            for (const [name, has] of knownAllergens(item)) {
+                const [count, total] = shares.get(name) || [0, 0];
+                shares.set(name, [count + (has ? 1 : 0), total + 1]);
+            }
+        }
+        return { savedIds: new Set(savedItems.map(saved => saved.menuItemID)), shares: shares };
+    },
+    score(item, { savedIds, shares }) {
+        if (savedIds.has(item.ID)) {
+            return { score: 1, detail: "You saved this item" };
+        }
+        if (shares.size === 0) {
+            return null;
+        }
+        let agreement = 0;
+        let compared = 0;
+        for (const [name, has] of knownAllergens(item)) {
+            if (shares.has(name)) {
+                const [count, total] = shares.get(name);
+                agreement += has ? count / total : 1 - count / total;
+                compared++;
+            }
+        }
+        return compared > 0 ? { score: agreement / compared } : null;
+    }
+};
+
+// the user's own rating of the item if they rated it, otherwise everyone's (as a Bayesian average, see util/popularity)
+const ratingsScorer = {
+    name: "ratings",
+    describe: "Rated highly",
+    async load(user) {
+        const ratings = await Rating.find({ userId: String(user._id), rating: { $gte: 1 } }, { menuItemID: 1, rating: 1 });
+        return { own: new Map(ratings.map(rating => [rating.menuItemID, starsOf(rating.rating)])), config: getPopularityConfig() };
+    },
+    score(item, { own, config }) {
+        if (own.has(item.ID)) {
+            return { score: (own.get(item.ID) - 1) / 4, detail: "You rated it " + own.get(item.ID) + " stars" };
+        }
+        if (!item.ratingCount) {
+            return null;
+        }
+        const average = bayesianScore(item.ratingSum || 0, item.ratingCount, config);
+        return { score: Math.min(Math.max((average - 1) / 4, 0), 1), detail: item.ratingCount + " ratings" };
+    }
+};
+
+// how sure the item's allergen info is to keep to the user's preferences and restrictions; items that break them
+// are filtered out before scoring, so this only lowers items that match because allergen info is missing
+const allergensScorer = {
+    name: "allergens",
+    describe: "Known to fit your diet",
+    async load(user, { filter }) {
+        return { filter: filter ? { ...filter, unknown: "unverified" } : null };
+    },
+    score(item, { filter }) {
+        const checked = filter ? filter.restrictions.length + filter.preferences.length : 0;
+        if (checked === 0) {
+            return null;
+        }
+        const { matches, unverified } = checkItem(item, filter);
+        if (!matches) {
+            return { score: 0 };
+        }
+        return {
+            score: 1 - unverified.length / checked,
+            detail: unverified.length > 0 ? "Unverified: " + unverified.join(", ") : undefined
+        };
+    }
+};
+
+// how well one serving fits what's left of the user's daily macro goals: its macro split compared to the
+// remaining macros' split (cosine similarity), lowered by how far it goes over any of them
+const nutritionScorer = {
+    name: "nutrition",
+    describe: "Fits your remaining macros",
+    async load(user) {
+        return remainingMacros(user.lowLevelNutritionGoals, await getFoodsOn(user._id, campusDate.todayKey()));
+    },
+    score(item, { goals, remaining }) {
+        const macros = macrosOf(item);
+        const keys = Object.keys(MACROS).filter(key => goals[key] > 0);
+        if (!macros || keys.length === 0) {
+            return null;
+        }
+        let dot = 0;
+        let itemNorm = 0;
+        let remainingNorm = 0;
+        let overshoot = 0;
+        for (const key of keys) {
+            const share = macros[key] / goals[key];
+            const left = remaining[key] / goals[key];
+            dot += share * left;
+            itemNorm += share * share;
+            remainingNorm += left * left;
+            overshoot += Math.max(share - left, 0);
+        }
+        if (remainingNorm === 0) {
+            return { score: 0, detail: "You already reached your goals" };
+        }
+        const similarity = itemNorm > 0 ? dot / Math.sqrt(itemNorm * remainingNorm) : 0;
+        return { score: Math.max(similarity * (1 - OVERSHOOT_PENALTY * overshoot), 0) };
+    }
+};
+
+// how recently the user saved the item or rated it LIKED_RATING stars or more, halving every RECENCY_HALF_LIFE_DAYS
+const recencyScorer = {
+    name: "recency",
+    describe: "You liked it recently",
+    async load(user) {
+        const [savedItems, ratings] = await Promise.all([
+            Saved.find({ userId: String(user._id), saved: true }, { menuItemID: 1, updatedAt: 1 }),
+            Rating.find({ userId: String(user._id), rating: { $gte: LIKED_RATING } }, { menuItemID: 1, updatedAt: 1 })
+        ]);
+        const likedAt = new Map(); // menuItemID -> when the user last liked it
+        for (const { menuItemID, updatedAt } of [...savedItems, ...ratings]) {
+            if (updatedAt && (!likedAt.has(menuItemID) || likedAt.get(menuItemID) < updatedAt)) {
+                likedAt.set(menuItemID, updatedAt);
+            }
+        }
+        return likedAt;
+    },
+    score(item, likedAt) {
+        if (!likedAt.has(item.ID)) {
+            return { score: 0, detail: "Not saved or liked yet" };
+        }
+        const days = daysSince(likedAt.get(item.ID));
+        return { score: Math.pow(0.5, days / RECENCY_HALF_LIFE_DAYS), detail: "Liked " + Math.floor(days) + " days ago" };
+    }
+};
+
+const SCORERS = [savedScorer, ratingsScorer, allergensScorer, nutritionScorer, recencyScorer];
+
+/**
+ * Parses "name:weight" pairs separated by commas into { weights } (only the names given), or { error } if a name
+ * isn't a scorer or a weight isn't a non-negative number.
+ */
+function parseWeights(text) {
+    const weights = {};
+    for (const pair of String(text || "").split(",").map(p => p.trim()).filter(p => p !== "")) {
+        const [name, value] = pair.split(":").map(part => part.trim());
+        const weight = Number(value);
+        if (!SCORERS.some(scorer => scorer.name === name) || value === undefined || value === "" || !(weight >= 0)) {
+            return { error: "weights must be name:weight pairs with names " + SCORERS.map(s => s.name).join(", ") + " and non-negative weights" };
+        }
+        weights[name] = weight;
+    }
+    return { weights: weights };
+}
+
+/* returns the weight of every scorer: DEFAULT_WEIGHTS, then RECOMMENDATION_WEIGHTS, then `overrides` */
+function getWeights(overrides = {}) {
+    const { weights: configured, error } = parseWeights(process.env.RECOMMENDATION_WEIGHTS);
+    if (error) {
+        console.log("Ignoring RECOMMENDATION_WEIGHTS: " + error);
+    }
+    return { ...DEFAULT_WEIGHTS, ...(configured || {}), ...overrides };
+}
+
+/**
+ * Scores items for a user with every scorer whose weight isn't 0. `filter` is the user's util/allergenFilter
+ * filter (the items should already match it). Returns [{ item, score, signals }] best first, where signals has
+ * { score, weight, contribution, detail } per scorer that rated the item, and score is the sum of contributions.
+ */
+async function scoreItems(user, items, { weights = getWeights(), filter = null } = {}) {
+    const scorers = SCORERS.filter(scorer => weights[scorer.name] > 0);
+    const data = await Promise.all(scorers.map(scorer => scorer.load(user, { filter: filter })));
+
+    const scored = items.map(item => {
+        const ratings = [];
+        scorers.forEach((scorer, i) => {
+            const rated = scorer.score(item, data[i]);
+            if (rated) {
+                ratings.push({ scorer: scorer, ...rated });
+            }
+        });
+        const totalWeight = ratings.reduce((total, { scorer }) => total + weights[scorer.name], 0);
+
+        const signals = {};
+        let score = 0;
+        for (const { scorer, score: signalScore, detail } of ratings) {
+            const contribution = weights[scorer.name] * signalScore / totalWeight;
+            score += contribution;
+            signals[scorer.name] = {
+                score: Number(signalScore.toFixed(3)),
+                weight: weights[scorer.name],
+                contribution: Number(contribution.toFixed(3)),
+                detail: detail || scorer.describe
+            };
+        }
+        return { item: item, score: Number(score.toFixed(3)), signals: signals };
+    });
+
+    scored.sort((a, b) => b.score - a.score || a.item.name.localeCompare(b.item.name));
+    return scored;
+}
+
+module.exports = { DEFAULT_WEIGHTS, SCORERS, parseWeights, getWeights, scoreItems };
@@ -0,0 +1,176 @@
+/* recommender.js - item-item collaborative filtering over users' ratings and saved items */
+const Rating = require("../models/rating");
+const { starsOf } = require("./ratingAggregates");
+const Saved = require("../models/saved");
+const ItemSimilarity = require("../models/itemSimilarity");
+
+/*
+ * Every user's opinion of an item is a score from -1 to 1: a rating of r stars scores (r - 3) / 2 and saving
+ * an item scores SAVED_SCORE (the higher of the two counts when a user did both). Two items are similar when
+ * the same users scored them alike (cosine similarity of their score vectors). The similarities are computed
+ * offline (trainRecommender, nightly from index.js) and a user's recommendations are today's items most
+ * similar to the ones they liked.
+ */
+const SAVED_SCORE = 0.75; // saving an item is about as good as a 4.5 star rating
+const MAX_NEIGHBORS = 30; // similar items kept per item
+const MIN_SUPPORT = 2; // users who must have scored both items for their similarity to count
+const MIN_SIMILARITY = 0.1;
+const SHRINKAGE = 1; // added to the total similarity, so items backed by a single weak neighbor score lower
+
+/**
+ * Turns Rating and Saved documents into Map<userId, Map<menuItemID, score>>, with ratings counted as the stars
+ * util/ratingAggregates counts them as. Ratings of 0 (unrated) and unsaved items don't count.
+ */
+function buildInteractions(ratings, savedItems) {
+    const interactions = new Map();
+    const add = (userId, menuItemID, score) => {
+        if (!interactions.has(userId)) {
+            interactions.set(userId, new Map());
+        }
+        const scores = interactions.get(userId);
+        scores.set(menuItemID, scores.has(menuItemID) ? Math.max(scores.get(menuItemID), score) : score);
+    };
+
+    for (const { userId, menuItemID, rating } of ratings) {
+        const stars = starsOf(rating);
+        if (stars > 0) {
+            add(userId, menuItemID, (stars - 3) / 2);
+        }
+    }
+    for (const { userId, menuItemID, saved } of savedItems) {
+        if (saved) {
+            add(userId, menuItemID, SAVED_SCORE);
+        }
+    }
+    return interactions;
+}
+
+/**
+ * Computes item-item cosine similarities from buildInteractions' output. Returns
+ * Map<menuItemID, [{ menuItemID, similarity, support }]> with at most maxNeighbors neighbors per item,
+ * leaving out pairs scored by fewer than minSupport users or less similar than MIN_SIMILARITY.
+ */
+function computeItemSimilarities(interactions, { maxNeighbors = MAX_NEIGHBORS, minSupport = MIN_SUPPORT } = {}) {
+    const norms = new Map(); // item -> sum of its squared scores
+    const pairs = new Map(); // "a\tb" (a < b) -> { dot, support }
+
+    for (const scores of interactions.values()) {
+        const items = [...scores.entries()].filter(([, score]) => score !== 0);
+        for (const [item, score] of items) {
+            norms.set(item, (norms.get(item) || 0) + score * score);
+        }
+        for (let i = 0; i < items.length; i++) {
+            for (let j = i + 1; j < items.length; j++) {
+                const [a, b] = items[i][0] < items[j][0] ? [items[i], items[j]] : [items[j], items[i]];
+                const key = a[0] + "\t" + b[0];
+                const pair = pairs.get(key) || { dot: 0, support: 0 };
+                pair.dot += a[1] * b[1];
+                pair.support++;
+                pairs.set(key, pair);
+            }
+        }
+    }
+
+    const neighbors = new Map();
+    const addNeighbor = (item, neighbor) => {
+        if (!neighbors.has(item)) {
+            neighbors.set(item, []);
+        }
+        neighbors.get(item).push(neighbor);
+    };
+    for (const [key, { dot, support }] of pairs) {
+        if (support < minSupport) {
+            continue;
+        }
+        const [a, b] = key.split("\t");
+        const similarity = dot / Math.sqrt(norms.get(a) * norms.get(b));
+        if (similarity < MIN_SIMILARITY) {
+            continue;
+        }
+        const rounded = Number(similarity.toFixed(4));
+        addNeighbor(a, { menuItemID: b, similarity: rounded, support: support });
+        addNeighbor(b, { menuItemID: a, similarity: rounded, support: support });
+    }
+
+    for (const [item, list] of neighbors) {
+        list.sort((x, y) => y.similarity - x.similarity || y.support - x.support);
+        neighbors.set(item, list.slice(0, maxNeighbors));
+    }
+    return neighbors;
+}
+
+/**
+ * Recomputes every item's similar items from the Rating and Saved collections and replaces the stored ones.
+ * Returns { users, items, trainedAt }.
+ */
+async function trainRecommender() {
+    const trainedAt = new Date();
+    const [ratings, savedItems] = await Promise.all([
+        Rating.find({ rating: { $gt: 0 } }, { userId: 1, menuItemID: 1, rating: 1 }).lean(),
+        Saved.find({ saved: true }, { userId: 1, menuItemID: 1, saved: 1 }).lean()
+    ]);
+    const interactions = buildInteractions(ratings, savedItems);
+    const similarities = computeItemSimilarities(interactions);
+
+    const operations = [...similarities].map(([menuItemID, neighbors]) => ({
+        updateOne: {
+            filter: { menuItemID: menuItemID },
+            update: { $set: { neighbors: neighbors, trainedAt: trainedAt } },
+            upsert: true
+        }
+    }));
+    if (operations.length > 0) {
+        await ItemSimilarity.bulkWrite(operations, { ordered: false });
+    }
+    await ItemSimilarity.deleteMany({ trainedAt: { $lt: trainedAt } }); // items that no longer have similar items
+
+    return { users: interactions.size, items: similarities.size, trainedAt: trainedAt };
+}
+
+/**
+ * Scores candidate items (e.g. today's menu) for a user from the stored similarities. An item's score is the
+ * similarity-weighted average of the user's scores of its neighbors, shrunk by SHRINKAGE. Items the user
+ * already rated or saved are left out. Returns [{ item, score, because }] best first, where because is the ID
+ * of the liked item that contributed the most, or [] if the user hasn't liked anything the recommender knows.
+ */
+async function recommendForUser(userId, candidates) {
+    const [ratings, savedItems] = await Promise.all([
+        Rating.find({ userId: userId, rating: { $gt: 0 } }).lean(),
+        Saved.find({ userId: userId, saved: true }).lean()
+    ]);
+    const scores = buildInteractions(ratings, savedItems).get(userId) || new Map();
+    const unseen = candidates.filter(item => !scores.has(item.ID));
+    if (scores.size === 0 || unseen.length === 0) {
+        return [];
+    }
+
+    const stored = await ItemSimilarity.find({ menuItemID: { $in: unseen.map(item => item.ID) } }).lean();
+    const neighborsOf = new Map(stored.map(doc => [doc.menuItemID, doc.neighbors]));
+
+    const recommendations = [];
+    for (const item of unseen) {
+        let weighted = 0;
+        let totalSimilarity = 0;
+        let because = null;
+        let bestContribution = 0;
+        for (const { menuItemID, similarity } of (neighborsOf.get(item.ID) || [])) {
+            if (!scores.has(menuItemID)) {
+                continue;
+            }
+            const contribution = similarity * scores.get(menuItemID);
+            weighted += contribution;
+            totalSimilarity += similarity;
+            if (contribution > bestContribution) {
+                bestContribution = contribution;
+                because = menuItemID;
+            }
+        }
+        if (totalSimilarity > 0 && weighted > 0 && because) {
+            recommendations.push({ item: item, score: Number((weighted / (totalSimilarity + SHRINKAGE)).toFixed(3)), because: because });
+        }
+    }
+    recommendations.sort((a, b) => b.score - a.score || a.item.name.localeCompare(b.item.name));
+    return recommendations;
+}
+
+module.exports = { buildInteractions, computeItemSimilarities, trainRecommender, recommendForUser };
@@ -0,0 +1,27 @@
+/* index.js - selects where uploaded photos (e.g. review photos) are stored */
+const path = require("path");
+const createLocalStorage = require("./local");
+
+const DEFAULT_UPLOADS_DIR = path.join(__dirname, "../../uploads");
+
+/**
+ * Every storage exposes the same interface, with files named by the keys save() returns:
+ *   save(buffer, { prefix, extension }) -> key
+ *   read(key)                           -> Buffer, or null if there's no such file
+ *   exists(key)                         -> whether there's a file with that key
+ *   remove(key)                         -> deletes the file if there is one
+ */
+const STORAGES = {
+    local: () => createLocalStorage(process.env.UPLOADS_DIR || DEFAULT_UPLOADS_DIR),
+};
+
+/* returns the storage named by PHOTO_STORAGE (defaults to the local disk) */
+function getPhotoStorage(name = process.env.PHOTO_STORAGE || "local") {
+    const create = STORAGES[name];
+    if (!create) {
+        throw new Error(`Unknown photo storage "${name}". Expected one of: ${Object.keys(STORAGES).join(", ")}`);
+    }
+    return create();
+}
+
+module.exports = { getPhotoStorage };
@@ -0,0 +1,66 @@
+/* local.js - photo storage that keeps files in a directory on the server's disk */
+const fs = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]+\.[a-z]+$/; // keys are file names, so they can't point outside the directory
+
+/**
+ * Creates a storage that saves files as <dir>/<key>. Keys are "<prefix>-<random id>.<extension>";
+ * the directory is created on the first save.
+ */
+function createLocalStorage(dir) {
+    /* returns the path of a key's file, or null if the key isn't one this storage could have made */
+    function fileOf(key) {
+        return typeof key === "string" && KEY_PATTERN.test(key) ? path.join(dir, key) : null;
+    }
+
+    return {
+        name: "local",
+
+        async save(buffer, { prefix, extension }) {
+            const key = prefix + "-" + crypto.randomUUID() + "." + extension;
+            await fs.mkdir(dir, { recursive: true });
+            await fs.writeFile(path.join(dir, key), buffer);
+            return key;
+        },
+
+        async read(key) {
+            const file = fileOf(key);
+            if (!file) {
+                return null;
+            }
+            try {
+                return await fs.readFile(file);
+            } catch (err) {
+                if (err.code === "ENOENT") {
+                    return null;
+                }
+                throw err;
+            }
+        },
+
+        async exists(key) {
+            const file = fileOf(key);
+            if (!file) {
+                return false;
+            }
+            try {
+                await fs.access(file);
+                return true;
+            } catch (err) {
+                return false;
+            }
+        },
+
+        async remove(key) {
+            const file = fileOf(key);
+            if (!file) {
+                return;
+            }
+            await fs.rm(file, { force: true });
+        },
+    };
+}
+
+module.exports = createLocalStorage;
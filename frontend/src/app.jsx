@@ -5,6 +5,7 @@ import Login from "./pages/login/login";
 import Register from "./pages/register/register";
 import Preferences from "./pages/preferences/preferences";
 import MealTracker from "./pages/mealTracker/mealTracker";
+import MealPlanner from "./pages/mealPlanner/mealPlanner";
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import { useContext } from "react";
 import { AuthContext } from "./utils/authentication/auth-context";
@@ -43,6 +44,7 @@ const App = () => {
             <Route path={ROUTES.REPORT_PROBLEM} element={<ReportProblem />} />
             <Route path={ROUTES.PERSONAL_INFO} element={<PersonalInfo />} />
             <Route path={ROUTES.MEAL_TRACKER} element={<MealTracker />} />
+            <Route path={ROUTES.MEAL_PLANNER} element={<MealPlanner />} />
             <Route path={ROUTES.EXERCISE_TRACKER} element={<ExerciseTracker />} />
             <Route path={ROUTES.FOOD_ITEM_INFO} element={<MealTrackerItem />} />
             <Route path={ROUTES.EXERCISE_INFO} element={<ExerciseInfo />} />
@@ -68,6 +70,7 @@ const App = () => {
             <Route path={ROUTES.REPORT_PROBLEM} element={<Register />} />
             <Route path={ROUTES.PERSONAL_INFO} element={<Register />} />
             <Route path={ROUTES.MEAL_TRACKER} element={<Register />} />
+            <Route path={ROUTES.MEAL_PLANNER} element={<Register />} />
             <Route path={ROUTES.EXERCISE_TRACKER} element={<Register />} />
             <Route path={ROUTES.FOOD_ITEM_INFO} element={<Register />} />
             <Route path={ROUTES.EXERCISE_INFO} element={<Register />} />
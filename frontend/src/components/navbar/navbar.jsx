@@ -1,7 +1,8 @@
 /* navigation bar at top of page */
 import "./navbar.scss";
 import MenuIcon from '@mui/icons-material/Menu';
-import { useState } from "react";
+import { useState, useEffect } from "react";
+import axios from "axios";
 import logo from "../titan-clear-logo.png"
 import { Link, useNavigate } from "react-router-dom";
 import { useContext } from "react";
@@ -26,6 +27,24 @@ const Navbar = () => {
     /* Used to navigate to different pages */
     const navigate = useNavigate();
 
+    /* Names of the dining courts in the dining courts dropdown */
+    const [courts, setCourts] = useState(["Earhart", "Ford", "Hillenbrand", "Wiley", "Windsor"]);
+
+    /* Load the dining courts from the server so new courts show up without a redeploy */
+    useEffect(() => {
+        const getCourts = async () => {
+            try {
+                const response = await axios.get("/menuInfo/courts");
+                if (response.data.length > 0) {
+                    setCourts(response.data.map((court) => court.name));
+                }
+            } catch (error) {
+                console.log(error);
+            }
+        };
+        getCourts();
+    }, []);
+
     /* Function to navigate handle logging out */
     const handleLogout = (e) => {
         /* Prevent default event behavior */
@@ -83,6 +102,9 @@ const Navbar = () => {
                             <Link to={ROUTES.MEAL_TRACKER} className="link">
                                 <span>Meal Tracker</span>
                             </Link>
+                            <Link to={ROUTES.MEAL_PLANNER} className="link">
+                                <span>Meal Planner</span>
+                            </Link>
                             <Link to={ROUTES.PREFERENCES} className="link">
                                 <span>Dietary Preferences</span>
                             </Link>
@@ -94,21 +116,11 @@ const Navbar = () => {
                     <div className="dropdown">
                         <span>Dining courts ▾</span>
                         <div className="diningDropdownOptions">
-                            <Link to={ROUTES.MENU_INFO + "/Windsor"} className="link">
-                                <span className="highlight">Windsor</span>
-                            </Link>
-                            <Link to={ROUTES.MENU_INFO + "/Wiley"} className="link">
-                                <span className="highlight">Wiley</span>
-                            </Link>
-                            <Link to={ROUTES.MENU_INFO + "/Ford"} className="link">
-                                <span className="highlight">Ford</span>
-                            </Link>
-                            <Link to={ROUTES.MENU_INFO + "/Earhart"} className="link">
-                                <span className="highlight">Earhart</span>
-                            </Link>
-                            <Link to={ROUTES.MENU_INFO + "/Hillenbrand"} className="link">
-                                <span className="highlight">Hillenbrand</span>
-                            </Link>
+                            {courts.map((court) => (
+                                <Link to={ROUTES.MENU_INFO + "/" + court} className="link" key={court}>
+                                    <span className="highlight">{court}</span>
+                                </Link>
+                            ))}
                         </div>
                     </div>
                     <div className="dropdown">
@@ -0,0 +1,59 @@
+import { Button, IconButton, Stack, Typography } from '@mui/material';
+import { Close } from '@mui/icons-material';
+
+/* A set as the inputs hold it before it's sent; empty inputs are left out */
+export const EMPTY_SET = { reps: "", weight: "", unit: "lb", rpe: "", rest: "" };
+
+/* Returns a set as shown in lists, e.g. "5 x 135 lb" or "12 reps" ("?" for sets logged without reps) */
+export function formatSet(set) {
+    const reps = set.reps === null ? "?" : set.reps;
+    return set.weight !== null && set.weight !== "" ? `${reps} x ${set.weight} ${set.unit}` : `${reps} reps`;
+}
+
+/* Returns the sets of inputs that have reps filled in, as the add/edit exercise routes take them */
+export function setsToSend(sets) {
+    return sets.filter((set) => set.reps !== "" && set.reps !== null);
+}
+
+/*
+ * Returns a component to fill in the sets of an exercise one row per set (reps, weight, unit, RPE and rest in
+ * seconds). `sets` are the rows and `onChange` gets the rows after every change.
+ */
+const SetsEditor = ({ sets, onChange }) => {
+
+    const changeSet = (index, key, value) => {
+        onChange(sets.map((set, i) => i === index ? { ...set, [key]: value } : set));
+    };
+
+    const addSet = () => { // a new set starts as a copy of the last one
+        onChange(sets.concat([sets.length > 0 ? { ...sets[sets.length - 1] } : { ...EMPTY_SET }]));
+    };
+
+    const removeSet = (index) => {
+        onChange(sets.filter((set, i) => i !== index));
+    };
+
+    return (
+        <Stack spacing={1}>
+            {sets.map((set, index) => (
+                <Stack direction="row" spacing={1} alignItems="center" key={index}>
+                    <Typography fontWeight="bold">{`Set ${index + 1}:`}</Typography>
+                    <input type="reps" placeholder="reps" size={4} value={set.reps === null ? "" : set.reps} onChange={(e) => changeSet(index, "reps", e.target.value)} />
+                    <input type="weight" placeholder="weight" size={5} value={set.weight === null ? "" : set.weight} onChange={(e) => changeSet(index, "weight", e.target.value)} />
+                    <select value={set.unit} onChange={(e) => changeSet(index, "unit", e.target.value)}>
+                        <option value="lb">lb</option>
+                        <option value="kg">kg</option>
+                    </select>
+                    <input type="rpe" placeholder="RPE" size={3} value={set.rpe === null ? "" : set.rpe} onChange={(e) => changeSet(index, "rpe", e.target.value)} />
+                    <input type="rest" placeholder="rest (secs)" size={7} value={set.rest === null ? "" : set.rest} onChange={(e) => changeSet(index, "rest", e.target.value)} />
+                    <IconButton color="inherit" size="small" onClick={() => removeSet(index)}>
+                        <Close />
+                    </IconButton>
+                </Stack>
+            ))}
+            <Button variant="outlined" color="success" size="small" onClick={addSet}> Add Set </Button>
+        </Stack>
+    );
+};
+
+export default SetsEditor;
@@ -10,6 +10,7 @@ import axios from "axios";
 import { makeStyles } from '@mui/styles';
 import ROUTES from "../../routes";
 import { Link, useNavigate } from "react-router-dom";
+import SetsEditor, { formatSet, setsToSend } from "../../components/setsEditor/setsEditor";
 
 const useStyles = makeStyles((theme) => ({
     root: {
@@ -32,8 +33,7 @@ const ExerciseInfo = () => {
 
     /* Exercise info corresponding to input boxes */
     const [exerciseName, setExerciseName] = useState('');
-    const [sets, setSets] = useState(0);
-    const [reps, setReps] = useState(0);
+    const [sets, setSets] = useState([]);
     const [time, setTime] = useState(0);
     const [exerciseType, setExerciseType] = useState('');
     const [priorExercise, setPriorExercise] = useState();
@@ -41,14 +41,13 @@ const ExerciseInfo = () => {
     const { user } = useContext(AuthContext);
     const userId = user._id;
     const classes = useStyles();
-    let { exerciseHash } = useParams(); // this will be undefined if no params
+    let { exerciseId } = useParams(); // this will be undefined if no params
     const [exercise, setExercise] = useState({
         exerciseName: "",
-        sets: "",
-        reps: "",
+        sets: [],
         time: "",
         exerciseType: "",
-        hash: ""
+        id: ""
     }); //tracks food item
 
     const handleClick0 = () => {
@@ -111,7 +110,7 @@ const ExerciseInfo = () => {
         
         const getExerciseInfo = async () => {
             try {
-                const response = await axios.get(`/users/anExercise/${userId}/${exerciseHash}`,
+                const response = await axios.get(`/users/anExercise/${userId}/${exerciseId}`,
                 { headers: { token: `Bearer ${user.accessToken}` } });
                 console.log(`Bearer ${user.accessToken}`);
                 const item = response.data;
@@ -128,16 +127,16 @@ const ExerciseInfo = () => {
                 setExercise({
                     exerciseName: item.exerciseName,
                     sets: item.sets,
-                    reps: item.reps,
                     time: item.time,
                     exerciseType: item.exerciseType,
-                    hash: item.hash
+                    id: item._id
                 });
+                setSets(item.sets); // the sets are edited from what they are
             } catch (error) { console.log(error) };
         };
 
         if (isFirstRender.current) {
-            if (exerciseHash != null) {
+            if (exerciseId != null) {
                 getExerciseInfo();
             }
         }
@@ -148,21 +147,19 @@ const ExerciseInfo = () => {
     const handleEditExercise = async () => {
 
         try {
-            const hash = exerciseHash;
             const res = await axios.put(
-                `/users/editExercise/${userId}`,
-                { exerciseName, sets, reps, time, exerciseType, hash },
+                `/users/editExercise/${userId}/${exerciseId}`,
+                { exerciseName, sets: setsToSend(sets), time, exerciseType },
                 { headers: { token: `Bearer ${user.accessToken}` } }
             );
 
             // Refresh the food items after editing
             setExercise({
                     exerciseName: exerciseName,
-                    sets: sets,
-                    reps: reps,
+                    sets: res.data.sets,
                     time: time,
                     exerciseType: exerciseType,
-                    hash: exerciseHash
+                    id: exerciseId
                 });
 
             // Clear the previous state
@@ -173,9 +170,8 @@ const ExerciseInfo = () => {
 
     const handleDeleteExercise = async () => {
         try {
-            const hash = exerciseHash;
             const res = await axios.delete(
-                `/users/deleteExercise/${userId}/${hash}`,
+                `/users/deleteExercise/${userId}/${exerciseId}`,
                 { headers: { token: `Bearer ${user.accessToken}` } }
             );
         } catch (error) {
@@ -216,14 +212,16 @@ const ExerciseInfo = () => {
                     </ListItem>
                     <ListItem key="sets">
                         <Typography fontWeight="bold">
-                            Sets: {exercise.sets}
-                        </Typography>
-                    </ListItem>
-                    <ListItem key="reps">
-                        <Typography fontWeight="bold">
-                            Reps: {exercise.reps}
+                            Sets: {exercise.sets.length}
                         </Typography>
                     </ListItem>
+                    {exercise.sets.map((set, index) => (
+                        <ListItem key={`set${index}`}>
+                            <Typography>
+                                {`Set ${index + 1}: ${formatSet(set)}${set.rpe !== null ? `, RPE ${set.rpe}` : ""}${set.rest !== null ? `, ${set.rest} secs rest` : ""}`}
+                            </Typography>
+                        </ListItem>
+                    ))}
                     <ListItem key="time">
                         <Typography fontWeight="bold">
                             Time: {exercise.time}
@@ -270,13 +268,7 @@ const ExerciseInfo = () => {
                         <Typography fontWeight="bold">
                             Sets:
                         </Typography>
-                        <input type="sets" value={sets} onChange={(e) => setSets(e.target.value)}/>
-                    </ListItem>
-                    <ListItem key="reps">
-                        <Typography fontWeight="bold">
-                            Reps:
-                        </Typography>
-                        <input type="reps" value={reps} onChange={(e) => setReps(e.target.value)} />
+                        <SetsEditor sets={sets} onChange={setSets} />
                     </ListItem>
                     <ListItem key="time">
                         <Typography fontWeight="bold">
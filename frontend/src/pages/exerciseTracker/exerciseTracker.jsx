@@ -11,6 +11,7 @@ import { useRef } from "react";
 import Stack from "@mui/material/Stack";
 import Button from '@mui/material/Button';
 import { BarChart } from '@mui/x-charts/BarChart';
+import SetsEditor, { EMPTY_SET, formatSet, setsToSend } from "../../components/setsEditor/setsEditor";
 
 const useStyles = makeStyles((theme) => ({
     root: {
@@ -29,8 +30,7 @@ const ExerciseTracker = () => {
 
     /* Exercise info corresponding to input boxes */
     const [exerciseName, setExerciseName] = useState('');
-    const [sets, setSets] = useState(0);
-    const [reps, setReps] = useState(0);
+    const [sets, setSets] = useState([{ ...EMPTY_SET }]);
     const [time, setTime] = useState(0);
     const [exerciseType, setExerciseType] = useState('');
     const [lifestyle, setLifestyle] = useState('');
@@ -41,7 +41,16 @@ const ExerciseTracker = () => {
     const [otherExercises, setOtherExercises] = useState([]);
     const [allExercises, setAllExercises] = useState([]);
     const [sortType, setSortType] = useState('all');
-    const [exerciseCounts, setExerciseCounts] = useState([]);
+    const [statsPeriod, setStatsPeriod] = useState('month');
+    const [exerciseBuckets, setExerciseBuckets] = useState([]);
+
+    /* Get the number of exercises done per week, month or year */
+    const getExerciseBuckets = async (period) => {
+        const stats = await axios.get(`/users/exerciseStats/${userId}?period=${period}`, {
+            headers: { token: `Bearer ${user.accessToken}` }
+        });
+        setExerciseBuckets(stats.data.buckets);
+    };
 
     /* Load exercises on page render */
     const isFirstRender = useRef(true);
@@ -57,10 +66,6 @@ const ExerciseTracker = () => {
                     headers: { token: `Bearer ${user.accessToken}` }
                 });
 
-                const counts = await axios.get(`/users/exercisesPerMonth/${userId}`, {
-                    headers: { token: `Bearer ${user.accessToken}` }
-                });
-
                 const resActivity = await axios.get(`/users/activityInfo/${userId}`, {
                     headers: { token: `Bearer ${user.accessToken}` }
                 });
@@ -73,7 +78,7 @@ const ExerciseTracker = () => {
 
                 setActivityLevel(resActivityLevel);
                 setLifestyle(resLifestyle);
-                setExerciseCounts(counts.data);
+                await getExerciseBuckets(statsPeriod);
                 setLiftingExercises(resLifting.data);
                 setCardioExercises(resCardio.data);
                 setOtherExercises(resOther.data);
@@ -97,7 +102,7 @@ const ExerciseTracker = () => {
         try {
             const res = await axios.put(
                 `users/addExercise/${userId}`,
-                { exerciseName, sets, time, reps, exerciseType },
+                { exerciseName, sets: setsToSend(sets), time, exerciseType },
                 { headers: { token: `Bearer ${user.accessToken}` } }
             );
 
@@ -114,11 +119,7 @@ const ExerciseTracker = () => {
                 headers: { token: `Bearer ${user.accessToken}` }
             });
 
-            const counts = await axios.get(`/users/exercisesPerMonth/${userId}`, {
-                headers: { token: `Bearer ${user.accessToken}` }
-            });
-
-            setExerciseCounts(counts.data);
+            await getExerciseBuckets(statsPeriod);
             // Refresh the exercise items after editing
             setLiftingExercises(resLifting.data);
             setCardioExercises(resCardio.data);
@@ -127,8 +128,7 @@ const ExerciseTracker = () => {
 
             // Clear the editedNutritionFacts state
             setExerciseName('');
-            setSets(0);
-            setReps(0);
+            setSets([{ ...EMPTY_SET }]);
             setTime(0);
             setExerciseType('');
         } catch (error) {
@@ -167,15 +167,28 @@ const ExerciseTracker = () => {
         setSortType(event.target.value);
     }
 
+    const handleStatsPeriodChange = async (event) => {
+        setStatsPeriod(event.target.value);
+        try {
+            await getExerciseBuckets(event.target.value);
+        } catch (error) {
+            console.error(error);
+        }
+    }
+
+    function bucketLabel(bucket) { // "2023", "2023-11" or "11-12" (the week's Sunday)
+        return statsPeriod === "year" ? bucket.start.slice(0, 4) : (statsPeriod === "month" ? bucket.start.slice(0, 7) : bucket.start.slice(5));
+    }
+
     function listItem(item) { // display an exercise
         const name = item.exerciseName;
-        const id = item.hash;
+        const id = item._id;
 
         return (
             <Link to={`/exerciseInfo/${id}`} className="link">
                 <ListItem component="div" disablePadding button={true}>
                     {
-                        item.exerciseType === "Weight Lifting" ? <span className="header">{`${name} (${item.sets} sets, ${item.reps} reps)`}</span> :
+                        item.exerciseType === "Weight Lifting" ? <span className="header">{`${name} (${item.sets.length > 0 ? item.sets.map(formatSet).join(", ") : "no sets"})`}</span> :
                             (<span className="header">{`${name} (${item.time} mins)`}</span>)
                     }
 
@@ -220,9 +233,7 @@ const ExerciseTracker = () => {
                         <div> {"Exercise Name: "}</div>
                         <input type="name" value={exerciseName} onChange={(e) => setExerciseName(e.target.value)} />
                         <div> {"Sets: "}</div>
-                        <input type="sets" value={sets} onChange={(e) => setSets(e.target.value)} />
-                        <div> {"Reps: "}</div>
-                        <input type="reps" value={reps} onChange={(e) => setReps(e.target.value)} />
+                        <SetsEditor sets={sets} onChange={setSets} />
                         <div> {"Time (mins): "}</div>
                         <input type="secs" value={time} onChange={(e) => setTime(e.target.value)} />
                     </Box>
@@ -243,10 +254,20 @@ const ExerciseTracker = () => {
             </Stack>
             <Stack className="stack" spacing={2} ml={"50px"}>
                 <h4 className="moreSpace">{"View Exercise Counts:"}</h4>
+                <Box sx={{ minWidth: 120 }}>
+                    <FormControl error fullWidth sx={{ m: 1, minWidth: 120 }}  >
+                        <InputLabel>Count Exercises By</InputLabel>
+                        <Select value={statsPeriod} label="Count Exercises By" onChange={handleStatsPeriodChange} classes={{ root: classes.root, select: classes.selected }} >
+                            <MenuItem value={"week"}>{`Week`}</MenuItem>
+                            <MenuItem value={"month"}>{`Month`}</MenuItem>
+                            <MenuItem value={"year"}>{`Year`}</MenuItem>
+                        </Select>
+                    </FormControl>
+                </Box>
                 <div>
                     <BarChart
-                        xAxis={[{ scaleType: 'band', data: ['Jan', 'Feb', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'] }]}
-                        series={[{ data: [exerciseCounts[0], exerciseCounts[1], exerciseCounts[2], exerciseCounts[3], exerciseCounts[4], exerciseCounts[5], exerciseCounts[6], exerciseCounts[7], exerciseCounts[8], exerciseCounts[9], exerciseCounts[10], exerciseCounts[11]] }]}
+                        xAxis={[{ scaleType: 'band', data: exerciseBuckets.length > 0 ? exerciseBuckets.map(bucketLabel) : [""] }]}
+                        series={[{ data: exerciseBuckets.length > 0 ? exerciseBuckets.map((bucket) => bucket.sessions) : [0], label: "Exercises" }]}
                         width={300}
                         height={300}
                     />
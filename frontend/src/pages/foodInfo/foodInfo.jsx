@@ -10,6 +10,8 @@ import StarOutlineIcon from '@mui/icons-material/StarOutline';
 import StarIcon from '@mui/icons-material/Star';
 import BookmarkBorderIcon from '@mui/icons-material/BookmarkBorder';
 import BookmarkIcon from '@mui/icons-material/Bookmark';
+import ThumbUpIcon from '@mui/icons-material/ThumbUp';
+import ThumbUpOutlinedIcon from '@mui/icons-material/ThumbUpOutlined';
 import { AuthContext } from "../../utils/authentication/auth-context";
 import List from '@mui/material/List';
 import ListItem from '@mui/material/ListItem';
@@ -18,7 +20,7 @@ import Paper from '@mui/material/Paper'; // Sheet is replaced by Paper
 import Box from '@mui/material/Box';
 import axios from "axios";
 import Button from '@mui/material/Button';
-import { FormControl, InputLabel, Select, MenuItem } from "@mui/material";
+import { FormControl, InputLabel, Select, MenuItem, TextField, Pagination } from "@mui/material";
 import { makeStyles } from "@mui/styles";
 
 const useStyles = makeStyles((theme) => ({
@@ -30,6 +32,27 @@ const useStyles = makeStyles((theme) => ({
     },
 }));
 
+const REVIEWS_PAGE_SIZE = 5; // reviews shown per page
+const MAX_REVIEW_LENGTH = 1000; // same limits as routes/reviews.js
+const MAX_REVIEW_PHOTOS = 4;
+
+/* Shows one of the user's own review photos, which may not be listed yet and so is only sent with their token */
+const OwnReviewPhoto = ({ photoKey, accessToken }) => {
+    const [src, setSrc] = useState(null);
+
+    useEffect(() => {
+        let url = null;
+        axios.get(`/reviews/photos/${photoKey}`, { headers: { token: `Bearer ${accessToken}` }, responseType: 'blob' })
+            .then((response) => {
+                url = URL.createObjectURL(response.data);
+                setSrc(url);
+            })
+            .catch((error) => console.log(error));
+        return () => url && URL.revokeObjectURL(url);
+    }, [photoKey, accessToken]);
+
+    return src ? <img src={src} alt="Your review" /> : null;
+};
 
 const FoodInfo = () => {
     const classes = useStyles();
@@ -42,6 +65,12 @@ const FoodInfo = () => {
     const [savedClick, setSavedClick] = useState(false);
     const [score, setScore] = useState(0); // tracks users rating of item
     const [avg, setAvg] = useState("N/A"); // tracks avg rating
+    const [reviews, setReviews] = useState([]); // the page of reviews shown
+    const [reviewPage, setReviewPage] = useState(1);
+    const [reviewPages, setReviewPages] = useState(0); // number of pages of reviews
+    const [reviewText, setReviewText] = useState(""); // the user's own review
+    const [reviewPhotos, setReviewPhotos] = useState([]); // storage keys of the user's review photos
+    const [reviewMessage, setReviewMessage] = useState(""); // error or success message under the review form
     // const [saved, setSaved] = useState(false); // whether or not item is saved --> unused 
     const { user } = useContext(AuthContext);
     const userId = user._id;
@@ -249,6 +278,8 @@ const FoodInfo = () => {
                 } else { //find rating and call respective function
 
                     rating = response.data.rating;
+                    setReviewText(response.data.review || "");
+                    setReviewPhotos(response.data.photos || []);
 
                     switch (rating) {
                         default:
@@ -394,6 +425,134 @@ const FoodInfo = () => {
     }, [score])
 
 
+    /* Load a page of the item's reviews, most helpful first */
+    const getReviews = async (page) => {
+        try {
+            const response = await axios.get(`/reviews/${menuItemID}`, {
+                params: { page: page, limit: REVIEWS_PAGE_SIZE, userId: userId }
+            });
+            setReviews(response.data.reviews);
+            setReviewPages(response.data.pages);
+            setReviewPage(page);
+        } catch (error) {
+            console.log("failed to load reviews: " + error);
+        }
+    };
+
+    useEffect(() => {
+        if (menuItemID != null) {
+            getReviews(1);
+        }
+        // eslint-disable-next-line
+    }, [menuItemID]);
+
+    /* Upload the chosen photos, adding their keys to the review */
+    const handlePhotoUpload = async (event) => {
+        const files = Array.from(event.target.files).slice(0, MAX_REVIEW_PHOTOS - reviewPhotos.length);
+        event.target.value = ""; // lets the same file be picked again
+        const keys = [];
+        for (const file of files) {
+            try {
+                const response = await axios.post('/reviews/photos', file, {
+                    headers: { 'Content-Type': file.type, token: `Bearer ${user.accessToken}` }
+                });
+                keys.push(response.data.key);
+            } catch (error) {
+                setReviewMessage(`Couldn't upload ${file.name}: ${error.response ? error.response.data : error}`);
+            }
+        }
+        setReviewPhotos([...reviewPhotos, ...keys]);
+    };
+
+    /* Save the user's review along with their current rating */
+    const handleSubmitReview = async () => {
+        if (!starClick1) {
+            setReviewMessage("Rate the item before reviewing it");
+            return;
+        }
+        try {
+            const response = await axios.put(`/reviews/${menuItemID}`,
+                { review: reviewText, photos: reviewPhotos },
+                { headers: { token: `Bearer ${user.accessToken}` } }
+            );
+            setReviewMessage(response.data.status === "pending"
+                ? "Review saved, it will show once a moderator has looked at it"
+                : "Review saved!");
+            getReviews(1);
+        } catch (error) {
+            setReviewMessage(error.response ? error.response.data : "Couldn't save your review");
+        }
+    };
+
+    /* Delete the user's review (their rating stays) */
+    const handleDeleteReview = async () => {
+        try {
+            await axios.delete(`/reviews/${menuItemID}`, { headers: { token: `Bearer ${user.accessToken}` } });
+            setReviewText("");
+            setReviewPhotos([]);
+            setReviewMessage("Review deleted");
+            getReviews(1);
+        } catch (error) {
+            setReviewMessage(error.response ? error.response.data : "Couldn't delete your review");
+        }
+    };
+
+    /* Mark or unmark a review as helpful */
+    const handleHelpfulClick = async (review) => {
+        try {
+            const url = `/reviews/${review._id}/helpful`;
+            const config = { headers: { token: `Bearer ${user.accessToken}` } };
+            const response = review.votedHelpful ? await axios.delete(url, config) : await axios.post(url, {}, config);
+            setReviews(reviews.map((r) => (r._id === review._id ? { ...r, ...response.data } : r)));
+        } catch (error) {
+            console.log("failed to vote on review: " + error);
+        }
+    };
+
+    /* Report a review to the moderators */
+    const handleReportClick = async (review) => {
+        try {
+            const response = await axios.post(`/reviews/${review._id}/flag`, {},
+                { headers: { token: `Bearer ${user.accessToken}` } });
+            setReviews(reviews.map((r) => (r._id === review._id ? { ...r, reported: true } : r)));
+            console.log(response.data);
+        } catch (error) {
+            console.log("failed to report review: " + error);
+        }
+    };
+
+    /* Get the list of reviews */
+    const reviewList = reviews.map((review) =>
+        <ListItem key={review._id} style={{ color: 'white', display: 'block', borderBottom: '1px solid #242424' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <Typography fontWeight="bold" style={{ color: 'white' }}>
+                    {review.username} &nbsp; <span style={{ color: "#ebc034" }}>{"★".repeat(review.rating)}</span>
+                </Typography>
+                <span style={{ fontSize: 12, color: 'grey' }}>{new Date(review.reviewedAt).toLocaleDateString()}</span>
+            </div>
+            <p className="reviewText">{review.review}</p>
+            <div className="reviewPhotos">
+                {review.photos.map((key) => (
+                    <a key={key} href={`/reviews/photos/${key}`} target="_blank" rel="noreferrer">
+                        <img src={`/reviews/photos/${key}`} alt="Review" />
+                    </a>
+                ))}
+            </div>
+            <div style={{ display: 'flex', alignItems: 'center' }}>
+                <IconButton color="inherit" size="small" onClick={() => handleHelpfulClick(review)} disabled={review.userId === userId}>
+                    {review.votedHelpful ? <ThumbUpIcon fontSize="small" /> : <ThumbUpOutlinedIcon fontSize="small" />}
+                </IconButton>
+                <span style={{ fontSize: 12 }}>{`${review.helpfulCount} found this helpful`}</span>
+                {review.userId !== userId && (
+                    <Button size="small" onClick={() => handleReportClick(review)} disabled={review.reported}
+                        style={{ color: 'grey', marginLeft: 'auto' }}>
+                        {review.reported ? "Reported" : "Report"}
+                    </Button>
+                )}
+            </div>
+        </ListItem>
+    );
+
     /* Get nutrition info */
     const nutrition = menuItem.nutritionFacts.map((fact) =>
         <ListItem key={fact.Name} style={{ color: 'white', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
@@ -773,6 +932,63 @@ const FoodInfo = () => {
                     </Typography>
                     Menus subject to change. All nutritional information is based on the listed menu items. Any additions to ingredients or condiments will change the nutritional value. All information provided is believed to be accurate and reliable as of the date of posting. Nutritional information may vary by location due to product substitutions or product availability.
                 </Box>
+
+                {/* reviews */}
+                <Box className="reviews" sx={{
+                    borderColor: '#242424',
+                    p: 1,
+                    m: 1,
+                    borderRadius: 4,
+                    border: '1px solid',
+                    height: 'auto',
+                    width: 1,
+                    display: 'block',
+                }}>
+                    <Typography fontWeight="bold">
+                        Reviews: &nbsp;
+                    </Typography>
+                    <TextField
+                        multiline
+                        fullWidth
+                        minRows={2}
+                        placeholder="Write a short review of this item"
+                        value={reviewText}
+                        onChange={(e) => setReviewText(e.target.value.slice(0, MAX_REVIEW_LENGTH))}
+                        helperText={`${reviewText.length}/${MAX_REVIEW_LENGTH}`}
+                        sx={{ background: 'white', borderRadius: 1, mt: 1 }}
+                    />
+                    <div className="reviewPhotos">
+                        {reviewPhotos.map((key) => (
+                            <span key={key} className="reviewPhoto">
+                                <OwnReviewPhoto photoKey={key} accessToken={user.accessToken} />
+                                <Button size="small" onClick={() => setReviewPhotos(reviewPhotos.filter((k) => k !== key))}>Remove</Button>
+                            </span>
+                        ))}
+                    </div>
+                    <div style={{ display: 'flex', alignItems: 'center', gap: 10 }}>
+                        <Button variant="outlined" component="label" disabled={reviewPhotos.length >= MAX_REVIEW_PHOTOS}
+                            style={{ color: 'white', borderColor: 'goldenrod' }}>
+                            Add photos
+                            <input hidden type="file" accept="image/jpeg,image/png,image/webp,image/gif" multiple onChange={handlePhotoUpload} />
+                        </Button>
+                        <Button variant="contained" onClick={handleSubmitReview} style={{ backgroundColor: 'goldenrod', color: 'white' }}>
+                            Post Review
+                        </Button>
+                        <Button variant="text" onClick={handleDeleteReview} style={{ color: 'white' }}>
+                            Delete My Review
+                        </Button>
+                        <span>{reviewMessage}</span>
+                    </div>
+                    <List>
+                        {reviews.length > 0 ? reviewList : (
+                            <ListItem style={{ color: 'white' }}>No reviews yet</ListItem>
+                        )}
+                    </List>
+                    {reviewPages > 1 && (
+                        <Pagination count={reviewPages} page={reviewPage} onChange={(e, page) => getReviews(page)}
+                            sx={{ '& .MuiPaginationItem-root': { color: 'white' } }} />
+                    )}
+                </Box>
             </Box>
         </div>
     );
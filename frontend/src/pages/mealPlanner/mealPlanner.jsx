@@ -0,0 +1,354 @@
+// Javascript for the weekly meal planner page
+import { makeStyles } from '@mui/styles';
+import Navbar from "../../components/navbar/navbar";
+import { useState, useEffect, useContext } from 'react';
+import { AuthContext } from "../../utils/authentication/auth-context";
+import "./mealPlanner.scss";
+import axios from "axios";
+import {
+    Box,
+    List,
+    ListItem,
+    Paper,
+    InputLabel,
+    MenuItem,
+    FormControl,
+    Select,
+    Stack,
+    Button,
+    TextField
+} from "@mui/material";
+
+//the page shows the planned meals of today and the next 6 days, each day with its planned macros next to
+//the user's goals for that day
+//a meal is planned by picking its day and meal type, then adding dining court items (from that day's menu)
+//and custom foods with their servings
+//meals planned for today can be moved to the meal tracker with one click once they're eaten
+
+const useStyles = makeStyles((theme) => ({
+    root: {
+        color: "black",
+    },
+    selected: {
+        color: "white"
+    }
+}));
+
+const MEAL_TYPES = ["Breakfast", "Lunch", "Dinner", "Snack"];
+const MACROS = [["calories", " cal"], ["protein", "g protein"], ["carbohydrates", "g carbs"], ["fat", "g fat"]]; // [key, unit]
+
+/* formats macros like "500 cal, 20g protein, ..." */
+function formatMacros(macros) {
+    return MACROS.map(([key, unit]) => Math.round(macros[key]) + unit).join(", ");
+}
+
+const MealPlanner = () => {
+
+    const classes = useStyles();
+    const { user } = useContext(AuthContext);
+    const userId = user._id;
+    const headers = { token: "Bearer " + user.accessToken };
+
+    const [days, setDays] = useState([]); // the plan of each day, see GET /mealPlans/:userId
+    const [customFoods, setCustomFoods] = useState([]);
+    const [selectedDay, setSelectedDay] = useState(0); // index in days
+    const [message, setMessage] = useState("");
+
+    /* fields for the meal being planned */
+    const [mealType, setMealType] = useState("");
+    const [courts, setCourts] = useState([]); // names of the dining courts
+    const [court, setCourt] = useState("");
+    const [courtMeals, setCourtMeals] = useState([]); // the court's meals on the selected day
+    const [courtMeal, setCourtMeal] = useState("");
+    const [menuItems, setMenuItems] = useState([]); // the items served at that meal
+    const [itemToAdd, setItemToAdd] = useState(""); // "menu:<ID>" or "custom:<id>"
+    const [servings, setServings] = useState("1");
+    const [plannedItems, setPlannedItems] = useState([]); // [{ menuItemID | customFoodId, name, servings }]
+
+    /* fields for a new custom food */
+    const [foodName, setFoodName] = useState("");
+    const [foodMacros, setFoodMacros] = useState({ calories: "", protein: "", carbohydrates: "", fat: "" });
+    const [servingSize, setServingSize] = useState("");
+
+    /* load the plan */
+    async function getPlan() {
+        try {
+            const response = await axios.get(`/mealPlans/${userId}`, { headers: headers });
+            setDays(response.data.days);
+            setCustomFoods(response.data.customFoods);
+        } catch (error) {
+            setMessage("Couldn't load your meal plan");
+            console.log(error);
+        }
+    }
+
+    /* load the plan and the dining court names on first render */
+    useEffect(() => {
+        getPlan();
+        const getCourts = async () => {
+            try {
+                const response = await axios.get(`/menuInfo/courts`);
+                setCourts(response.data.map((courtInfo) => courtInfo.name));
+            } catch (error) {
+                console.log(error);
+            }
+        };
+        getCourts();
+    // eslint-disable-next-line
+    }, []);
+
+    /* load the court's meals on the selected day when either changes */
+    useEffect(() => {
+        setCourtMeal("");
+        setCourtMeals([]);
+        if (court === "" || days.length === 0) {
+            return;
+        }
+        const getCourtMeals = async () => {
+            try {
+                const response = await axios.get(`/menuInfo/upcoming/${court}`);
+                const day = response.data.find((upcoming) => upcoming.date === days[selectedDay].date);
+                setCourtMeals(day ? day.mealInfo.map((meal) => meal.mealType) : []);
+            } catch (error) {
+                console.log(error);
+            }
+        };
+        getCourtMeals();
+    // eslint-disable-next-line
+    }, [court, selectedDay, days.length]);
+
+    /* load the items served at the selected court and meal */
+    useEffect(() => {
+        setMenuItems([]);
+        if (court === "" || courtMeal === "") {
+            return;
+        }
+        const getMenuItems = async () => {
+            try {
+                const response = await axios.get(`/menuInfo/upcoming/${court}/${days[selectedDay].date}/${courtMeal}`);
+                setMenuItems(response.data);
+            } catch (error) {
+                console.log(error);
+            }
+        };
+        getMenuItems();
+    // eslint-disable-next-line
+    }, [courtMeal]);
+
+    /* add the picked item to the meal being planned */
+    const addItem = () => {
+        if (itemToAdd === "" || !(Number(servings) > 0)) {
+            setMessage("Pick an item and how many servings first");
+            return;
+        }
+        const source = itemToAdd.slice(0, itemToAdd.indexOf(":"));
+        const id = itemToAdd.slice(itemToAdd.indexOf(":") + 1);
+        const item = source === "menu"
+            ? { menuItemID: id, name: (menuItems.find((menuItem) => menuItem.ID === id) || {}).name }
+            : { customFoodId: id, name: (customFoods.find((food) => food.id === id) || {}).foodName };
+        setPlannedItems([...plannedItems, { ...item, servings: Number(servings) }]);
+        setItemToAdd("");
+        setServings("1");
+        setMessage("");
+    };
+
+    /* save the meal being planned */
+    const planMeal = async () => {
+        if (mealType === "" || plannedItems.length === 0) {
+            setMessage("Pick a meal type and add items first");
+            return;
+        }
+        try {
+            const response = await axios.post(`/mealPlans/${userId}/meals`, {
+                date: days[selectedDay].date,
+                mealType: mealType,
+                items: plannedItems.map(({ name, ...item }) => item)
+            }, { headers: headers });
+            setDays(response.data.days);
+            setPlannedItems([]);
+            setMessage("");
+        } catch (error) {
+            setMessage(error.response ? error.response.data : "Couldn't plan the meal");
+            console.log(error);
+        }
+    };
+
+    /* remove a planned meal */
+    const deleteMeal = async (mealId) => {
+        try {
+            const response = await axios.delete(`/mealPlans/${userId}/meals/${mealId}`, { headers: headers });
+            setDays(response.data.days);
+        } catch (error) {
+            console.log(error);
+        }
+    };
+
+    /* move one of today's planned meals to the meal tracker */
+    const trackMeal = async (meal) => {
+        try {
+            await axios.post(`/mealPlans/${userId}/meals/${meal.id}/track`, {}, { headers: headers });
+            setMessage(`${meal.mealType} was added to your meal tracker`);
+            getPlan();
+        } catch (error) {
+            setMessage(error.response ? error.response.data : "Couldn't add the meal to your tracker");
+            console.log(error);
+        }
+    };
+
+    /* save a new custom food */
+    const addCustomFood = async () => {
+        try {
+            const response = await axios.post(`/mealPlans/${userId}/customFoods`, {
+                foodName: foodName,
+                ...foodMacros,
+                servingSize: servingSize
+            }, { headers: headers });
+            setCustomFoods([...customFoods, response.data]);
+            setFoodName("");
+            setFoodMacros({ calories: "", protein: "", carbohydrates: "", fat: "" });
+            setServingSize("");
+            setMessage("");
+        } catch (error) {
+            setMessage(error.response ? error.response.data : "Couldn't add the custom food");
+            console.log(error);
+        }
+    };
+
+    /* delete a custom food */
+    const deleteCustomFood = async (foodId) => {
+        try {
+            await axios.delete(`/mealPlans/${userId}/customFoods/${foodId}`, { headers: headers });
+            setCustomFoods(customFoods.filter((food) => food.id !== foodId));
+        } catch (error) {
+            console.log(error);
+        }
+    };
+
+    const day = days[selectedDay];
+
+    return (
+        <div className="mealPlanner">
+            <Navbar />
+            <Stack direction="row" spacing={2} className="plannerContent">
+                <div className="week">
+                    <h4>Your week</h4>
+                    <Box sx={{ width: 380, bgcolor: 'background.paper', borderRadius: 5 }}>
+                        <Paper style={{ maxHeight: 500, overflow: 'auto' }}>
+                            <List>
+                                {days.map((planned, index) => (
+                                    <ListItem key={planned.date} component="div" button={true} onClick={() => setSelectedDay(index)}
+                                        className={index === selectedDay ? "dayRow selectedDay" : "dayRow"}>
+                                        <span className="dayName">{index === 0 ? "Today" : planned.day}</span>
+                                        <span className="dayTotals">{`Planned: ${formatMacros(planned.totals)}`}</span>
+                                        <span className="dayGoals">{`Goal: ${formatMacros(planned.goals)}`}</span>
+                                    </ListItem>
+                                ))}
+                            </List>
+                        </Paper>
+                    </Box>
+                </div>
+
+                {day && (
+                    <div className="day">
+                        <h4>{`${selectedDay === 0 ? "Today" : day.day} (${day.date})`}</h4>
+                        <Paper style={{ maxHeight: 250, overflow: 'auto' }}>
+                            <List>
+                                {day.meals.length === 0 && (
+                                    <ListItem component="div"><span className="plannedItem">No meals planned yet</span></ListItem>
+                                )}
+                                {day.meals.map((meal) => (
+                                    <ListItem key={meal.id} component="div" className="plannedMeal">
+                                        <span className="mealName">{`${meal.mealType}: ${formatMacros(meal.totals)}`}</span>
+                                        {meal.items.map((item, index) => (
+                                            <span className="plannedItem" key={index}>{`${item.servings} x ${item.foodName}`}</span>
+                                        ))}
+                                        <Stack direction="row" spacing={1}>
+                                            {selectedDay === 0 && (
+                                                <Button size="small" disabled={Boolean(meal.trackedAt)} onClick={() => trackMeal(meal)}>
+                                                    {meal.trackedAt ? "In tracker" : "I ate this"}
+                                                </Button>
+                                            )}
+                                            <Button size="small" onClick={() => deleteMeal(meal.id)}>Remove</Button>
+                                        </Stack>
+                                    </ListItem>
+                                ))}
+                            </List>
+                        </Paper>
+                        <span className="difference">
+                            {`Left to plan: ${formatMacros(Object.fromEntries(MACROS.map(([key]) => [key, Math.max(-day.difference[key], 0)])))}`}
+                        </span>
+
+                        <h4>Plan a meal</h4>
+                        <Stack direction="row" spacing={1} className="space">
+                            <FormControl sx={{ minWidth: 120 }} size="small">
+                                <InputLabel className="text">Meal type</InputLabel>
+                                <Select value={mealType} label="Meal type" onChange={(e) => setMealType(e.target.value)}
+                                    classes={{ root: classes.root, select: classes.selected }}>
+                                    {MEAL_TYPES.map((type) => <MenuItem value={type} key={type}>{type}</MenuItem>)}
+                                </Select>
+                            </FormControl>
+                            <FormControl sx={{ minWidth: 120 }} size="small">
+                                <InputLabel className="text">Dining Court</InputLabel>
+                                <Select value={court} label="Dining Court" onChange={(e) => setCourt(e.target.value)}
+                                    classes={{ root: classes.root, select: classes.selected }}>
+                                    {courts.map((name) => <MenuItem value={name} key={name}>{name}</MenuItem>)}
+                                </Select>
+                            </FormControl>
+                            <FormControl sx={{ minWidth: 120 }} size="small">
+                                <InputLabel className="text">Court meal</InputLabel>
+                                <Select value={courtMeal} label="Court meal" onChange={(e) => setCourtMeal(e.target.value)}
+                                    classes={{ root: classes.root, select: classes.selected }}>
+                                    {courtMeals.map((meal) => <MenuItem value={meal} key={meal}>{meal}</MenuItem>)}
+                                </Select>
+                            </FormControl>
+                        </Stack>
+                        <Stack direction="row" spacing={1} className="space">
+                            <FormControl sx={{ minWidth: 240 }} size="small">
+                                <InputLabel className="text">Item</InputLabel>
+                                <Select value={itemToAdd} label="Item" onChange={(e) => setItemToAdd(e.target.value)}
+                                    classes={{ root: classes.root, select: classes.selected }}>
+                                    {menuItems.map((item) => <MenuItem value={"menu:" + item.ID} key={"menu:" + item.ID}>{item.name}</MenuItem>)}
+                                    {customFoods.map((food) => <MenuItem value={"custom:" + food.id} key={"custom:" + food.id}>{`${food.foodName} (custom)`}</MenuItem>)}
+                                </Select>
+                            </FormControl>
+                            <TextField size="small" label="Servings" value={servings} onChange={(e) => setServings(e.target.value)}
+                                sx={{ width: 90 }} inputProps={{ style: { color: "white" } }} InputLabelProps={{ className: "text" }} />
+                            <Button variant="outlined" onClick={addItem}>Add</Button>
+                        </Stack>
+                        {plannedItems.map((item, index) => (
+                            <span className="plannedItem" key={index}>{`${item.servings} x ${item.name}`}</span>
+                        ))}
+                        <Button variant="contained" onClick={planMeal} className="space" style={{ backgroundColor: 'goldenrod', color: 'white' }}>
+                            Save meal
+                        </Button>
+                        {message !== "" && <span className="message">{message}</span>}
+                    </div>
+                )}
+
+                <div className="customFoods">
+                    <h4>Custom foods</h4>
+                    <Stack spacing={1}>
+                        <TextField size="small" label="Name" value={foodName} onChange={(e) => setFoodName(e.target.value)}
+                            inputProps={{ style: { color: "white" } }} InputLabelProps={{ className: "text" }} />
+                        {MACROS.map(([key]) => (
+                            <TextField size="small" label={key} key={key} value={foodMacros[key]}
+                                onChange={(e) => setFoodMacros({ ...foodMacros, [key]: e.target.value })}
+                                inputProps={{ style: { color: "white" } }} InputLabelProps={{ className: "text" }} />
+                        ))}
+                        <TextField size="small" label="Serving size" value={servingSize} onChange={(e) => setServingSize(e.target.value)}
+                            inputProps={{ style: { color: "white" } }} InputLabelProps={{ className: "text" }} />
+                        <Button variant="outlined" onClick={addCustomFood}>Add custom food</Button>
+                    </Stack>
+                    {customFoods.map((food) => (
+                        <div className="customFood" key={food.id}>
+                            <span>{`${food.foodName}: ${formatMacros(food)}`}</span>
+                            <Button size="small" onClick={() => deleteCustomFood(food.id)}>Delete</Button>
+                        </div>
+                    ))}
+                </div>
+            </Stack>
+        </div>
+    );
+};
+
+export default MealPlanner;
@@ -3,6 +3,8 @@ import { Box, List, ListItem, Paper, InputLabel, MenuItem, FormControl, Select,
 import IconButton from '@mui/material/IconButton';
 import Tooltip from '@mui/material/Tooltip';
 import InfoIcon from '@mui/icons-material/Info';
+import ChevronLeftIcon from '@mui/icons-material/ChevronLeft';
+import ChevronRightIcon from '@mui/icons-material/ChevronRight';
 import { makeStyles } from "@mui/styles";
 import Navbar from "../../components/navbar/navbar";
 import { Link, useLocation } from "react-router-dom";
@@ -25,17 +27,36 @@ const useStyles = makeStyles((theme) => ({
     }
 }));
 
+/* returns a date as "YYYY-MM-DD" */
+const toDateString = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+/* returns the "YYYY-MM-DD" date some days before or after another */
+const shiftDate = (dateString, days) => {
+    const date = new Date(`${dateString}T00:00`);
+    date.setDate(date.getDate() + days);
+    return toDateString(date);
+};
+
 /**
  * Returns a react component consisting of the meal tracker page. Includes all logic relevant to tracking meals.
  * 
  * @returns a react component consisting of the meal tracker page.
  */
 const MealTracker = () => {
-    // /* force rerender on location change */
+    /* Day shown in the tracker, today unless we came back from a food on an earlier day */
+    const TODAY = toDateString(new Date());
     const location = useLocation();
+    const [selectedDate, setSelectedDate] = useState(location.state?.date || TODAY);
+
+    // /* force rerender on location change */
     useEffect(() => {
         if (location.state?.refresh) {
-            getFoodItems();
+            if (location.state.date && location.state.date !== selectedDate) {
+                setSelectedDate(location.state.date);
+            } else {
+                getFoodItems();
+            }
+            getTrends();
         }
         // eslint-disable-next-line
     }, [location]);
@@ -123,18 +144,24 @@ const MealTracker = () => {
 
     };
 
-    /* Load food items on page render */
+    /* Load nutrition goals on page render */
     useEffect(() => {
-        getFoodItems(); /* note: removed only run on first render code */
         getNutritionGoals();
         // eslint-disable-next-line
     }, []);
 
-    // Gets food items. should be called on page load
+    /* Load food items on page render and whenever another day is selected */
+    useEffect(() => {
+        getFoodItems(); /* note: removed only run on first render code */
+        // eslint-disable-next-line
+    }, [selectedDate]);
+
+    // Gets food items of the selected day. should be called on page load
     const getFoodItems = async () => {
         try {
             const response = await axios.get(`users/allFoods/${userId}`, {
-                headers: { token: `Bearer ${user.accessToken}` }
+                headers: { token: `Bearer ${user.accessToken}` },
+                params: selectedDate === TODAY ? {} : { date: selectedDate } // the server knows what day today is on campus
             });
             setFoodItems(response.data);
 
@@ -185,6 +212,31 @@ const MealTracker = () => {
         }
     };
 
+    /* Weekly or monthly macro trends */
+    const WEEK = 'week';
+    const MONTH = 'month';
+    const [trendPeriod, setTrendPeriod] = useState(WEEK);
+    const [trends, setTrends] = useState([]);
+
+    /* Load trends on page render and whenever another period is selected */
+    useEffect(() => {
+        getTrends();
+        // eslint-disable-next-line
+    }, [trendPeriod]);
+
+    // Gets the daily averages of the last weeks or months, newest first
+    const getTrends = async () => {
+        try {
+            const response = await axios.get(`users/foodTrends/${userId}`, {
+                headers: { token: `Bearer ${user.accessToken}` },
+                params: { period: trendPeriod }
+            });
+            setTrends(response.data.reverse());
+        } catch (error) {
+            console.log(error);
+        }
+    };
+
     /**
      * Checks if a value is a number and is greater than 0
      * 
@@ -193,7 +245,7 @@ const MealTracker = () => {
      */
     function isValidNumber(str) {
         const num = parseFloat(str);
-        return !isNaN(num) && num >= 0 && str.trim() === num.toString();
+        return !isNaN(num) && num >= 0 && String(str).trim() === num.toString();
     }
 
     const handleAddFood = async () => {
@@ -235,32 +287,15 @@ const MealTracker = () => {
         }
 
         try {
-            const res = await axios.put(
+            await axios.put(
                 `users/addFood/${userId}`,
-                { foodName, calories, fat, protein, carbohydrates, servings, servingSize, mealType },
+                { foodName, calories, fat, protein, carbohydrates, servings, servingSize, mealType, date: selectedDate === TODAY ? undefined : selectedDate },
                 { headers: { token: `Bearer ${user.accessToken}` } }
             );
 
-            // Refresh the food items totals and the list after editing
-            setFoodItems(res.data.foods);
-            setTotalCaloriesToday(totalCaloriesToday + calories * servings);
-            setTotalProteinToday(totalProteinToday + protein * servings);
-            setTotalCarbsToday(totalCarbsToday + carbohydrates * servings);
-            setTotalFatToday(totalFatToday + fat * servings);
-
-            // refresh meal specific
-            if (mealType === BREAKFAST) {
-                setTotalBreakfastCalories(totalBreakfastCalories + calories * servings);
-            }
-            if (mealType === LUNCH) {
-                setTotalLunchCalories(totalLunchCalories + calories * servings);
-            }
-            if (mealType === DINNER) {
-                setTotalDinnerCalories(totalDinnerCalories + calories * servings);
-            }
-            if (mealType === SNACK) {
-                setTotalSnackCalories(totalSnackCalories + calories * servings);
-            }
+            // Refresh the food items, totals and trends after adding
+            getFoodItems();
+            getTrends();
 
             // Clear the editedNutritionFacts state
             setFoodName('');
@@ -291,7 +326,7 @@ const MealTracker = () => {
         if (name.length > 30) {
             name = name.substring(0, 30) + "...";
         }
-        const id = item.hash;
+        const id = item._id;
         const servings = item.servings;
         const servingSize = item.servingSize;
         const calories = item.calories
@@ -299,7 +334,7 @@ const MealTracker = () => {
 
         return (
             <div key={id}>
-                <Link to={ROUTES.FOOD_ITEM_INFO.replace(":foodItemHash", id)} className="link">
+                <Link to={ROUTES.FOOD_ITEM_INFO.replace(":foodItemId", id)} className="link">
                     <ListItem component="div" sx={{ display: "flex", alignItems: "center", justifyContent: "space-between", paddingLeft: 1, paddingRight: 1, paddingTop: .5, paddingBottom: .5 }}>
                         <div>
                             <span>{name}</span>
@@ -320,6 +355,17 @@ const MealTracker = () => {
             <Navbar />
             <Stack className="stack" spacing={2} ml={"50px"} alignItems={"center"} justifyContent={"center"}>
                 <div>
+                    {/* day shown */}
+                    <div className="dateSelector">
+                        <IconButton color="inherit" onClick={() => setSelectedDate(shiftDate(selectedDate, -1))}>
+                            <ChevronLeftIcon />
+                        </IconButton>
+                        <input type="date" value={selectedDate} max={TODAY} className="dateInput" onChange={(e) => e.target.value && setSelectedDate(e.target.value)} />
+                        <IconButton color="inherit" disabled={selectedDate >= TODAY} onClick={() => setSelectedDate(shiftDate(selectedDate, 1))}>
+                            <ChevronRightIcon />
+                        </IconButton>
+                    </div>
+
                     {/* breakfast */}
                     <h4 className="sectionTitle">
                         <span>Breakfast</span>
@@ -407,7 +453,7 @@ const MealTracker = () => {
                             <span className="goalLabelTop">
                                 {"Goals"}
                             </span>
-                            <div className="goalLabelBottom">for today</div>
+                            <div className="goalLabelBottom">{selectedDate === TODAY ? "for today" : "per day"}</div>
 
                         </div>
                     </h4>
@@ -472,6 +518,41 @@ const MealTracker = () => {
                     // sx={{fill: "white", color: "white"}}
                     />
                 </div>
+
+                <div>
+                    {/* trends */}
+                    <h4 className="sectionTitle">
+                        <span>Daily Averages</span>
+                        <FormControl size="small" sx={{ width: 120 }}>
+                            <Select value={trendPeriod} onChange={(e) => setTrendPeriod(e.target.value)} classes={{ root: classes.root, select: classes.selected }} >
+                                <MenuItem value={WEEK}>By week</MenuItem>
+                                <MenuItem value={MONTH}>By month</MenuItem>
+                            </Select>
+                        </FormControl>
+                    </h4>
+                    <Box sx={{ width: 360, height: MEAL_LIST_HEIGHT, bgcolor: 'background.paper', borderRadius: 5 }} className="list">
+                        <Paper style={{ height: MEAL_LIST_HEIGHT, overflow: 'auto' }}>
+                            <List>
+                                {
+                                    trends.map((trend) => (
+                                        <div key={trend.start}>
+                                            <ListItem component="div" sx={{ display: "flex", alignItems: "center", justifyContent: "space-between", paddingLeft: 1, paddingRight: 1, paddingTop: .5, paddingBottom: .5 }}>
+                                                <div>
+                                                    <span>{`${trend.start} to ${trend.end}`}</span>
+                                                    <div className="servingLabel">
+                                                        {`${trend.daysLogged} days logged, ${trend.dailyAverage.protein}g protein, ${trend.dailyAverage.carbohydrates}g carbs, ${trend.dailyAverage.fat}g fat`}
+                                                    </div>
+                                                </div>
+                                                <span>{`${trend.dailyAverage.calories} / ${calorieGoal}`}</span>
+                                            </ListItem>
+                                            <Divider />
+                                        </div>
+                                    ))
+                                }
+                            </List>
+                        </Paper>
+                    </Box>
+                </div>
             </Stack>
 
             <Stack className="stack" spacing={2} ml={"50px"} alignItems={"center"} justifyContent={"center"}>
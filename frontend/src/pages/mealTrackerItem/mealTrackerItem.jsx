@@ -67,7 +67,7 @@ const MealTrackerItem = () => {
     const { user } = useContext(AuthContext);
     const userId = user._id;
     const classes = useStyles();
-    let { foodItemHash } = useParams(); // this will be undefined if no params
+    let { foodItemId } = useParams(); // this will be undefined if no params
     const [foodItem, setFoodItem] = useState({
         foodName: "",
         calories: "",
@@ -77,7 +77,8 @@ const MealTrackerItem = () => {
         servings: "",
         servingSize: "",
         mealType: "",
-        hash: ""
+        id: "",
+        date: ""
     }); //tracks food item
 
     /**
@@ -88,7 +89,7 @@ const MealTrackerItem = () => {
 
         const getFoodItemInfo = async () => {
             try {
-                const response = await axios.get(`/users/aFoodItem/${userId}/${foodItemHash}`,
+                const response = await axios.get(`/users/aFoodItem/${userId}/${foodItemId}`,
                     { headers: { token: `Bearer ${user.accessToken}` } });
                 const item = response.data;
                 setFoodItem({
@@ -100,14 +101,15 @@ const MealTrackerItem = () => {
                     servings: item.servings,
                     servingSize: item.servingSize,
                     mealType: item.mealType,
-                    hash: item.hash
+                    id: item._id,
+                    date: item.date
                 });
                 // console.log(response.data);
             } catch (error) { console.log(error) };
         };
 
         if (isFirstRender.current) {
-            if (foodItemHash != null) {
+            if (foodItemId != null) {
                 getFoodItemInfo();
             }
         }
@@ -123,7 +125,7 @@ const MealTrackerItem = () => {
      */
     function isValidNumber(str) {
         const num = parseFloat(str);
-        return !isNaN(num) && num >= 0 && str.trim() === num.toString();
+        return !isNaN(num) && num >= 0 && String(str).trim() === num.toString();
     }
 
     const handleEditFood = async () => {
@@ -166,10 +168,9 @@ const MealTrackerItem = () => {
         }
 
         try {
-            const hash = foodItemHash;
             await axios.put(
-                `/users/editFood/${userId}`,
-                { foodName, calories, fat, protein, carbohydrates, servings, servingSize, mealType, hash },
+                `/users/editFood/${userId}/${foodItemId}`,
+                { foodName, calories, fat, protein, carbohydrates, servings, servingSize, mealType },
                 { headers: { token: `Bearer ${user.accessToken}` } }
             );
 
@@ -183,7 +184,8 @@ const MealTrackerItem = () => {
                 servings: servings,
                 servingSize: servingSize,
                 mealType: mealType,
-                hash: foodItemHash
+                id: foodItemId,
+                date: foodItem.date
             });
 
             // Clear the previous state
@@ -202,13 +204,12 @@ const MealTrackerItem = () => {
 
     const handleDeleteFood = async () => {
         try {
-            const hash = foodItemHash;
             await axios.delete(
-                `/users/deleteFood/${userId}/${hash}`,
+                `/users/deleteFood/${userId}/${foodItemId}`,
                 { headers: { token: `Bearer ${user.accessToken}` } }
             );
             
-            navigate(ROUTES.MEAL_TRACKER, { state: { refresh: true } });
+            navigate(ROUTES.MEAL_TRACKER, { state: { refresh: true, date: foodItem.date } }); // back to the day the food was on
         } catch (error) {
             console.error(error);
         }
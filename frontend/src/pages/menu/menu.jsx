@@ -70,46 +70,19 @@ const Menu = () => {
     //keep track of which filterconst [] option is currently chosen
     const [view, setView] = useState(FULL_MENU);
 
-    const [shouldSort, setShouldSort] = useState(false);
-    // items displayed before sorting (courtsmenu)
-    const [menuBeforeSort, setMenuBeforeSort] = useState([]);
-    //should sort based off item popularity
-    const [shouldSortPop, setShouldSortPop] = useState(false);
-    // sort the menu items based on the rating
-    const [menuBeforeSortPop, setMenuBeforeSortPop] = useState([]);
-    //disabling the button when the other one is in use
-    const [disableSort, setDisableSort] = useState(false);
-    //disabling the button when the other one is in use
-    const [disableSortPop, setDisableSortPop] = useState(false);
-
-    //should sort based on protein
-    const [shouldSortProtein, setShouldSortProtein] = useState(false);
-
-    // sort the menu items based on the protein
-    const [menuBeforeSortProtein, setMenuBeforeSortProtein] = useState([]);
-
-    //disabling the button when the other one is in use
-    const [disableSortProtein, setDisableSortProtein] = useState(false);
-
-
-    //should sort based on fat
-    const [shouldSortFat, setShouldSortFat] = useState(false);
-
-    // sort the menu items based on the fat
-    const [menuBeforeSortFat, setMenuBeforeSortFat] = useState([]);
-
-    //disabling the button when the other one is in use
-    const [disableSortFat, setDisableSortFat] = useState(false);
-
-    //should sort based on calories
-    const [shouldSortCalories, setShouldSortCalories] = useState(false);
-
-    // sort the menu items based on the calories
-    const [menuBeforeSortCalories, setMenuBeforeSortCalories] = useState([]);
-
-    //disabling the button when the other one is in use
-    const [disableSortCalories, setDisableSortCalories] = useState(false);
-
+    /* sort options, applied by /menuInfo/search for the full menu and on the page for preference filters */
+    const SORT_OPTIONS = {
+        name: { label: "Alphabetically", sort: "name", order: "asc" },
+        rating: { label: "Item popularity", sort: "rating", order: "desc" },
+        protein: { label: "High-protein content", sort: "protein", order: "desc", nutrient: "Protein" },
+        fat: { label: "Low-fat content", sort: "fat", order: "asc", nutrient: "Total fat" },
+        calories: { label: "Low-calorie content", sort: "calories", order: "asc", nutrient: "Calories" },
+    };
+    const [sortBy, setSortBy] = useState("name");
+    // pages of the full menu loaded from /menuInfo/search
+    const [searchPage, setSearchPage] = useState(1);
+    const [searchPages, setSearchPages] = useState(1);
+    const SEARCH_PAGE_SIZE = 100;
 
     let username = user.username;
 
@@ -169,216 +142,51 @@ const Menu = () => {
     const [number, setNumber] = useState("");
     const [email, setEmail] = useState("");
     const [loc, setLoc] = useState("");
-
-    // dining court names
-    const WINDSOR = "Windsor";
-    const WILEY = "Wiley";
-    const FORD = "Ford";
-    const EARHART = "Earhart";
-    const HILLENBRAND = "Hillenbrand";
-
-    // addresses of each dining court
-    const WINDSOR_ADDR =
-        "https://www.google.com/maps/place/Windsor+Dining+Court/@40.4270199,-86.9227636,17z/data=!3m1!4b1!4m5!3m4!1s0x8812e2b5c166c8cb:0xc6b89b5c96b567c4!8m2!3d40.4270158!4d-86.9205696";
-    const WILEY_ADDR =
-        "https://www.google.com/maps/place/Wiley+Dining+Court,+500+S+Martin+Jischke+Dr,+West+Lafayette,+IN+47906/@40.4270199,-86.9227636,17z/data=!4m5!3m4!1s0x8812e2b5a74ea24f:0x73a56c71f42b5191!8m2!3d40.4285229!4d-86.9207974";
-    const FORD_ADDR =
-        "https://www.google.com/maps/place/Ford+Dining+Court/@40.432113,-86.9217514,17z/data=!3m1!4b1!4m5!3m4!1s0x8812fd4b26db4177:0x2f3f9ae6b45d3924!8m2!3d40.4321076!4d-86.9193754";
-    const EARHART_ADDR =
-        "https://www.google.com/maps/place/Earhart+Dining+Court/@40.432113,-86.9217514,17z/data=!4m5!3m4!1s0x8812fddb980c7891:0xbe31985e92758c5a!8m2!3d40.4256049!4d-86.9251085";
-    const HILLENBRAND_ADDR =
-        "https://www.google.com/maps/place/Hillenbrand+Dining+Court/@40.4265725,-86.9290621,17z/data=!3m1!4b1!4m5!3m4!1s0x8812e2cbef5b238b:0xf6c8203c74b1aa90!8m2!3d40.4270003!4d-86.9266448";
-
-    /* handle clicking on address of dining court --> redirect to external link*/
-    const handleClickLocation = () => {
-        if (location === WINDSOR) {
-            window.open(WINDSOR_ADDR, "_blank");
-        }
-        if (location === WILEY) {
-            window.open(WILEY_ADDR, "_blank");
-        }
-        if (location === FORD) {
-            window.open(FORD_ADDR, "_blank");
-        }
-        if (location === EARHART) {
-            window.open(EARHART_ADDR, "_blank");
-        }
-        if (location === HILLENBRAND) {
-            window.open(HILLENBRAND_ADDR, "_blank");
+    const [mapsUrl, setMapsUrl] = useState("");
+
+    /* set the dining court's contact info and address from its court information */
+    const setCourtContact = (courtInfo) => {
+        const contact = courtInfo.contact || {};
+        const address = courtInfo.address || {};
+        const coordinates = courtInfo.coordinates;
+        setNumber(contact.phone || "");
+        setEmail(contact.email || "");
+        setLoc(address.street ? `${address.street} ${address.city}, ${address.state} ${address.zip}` : "");
+        if (coordinates) {
+            setMapsUrl(`https://www.google.com/maps/search/?api=1&query=${coordinates.latitude},${coordinates.longitude}`
+                + (courtInfo.googleID ? `&query_place_id=${courtInfo.googleID}` : ""));
+        } else {
+            setMapsUrl("");
         }
     };
 
-    /* set correct dining court info when location changes */
-    useEffect(() => {
-        if (location === WINDSOR) {
-            setNumber("(765) 496-3905");
-            setEmail("kbinge@purdue.edu");
-            setLoc("205 North Russell Street West Lafayette, IN 47906");
-        }
-        if (location === WILEY) {
-            setNumber("(765) 494-2264");
-            setEmail("cavanare@purdue.edu");
-            setLoc("498 S Martin Jischke Drive West Lafayette, IN 47906");
-        }
-        if (location === FORD) {
-            setNumber("(765) 494-2482");
-            setEmail("ahallmen@purdue.edu");
-            setLoc("1122 West Stadium Avenue West Lafayette, IN 47906");
-        }
-        if (location === EARHART) {
-            setNumber("(765) 496-6925");
-            setEmail("coryb@purdue.edu");
-            setLoc("1275 1st Street West Lafayette, IN 47906");
-        }
-        if (location === HILLENBRAND) {
-            setNumber("(765) 496-0461");
-            setEmail("nmputubw@purdue.edu");
-            setLoc("1301 3rd Street West Lafayette, IN 47906");
+    /* handle clicking on address of dining court --> redirect to external link*/
+    const handleClickLocation = () => {
+        if (mapsUrl) {
+            window.open(mapsUrl, "_blank");
         }
-    }, [location]);
-
-    /* sorting */
-    const handleSortClick = () => {
-        setShouldSort(!shouldSort);
-    };
-
-    const handleSortClickPop = () => {
-        setShouldSortPop(!shouldSortPop);
-    };
-
-    const handleSortClickProtein = () => {
-        setShouldSortProtein(!shouldSortProtein);
     };
 
-    const handleSortClickFat = () => {
-        setShouldSortFat(!shouldSortFat);
-    };
-
-    const handleSortClickCalories = () => {
-        setShouldSortCalories(!shouldSortCalories);
+    /* handle changing how the menu is sorted */
+    const handleSortBy = (event) => {
+        loading.current = true; /* need to load */
+        setSortBy(event.target.value);
     };
 
-
-    /*disable the sorting button*/
-    // const handleSortDisable = () => {
-    //     setDisableSort(!disableSort);
-    // };
-
-    // const handleSortDisablePop = () => {
-    //     setDisableSortPop(!disableSortPop);
-    // };
-
-    /* Sorting useEffect */
-    useEffect(() => {
-        // sort courts menu then set it to the sorted
-        if (shouldSort) {
-            setDisableSortPop(true);
-            setDisableSortProtein(true);
-            setDisableSortFat(true);
-            setDisableSortCalories(true);
-            //this does a copy of the prior menu
-            setMenuBeforeSort(JSON.parse(JSON.stringify(courtsMenu))); //unsorted items now stored in menuBeforeSort
-            //now we sort the item (this is an inline function that compares two objects names)
-            //this means (if a's name > b's name) then return 1
-            //            else return (if b's name > a's name) then 1
-            //                         else return 0 which means both names are equal
-            courtsMenu.sort((a, b) =>
-                a.name > b.name ? 1 : b.name > a.name ? -1 : 0
-            );
-        } else if (!shouldSort) {
-            setDisableSortPop(false);
-            setDisableSortProtein(false);
-            setDisableSortFat(false);
-            setDisableSortCalories(false);
-            //set courtsMenu back to the way it was originally
-            setCourtsMenu(menuBeforeSort);
-        }
-        // eslint-disable-next-line
-    }, [shouldSort]);
-
-    /*Sort by rating(popular items) */
-    useEffect(() => {
-        // sort courts menu then set it to the sorted
-        if (shouldSortPop) {
-            setDisableSort(true);
-            setDisableSortProtein(true);
-            setDisableSortFat(true);
-            setDisableSortCalories(true);
-            setMenuBeforeSortPop(JSON.parse(JSON.stringify(courtsMenu)));
-            courtsMenu.sort((a, b) =>
-                a.avgRating < b.avgRating ? 1 : b.avgRating < a.avgRating ? -1 : 0
-            ); //make the most highly rated items appear at the top of the list
-        } else if (!shouldSortPop) {
-            setDisableSort(false);
-            setDisableSortProtein(false);
-            setDisableSortFat(false);
-            setDisableSortCalories(false);
-            setCourtsMenu(menuBeforeSortPop);
-        }
-        // eslint-disable-next-line
-    }, [shouldSortPop]);
-
-    /*Sort by highest protein count */
-    useEffect(() => {
-        if (shouldSortProtein) {
-            setDisableSort(true);
-            setDisableSortPop(true);
-            setDisableSortFat(true);
-            setDisableSortCalories(true);
-            setMenuBeforeSortProtein([...courtsMenu]);
-            courtsMenu.sort((a, b) => (b?.nutritionFacts?.[11]?.Value || 0) - (a?.nutritionFacts?.[11]?.Value || 0));
-            setCourtsMenu(courtsMenu);
-        } else if (!shouldSortProtein) {
-            setDisableSort(false);
-            setDisableSortPop(false);
-            setDisableSortFat(false);
-            setDisableSortCalories(false);
-            setCourtsMenu([...menuBeforeSortProtein]);
-        }
-        // eslint-disable-next-line
-    }, [shouldSortProtein]);
-
-
-    /*Sort by lowest fat count */
-    useEffect(() => {
-        if (shouldSortFat) {
-            setDisableSort(true);
-            setDisableSortPop(true);
-            setDisableSortProtein(true);
-            setDisableSortCalories(true);
-            setMenuBeforeSortFat([...courtsMenu]);
-            courtsMenu.sort((a, b) => (a?.nutritionFacts?.[3]?.Value || 0) - (b?.nutritionFacts?.[3]?.Value || 0));
-            setCourtsMenu(courtsMenu);
-        } else if (!shouldSortFat) {
-            setDisableSort(false);
-            setDisableSortPop(false);
-            setDisableSortProtein(false);
-            setDisableSortCalories(false);
-            setCourtsMenu([...menuBeforeSortFat]);
-        }
-        // eslint-disable-next-line
-    }, [shouldSortFat]);
-
-
-      /*Sort by lowest calorie count */
-      useEffect(() => {
-        if (shouldSortCalories) {
-            setDisableSort(true);
-            setDisableSortPop(true);
-            setDisableSortProtein(true);
-            setDisableSortFat(true);
-            setMenuBeforeSortCalories([...courtsMenu]);
-            courtsMenu.sort((a, b) => (a?.nutritionFacts?.[1]?.Value || 0) - (b?.nutritionFacts?.[1]?.Value || 0));
-            setCourtsMenu(courtsMenu);
-        } else if (!shouldSortCalories) {
-            setDisableSort(false);
-            setDisableSortPop(false);
-            setDisableSortProtein(false);
-            setDisableSortFat(false);
-            setCourtsMenu([...menuBeforeSortCalories]);
-        }
-        // eslint-disable-next-line
-    }, [shouldSortCalories]);
+    /* sorts items from the preference endpoints like /menuInfo/search sorts the full menu */
+    function sortItems(items) {
+        const option = SORT_OPTIONS[sortBy];
+        const valueOf = (item) => {
+            if (option.nutrient) {
+                return item?.nutritionFacts?.find((fact) => fact.Name === option.nutrient)?.Value || 0;
+            }
+            return option.sort === "rating" ? item.avgRating : item.name;
+        };
+        const direction = option.order === "asc" ? 1 : -1;
+        return [...items].sort((a, b) =>
+            valueOf(a) > valueOf(b) ? direction : valueOf(b) > valueOf(a) ? -direction : 0
+        );
+    }
 
     /* selecting preferences and restrictions from checkbox */
     const handleSelectPrefsClick = async () => {
@@ -420,7 +228,7 @@ const Menu = () => {
                         }
                     );
                 }
-                const courtsItems = response.data;
+                const courtsItems = sortItems(response.data);
                 loading.current = false; /* done loading */
                 setSelectedItems(courtsItems);
                 setCourtsMenu(courtsItems);
@@ -438,19 +246,9 @@ const Menu = () => {
             && !shellfish && !soy && !treeNuts && !wheat && !milk && !peanuts);
     }
 
-    /* set menu before sorting each time something updates */
-    useEffect(() => {
-        setMenuBeforeSort(JSON.parse(JSON.stringify(courtsMenu)));
-    }, [courtsMenu]);
-
     /* handles changing filters */
     const handleChange = (event) => {
         loading.current = true; /* need to load */
-        setShouldSort(false); /* reset sorting when user changes filter */
-        setShouldSortPop(false);
-        setShouldSortProtein(false);
-        setDisableSortFat(false);
-        setDisableSortCalories(false);
 
         //this is for handling the filters options
         if (event.target.value === FULL_MENU) {
@@ -471,11 +269,6 @@ const Menu = () => {
     /* handle changing mealtype */
     const handleMeals = (event) => {
         loading.current = true; /* need to load */
-        setShouldSort(false); /* reset sorting when user changes filter */
-        setShouldSortPop(false);
-        setShouldSortProtein(false);
-        setDisableSortFat(false);
-        setDisableSortCalories(false);
 
         //this is for handling the meal selection options
         if (event.target.value === ALL_MEALS) {
@@ -499,27 +292,17 @@ const Menu = () => {
             getItemsMatchingUser();
         } else if (view === CUSTOM_PREFS) {
             // setCourtsMenu(["loading"]);
-            setShouldSort(false); /* reset sorting */
-            setShouldSortPop(false);
-            setShouldSortProtein(false);
-            setDisableSortFat(false);
-            setDisableSortCalories(false);
             handleSelectPrefsClick();
         } else if (view === FULL_MENU) {
             getCourtsItems();
         }
         // eslint-disable-next-line
-    }, [view, mealType]);
+    }, [view, mealType, sortBy]);
 
     /* edge case: useEffect for instantaneous custom prefs updates */
     useEffect(() => {
         if (view === CUSTOM_PREFS) {
             // setCourtsMenu(["loading"]);
-            setShouldSort(false); /* reset sorting */
-            setShouldSortPop(false);
-            setShouldSortProtein(false);
-            setDisableSortFat(false);
-            setDisableSortCalories(false);
             handleSelectPrefsClick();
         }
     },
@@ -527,22 +310,56 @@ const Menu = () => {
         [vegetarian, vegan, coconut, eggs, fish, gluten, sesame, shellfish,
             soy, treeNuts, wheat, milk, peanuts]);
 
-    const [busyLevel, setBusyLevel] = useState("");
+    /* busyness estimate from users' check-ins, see GET /menuInfo/busy/:diningCourt */
+    const [busyLevel, setBusyLevel] = useState({ label: "", source: "none", checkIns: 0 });
+    const [checkInLevel, setCheckInLevel] = useState("");
+    const BUSY_LEVELS = ["not busy", "not too busy", "a little busy", "as busy as it gets"]; // level 1 to 4
 
-    /* get all items from court */
-    const getCourtsItems = async () => {
+    /* handle checking in how busy the court is right now */
+    const handleCheckIn = async (event) => {
+        const level = event.target.value;
+        setCheckInLevel(level);
         try {
-            var response;
-            if (mealType === ALL_MEALS) {
-                response = await axios.get(`/menuInfo/${location}`);
-            } else {
-                response = await axios.get(`/menuInfo/meals/${location}/${mealTypes[mealType]}`);
-            }
-            // console.log(response.data);
-            const courtsItems = response.data;
+            const response = await axios.post(`/menuInfo/busy/${location}`,
+                { level },
+                { headers: { token: `Bearer ${user.accessToken}` } }
+            );
+            setBusyLevel(response.data);
+        } catch (error) {
+            console.log(error);
+        }
+    };
+
+    /* describes what the busyness estimate is based on */
+    function busySource() {
+        if (busyLevel.source === "live") {
+            return `(${busyLevel.checkIns} recent check-in${busyLevel.checkIns === 1 ? "" : "s"})`;
+        } else if (busyLevel.source === "historical") {
+            return "(usually, based on past check-ins)";
+        }
+        return "(no check-ins yet)";
+    }
+
+    /* get all items from court, sorted by /menuInfo/search. page > 1 adds the next page to the list */
+    const getCourtsItems = async (page = 1) => {
+        try {
+            const option = SORT_OPTIONS[sortBy];
+            const response = await axios.get("/menuInfo/search", {
+                params: {
+                    court: location,
+                    meal: mealType === ALL_MEALS ? undefined : mealTypes[mealType],
+                    sort: option.sort,
+                    order: option.order,
+                    page: page,
+                    limit: SEARCH_PAGE_SIZE,
+                },
+            });
+            const courtsItems = page > 1 ? [...courtsMenu, ...response.data.items] : response.data.items;
             loading.current = false; /* done loading (must end load in between) */
             setCourtsMenu(courtsItems);
             setAllItems(courtsItems);
+            setSearchPage(page);
+            setSearchPages(response.data.pages);
         } catch (error) {
             console.log(error);
         }
@@ -564,7 +381,7 @@ const Menu = () => {
                 );
                 console.log("getting prefs for " + mealTypes[mealType])
             }
-            const courtsItems = response.data;
+            const courtsItems = sortItems(response.data);
             loading.current = false; /* done loading (must end load in between) */
             setCourtsMenu(courtsItems);
             setMatchingItems(courtsItems);
@@ -582,6 +399,7 @@ const Menu = () => {
                 const response = await axios.get(`/menuInfo/courts/${location}`);
                 const courtInfo = response.data;
                 setTimes(courtInfo.mealInfo);
+                setCourtContact(courtInfo);
             } catch (error) {
                 console.log(error);
             }
@@ -600,14 +418,10 @@ const Menu = () => {
         if (location !== null) {
             setMealType(ALL_MEALS); /* reset filters to default (this causes slight visual glitch) */
             setView(FULL_MENU);
-            setShouldSort(false); /* reset sorting */
-            setShouldSortPop(false);
-            setShouldSortProtein(false);
-            setDisableSortFat(false);
-            setDisableSortCalories(false);
 
             loading.current = true; /* loading new page */
             setCourtsMenu(["loading"]); // this is to set the menu to blank (to clear the prior stuff while loading) -> causes slight visual glitch
+            setCheckInLevel("");
             getCourtsItems();
             getTimes();
             getBusy();
@@ -758,7 +572,7 @@ const Menu = () => {
                     }}
                     className="list"
                 >
-                    <Paper style={{ height: 50, width: 250, overflow: "auto" }}>
+                    <Paper style={{ height: 70, width: 250, overflow: "auto" }}>
                         <List>
                             <ListItem component="div" disablePadding button={false}
                                 sx={{
@@ -768,12 +582,31 @@ const Menu = () => {
                                     paddingBottom: '8px', // Padding at the bottom of the item
                                 }}>
                                 <span className="smallListItem">
-                                    {`${location}`} is currently {`${busyLevel}`} at {`${busytime}`}
+                                    {busyLevel.source === "none" ? (
+                                        `We don't know how busy ${location} is at ${busytime} ${busySource()}`
+                                    ) : (
+                                        `${location} is ${busyLevel.label} at ${busytime} ${busySource()}`
+                                    )}
                                 </span>
                             </ListItem>
                         </List>
                     </Paper>
                 </Box>
+                <Box sx={{ width: 250 }}>
+                    <FormControl error fullWidth size="small" sx={{ mt: 1 }}>
+                        <InputLabel>Check in: how busy is it?</InputLabel>
+                        <Select
+                            value={checkInLevel}
+                            label="Check in: how busy is it?"
+                            onChange={handleCheckIn}
+                            classes={{ root: classes.root, select: classes.selected }}
+                        >
+                            {BUSY_LEVELS.map((label, index) => (
+                                <MenuItem key={label} value={index + 1}>{label}</MenuItem>
+                            ))}
+                        </Select>
+                    </FormControl>
+                </Box>
 
                 <h4 className="sectionTitle">{`When ${location} is open`}</h4>
                 <Box
@@ -826,7 +659,15 @@ const Menu = () => {
                                     </List>
                                 ) : (
                                     courtsMenu.length !== 0 ? (
-                                        <List>{courtsMenu.map((item) => listItem(item))}</List>
+                                        <List>
+                                            {courtsMenu.map((item) => listItem(item))}
+                                            {view === FULL_MENU && searchPage < searchPages && (
+                                                <ListItem component="div" disablePadding button={true}
+                                                    onClick={() => getCourtsItems(searchPage + 1)}>
+                                                    <span style={{ marginLeft: 10 }} className="header">{"Load more items..."}</span>
+                                                </ListItem>
+                                            )}
+                                        </List>
                                     ) : (
                                         <List>
                                             <ListItem component="div" disablePadding button={true}>
@@ -894,113 +735,19 @@ const Menu = () => {
                             </Select>
                         </FormControl>
 
-                        <FormGroup className="checkboxes">
-                            <FormControlLabel
-                                control={
-                                    <Checkbox
-                                        size="small"
-                                        color="secondary"
-                                        sx={{
-                                            color: 'white', // This sets the color of the checkbox
-                                            '&.Mui-checked': {
-                                                color: 'white', // This sets the color when the checkbox is checked
-                                            },
-                                            '& .MuiSvgIcon-root': { // This targets the SVG icon (the box itself)
-                                                color: 'white', // Color for the unchecked state
-                                            },
-                                        }}
-                                    />
-                                }
-                                label={"Sort Alphabetically"}
-                                checked={shouldSort}
-                                onChange={handleSortClick}
-                                disabled={disableSort}
-                            />
-                            <FormControlLabel
-                                control={
-                                    <Checkbox
-                                        size="small"
-                                        color="secondary"
-                                        sx={{
-                                            color: 'white', // This sets the color of the checkbox
-                                            '&.Mui-checked': {
-                                                color: 'white', // This sets the color when the checkbox is checked
-                                            },
-                                            '& .MuiSvgIcon-root': { // This targets the SVG icon (the box itself)
-                                                color: 'white', // Color for the unchecked state
-                                            },
-                                        }}
-                                    />
-                                }
-                                label={"Sort by Item Popularity"}
-                                checked={shouldSortPop}
-                                onChange={handleSortClickPop}
-                                disabled={disableSortPop}
-                            />
-                            <FormControlLabel
-                                control={
-                                    <Checkbox
-                                        size="small"
-                                        color="secondary"
-                                        sx={{
-                                            color: 'white', // This sets the color of the checkbox
-                                            '&.Mui-checked': {
-                                                color: 'white', // This sets the color when the checkbox is checked
-                                            },
-                                            '& .MuiSvgIcon-root': { // This targets the SVG icon (the box itself)
-                                                color: 'white', // Color for the unchecked state
-                                            },
-                                        }}
-                                    />
-                                }
-                                label={"Sort Item By High-Protein Content"}
-                                checked={shouldSortProtein}
-                                onChange={handleSortClickProtein}
-                                disabled={disableSortProtein}
-                            />
-                            <FormControlLabel
-                                control={
-                                    <Checkbox
-                                        size="small"
-                                        color="secondary"
-                                        sx={{
-                                            color: 'white', // This sets the color of the checkbox
-                                            '&.Mui-checked': {
-                                                color: 'white', // This sets the color when the checkbox is checked
-                                            },
-                                            '& .MuiSvgIcon-root': { // This targets the SVG icon (the box itself)
-                                                color: 'white', // Color for the unchecked state
-                                            },
-                                        }}
-                                    />
-                                }
-                                label={"Sort Item By Low-Fat Content"}
-                                checked={shouldSortFat}
-                                onChange={handleSortClickFat}
-                                disabled={disableSortFat}
-                            />
-                            <FormControlLabel
-                                control={
-                                    <Checkbox
-                                        size="small"
-                                        color="secondary"
-                                        sx={{
-                                            color: 'white', // This sets the color of the checkbox
-                                            '&.Mui-checked': {
-                                                color: 'white', // This sets the color when the checkbox is checked
-                                            },
-                                            '& .MuiSvgIcon-root': { // This targets the SVG icon (the box itself)
-                                                color: 'white', // Color for the unchecked state
-                                            },
-                                        }}
-                                    />
-                                }
-                                label={"Sort Item By Low-Calorie Content"}
-                                checked={shouldSortCalories}
-                                onChange={handleSortClickCalories}
-                                disabled={disableSortCalories}
-                            />
-                        </FormGroup>
+                        <FormControl error fullWidth sx={{ m: 1, minWidth: 120 }}>
+                            <InputLabel>Sort by</InputLabel>
+                            <Select
+                                value={sortBy}
+                                label="Sort by"
+                                onChange={handleSortBy}
+                                classes={{ root: classes.root, select: classes.selected }}
+                            >
+                                {Object.entries(SORT_OPTIONS).map(([key, option]) => (
+                                    <MenuItem key={key} value={key}>{option.label}</MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
                     </Box>
                 </div>
             </Stack>
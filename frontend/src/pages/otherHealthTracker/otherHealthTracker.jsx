@@ -180,7 +180,7 @@ const OtherHealthTracker = () => {
       );
 
       // Reflect new weight log changes
-      setWeightLog(res.data.weightLog);
+      setWeightLog(res.data);
 
       // Clear all weight fields
       setWeightAmt('');
@@ -194,12 +194,12 @@ const OtherHealthTracker = () => {
     try {
       const res = await axios.put(
         `users/sleep/${userId}`,
-        { "length": sleepLength, "date": sleepDate },
+        { "length": sleepLength, "date": sleepDate && new Date(sleepDate).toISOString() }, // the time in this browser's timezone
         { headers: { token: `Bearer ${user.accessToken}` } }
       );
 
       // Reflect new sleep log changes
-      setSleepLog(res.data.sleepLog);
+      setSleepLog(res.data);
 
       // Clear all sleep fields
       setSleepLength('');
@@ -218,7 +218,7 @@ const OtherHealthTracker = () => {
       );
 
       // Reflect new water log changes
-      setWaterLog(res.data.waterLog);
+      setWaterLog(res.data);
 
       // Clear all water fields
       setWaterIntake('');
@@ -237,7 +237,7 @@ const OtherHealthTracker = () => {
       );
 
       // Reflect new supp log changes
-      setSupplementLog(res.data.suppLog);
+      setSupplementLog(res.data);
 
       // Clear all supp fields
       setSupplement('');
@@ -10,22 +10,50 @@ import {
 	List,
 	ListItem,
 	Paper,
+	FormControl,
+	InputLabel,
+	MenuItem,
+	Select,
 } from "@mui/material";
 
+/* which ratings count towards popularity (see GET /menuInfo/popular) */
+const WINDOWS = [
+    { value: "today", label: "Today" },
+    { value: "week", label: "This week" },
+    { value: "all", label: "All time" },
+];
+
 const PopularMenuItems = () => {
     const loading = useRef(true); /* whether page is loading */
     const [popularItems, setpopularItems] = useState([]); // the current items displayed in list
-    const [existsPopularItems, setExistsPopularItems] = useState(true); // whether any items exist above the popular threshold
+    const [existsPopularItems, setExistsPopularItems] = useState(true); // whether any items have enough ratings to be ranked
+    const [ratingWindow, setRatingWindow] = useState("all"); // which ratings count: today, week or all
+    const [court, setCourt] = useState(""); // the court whose leaderboard is shown, "" for every court
+    const [courts, setCourts] = useState([]); // names of the dining courts
+
+    /* load the dining court names for the court leaderboards */
+    useEffect(() => {
+        const getCourts = async () => {
+            try {
+                const response = await axios.get(`/menuInfo/courts`);
+                setCourts(response.data.map((courtInfo) => courtInfo.name));
+            } catch (error) {
+                console.log(error);
+            }
+        };
+        getCourts();
+    }, []);
+
     /**
-    * Load dining courts items on page load and alters anytime the location changes (when user first enters the page)
+    * Load the popular items on page load and anytime the window or court changes
     */
     useEffect(() => {
         const getCourtsItems = async () => {
             try {
-                const response = await axios.get(`/menuInfo/popular`);
-                if (response.data.length === 0) {
-                    setExistsPopularItems(false);
-                }
+                const response = await axios.get(`/menuInfo/popular`, {
+                    params: { window: ratingWindow, ...(court ? { court: court } : {}) }
+                });
+                setExistsPopularItems(response.data.length > 0);
                 const courtsItems = response.data;
                 loading.current = false; /* done loading */
                 setpopularItems(courtsItems);
@@ -36,11 +64,10 @@ const PopularMenuItems = () => {
             };
         };
 
+        loading.current = true;
         setpopularItems([]); // this is to set the menu to blank (to clear the prior stuff while loading)
         getCourtsItems();
-
-        // eslint-disable-next-line
-    }, [location]);
+    }, [ratingWindow, court]);
 
     /* return the proper number of stars for a menu item */
 
@@ -51,7 +78,8 @@ const PopularMenuItems = () => {
             name = name.substring(0, 40) + "...";
         }
         const id = item.ID;
-        const rating = item.avgRating > 0 ? item.avgRating : "-";
+        const rating = item.popularity.avgRating > 0 ? item.popularity.avgRating : "-";
+        const count = item.popularity.ratingCount;
 
         return (
             <Link to={`/foodInfo/${id}`} className="link">
@@ -67,7 +95,10 @@ const PopularMenuItems = () => {
                         alignItems: 'center', // Align items vertically in the center
                     }}>
                     <span className="listItem">{name}</span>
-                    <span className="listRating">{rating}</span> {/* Added marginRight */}
+                    <span className="listRating">
+                        {rating}
+                        <span className="ratingCount">{` (${count} rating${count === 1 ? "" : "s"})`}</span>
+                    </span>
                 </ListItem>
             </Link>
         );
@@ -78,12 +109,31 @@ const PopularMenuItems = () => {
             <Navbar />
             <div className="items">
                 <div className="sectionHeader">
-                    <h4 className="menuTitle">{`Popular menu items today`}</h4>
+                    <h4 className="menuTitle">{court ? `Popular at ${court} today` : `Popular menu items today`}</h4>
                     <div className="ratingHeader">
                         <span className="ratingTitle">Rating</span>
                         <span className="ratingSubtitle">out of 5</span>
                     </div>
                 </div>
+                <Box sx={{ width: 380, display: "flex", gap: 1, mb: 1, bgcolor: 'background.paper', borderRadius: 1, p: 1 }}>
+                    <FormControl fullWidth size="small">
+                        <InputLabel>Ratings from</InputLabel>
+                        <Select value={ratingWindow} label="Ratings from" onChange={(e) => setRatingWindow(e.target.value)}>
+                            {WINDOWS.map((option) => (
+                                <MenuItem key={option.value} value={option.value}>{option.label}</MenuItem>
+                            ))}
+                        </Select>
+                    </FormControl>
+                    <FormControl fullWidth size="small">
+                        <InputLabel>Dining court</InputLabel>
+                        <Select value={court} label="Dining court" onChange={(e) => setCourt(e.target.value)}>
+                            <MenuItem value="">All courts</MenuItem>
+                            {courts.map((name) => (
+                                <MenuItem key={name} value={name}>{name}</MenuItem>
+                            ))}
+                        </Select>
+                    </FormControl>
+                </Box>
                 {/* <h6>(click to view info)</h6> */}
                 <Box sx={{ width: 380, height: 400, bgcolor: 'background.paper', borderRadius: 5 }} className="list">
                     <Paper style={{ height: 400, overflow: 'auto' }}>
@@ -100,7 +150,7 @@ const PopularMenuItems = () => {
                                         popularItems.map((item) => listItem(item))
                                     ) : (
                                         <ListItem component="div" button={true}>
-                                            <span>No popular items today</span>
+                                            <span>No items have enough ratings yet</span>
                                         </ListItem>
                                     )
                                 )
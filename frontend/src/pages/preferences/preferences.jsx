@@ -4,7 +4,7 @@ import "./preferences.scss";
 import { useContext, useState, useEffect, useRef } from "react";
 import { AuthContext } from "../../utils/authentication/auth-context";
 import axios from "axios";
-import { Box, Checkbox, FormControlLabel, FormGroup, Grid } from "@mui/material";
+import { Box, Button, Checkbox, Chip, FormControlLabel, FormGroup, Grid, TextField } from "@mui/material";
 
 /* Preferences names */
 const VEGAN = "Vegan";
@@ -55,6 +55,11 @@ const Preferences = () => {
     const [prefs, setPrefs] = useState([]);
     const [rests, setRests] = useState([]);
 
+    /* Custom restrictions: { type: "ingredient", name } exclusions and { type: "profile", name } diet profiles */
+    const [customRests, setCustomRests] = useState([]);
+    const [newIngredient, setNewIngredient] = useState(""); // ingredient typed into the exclusion field
+    const [dietProfiles, setDietProfiles] = useState([]); // diet profiles to choose from
+
     /* Handlers for toggling checkboxes */
     const handleVegetarian = () => setVegetarian(!vegetarian);
     const handleVegan = () => setVegan(!vegan);
@@ -70,6 +75,24 @@ const Preferences = () => {
     const handleMilk = () => setMilk(!milk);
     const handlePeanuts = () => setPeanuts(!peanuts);
 
+    /* Handlers for custom restrictions */
+    const handleAddIngredient = () => {
+        const name = newIngredient.trim();
+        if (name && !customRests.some((rest) => rest.type === "ingredient" && rest.name.toLowerCase() === name.toLowerCase())) {
+            setCustomRests([...customRests, { type: "ingredient", name: name }]);
+        }
+        setNewIngredient("");
+    };
+    const handleRemoveCustomRest = (toRemove) => setCustomRests(customRests.filter((rest) => rest !== toRemove));
+    const hasProfile = (name) => customRests.some((rest) => rest.type === "profile" && rest.name === name);
+    const handleProfile = (name) => {
+        if (hasProfile(name)) {
+            setCustomRests(customRests.filter((rest) => !(rest.type === "profile" && rest.name === name)));
+        } else {
+            setCustomRests([...customRests, { type: "profile", name: name }]);
+        }
+    };
+
     // whether to run an update on (for initial render case)
     const [shouldUpdatePrefs, setShouldUpdatePrefs] = useState(false);
     const [shouldUpdateRests, setShouldUpdateRests] = useState(false);
@@ -160,6 +183,7 @@ const Preferences = () => {
                 }
 
                 setRests(restrictions); 
+                setCustomRests(initialRestrictions.filter((rest) => typeof rest === "object"));
                 setShouldUpdateRests(true);
                 console.log("finished setting initial rests")
             } catch (error) {
@@ -167,10 +191,21 @@ const Preferences = () => {
             }
         };
 
+        // Get the diet profiles users can choose from.
+        const getDietProfiles = async () => {
+            try {
+                const response = await axios.get("/menuInfo/dietProfiles");
+                setDietProfiles(response.data);
+            } catch (error) {
+                console.log(error);
+            }
+        };
+
         /* only run on first render */
         if (isFirstRender.current) {
             setInitialPreferences();
             setInitialRestrictions();
+            getDietProfiles();
         }
         isFirstRender.current = false;
         // eslint-disable-next-line
@@ -251,7 +286,7 @@ const Preferences = () => {
             try {
                 await axios.put('users/restrictions', {
                     userId: userId,
-                    restrictions: rests
+                    restrictions: [...rests, ...customRests]
                 }, {
                     headers: {
                         token: "Bearer " + user.accessToken 
@@ -265,7 +300,7 @@ const Preferences = () => {
 
         updateRestrictionsInDB();
         // eslint-disable-next-line
-    }, [rests]);
+    }, [rests, customRests]);
 
 
     return (
@@ -349,6 +384,36 @@ const Preferences = () => {
                     </div>
                 </Grid>
 
+                <Grid item xs={3}>
+                    <div className="column5">
+                        <Box className="box"><span className="header">Custom Restrictions</span></Box>
+                        <Box className="box">
+                            <span className="customField">
+                                <TextField
+                                    size="small"
+                                    label="Ingredient to avoid"
+                                    value={newIngredient}
+                                    onChange={(event) => setNewIngredient(event.target.value)}
+                                    onKeyDown={(event) => event.key === "Enter" && handleAddIngredient()}
+                                />
+                                <Button variant="contained" onClick={handleAddIngredient}>Add</Button>
+                            </span>
+                        </Box>
+                        <Box className="box">
+                            {customRests.filter((rest) => rest.type === "ingredient").map((rest) => (
+                                <Chip key={rest.name} className="chip" label={"No " + rest.name} onDelete={() => handleRemoveCustomRest(rest)} />
+                            ))}
+                        </Box>
+                        <FormGroup>
+                            {dietProfiles.map((profile) => (
+                                <Box className="box" key={profile.name}><span className="spanAroundCheckBox" title={profile.description}>
+                                    <FormControlLabel className="checkbox" control={<Checkbox />} label={profile.name} checked={hasProfile(profile.name)} onChange={() => handleProfile(profile.name)} />
+                                </span></Box>
+                            ))}
+                        </FormGroup>
+                    </div>
+                </Grid>
+
             </Grid>
             {/* <Footer /> */}
         </div>
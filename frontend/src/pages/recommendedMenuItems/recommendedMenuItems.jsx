@@ -19,22 +19,24 @@ import {
     FormControl,
     Select,
     Checkbox,
-    Stack
+    Stack,
+    Button
 } from "@mui/material";
 
 //the layout will be new recommendation page that has a 
 //list component on left, a filter component on right
 //1st filter option is "Give Me Recommendations Based On Saved Items"
-//this needs to first get all saved items
-//have a weightage for attributes (For example, Vegan - 4, Vegetarian - 1, Eggs - 6, Peanuts - 0 ...)
-//go through each saved item and add +1 to weightage if attribute is true in that item
-//at end select the attributes that are greater than or equal to 3
-//(if no attributes greater than 3, return all items)
-//(also indicate to user to save more items to get more personalized recommendations)
-//then return menu items that fit those more heavily weighted attributes
+//the backend scores today's items on several signals (similarity to saved items, ratings, allergen info,
+//fit with the remaining macros, how recently the user liked them) and returns the best ones
+//each item says which signals counted the most
 //2nd filter option is "Give Me Recommendations Based On My Prefs/Rests"
 //just get all items that fit the users prefs & rests
 //limit results to 15 items
+//3rd filter option is "Recommend Based On Users With Similar Taste"
+//gets today's items that users who liked the same items liked (collaborative filtering on the backend)
+//each item says which of the user's liked items it was recommended because of
+//the "Fill my remaining macros" panel shows combinations of items at a court and meal (with servings)
+//that best fill what's left of the user's daily nutrition goals
 
 const useStyles = makeStyles((theme) => ({
     root: {
@@ -51,6 +53,7 @@ const RecommendedMenuItems = () => {
     const [recsSaved, setRecsSaved] = useState([""]); //keep track of recs of saved items
     const [courtsMenu, setCourtsMenu] = useState([""]); //the current items displayed in list
     const [recsPrefsRests, setRecsPrefsRests] = useState([""]); //keep track of recs of prefs and rests
+    const [recsSimilar, setRecsSimilar] = useState([""]); //keep track of recs from users with similar taste
 
     // eslint-disable-next-line
     const [message, setMessage] = useState(""); // currently unused, can probably delete
@@ -63,6 +66,7 @@ const RecommendedMenuItems = () => {
     /* fields for recommendation type */
     const BASED_ON_PREFS = 0;
     const BASED_ON_SAVED = 1;
+    const BASED_ON_SIMILAR_USERS = 2;
     const [recommendationType, setRecommendationType] = useState(BASED_ON_PREFS);
 
     const [menuBeforeSortPop, setMenuBeforeSortPop] = useState([]); // sort the menu items based on the rating
@@ -78,6 +82,54 @@ const RecommendedMenuItems = () => {
     const [mealType, setMealType] = useState(ALL_MEALS);
     const mealTypes = ["", "Breakfast", "Unknown", "Lunch", "Snack", "Dinner"];
 
+    /* fields for meal combinations that fill the user's remaining macros */
+    const COMBO_MEALS = ["Breakfast", "Brunch", "Lunch", "Late Lunch", "Dinner"];
+    const [courts, setCourts] = useState([]); // names of the dining courts
+    const [comboCourt, setComboCourt] = useState("");
+    const [comboMeal, setComboMeal] = useState("");
+    const [combos, setCombos] = useState(null); // the response of /recommendations/nutrition, null before asking
+    const [comboMessage, setComboMessage] = useState("");
+
+    /* load the dining court names for the meal combinations */
+    useEffect(() => {
+        const getCourts = async () => {
+            try {
+                const response = await axios.get(`/menuInfo/courts`);
+                setCourts(response.data.map((courtInfo) => courtInfo.name));
+            } catch (error) {
+                console.log(error);
+            }
+        };
+        getCourts();
+    }, []);
+
+    /* get combinations of items at the chosen court and meal that fill the user's remaining macros */
+    async function getMealCombos() {
+        if (comboCourt === "" || comboMeal === "") {
+            setComboMessage("Pick a dining court and meal first");
+            return;
+        }
+        try {
+            setComboMessage("Loading...");
+            const response = await axios.get(`/recommendations/nutrition/${userId}`, {
+                params: { court: comboCourt, meal: comboMeal },
+                headers: { token: "Bearer " + user.accessToken }
+            });
+            setCombos(response.data);
+            if (response.data.remaining.calories === 0) {
+                setComboMessage("You already reached your calorie goal today!");
+            } else if (response.data.combinations.length === 0) {
+                setComboMessage(`No items at ${comboCourt} for ${comboMeal} fit your goals and restrictions`);
+            } else {
+                setComboMessage("");
+            }
+        } catch (error) {
+            setCombos(null);
+            setComboMessage("Couldn't load meal combinations");
+            console.log(error);
+        }
+    }
+
     /* get recommendations based on saved items */
     async function getRecommendationsBasedOnSavedItems(mealType) {
         try {
@@ -92,43 +144,29 @@ const RecommendedMenuItems = () => {
                 return;
             }
 
-            if (mealType === ALL_MEALS) { /* all types of meals */
-                // TODO: change all to userId
-                response = await axios.get(`/recommendations/saved/${userId}`);
-            } else { /* specific meal type */
-                response = await axios.get(`/recommendations/saved/${userId}/${mealType}`);
-            }
-
-            console.log(response.data);
-            const prefsRestsObj = response.data;
-
-            if (prefsRestsObj.message !== "All Good!") { /* if not all good set to empty  */
-                loading.current = false; // not loading    
-                setCourtsMenu([]);
-                setRecsSaved([]);
-                setMessage(prefsRestsObj.message);
-            } else {
-                // get items matching prefs and rests
-                const selectedMealType = mealTypes[mealType] // get selected meal type
-                const res = await axios.post("/menuInfo/prefsAndRests/" + selectedMealType, {
-                    preferences: prefsRestsObj.preferences,
-                    restrictions: prefsRestsObj.restrictions
-                });
-                
-
-                const items = res.data;
-                loading.current = false // not loading
-                if (!items || items.length === 0) {
-                    noItems.current = true; // no items
-                    setCourtsMenu([]);
-                    setRecsSaved([]);
-                } else {
-                    setCourtsMenu(items);
-                    setRecsSaved(items);
-                }
+            const params = mealType === ALL_MEALS ? {} : { meal: mealTypes[mealType] };
+            response = await axios.get(`/recommendations/saved/${userId}`, {
+                params: params,
+                headers: { token: "Bearer " + user.accessToken }
+            });
 
-                setMessage(prefsRestsObj.message);
+            /* explain each item with the signals that counted the most towards its score */
+            const items = response.data.items.map((item) => ({
+                ...item,
+                explanation: Object.values(item.signals)
+                    .filter((signal) => signal.contribution > 0)
+                    .sort((a, b) => b.contribution - a.contribution)
+                    .slice(0, 2)
+                    .map((signal) => signal.detail)
+                    .join(" · ")
+            }));
+            loading.current = false // not loading
+            if (items.length === 0) {
+                noItems.current = true; // no items
             }
+            setCourtsMenu(items);
+            setRecsSaved(items);
+            setMessage(response.data.message);
         } catch (error) {
             loading.current = false // not loading
             setCourtsMenu([]);
@@ -137,6 +175,30 @@ const RecommendedMenuItems = () => {
         };
     };
 
+    /* get recommendations from users with similar taste */
+    async function getRecommendationsFromSimilarUsers(mealType) {
+        try {
+            const params = mealType === ALL_MEALS ? {} : { meal: mealTypes[mealType] };
+            const response = await axios.get(`/recommendations/similar/${userId}`, {
+                params: params,
+                headers: { token: "Bearer " + user.accessToken }
+            });
+            const items = response.data.items;
+            loading.current = false // not loading
+            if (items.length === 0) {
+                noItems.current = true;
+            }
+            setCourtsMenu(items);
+            setRecsSimilar(items);
+            setMessage(response.data.message);
+        } catch (error) {
+            loading.current = false // not loading
+            setCourtsMenu([]);
+            setRecsSimilar([]);
+            console.log(error)
+        };
+    };
+
     /* get recommendations based on prefs and rests */
     async function getRecommendationsBasedOnPrefsRests(mealType) {
         try {
@@ -204,6 +266,8 @@ const RecommendedMenuItems = () => {
             setRecommendationType(BASED_ON_SAVED)
         } else if (event.target.value === BASED_ON_PREFS) {
             setRecommendationType(BASED_ON_PREFS)
+        } else if (event.target.value === BASED_ON_SIMILAR_USERS) {
+            setRecommendationType(BASED_ON_SIMILAR_USERS)
         }
     };
 
@@ -236,6 +300,9 @@ const RecommendedMenuItems = () => {
         } else if (recommendationType === BASED_ON_PREFS) {
             getRecommendationsBasedOnPrefsRests(mealType);
             setCourtsMenu(recsPrefsRests);
+        } else if (recommendationType === BASED_ON_SIMILAR_USERS) {
+            getRecommendationsFromSimilarUsers(mealType);
+            setCourtsMenu(recsSimilar);
         }
     // eslint-disable-next-line
     }, [recommendationType, mealType]);
@@ -267,7 +334,10 @@ const RecommendedMenuItems = () => {
                         justifyContent: 'space-between', // Space between items
                         alignItems: 'center', // Align items vertically in the center
                     }}>
-                    <span className="listItem">{name}</span>
+                    <span className="listItem">
+                        {name}
+                        {item.explanation && <span className="explanation">{item.explanation}</span>}
+                    </span>
                     <span className="listRating">{rating}</span> {/* Added marginRight */}
                 </ListItem>
             </Link>
@@ -329,7 +399,13 @@ const RecommendedMenuItems = () => {
                                                 </ListItem>
                                             </List>
                                         ) : (
-                                            recommendationType === BASED_ON_PREFS ? (
+                                            recommendationType === BASED_ON_SIMILAR_USERS ? (
+                                                <List>
+                                                    <ListItem component="div" disablePadding button={true}>
+                                                        <span className="header">{"Rate or save more menu items first."}</span>
+                                                    </ListItem>
+                                                </List>
+                                            ) : recommendationType === BASED_ON_PREFS ? (
                                                 <List>
                                                     <ListItem component="div" disablePadding button={true}>
                                                         <span className="header">{"Select some preferences/restrictions first."}</span>
@@ -362,6 +438,7 @@ const RecommendedMenuItems = () => {
                             >
                                 <MenuItem value={BASED_ON_PREFS}>Recommend Based On My Preferences/Restrictions</MenuItem>
                                 <MenuItem value={BASED_ON_SAVED}>Recommend Based On Saved Items</MenuItem>
+                                <MenuItem value={BASED_ON_SIMILAR_USERS}>Recommend Based On Users With Similar Taste</MenuItem>
                             </Select>
                         </FormControl>
                     </Box>
@@ -414,6 +491,60 @@ const RecommendedMenuItems = () => {
                         </FormGroup>
                     </Box>
                 </div>
+                <div className="combos">
+                    <h4>Fill my remaining macros</h4>
+                    <Box sx={{ display: 'flex', gap: 1 }}>
+                        <FormControl error fullWidth sx={{ minWidth: 120 }} size="small">
+                            <InputLabel>Dining Court</InputLabel>
+                            <Select value={comboCourt} label="Dining Court" onChange={(e) => setComboCourt(e.target.value)}
+                                classes={{ root: classes.root, select: classes.selected }}
+                            >
+                                {courts.map((court) => (
+                                    <MenuItem key={court} value={court}>{court}</MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
+                        <FormControl error fullWidth sx={{ minWidth: 120 }} size="small">
+                            <InputLabel>Meal</InputLabel>
+                            <Select value={comboMeal} label="Meal" onChange={(e) => setComboMeal(e.target.value)}
+                                classes={{ root: classes.root, select: classes.selected }}
+                            >
+                                {COMBO_MEALS.map((meal) => (
+                                    <MenuItem key={meal} value={meal}>{meal}</MenuItem>
+                                ))}
+                            </Select>
+                        </FormControl>
+                        <Button variant="contained" onClick={getMealCombos} style={{ backgroundColor: 'goldenrod', color: 'white' }}>
+                            Go
+                        </Button>
+                    </Box>
+                    {combos && (
+                        <p className="remaining">
+                            {`Left today: ${Math.round(combos.remaining.calories)} cal, ${Math.round(combos.remaining.protein)}g protein, `
+                                + `${Math.round(combos.remaining.carbohydrates)}g carbs, ${Math.round(combos.remaining.fat)}g fat`}
+                        </p>
+                    )}
+                    <p>{comboMessage}</p>
+                    {combos && combos.combinations.length > 0 && (
+                        <Paper style={{ maxHeight: 300, overflow: 'auto' }}>
+                            <List>
+                                {combos.combinations.map((combo, index) => (
+                                    <ListItem key={index} component="div" sx={{ display: 'block', borderBottom: '1px solid #e0e0e0' }}>
+                                        {combo.items.map((item) => (
+                                            <Link key={item.ID} to={`/foodInfo/${item.ID}`} className="link">
+                                                <span className="comboItem">{`${item.servings} x ${item.name}`}</span>
+                                            </Link>
+                                        ))}
+                                        <span className="comboTotals">
+                                            {`${combo.totals.calories} cal, ${combo.totals.protein}g protein, `
+                                                + `${combo.totals.carbohydrates}g carbs, ${combo.totals.fat}g fat`}
+                                        </span>
+                                    </ListItem>
+                                ))}
+                            </List>
+                        </Paper>
+                    )}
+                </div>
             </Stack>
 
 
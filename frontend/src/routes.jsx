@@ -14,11 +14,12 @@ const ROUTES = {
     OTHER_HEALTH_TRACKER: '/otherHealthTracker',
     FOOD_INFO: '/foodInfo',
     FOOD_INFO_MENU_ITEM_ID: '/foodInfo/:menuItemID',
-    FOOD_ITEM_INFO: '/foodItemInfo/:foodItemHash',
+    FOOD_ITEM_INFO: '/foodItemInfo/:foodItemId',
     MEAL_TRACKER: '/mealTracker',
+    MEAL_PLANNER: '/mealPlanner',
     MENU_INFO: '/menu',
     MENU_INFO_LOCATION: '/menu/:location',
-    EXERCISE_INFO: '/exerciseInfo/:exerciseHash',
+    EXERCISE_INFO: '/exerciseInfo/:exerciseId',
     EXERCISE_TRACKER: '/exerciseTracker',
     SAVED_MENU_ITEMS: '/savedMenuItems',
     POPULAR_MENU_ITEMS: '/popularMenuItems',